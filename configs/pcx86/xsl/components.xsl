@@ -859,6 +859,18 @@
 				<xsl:otherwise>0</xsl:otherwise>
 			</xsl:choose>
 		</xsl:variable>
+		<xsl:variable name="port">
+			<xsl:choose>
+				<xsl:when test="@port"><xsl:value-of select="@port"/></xsl:when>
+				<xsl:otherwise>0</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="irq">
+			<xsl:choose>
+				<xsl:when test="@irq"><xsl:value-of select="@irq"/></xsl:when>
+				<xsl:otherwise>null</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
 		<xsl:variable name="binding">
 			<xsl:choose>
 				<xsl:when test="@binding"><xsl:value-of select="@binding"/></xsl:when>
@@ -868,7 +880,7 @@
 		<xsl:call-template name="component">
 			<xsl:with-param name="machine" select="$machine"/>
 			<xsl:with-param name="class">parallel</xsl:with-param>
-			<xsl:with-param name="parms">,adapter:<xsl:value-of select="$adapter"/>,binding:'<xsl:value-of select="$binding"/>'</xsl:with-param>
+			<xsl:with-param name="parms">,adapter:<xsl:value-of select="$adapter"/>,port:<xsl:value-of select="$port"/>,irq:<xsl:value-of select="$irq"/>,binding:'<xsl:value-of select="$binding"/>'</xsl:with-param>
 		</xsl:call-template>
 	</xsl:template>
 
@@ -886,6 +898,18 @@
 				<xsl:otherwise>0</xsl:otherwise>
 			</xsl:choose>
 		</xsl:variable>
+		<xsl:variable name="port">
+			<xsl:choose>
+				<xsl:when test="@port"><xsl:value-of select="@port"/></xsl:when>
+				<xsl:otherwise>0</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="irq">
+			<xsl:choose>
+				<xsl:when test="@irq"><xsl:value-of select="@irq"/></xsl:when>
+				<xsl:otherwise>null</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
 		<xsl:variable name="baudReceive">
 			<xsl:choose>
 				<xsl:when test="@baudReceive"><xsl:value-of select="@baudReceive"/></xsl:when>
@@ -928,7 +952,7 @@
 		<xsl:call-template name="component">
 			<xsl:with-param name="machine" select="$machine"/>
 			<xsl:with-param name="class">serial</xsl:with-param>
-			<xsl:with-param name="parms">,adapter:<xsl:value-of select="$adapter"/>,baudReceive:<xsl:value-of select="$baudReceive"/>,baudTransmit:<xsl:value-of select="$baudTransmit"/>,binding:'<xsl:value-of select="$binding"/>',tabSize:<xsl:value-of select="$tabSize"/>,charBOL:<xsl:value-of select="$charBOL"/>,upperCase:<xsl:value-of select="$upperCase"/></xsl:with-param>
+			<xsl:with-param name="parms">,adapter:<xsl:value-of select="$adapter"/>,port:<xsl:value-of select="$port"/>,irq:<xsl:value-of select="$irq"/>,baudReceive:<xsl:value-of select="$baudReceive"/>,baudTransmit:<xsl:value-of select="$baudTransmit"/>,binding:'<xsl:value-of select="$binding"/>',tabSize:<xsl:value-of select="$tabSize"/>,charBOL:<xsl:value-of select="$charBOL"/>,upperCase:<xsl:value-of select="$upperCase"/></xsl:with-param>
 		</xsl:call-template>
 	</xsl:template>
 
@@ -959,6 +983,66 @@
 		</xsl:call-template>
 	</xsl:template>
 
+	<xsl:template match="printer[@ref]">
+		<xsl:param name="machine" select="''"/>
+		<xsl:variable name="componentFile"><xsl:value-of select="$rootDir"/><xsl:value-of select="@ref"/></xsl:variable>
+		<xsl:apply-templates select="document($componentFile)/printer"><xsl:with-param name="machine" select="$machine"/></xsl:apply-templates>
+	</xsl:template>
+
+	<xsl:template match="printer[not(@ref)]">
+		<xsl:param name="machine" select="''"/>
+		<xsl:variable name="parallel">
+			<xsl:choose>
+				<xsl:when test="@parallel"><xsl:value-of select="@parallel"/></xsl:when>
+				<xsl:otherwise/>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="model">
+			<xsl:choose>
+				<xsl:when test="@model"><xsl:value-of select="@model"/></xsl:when>
+				<xsl:otherwise>epson</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:call-template name="component">
+			<xsl:with-param name="machine" select="$machine"/>
+			<xsl:with-param name="class">printer</xsl:with-param>
+			<xsl:with-param name="parms">,parallel:'<xsl:value-of select="$parallel"/>',model:'<xsl:value-of select="$model"/>'</xsl:with-param>
+		</xsl:call-template>
+	</xsl:template>
+
+	<xsl:template match="modem[@ref]">
+		<xsl:param name="machine" select="''"/>
+		<xsl:variable name="componentFile"><xsl:value-of select="$rootDir"/><xsl:value-of select="@ref"/></xsl:variable>
+		<xsl:apply-templates select="document($componentFile)/modem"><xsl:with-param name="machine" select="$machine"/></xsl:apply-templates>
+	</xsl:template>
+
+	<xsl:template match="modem[not(@ref)]">
+		<xsl:param name="machine" select="''"/>
+		<xsl:variable name="serial">
+			<xsl:choose>
+				<xsl:when test="@serial"><xsl:value-of select="@serial"/></xsl:when>
+				<xsl:otherwise/>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="number">
+			<xsl:choose>
+				<xsl:when test="@number"><xsl:value-of select="@number"/></xsl:when>
+				<xsl:otherwise/>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="baud">
+			<xsl:choose>
+				<xsl:when test="@baud"><xsl:value-of select="@baud"/></xsl:when>
+				<xsl:otherwise>2400</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:call-template name="component">
+			<xsl:with-param name="machine" select="$machine"/>
+			<xsl:with-param name="class">modem</xsl:with-param>
+			<xsl:with-param name="parms">,serial:'<xsl:value-of select="$serial"/>',number:'<xsl:value-of select="$number"/>',baud:<xsl:value-of select="$baud"/></xsl:with-param>
+		</xsl:call-template>
+	</xsl:template>
+
 	<xsl:template match="mouse[@ref]">
 		<xsl:param name="machine" select="''"/>
 		<xsl:variable name="componentFile"><xsl:value-of select="$rootDir"/><xsl:value-of select="@ref"/></xsl:variable>
@@ -1004,6 +1088,117 @@
 		</xsl:call-template>
 	</xsl:template>
 
+	<xsl:template match="adlib[@ref]">
+		<xsl:param name="machine" select="''"/>
+		<xsl:variable name="componentFile"><xsl:value-of select="$rootDir"/><xsl:value-of select="@ref"/></xsl:variable>
+		<xsl:apply-templates select="document($componentFile)/adlib"><xsl:with-param name="machine" select="$machine"/></xsl:apply-templates>
+	</xsl:template>
+
+	<xsl:template match="adlib[not(@ref)]">
+		<xsl:param name="machine" select="''"/>
+		<xsl:variable name="port">
+			<xsl:choose>
+				<xsl:when test="@port"><xsl:value-of select="@port"/></xsl:when>
+				<xsl:otherwise>0x388</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="volume">
+			<xsl:choose>
+				<xsl:when test="@volume"><xsl:value-of select="@volume"/></xsl:when>
+				<xsl:otherwise>0.5</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:call-template name="component">
+			<xsl:with-param name="machine" select="$machine"/>
+			<xsl:with-param name="class">adlib</xsl:with-param>
+			<xsl:with-param name="parms">,port:<xsl:value-of select="$port"/>,volume:<xsl:value-of select="$volume"/></xsl:with-param>
+		</xsl:call-template>
+	</xsl:template>
+
+	<xsl:template match="soundblaster[@ref]">
+		<xsl:param name="machine" select="''"/>
+		<xsl:variable name="componentFile"><xsl:value-of select="$rootDir"/><xsl:value-of select="@ref"/></xsl:variable>
+		<xsl:apply-templates select="document($componentFile)/soundblaster"><xsl:with-param name="machine" select="$machine"/></xsl:apply-templates>
+	</xsl:template>
+
+	<xsl:template match="soundblaster[not(@ref)]">
+		<xsl:param name="machine" select="''"/>
+		<xsl:variable name="model">
+			<xsl:choose>
+				<xsl:when test="@model"><xsl:value-of select="@model"/></xsl:when>
+				<xsl:otherwise>sb2</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="port">
+			<xsl:choose>
+				<xsl:when test="@port"><xsl:value-of select="@port"/></xsl:when>
+				<xsl:otherwise>0x220</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="irq">
+			<xsl:choose>
+				<xsl:when test="@irq"><xsl:value-of select="@irq"/></xsl:when>
+				<xsl:otherwise>7</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="dma">
+			<xsl:choose>
+				<xsl:when test="@dma"><xsl:value-of select="@dma"/></xsl:when>
+				<xsl:otherwise>1</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="volume">
+			<xsl:choose>
+				<xsl:when test="@volume"><xsl:value-of select="@volume"/></xsl:when>
+				<xsl:otherwise>0.5</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:call-template name="component">
+			<xsl:with-param name="machine" select="$machine"/>
+			<xsl:with-param name="class">soundblaster</xsl:with-param>
+			<xsl:with-param name="parms">,model:'<xsl:value-of select="$model"/>',port:<xsl:value-of select="$port"/>,irq:<xsl:value-of select="$irq"/>,dma:<xsl:value-of select="$dma"/>,volume:<xsl:value-of select="$volume"/></xsl:with-param>
+		</xsl:call-template>
+	</xsl:template>
+
+	<xsl:template match="ne2000[@ref]">
+		<xsl:param name="machine" select="''"/>
+		<xsl:variable name="componentFile"><xsl:value-of select="$rootDir"/><xsl:value-of select="@ref"/></xsl:variable>
+		<xsl:apply-templates select="document($componentFile)/ne2000"><xsl:with-param name="machine" select="$machine"/></xsl:apply-templates>
+	</xsl:template>
+
+	<xsl:template match="ne2000[not(@ref)]">
+		<xsl:param name="machine" select="''"/>
+		<xsl:variable name="port">
+			<xsl:choose>
+				<xsl:when test="@port"><xsl:value-of select="@port"/></xsl:when>
+				<xsl:otherwise>0x300</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="irq">
+			<xsl:choose>
+				<xsl:when test="@irq"><xsl:value-of select="@irq"/></xsl:when>
+				<xsl:otherwise>3</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="mac">
+			<xsl:choose>
+				<xsl:when test="@mac"><xsl:value-of select="@mac"/></xsl:when>
+				<xsl:otherwise></xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:variable name="backend">
+			<xsl:choose>
+				<xsl:when test="@backend"><xsl:value-of select="@backend"/></xsl:when>
+				<xsl:otherwise>hub</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
+		<xsl:call-template name="component">
+			<xsl:with-param name="machine" select="$machine"/>
+			<xsl:with-param name="class">ne2000</xsl:with-param>
+			<xsl:with-param name="parms">,port:<xsl:value-of select="$port"/>,irq:<xsl:value-of select="$irq"/>,mac:'<xsl:value-of select="$mac"/>',backend:'<xsl:value-of select="$backend"/>'</xsl:with-param>
+		</xsl:call-template>
+	</xsl:template>
+
 	<xsl:template match="fdc[@ref]">
 		<xsl:param name="machine" select="''"/>
 		<xsl:variable name="componentFile"><xsl:value-of select="$rootDir"/><xsl:value-of select="@ref"/></xsl:variable>
@@ -1375,12 +1570,18 @@
 				<xsl:otherwise>0.5</xsl:otherwise>
 			</xsl:choose>
 		</xsl:variable>
+		<xsl:variable name="vbeROM">
+			<xsl:choose>
+				<xsl:when test="@vbeROM"><xsl:value-of select="@vbeROM"/></xsl:when>
+				<xsl:otherwise>0</xsl:otherwise>
+			</xsl:choose>
+		</xsl:variable>
 		<xsl:call-template name="component">
 			<xsl:with-param name="machine" select="$machine"/>
 			<xsl:with-param name="class">video</xsl:with-param>
 			<xsl:with-param name="screenWidth" select="$screenWidth"/>
 			<xsl:with-param name="screenHeight" select="$screenHeight"/>
-			<xsl:with-param name="parms">,model:'<xsl:value-of select="$model"/>',mode:<xsl:value-of select="$mode"/>,screenWidth:<xsl:value-of select="$screenWidth"/>,screenHeight:<xsl:value-of select="$screenHeight"/>,screenColor:'<xsl:value-of select="$screenColor"/>',screenRotate:<xsl:value-of select="$screenRotate"/>,bufferAddr:<xsl:value-of select="$bufferAddr"/>,bufferRAM:<xsl:value-of select="$bufferRAM"/>,bufferFormat:'<xsl:value-of select="$bufferFormat"/>',bufferCols:<xsl:value-of select="$bufferCols"/>,bufferRows:<xsl:value-of select="$bufferRows"/>,bufferBits:<xsl:value-of select="$bufferBits"/>,bufferLeft:<xsl:value-of select="$bufferLeft"/>,bufferRotate:<xsl:value-of select="$bufferRotate"/>,memory:<xsl:value-of select="$memory"/>,switches:'<xsl:value-of select="$switches"/>',scale:<xsl:value-of select="$scale"/>,cellWidth:<xsl:value-of select="$cellWidth"/>,cellHeight:<xsl:value-of select="$cellHeight"/>,charCols:<xsl:value-of select="$charCols"/>,charRows:<xsl:value-of select="$charRows"/>,fontROM:'<xsl:value-of select="$fontROM"/>',fontColor:'<xsl:value-of select="$fontColor"/>',touchScreen:'<xsl:value-of select="$touchScreen"/>',autoLock:<xsl:value-of select="$autoLock"/>,aspectRatio:<xsl:value-of select="$aspectRatio"/>,smoothing:<xsl:value-of select="$smoothing"/>,interruptRate:<xsl:value-of select="$interruptRate"/>,refreshRate:<xsl:value-of select="$refreshRate"/>,flicker:<xsl:value-of select="$flicker"/></xsl:with-param>
+			<xsl:with-param name="parms">,model:'<xsl:value-of select="$model"/>',mode:<xsl:value-of select="$mode"/>,screenWidth:<xsl:value-of select="$screenWidth"/>,screenHeight:<xsl:value-of select="$screenHeight"/>,screenColor:'<xsl:value-of select="$screenColor"/>',screenRotate:<xsl:value-of select="$screenRotate"/>,bufferAddr:<xsl:value-of select="$bufferAddr"/>,bufferRAM:<xsl:value-of select="$bufferRAM"/>,bufferFormat:'<xsl:value-of select="$bufferFormat"/>',bufferCols:<xsl:value-of select="$bufferCols"/>,bufferRows:<xsl:value-of select="$bufferRows"/>,bufferBits:<xsl:value-of select="$bufferBits"/>,bufferLeft:<xsl:value-of select="$bufferLeft"/>,bufferRotate:<xsl:value-of select="$bufferRotate"/>,memory:<xsl:value-of select="$memory"/>,switches:'<xsl:value-of select="$switches"/>',scale:<xsl:value-of select="$scale"/>,cellWidth:<xsl:value-of select="$cellWidth"/>,cellHeight:<xsl:value-of select="$cellHeight"/>,charCols:<xsl:value-of select="$charCols"/>,charRows:<xsl:value-of select="$charRows"/>,fontROM:'<xsl:value-of select="$fontROM"/>',fontColor:'<xsl:value-of select="$fontColor"/>',touchScreen:'<xsl:value-of select="$touchScreen"/>',autoLock:<xsl:value-of select="$autoLock"/>,aspectRatio:<xsl:value-of select="$aspectRatio"/>,smoothing:<xsl:value-of select="$smoothing"/>,interruptRate:<xsl:value-of select="$interruptRate"/>,refreshRate:<xsl:value-of select="$refreshRate"/>,flicker:<xsl:value-of select="$flicker"/>,vbeROM:<xsl:value-of select="$vbeROM"/></xsl:with-param>
 		</xsl:call-template>
 	</xsl:template>
 
@@ -19,12 +19,14 @@ var Proc = require("../../shared/lib/proclib");
 
 var fConsole = false;
 var fDebug = false;
+var portGDB = 0;
 var fGlobalsSet = false;
 var args = Proc.getArgs();
 var argv = args.argv;
 var sCmdPrev = "";
 if (argv['console'] !== undefined) fConsole = argv['console'];
 if (argv['debug'] !== undefined) fDebug = argv['debug'];
+if (argv['gdb'] !== undefined) portGDB = (argv['gdb'] === true? 1234 : +argv['gdb']);
 
 var lib = path.join(path.dirname(fs.realpathSync(__filename)), "../lib/");
 
@@ -173,6 +175,17 @@ function getComponentByType(sType)
     return component;
 }
 
+/**
+ * shutdownMachine()
+ *
+ * Powers off the current machine (if any), so that any components writing output files (eg, the Printer) can finish them.
+ */
+function shutdownMachine()
+{
+    let computer = getComponentByType("Computer");
+    if (computer) computer.powerOff(false, true);
+}
+
 /**
  * loadMachine(sFile)
  *
@@ -230,6 +243,14 @@ function loadMachine(sFile)
                 idMachine = machine['machine']['id'];
             }
 
+            /*
+             * The --gdb option adds a GDBStub component (listening on the specified port, default 1234) to any machine
+             * that doesn't already have one.
+             */
+            if (portGDB && !machine['gdbstub']) {
+                machine['gdbstub'] = {'id': "gdb", 'port': portGDB};
+            }
+
             for (i = 0; i < aComponents.length; i++) {
 
                 let component = aComponents[i];
@@ -308,6 +329,7 @@ function doCommand(sCmd)
         result = loadMachine(aTokens[1]);
         break;
     case "quit":
+        shutdownMachine();
         process.exit();
         result = true;
         break;
@@ -366,6 +388,15 @@ var onCommand = function (cmd, context, filename, callback)
 };
 
 if (scriptsPCx86) {
+    /*
+     * GDBStub depends on Node's "net" module, so it isn't one of the scripts that get built for the browser;
+     * we load it (just ahead of the Computer component, like every other component) only when --gdb is specified.
+     */
+    if (portGDB) {
+        scriptsPCx86 = scriptsPCx86.slice();
+        let i = scriptsPCx86.indexOf("./machines/pcx86/lib/computer.js");
+        scriptsPCx86.splice(i < 0? scriptsPCx86.length : i, 0, "./machines/pcx86/lib/gdbstub.js");
+    }
     loadComponents(scriptsPCx86);
 }
 
@@ -0,0 +1,1169 @@
+/**
+ * @fileoverview Implements the PCx86 AdLib component
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+if (typeof module !== "undefined") {
+    var fs          = require("fs");
+    var Str         = require("../../shared/lib/strlib");
+    var Web         = require("../../shared/lib/weblib");
+    var Component   = require("../../shared/lib/component");
+    var State       = require("../../shared/lib/state");
+    var PCx86       = require("./defines");
+    var Messages    = require("./messages");
+}
+
+/**
+ * AdLib class
+ *
+ * The AdLib Music Synthesizer Card was little more than a Yamaha YM3812 (aka OPL2) FM synthesis chip wired to
+ * a pair of I/O ports: 0x388 selects a register (and reads the chip's status) and 0x389 writes the selected register.
+ * There was no IRQ, no DMA, and no way to read a register back; software detected the card by starting one of
+ * the chip's timers and waiting for the corresponding status bit to appear.
+ *
+ * The YM3812 has 9 two-operator channels (18 operators total), or 6 channels plus 5 percussion instruments
+ * in "rhythm" mode.  Each operator has a phase generator (with optional vibrato), an envelope generator
+ * (attack/decay/sustain/release, with optional key scaling and tremolo), and one of 4 waveforms.  We generate
+ * samples directly at the output sample rate, rather than at the chip's native rate (14.31818Mhz / 288, or
+ * roughly 49716hz), which is not cycle-exact, but is close enough to make the music sound the way it should.
+ *
+ * Samples are generated lazily, based on the number of CPU cycles that have elapsed, so that register writes
+ * take effect at the correct point in the sample stream, no matter how the CPU happens to be scheduled.  Those
+ * samples are then delivered periodically (see flushSamples()) to any of the following:
+ *
+ *      1) a Web Audio context, when running in a browser (queued as a series of short AudioBuffers);
+ *      2) a WAV file, when running "headless" under Node (eg, machines/pcx86/bin/pcx86.js) with 'wavFile' set.
+ *
+ * The WAV file header is rewritten after every flush, so the file is always valid, even if the process exits
+ * without warning (which is how pcx86.js's "quit" command works).
+ *
+ * @class AdLib
+ * @unrestricted (allows the class to define properties, both dot and named, outside of the constructor)
+ */
+class AdLib extends Component {
+    /**
+     * AdLib(parms)
+     *
+     * The AdLib component has the following component-specific (parms) properties:
+     *
+     *      port: base I/O port (default is 0x388)
+     *
+     *      volume: a number from 0 to 1 (default is 0.5); 0 disables sound output (but not the chip itself)
+     *
+     *      sampleRate: output sample rate (default is the Web Audio context's rate, or 44100 if none)
+     *
+     *      wavFile: name of a WAV file to write (Node only; ignored in the browser)
+     *
+     * @this {AdLib}
+     * @param {Object} parms
+     */
+    constructor(parms)
+    {
+        super("AdLib", parms, Messages.ADLIB);
+
+        this.portBase = parms['port'] || AdLib.PORT;
+
+        let volume = parms['volume'];
+        this.volume = (typeof volume != "number" || volume < 0 || volume > 1)? 0.5 : volume;
+
+        /*
+         * Same idea as ChipSet: create an audio context, if we can, unless sound has been explicitly disabled.
+         */
+        this.contextAudio = null;
+        if (this.volume && window) {
+            let classAudio = window['AudioContext'] || window['webkitAudioContext'];
+            if (classAudio) {
+                this.contextAudio = new classAudio();
+            } else {
+                if (DEBUG) this.log("AudioContext not available");
+            }
+        }
+        this.timeAudio = 0;
+
+        this.nSampleRate = parms['sampleRate'] || (this.contextAudio? this.contextAudio['sampleRate'] : 0) || AdLib.SAMPLE_RATE;
+
+        this.sWAVFile = (!window && typeof fs != "undefined" && parms['wavFile']) || "";
+        this.fdWAV = -1;
+        this.cbWAV = 0;
+
+        /*
+         * The sample buffer holds up to one flush interval of samples (plus some slack); updateSamples() flushes
+         * early whenever the buffer fills up.
+         */
+        this.aSamples = new Float32Array(Math.ceil(this.nSampleRate * AdLib.FLUSH_MS / 1000) * 2);
+        this.nSamples = 0;
+
+        this.initTables();
+    }
+
+    /**
+     * initBus(cmp, bus, cpu, dbg)
+     *
+     * @this {AdLib}
+     * @param {Computer} cmp
+     * @param {BusX86} bus
+     * @param {CPUx86} cpu
+     * @param {DebuggerX86} dbg
+     */
+    initBus(cmp, bus, cpu, dbg)
+    {
+        this.bus = bus;
+        this.cpu = cpu;
+        this.dbg = dbg;
+        bus.addPortInputTable(this, AdLib.aPortInput, this.portBase);
+        bus.addPortOutputTable(this, AdLib.aPortOutput, this.portBase);
+        this.timerFlush = cpu.addTimer(this.id, this.flushSamples.bind(this), AdLib.FLUSH_MS);
+        if (this.sWAVFile) this.openWAV();
+        this.setReady();
+    }
+
+    /**
+     * powerUp(data, fRepower)
+     *
+     * @this {AdLib}
+     * @param {Object|null} data
+     * @param {boolean} [fRepower]
+     * @return {boolean} true if successful, false if failure
+     */
+    powerUp(data, fRepower)
+    {
+        if (!fRepower) {
+            if (!data || !this.restore) {
+                this.reset();
+            } else {
+                if (!this.restore(data)) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * powerDown(fSave, fShutdown)
+     *
+     * @this {AdLib}
+     * @param {boolean} [fSave]
+     * @param {boolean} [fShutdown]
+     * @return {Object|boolean} component state if fSave; otherwise, true if successful, false if failure
+     */
+    powerDown(fSave, fShutdown)
+    {
+        this.flushSamples();
+        if (fShutdown) this.closeWAV();
+        return fSave? this.save() : true;
+    }
+
+    /**
+     * reset()
+     *
+     * @this {AdLib}
+     */
+    reset()
+    {
+        this.initState();
+    }
+
+    /**
+     * save()
+     *
+     * This implements save support for the AdLib component.
+     *
+     * @this {AdLib}
+     * @return {Object}
+     */
+    save()
+    {
+        let state = new State(this);
+        state.set(0, this.saveRegisters());
+        return state.data();
+    }
+
+    /**
+     * restore(data)
+     *
+     * This implements restore support for the AdLib component.
+     *
+     * @this {AdLib}
+     * @param {Object} data
+     * @return {boolean} true if successful, false if failure
+     */
+    restore(data)
+    {
+        return this.initState(data[0]);
+    }
+
+    /**
+     * initState(data)
+     *
+     * Envelope and phase state is not saved; any notes that were playing are simply restarted (by replaying
+     * their key-on bits) when the registers are restored.
+     *
+     * @this {AdLib}
+     * @param {Array} [data]
+     * @return {boolean} true if successful, false if failure
+     */
+    initState(data)
+    {
+        let i = 0;
+        if (data === undefined) {
+            data = [0, 0, new Array(AdLib.TOTAL_REGS).fill(0)];
+        }
+        this.bIndex = data[i++];
+        this.bStatus = data[i++];
+        let abRegs = data[i];
+
+        this.nCycles = this.nCyclesPrev = this.nCyclesLast = 0;
+        this.nCyclesSample = 0;
+        this.iNoise = 1;
+        this.phaseTremolo = this.phaseVibrato = 0;
+        this.aTimers = [{preset: 0, cycleStart: -1}, {preset: 0, cycleStart: -1}];
+
+        this.abRegs = new Array(AdLib.TOTAL_REGS).fill(0);
+        this.aOperators = [];
+        for (let iOp = 0; iOp < AdLib.TOTAL_OPS; iOp++) {
+            this.aOperators.push({
+                mult: AdLib.aMultiples[0], ksr: 0, egt: 0, vib: 0, am: 0, tl: 0, ksl: 0,
+                ar: 0, dr: 0, sl: 0, rr: 0, wave: 0, key: 0,
+                phase: 0, env: AdLib.ENV.MAX, state: AdLib.EG.OFF, out1: 0, out2: 0,
+                rateAttack: 0, rateDecay: 0, rateRelease: 0, attKSL: 0
+            });
+        }
+        this.aChannels = [];
+        for (let iCh = 0; iCh < AdLib.TOTAL_CHANNELS; iCh++) {
+            this.aChannels.push({fnum: 0, block: 0, fb: 0, cnt: 0, inc: 0});
+        }
+
+        /*
+         * Replay all the register writes, skipping the timer control register, and doing the key-on registers last.
+         */
+        for (let reg = 0; reg < AdLib.TOTAL_REGS; reg++) {
+            if (reg == AdLib.REG.TIMER_CTRL || reg == AdLib.REG.RHYTHM || (reg >= AdLib.REG.KEY_BLOCK && reg < AdLib.REG.KEY_BLOCK + AdLib.TOTAL_CHANNELS)) continue;
+            this.writeRegister(reg, abRegs[reg] || 0);
+        }
+        for (let iCh = 0; iCh < AdLib.TOTAL_CHANNELS; iCh++) {
+            this.writeRegister(AdLib.REG.KEY_BLOCK + iCh, abRegs[AdLib.REG.KEY_BLOCK + iCh] || 0);
+        }
+        this.writeRegister(AdLib.REG.RHYTHM, abRegs[AdLib.REG.RHYTHM] || 0);
+        return true;
+    }
+
+    /**
+     * saveRegisters()
+     *
+     * @this {AdLib}
+     * @return {Array}
+     */
+    saveRegisters()
+    {
+        let i = 0;
+        let data = [];
+        data[i++] = this.bIndex;
+        data[i++] = this.getStatus();
+        data[i] = this.abRegs.slice();
+        return data;
+    }
+
+    /**
+     * initTables()
+     *
+     * Builds the waveform, attenuation and envelope rate tables for the current sample rate.
+     *
+     * @this {AdLib}
+     */
+    initTables()
+    {
+        let fs = this.nSampleRate;
+
+        this.aSine = new Float32Array(AdLib.WAVE_LEN);
+        for (let i = 0; i < AdLib.WAVE_LEN; i++) {
+            this.aSine[i] = Math.sin(2 * Math.PI * i / AdLib.WAVE_LEN);
+        }
+
+        /*
+         * Attenuation is tracked in envelope units (0.1875dB each), and anything at or beyond ENV.LIMIT is silent.
+         */
+        this.aAmplitudes = new Float32Array(AdLib.ENV.LIMIT);
+        for (let i = 0; i < AdLib.ENV.LIMIT; i++) {
+            this.aAmplitudes[i] = Math.pow(10, -i * AdLib.ENV.DB / 20);
+        }
+
+        /*
+         * For each of the 64 effective envelope rates, the attack table contains the coefficient for our
+         * (approximately) exponential attack curve, and the decay table contains the number of envelope units to
+         * add per sample.  Rates 0-3 are "infinite" (the envelope doesn't move), and attack rates 60-63 are instant.
+         *
+         * The times come from Yamaha's tables for rate 4 (the times halve for every 4 rates after that, and each
+         * of the 3 intermediate rates is 1.25, 1.5 and 1.75 times faster than the base rate).
+         */
+        this.aAttackRates = new Float32Array(64);
+        this.aDecayRates = new Float32Array(64);
+        for (let rate = 4; rate < 64; rate++) {
+            let scale = 2 / Math.pow(2, rate >> 2) / (1 + (rate & 3) / 4);
+            let nAttack = AdLib.EG.ATTACK_MS * scale * fs / 1000;
+            this.aAttackRates[rate] = (rate >= 60 || nAttack < 1)? 1 : 1 - Math.pow(AdLib.EG.ATTACK_BIAS / (AdLib.ENV.MAX + AdLib.EG.ATTACK_BIAS), 1 / nAttack);
+            this.aDecayRates[rate] = AdLib.ENV.LIMIT / (AdLib.EG.DECAY_MS * scale * fs / 1000);
+        }
+    }
+
+    /**
+     * inStatus(port, addrFrom)
+     *
+     * @this {AdLib}
+     * @param {number} port (0x388)
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     * @return {number} simulated port value
+     */
+    inStatus(port, addrFrom)
+    {
+        let b = this.getStatus();
+        this.printMessageIO(port, undefined, addrFrom, "STATUS", b);
+        return b;
+    }
+
+    /**
+     * inData(port, addrFrom)
+     *
+     * The YM3812's registers are write-only; reading the data port returns whatever the bus floats to.
+     *
+     * @this {AdLib}
+     * @param {number} port (0x389)
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     * @return {number} simulated port value
+     */
+    inData(port, addrFrom)
+    {
+        let b = 0xff;
+        this.printMessageIO(port, undefined, addrFrom, "DATA", b);
+        return b;
+    }
+
+    /**
+     * outIndex(port, bOut, addrFrom)
+     *
+     * @this {AdLib}
+     * @param {number} port (0x388)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to write the specified port)
+     */
+    outIndex(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "INDEX");
+        this.bIndex = bOut;
+    }
+
+    /**
+     * outData(port, bOut, addrFrom)
+     *
+     * @this {AdLib}
+     * @param {number} port (0x389)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to write the specified port)
+     */
+    outData(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "REG" + Str.toHex(this.bIndex, 2));
+        this.updateSamples();
+        this.writeRegister(this.bIndex, bOut);
+    }
+
+    /**
+     * getCycles()
+     *
+     * Returns a monotonically increasing (scaled) cycle count; the CPU's own count is periodically reset.
+     *
+     * @this {AdLib}
+     * @return {number}
+     */
+    getCycles()
+    {
+        if (this.cpu) {
+            let nCycles = this.cpu.getCycles(true);
+            let nDelta = nCycles - this.nCyclesPrev;
+            if (nDelta < 0) nDelta = nCycles;
+            this.nCyclesPrev = nCycles;
+            this.nCycles += nDelta;
+        }
+        return this.nCycles;
+    }
+
+    /**
+     * getStatus()
+     *
+     * The timer status bits are updated lazily: whenever the status is read, we determine whether each running,
+     * unmasked timer has overflowed since it was started.  Once set, a status bit remains set until software resets
+     * it by writing TIMER_CTRL.IRQ_RESET.
+     *
+     * @this {AdLib}
+     * @return {number}
+     */
+    getStatus()
+    {
+        let ctrl = this.abRegs[AdLib.REG.TIMER_CTRL];
+        let nCycles = this.getCycles();
+        let nCyclesPerSec = this.cpu? this.cpu.getBaseCyclesPerSecond() : 0;
+        for (let iTimer = 0; iTimer < this.aTimers.length; iTimer++) {
+            let timer = this.aTimers[iTimer];
+            if (timer.cycleStart < 0 || (ctrl & AdLib.TIMER_CTRL.MASK[iTimer])) continue;
+            let usPeriod = (256 - timer.preset) * AdLib.TIMER_US[iTimer];
+            if (nCyclesPerSec && (nCycles - timer.cycleStart) / nCyclesPerSec * 1000000 >= usPeriod) {
+                this.bStatus |= AdLib.STATUS.TIMER[iTimer] | AdLib.STATUS.IRQ;
+            }
+        }
+        return this.bStatus | AdLib.STATUS.ALWAYS_SET;
+    }
+
+    /**
+     * writeRegister(reg, b)
+     *
+     * @this {AdLib}
+     * @param {number} reg
+     * @param {number} b
+     */
+    writeRegister(reg, b)
+    {
+        let iOp, iCh;
+        let bPrev = this.abRegs[reg];
+        this.abRegs[reg] = b;
+
+        switch(reg & 0xE0) {
+        case 0x00:
+            if (reg == AdLib.REG.TIMER_CTRL) {
+                if (b & AdLib.TIMER_CTRL.IRQ_RESET) {
+                    this.bStatus = 0;
+                    this.abRegs[reg] = bPrev;
+                    break;
+                }
+                for (let iTimer = 0; iTimer < this.aTimers.length; iTimer++) {
+                    let timer = this.aTimers[iTimer];
+                    if (b & AdLib.TIMER_CTRL.START[iTimer]) {
+                        if (timer.cycleStart < 0) {
+                            timer.preset = this.abRegs[AdLib.REG.TIMER1 + iTimer];
+                            timer.cycleStart = this.getCycles();
+                        }
+                    } else {
+                        timer.cycleStart = -1;
+                    }
+                }
+            }
+            else if (reg == AdLib.REG.TIMER1 || reg == AdLib.REG.TIMER2) {
+                /*
+                 * The preset is loaded into the counter when the timer starts, and again on every overflow; since
+                 * we only track the first overflow, we simply capture the value when the timer is started.
+                 */
+            }
+            else if (reg == AdLib.REG.CSM_NTS) {
+                for (iCh = 0; iCh < AdLib.TOTAL_CHANNELS; iCh++) this.updateChannel(iCh);
+            }
+            break;
+        case 0x20:
+            iOp = AdLib.aSlotOps[reg & 0x1F];
+            if (iOp >= 0) {
+                let op = this.aOperators[iOp];
+                op.am = b & 0x80;
+                op.vib = b & 0x40;
+                op.egt = b & 0x20;
+                op.ksr = b & 0x10;
+                op.mult = AdLib.aMultiples[b & 0x0F];
+                this.updateChannel(AdLib.aOpChannels[iOp]);
+            }
+            break;
+        case 0x40:
+            iOp = AdLib.aSlotOps[reg & 0x1F];
+            if (iOp >= 0) {
+                let op = this.aOperators[iOp];
+                op.ksl = AdLib.aKSLScales[b >> 6];
+                op.tl = (b & 0x3F) * AdLib.ENV.TL_UNITS;
+                this.updateChannel(AdLib.aOpChannels[iOp]);
+            }
+            break;
+        case 0x60:
+            iOp = AdLib.aSlotOps[reg & 0x1F];
+            if (iOp >= 0) {
+                let op = this.aOperators[iOp];
+                op.ar = b >> 4;
+                op.dr = b & 0x0F;
+                this.updateChannel(AdLib.aOpChannels[iOp]);
+            }
+            break;
+        case 0x80:
+            iOp = AdLib.aSlotOps[reg & 0x1F];
+            if (iOp >= 0) {
+                let op = this.aOperators[iOp];
+                let sl = b >> 4;
+                op.sl = (sl == 0x0F? 0x1F : sl) * AdLib.ENV.SL_UNITS;
+                op.rr = b & 0x0F;
+                this.updateChannel(AdLib.aOpChannels[iOp]);
+            }
+            break;
+        case 0xA0:
+            iCh = reg & 0x0F;
+            if (reg == AdLib.REG.RHYTHM) {
+                this.updateRhythm();
+            }
+            else if (iCh < AdLib.TOTAL_CHANNELS) {
+                let ch = this.aChannels[iCh];
+                if (reg < AdLib.REG.KEY_BLOCK) {
+                    ch.fnum = (ch.fnum & 0x300) | b;
+                } else {
+                    ch.fnum = (ch.fnum & 0xFF) | ((b & 0x03) << 8);
+                    ch.block = (b >> 2) & 0x07;
+                    let aOps = AdLib.aChannelOps[iCh];
+                    this.setKey(aOps[0], AdLib.KEY.CHANNEL, b & 0x20);
+                    this.setKey(aOps[1], AdLib.KEY.CHANNEL, b & 0x20);
+                }
+                this.updateChannel(iCh);
+            }
+            break;
+        case 0xC0:
+            iCh = reg & 0x0F;
+            if (iCh < AdLib.TOTAL_CHANNELS) {
+                let ch = this.aChannels[iCh];
+                ch.fb = (b >> 1) & 0x07;
+                ch.cnt = b & 0x01;
+            }
+            break;
+        case 0xE0:
+            iOp = AdLib.aSlotOps[reg & 0x1F];
+            if (iOp >= 0) this.aOperators[iOp].wave = b & 0x03;
+            break;
+        default:
+            break;
+        }
+    }
+
+    /**
+     * setKey(iOp, bit, fOn)
+     *
+     * An operator can be keyed on by its channel's KEY_BLOCK register, by the RHYTHM register, or both; the
+     * operator's envelope starts when the first of those sources turns on, and releases when the last turns off.
+     *
+     * @this {AdLib}
+     * @param {number} iOp
+     * @param {number} bit (AdLib.KEY.CHANNEL or AdLib.KEY.RHYTHM)
+     * @param {number|boolean} fOn
+     */
+    setKey(iOp, bit, fOn)
+    {
+        let op = this.aOperators[iOp];
+        let key = fOn? (op.key | bit) : (op.key & ~bit);
+        if (key && !op.key) {
+            op.phase = 0;
+            op.state = AdLib.EG.ATTACK;
+        }
+        else if (!key && op.key && op.state != AdLib.EG.OFF) {
+            op.state = AdLib.EG.RELEASE;
+        }
+        op.key = key;
+    }
+
+    /**
+     * updateRhythm()
+     *
+     * @this {AdLib}
+     */
+    updateRhythm()
+    {
+        let b = this.abRegs[AdLib.REG.RHYTHM];
+        let fRhythm = b & AdLib.RHYTHM.ENABLE;
+        this.setKey(AdLib.OP.BD1, AdLib.KEY.RHYTHM, fRhythm && (b & AdLib.RHYTHM.BD));
+        this.setKey(AdLib.OP.BD2, AdLib.KEY.RHYTHM, fRhythm && (b & AdLib.RHYTHM.BD));
+        this.setKey(AdLib.OP.HH, AdLib.KEY.RHYTHM, fRhythm && (b & AdLib.RHYTHM.HH));
+        this.setKey(AdLib.OP.SD, AdLib.KEY.RHYTHM, fRhythm && (b & AdLib.RHYTHM.SD));
+        this.setKey(AdLib.OP.TOM, AdLib.KEY.RHYTHM, fRhythm && (b & AdLib.RHYTHM.TOM));
+        this.setKey(AdLib.OP.CYM, AdLib.KEY.RHYTHM, fRhythm && (b & AdLib.RHYTHM.CYM));
+    }
+
+    /**
+     * updateChannel(iCh)
+     *
+     * Recalculates everything that depends on a channel's frequency: the phase increment and the key scale
+     * number, which in turn affects each operator's key scale level and effective envelope rates.
+     *
+     * @this {AdLib}
+     * @param {number} iCh
+     */
+    updateChannel(iCh)
+    {
+        let ch = this.aChannels[iCh];
+        ch.inc = ch.fnum * Math.pow(2, ch.block) * AdLib.CHIP_RATE / (1 << 20) / this.nSampleRate;
+
+        let bitNTS = (this.abRegs[AdLib.REG.CSM_NTS] & AdLib.CSM_NTS.NTS)? 8 : 9;
+        let ksn = (ch.block << 1) | ((ch.fnum >> bitNTS) & 1);
+        let dbKSL = AdLib.aKSLLevels[ch.fnum >> 6] - 3 * (7 - ch.block);
+        if (dbKSL < 0) dbKSL = 0;
+
+        let aOps = AdLib.aChannelOps[iCh];
+        for (let i = 0; i < aOps.length; i++) {
+            let op = this.aOperators[aOps[i]];
+            let rof = op.ksr? ksn : (ksn >> 2);
+            op.rateAttack = this.aAttackRates[op.ar? Math.min(63, op.ar * 4 + rof) : 0];
+            op.rateDecay = this.aDecayRates[op.dr? Math.min(63, op.dr * 4 + rof) : 0];
+            op.rateRelease = this.aDecayRates[op.rr? Math.min(63, op.rr * 4 + rof) : 0];
+            op.attKSL = dbKSL * op.ksl / AdLib.ENV.DB;
+        }
+    }
+
+    /**
+     * updateSamples()
+     *
+     * Generates however many samples correspond to the CPU cycles that have elapsed since the last call.
+     *
+     * @this {AdLib}
+     */
+    updateSamples()
+    {
+        if (!this.cpu) return;
+        let nCycles = this.getCycles();
+        let nCyclesPerSec = this.cpu.getBaseCyclesPerSecond();
+        this.nCyclesSample += (nCycles - this.nCyclesLast) * this.nSampleRate;
+        this.nCyclesLast = nCycles;
+        let nSamples = Math.floor(this.nCyclesSample / nCyclesPerSec);
+        if (nSamples <= 0) return;
+        this.nCyclesSample -= nSamples * nCyclesPerSec;
+        if (!this.contextAudio && this.fdWAV < 0) return;
+        while (nSamples > 0) {
+            let n = Math.min(nSamples, this.aSamples.length - this.nSamples);
+            this.generateSamples(this.aSamples, this.nSamples, n);
+            this.nSamples += n;
+            nSamples -= n;
+            if (this.nSamples == this.aSamples.length) this.writeSamples();
+        }
+    }
+
+    /**
+     * flushSamples()
+     *
+     * Called periodically by our CPU timer (and whenever we power down) to deliver any pending samples.
+     *
+     * @this {AdLib}
+     */
+    flushSamples()
+    {
+        this.updateSamples();
+        if (this.nSamples) this.writeSamples();
+    }
+
+    /**
+     * writeSamples()
+     *
+     * @this {AdLib}
+     */
+    writeSamples()
+    {
+        let n = this.nSamples;
+        let aSamples = this.aSamples.subarray(0, n);
+
+        if (this.contextAudio) {
+            let ctx = this.contextAudio;
+            let t = ctx['currentTime'];
+            if (ctx['state'] == "suspended") ctx['resume']();
+            if (this.timeAudio < t) this.timeAudio = t + AdLib.LATENCY;
+            /*
+             * If the machine is running faster than real-time, drop samples rather than queueing an ever-growing
+             * backlog of audio.
+             */
+            if (this.timeAudio - t < AdLib.LATENCY_MAX) {
+                try {
+                    let buffer = ctx['createBuffer'](1, n, this.nSampleRate);
+                    buffer['getChannelData'](0)['set'](aSamples);
+                    let source = ctx['createBufferSource']();
+                    source['buffer'] = buffer;
+                    source['connect'](ctx['destination']);
+                    source['start'](this.timeAudio);
+                    this.timeAudio += n / this.nSampleRate;
+                } catch(e) {
+                    this.notice("AudioContext exception: " + e.message);
+                    this.contextAudio = null;
+                }
+            }
+        }
+
+        if (this.fdWAV >= 0) {
+            let ab = new Uint8Array(n * 2);
+            let dv = new DataView(ab.buffer);
+            for (let i = 0; i < n; i++) {
+                dv.setInt16(i * 2, Math.round(aSamples[i] * 32767), true);
+            }
+            fs.writeSync(this.fdWAV, ab, 0, ab.length, AdLib.WAV_HEADER + this.cbWAV);
+            this.cbWAV += ab.length;
+            this.writeWAVHeader();
+        }
+
+        this.nSamples = 0;
+    }
+
+    /**
+     * openWAV()
+     *
+     * @this {AdLib}
+     */
+    openWAV()
+    {
+        try {
+            this.fdWAV = fs.openSync(this.sWAVFile, "w");
+            this.cbWAV = 0;
+            this.writeWAVHeader();
+            this.printf("writing %dhz samples to %s\n", this.nSampleRate, this.sWAVFile);
+        } catch(err) {
+            this.notice("Unable to create " + this.sWAVFile + ": " + err.message);
+            this.fdWAV = -1;
+        }
+    }
+
+    /**
+     * closeWAV()
+     *
+     * @this {AdLib}
+     */
+    closeWAV()
+    {
+        if (this.fdWAV >= 0) {
+            fs.closeSync(this.fdWAV);
+            this.fdWAV = -1;
+        }
+    }
+
+    /**
+     * writeWAVHeader()
+     *
+     * Writes a 44-byte RIFF header for mono 16-bit PCM data, using the number of data bytes written so far.
+     *
+     * @this {AdLib}
+     */
+    writeWAVHeader()
+    {
+        let ab = new Uint8Array(AdLib.WAV_HEADER);
+        let dv = new DataView(ab.buffer);
+        for (let i = 0; i < 4; i++) {
+            ab[i] = "RIFF".charCodeAt(i);
+            ab[8 + i] = "WAVE".charCodeAt(i);
+            ab[12 + i] = "fmt ".charCodeAt(i);
+            ab[36 + i] = "data".charCodeAt(i);
+        }
+        dv.setUint32(4, AdLib.WAV_HEADER - 8 + this.cbWAV, true);
+        dv.setUint32(16, 16, true);                     // size of the "fmt " chunk
+        dv.setUint16(20, 1, true);                      // PCM
+        dv.setUint16(22, 1, true);                      // mono
+        dv.setUint32(24, this.nSampleRate, true);
+        dv.setUint32(28, this.nSampleRate * 2, true);   // bytes per second
+        dv.setUint16(32, 2, true);                      // bytes per sample frame
+        dv.setUint16(34, 16, true);                     // bits per sample
+        dv.setUint32(40, this.cbWAV, true);
+        fs.writeSync(this.fdWAV, ab, 0, ab.length, 0);
+    }
+
+    /**
+     * generateSamples(aSamples, iSample, nSamples)
+     *
+     * @this {AdLib}
+     * @param {Float32Array} aSamples
+     * @param {number} iSample
+     * @param {number} nSamples
+     */
+    generateSamples(aSamples, iSample, nSamples)
+    {
+        let bRhythm = this.abRegs[AdLib.REG.RHYTHM];
+        let fRhythm = !!(bRhythm & AdLib.RHYTHM.ENABLE);
+        let attTremoloMax = ((bRhythm & AdLib.RHYTHM.AM_DEPTH)? AdLib.LFO.AM_DEEP : AdLib.LFO.AM_SHALLOW) / AdLib.ENV.DB;
+        let vibDepth = (bRhythm & AdLib.RHYTHM.VIB_DEPTH)? AdLib.LFO.VIB_DEEP : AdLib.LFO.VIB_SHALLOW;
+        let incTremolo = AdLib.LFO.AM_HZ / this.nSampleRate;
+        let incVibrato = AdLib.LFO.VIB_HZ / this.nSampleRate;
+        let aOps = this.aOperators;
+        let nChannels = fRhythm? 6 : AdLib.TOTAL_CHANNELS;
+
+        for (let i = 0; i < nSamples; i++) {
+            /*
+             * Advance the LFOs: tremolo is a triangle wave between 0 and its maximum attenuation, and vibrato is
+             * a triangle wave between -1 and 1, which scales each operator's phase increment by up to vibDepth.
+             */
+            this.phaseTremolo = (this.phaseTremolo + incTremolo) % 1;
+            this.phaseVibrato = (this.phaseVibrato + incVibrato) % 1;
+            let attTremolo = (this.phaseTremolo < 0.5? this.phaseTremolo * 2 : 2 - this.phaseTremolo * 2) * attTremoloMax;
+            let pv = this.phaseVibrato;
+            let vibrato = 1 + vibDepth * (pv < 0.25? pv * 4 : (pv < 0.75? 2 - pv * 4 : pv * 4 - 4));
+
+            if (this.iNoise & 1) this.iNoise ^= AdLib.NOISE_XOR;
+            this.iNoise >>>= 1;
+
+            let out = 0;
+            for (let iCh = 0; iCh < nChannels; iCh++) {
+                let ch = this.aChannels[iCh];
+                let op1 = aOps[AdLib.aChannelOps[iCh][0]], op2 = aOps[AdLib.aChannelOps[iCh][1]];
+                if (op1.state == AdLib.EG.OFF && op2.state == AdLib.EG.OFF) continue;
+                let fb = ch.fb? (op1.out1 + op1.out2) * Math.pow(2, ch.fb - 7) : 0;
+                let o1 = this.calcOperator(op1, ch.inc, fb, attTremolo, vibrato);
+                op1.out2 = op1.out1;
+                op1.out1 = o1;
+                if (!ch.cnt) {
+                    out += this.calcOperator(op2, ch.inc, o1 * AdLib.MOD_DEPTH, attTremolo, vibrato);
+                } else {
+                    out += o1 + this.calcOperator(op2, ch.inc, 0, attTremolo, vibrato);
+                }
+            }
+            if (fRhythm) out += this.calcRhythm(attTremolo, vibrato);
+
+            out = out / AdLib.MIX_SCALE * this.volume;
+            aSamples[iSample++] = out > 1? 1 : (out < -1? -1 : out);
+        }
+    }
+
+    /**
+     * calcRhythm(attTremolo, vibrato)
+     *
+     * In rhythm mode, channel 6 becomes the bass drum, and the 4 operators of channels 7 and 8 become the hi-hat,
+     * snare drum, tom-tom and cymbal; the hi-hat, snare and cymbal derive their phases from bits of the channel 7
+     * and 8 phase generators mixed with noise, rather than from their own phase generators.  All rhythm outputs are
+     * twice as loud as melodic outputs.
+     *
+     * @this {AdLib}
+     * @param {number} attTremolo
+     * @param {number} vibrato
+     * @return {number}
+     */
+    calcRhythm(attTremolo, vibrato)
+    {
+        let aOps = this.aOperators;
+        let out = 0;
+
+        let ch = this.aChannels[6];
+        let opBD1 = aOps[AdLib.OP.BD1], opBD2 = aOps[AdLib.OP.BD2];
+        let fb = ch.fb? (opBD1.out1 + opBD1.out2) * Math.pow(2, ch.fb - 7) : 0;
+        let o1 = this.calcOperator(opBD1, ch.inc, fb, attTremolo, vibrato);
+        opBD1.out2 = opBD1.out1;
+        opBD1.out1 = o1;
+        out += this.calcOperator(opBD2, ch.inc, ch.cnt? 0 : o1 * AdLib.MOD_DEPTH, attTremolo, vibrato) * 2;
+
+        let opHH = aOps[AdLib.OP.HH], opSD = aOps[AdLib.OP.SD], opTOM = aOps[AdLib.OP.TOM], opCYM = aOps[AdLib.OP.CYM];
+        let inc7 = this.aChannels[7].inc, inc8 = this.aChannels[8].inc;
+        let noise = this.iNoise & 1;
+
+        /*
+         * Advance the phases of the hi-hat and cymbal operators first, since their bits determine the other phases.
+         */
+        let attHH = this.advanceOperator(opHH, inc7, attTremolo, vibrato);
+        let attCYM = this.advanceOperator(opCYM, inc8, attTremolo, vibrato);
+        let p7 = (opHH.phase * AdLib.WAVE_LEN) & (AdLib.WAVE_LEN - 1);
+        let p8 = (opCYM.phase * AdLib.WAVE_LEN) & (AdLib.WAVE_LEN - 1);
+        let res1 = (((p7 >> 2) ^ (p7 >> 7)) | (p7 >> 3)) & 1;
+        let res2 = ((p8 >> 3) ^ (p8 >> 5)) & 1;
+
+        let phase = (res1 || res2)? (0x200 | (0xD0 >> 2)) : 0xD0;
+        if (phase & 0x200) {
+            if (noise) phase = 0x200 | 0xD0;
+        } else {
+            if (noise) phase = 0xD0 >> 2;
+        }
+        out += this.getWave(opHH.wave, phase) * this.getAmplitude(attHH) * 2;
+
+        let attSD = this.advanceOperator(opSD, inc7, attTremolo, vibrato);
+        phase = ((p7 >> 8) & 1)? 0x200 : 0x100;
+        if (noise) phase ^= 0x100;
+        out += this.getWave(opSD.wave, phase) * this.getAmplitude(attSD) * 2;
+
+        out += this.calcOperator(opTOM, inc8, 0, attTremolo, vibrato) * 2;
+
+        phase = (res1 || res2)? 0x300 : 0x100;
+        out += this.getWave(opCYM.wave, phase) * this.getAmplitude(attCYM) * 2;
+
+        return out;
+    }
+
+    /**
+     * calcOperator(op, inc, mod, attTremolo, vibrato)
+     *
+     * @this {AdLib}
+     * @param {Object} op
+     * @param {number} inc (channel phase increment, in cycles per sample, before the operator's multiple)
+     * @param {number} mod (phase modulation, in cycles)
+     * @param {number} attTremolo
+     * @param {number} vibrato
+     * @return {number} (from -1 to 1)
+     */
+    calcOperator(op, inc, mod, attTremolo, vibrato)
+    {
+        let att = this.advanceOperator(op, inc, attTremolo, vibrato);
+        if (att >= AdLib.ENV.LIMIT) return 0;
+        let i = ((op.phase + mod) * AdLib.WAVE_LEN) & (AdLib.WAVE_LEN - 1);
+        return this.getWave(op.wave, i) * this.aAmplitudes[att|0];
+    }
+
+    /**
+     * advanceOperator(op, inc, attTremolo, vibrato)
+     *
+     * Advances the operator's phase and envelope by one sample, and returns its total attenuation.
+     *
+     * @this {AdLib}
+     * @param {Object} op
+     * @param {number} inc
+     * @param {number} attTremolo
+     * @param {number} vibrato
+     * @return {number} (attenuation, in envelope units)
+     */
+    advanceOperator(op, inc, attTremolo, vibrato)
+    {
+        op.phase += inc * op.mult * (op.vib? vibrato : 1);
+        if (op.phase >= 1) op.phase -= Math.floor(op.phase);
+
+        switch(op.state) {
+        case AdLib.EG.ATTACK:
+            if (op.rateAttack >= 1) {
+                op.env = 0;
+            } else {
+                op.env -= (op.env + AdLib.EG.ATTACK_BIAS) * op.rateAttack;
+            }
+            if (op.env <= 0) {
+                op.env = 0;
+                op.state = AdLib.EG.DECAY;
+            }
+            break;
+        case AdLib.EG.DECAY:
+            op.env += op.rateDecay;
+            if (op.env >= op.sl) {
+                op.env = op.sl;
+                op.state = AdLib.EG.SUSTAIN;
+            }
+            break;
+        case AdLib.EG.SUSTAIN:
+            /*
+             * Sustained (EGT) sounds hold the sustain level until key-off; percussive sounds keep decaying
+             * at the release rate.
+             */
+            if (op.egt) break;
+            /* falls through */
+        case AdLib.EG.RELEASE:
+            op.env += op.rateRelease;
+            if (op.env >= AdLib.ENV.MAX) {
+                op.env = AdLib.ENV.MAX;
+                if (op.state == AdLib.EG.RELEASE) op.state = AdLib.EG.OFF;
+            }
+            break;
+        default:
+            return AdLib.ENV.LIMIT;
+        }
+        return op.env + op.tl + op.attKSL + (op.am? attTremolo : 0);
+    }
+
+    /**
+     * getAmplitude(att)
+     *
+     * @this {AdLib}
+     * @param {number} att (attenuation, in envelope units)
+     * @return {number}
+     */
+    getAmplitude(att)
+    {
+        return att >= AdLib.ENV.LIMIT? 0 : this.aAmplitudes[att|0];
+    }
+
+    /**
+     * getWave(wave, i)
+     *
+     * Waveform selection is honored only if it has been enabled in the TEST register (AdLib.TEST.WSE).
+     *
+     * @this {AdLib}
+     * @param {number} wave (0-3)
+     * @param {number} i (phase, as a WAVE_LEN index)
+     * @return {number}
+     */
+    getWave(wave, i)
+    {
+        if (!(this.abRegs[AdLib.REG.TEST] & AdLib.TEST.WSE)) wave = 0;
+        switch(wave) {
+        case 1:                                         // half sine
+            return (i & 0x200)? 0 : this.aSine[i];
+        case 2:                                         // absolute sine
+            return this.aSine[i & 0x1FF];
+        case 3:                                         // pulse sine (first quarter of each half)
+            return (i & 0x100)? 0 : this.aSine[i & 0xFF];
+        default:
+            return this.aSine[i];
+        }
+    }
+
+    /**
+     * AdLib.init()
+     *
+     * This function operates on every HTML element of class "adlib", extracting the
+     * JSON-encoded parameters for the AdLib constructor from the element's "data-value"
+     * attribute, invoking the constructor to create an AdLib component, and then binding
+     * any associated HTML controls to the new component.
+     */
+    static init()
+    {
+        let aeAdLib = Component.getElementsByClass(document, PCx86.APPCLASS, "adlib");
+        for (let iAdLib = 0; iAdLib < aeAdLib.length; iAdLib++) {
+            let eAdLib = aeAdLib[iAdLib];
+            let parmsAdLib = Component.getComponentParms(eAdLib);
+            let adlib = new AdLib(parmsAdLib);
+            Component.bindComponentControls(adlib, eAdLib, PCx86.APPCLASS);
+        }
+    }
+}
+
+AdLib.PORT          = 0x388;
+AdLib.SAMPLE_RATE   = 44100;
+AdLib.CHIP_RATE     = 14318180 / 288;   // the YM3812's native sample rate (~49716hz)
+AdLib.FLUSH_MS      = 20;               // how often flushSamples() delivers samples
+AdLib.LATENCY       = 0.05;             // how far ahead (in seconds) to schedule the first Web Audio buffer
+AdLib.LATENCY_MAX   = 0.5;              // the most audio (in seconds) we'll allow to be queued
+AdLib.WAV_HEADER    = 44;
+AdLib.TOTAL_REGS    = 0x100;
+AdLib.TOTAL_OPS     = 18;
+AdLib.TOTAL_CHANNELS = 9;
+AdLib.WAVE_LEN      = 1024;
+AdLib.MOD_DEPTH     = 4;                // a full-scale modulator shifts the carrier's phase by 4 cycles (8π)
+AdLib.MIX_SCALE     = 8;                // operator outputs are 13-bit values summed into a 16-bit output
+AdLib.NOISE_XOR     = 0x800302;         // 23-bit noise generator feedback taps
+
+/*
+ * Status register (port 0x388, read-only)
+ */
+AdLib.STATUS = {
+    ALWAYS_SET:     0x06,               // the YM3812's unused status bits read as 0x06 (a YMF262 returns 0x00)
+    TIMER:          [0x40, 0x20],       // timer 1 and timer 2 overflow bits
+    IRQ:            0x80                // set if either timer has overflowed
+};
+
+/*
+ * Timer 1 counts up in 80us increments and Timer 2 in 320us increments, from their preset values until overflow.
+ */
+AdLib.TIMER_US = [80, 320];
+
+/*
+ * Registers that aren't part of an operator or channel group
+ */
+AdLib.REG = {
+    TEST:           0x01,
+    TIMER1:         0x02,
+    TIMER2:         0x03,
+    TIMER_CTRL:     0x04,
+    CSM_NTS:        0x08,
+    KEY_BLOCK:      0xB0,               // 0xB0-0xB8 (KEY_ON, BLOCK and the upper 2 bits of FNUM)
+    RHYTHM:         0xBD
+};
+
+AdLib.TEST = {
+    WSE:            0x20                // waveform select enable
+};
+
+AdLib.TIMER_CTRL = {
+    START:          [0x01, 0x02],
+    MASK:           [0x40, 0x20],
+    IRQ_RESET:      0x80                // resets the status bits (all other bits are ignored)
+};
+
+AdLib.CSM_NTS = {
+    CSM:            0x80,               // composite sine-wave speech mode (not supported)
+    NTS:            0x40                // note select (selects FNUM bit 8 instead of bit 9 for the key scale number)
+};
+
+AdLib.RHYTHM = {
+    AM_DEPTH:       0x80,
+    VIB_DEPTH:      0x40,
+    ENABLE:         0x20,
+    BD:             0x10,
+    SD:             0x08,
+    TOM:            0x04,
+    CYM:            0x02,
+    HH:             0x01
+};
+
+AdLib.LFO = {
+    AM_HZ:          3.7,
+    AM_SHALLOW:     1.0,                // tremolo depths (in dB)
+    AM_DEEP:        4.8,
+    VIB_HZ:         6.1,
+    VIB_SHALLOW:    Math.pow(2, 7 / 1200) - 1,      // vibrato depths (7 and 14 cents)
+    VIB_DEEP:       Math.pow(2, 14 / 1200) - 1
+};
+
+/*
+ * Envelope attenuation is tracked in units of 0.1875dB, so ENV.LIMIT units (96dB) is silence.
+ */
+AdLib.ENV = {
+    DB:             0.1875,
+    MAX:            511,
+    LIMIT:          512,
+    TL_UNITS:       4,                  // total level is in 0.75dB steps
+    SL_UNITS:       16                  // sustain level is in 3dB steps
+};
+
+AdLib.EG = {
+    OFF:            0,
+    ATTACK:         1,
+    DECAY:          2,
+    SUSTAIN:        3,
+    RELEASE:        4,
+    ATTACK_MS:      2826,               // attack time (0 to 100%) at rate 4
+    DECAY_MS:       39280,              // decay/release time (0 to 96dB) at rate 4
+    ATTACK_BIAS:    16                  // shapes our exponential attack curve so that it actually reaches zero
+};
+
+AdLib.KEY = {
+    CHANNEL:        0x1,
+    RHYTHM:         0x2
+};
+
+/*
+ * Operator indexes used in rhythm mode
+ */
+AdLib.OP = {
+    BD1:            12,
+    BD2:            15,
+    HH:             13,
+    SD:             16,
+    TOM:            14,
+    CYM:            17
+};
+
+/*
+ * The operator registers are addressed by slot offsets 0x00-0x15, with gaps at 0x06-0x07 and 0x0E-0x0F;
+ * aSlotOps maps each slot offset to an operator index (or -1), and aChannelOps lists the modulator and carrier
+ * operators of each channel.
+ */
+AdLib.aSlotOps = [
+     0,  1,  2,  3,  4,  5, -1, -1,  6,  7,  8,  9, 10, 11, -1, -1,
+    12, 13, 14, 15, 16, 17, -1, -1, -1, -1, -1, -1, -1, -1, -1, -1
+];
+
+AdLib.aChannelOps = [[0, 3], [1, 4], [2, 5], [6, 9], [7, 10], [8, 11], [12, 15], [13, 16], [14, 17]];
+
+AdLib.aOpChannels = [0, 1, 2, 0, 1, 2, 3, 4, 5, 3, 4, 5, 6, 7, 8, 6, 7, 8];
+
+AdLib.aMultiples = [0.5, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 10, 12, 12, 15, 15];
+
+/*
+ * Key scale level attenuation (in dB) for block 7, indexed by the upper 4 bits of FNUM; each lower block
+ * attenuates 3dB less.  That's the rate for KSL 1; KSL 2 is half that rate and KSL 3 is double (hence aKSLScales).
+ */
+AdLib.aKSLLevels = [0, 9, 12, 13.875, 15, 16.125, 16.875, 17.625, 18, 18.75, 19.125, 19.5, 19.875, 20.25, 20.625, 21];
+
+AdLib.aKSLScales = [0, 1, 0.5, 2];
+
+/*
+ * Port input notification table
+ */
+AdLib.aPortInput = {
+    0x0: AdLib.prototype.inStatus,
+    0x1: AdLib.prototype.inData
+};
+
+/*
+ * Port output notification table
+ */
+AdLib.aPortOutput = {
+    0x0: AdLib.prototype.outIndex,
+    0x1: AdLib.prototype.outData
+};
+
+/*
+ * Initialize every AdLib module on the page.
+ */
+Web.onInit(AdLib.init);
+
+if (typeof module !== "undefined") module.exports = AdLib;
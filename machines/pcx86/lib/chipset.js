@@ -143,6 +143,13 @@ class ChipSet extends Component {
         this.fScaleTimers = parmsChipSet['scaleTimers'] || false;
         this.sDateRTC = parmsChipSet['dateRTC'];
 
+        /*
+         * aIRQShares records, for each IRQ, the components that have called addIRQShare(), and aIRQRequests records
+         * which of those components are currently requesting an interrupt (see setIRR() and clearIRR()).
+         */
+        this.aIRQShares = [];
+        this.aIRQRequests = [];
+
         /*
          * Here, I'm finally getting around to trying the Web Audio API.  Fortunately, based on what little
          * I know about sound generation, using the API to make the same noises as the IBM PC speaker seems
@@ -202,6 +209,7 @@ class ChipSet extends Component {
         this.setDIPSwitches(ChipSet.SWITCH_TYPE.FPU, this.cmp.fpu? 1 : 0, true);
 
         this.kbd = cmp.getMachineComponent("Keyboard");
+        this.aux = null;                // set by bindMouse() if a PS/2-style mouse is attached to the 8042
 
         let sound = cmp.getMachineParm('sound');
         if (sound != null) {
@@ -244,9 +252,9 @@ class ChipSet extends Component {
         if (DEBUGGER) {
             if (dbg) {
                 let chipset = this;
-                /*
-                 * TODO: Add more "dumpers" (eg, for DMA, RTC, 8042, etc)
-                 */
+                dbg.messageDump(Messages.DMA, function onDumpDMA(asArgs) {
+                    chipset.dumpDMA(asArgs);
+                });
                 dbg.messageDump(Messages.PIC, function onDumpPIC() {
                     chipset.dumpPIC();
                 });
@@ -257,6 +265,12 @@ class ChipSet extends Component {
                     dbg.messageDump(Messages.CMOS, function onDumpCMOS() {
                         chipset.dumpCMOS();
                     });
+                    dbg.messageDump(Messages.RTC, function onDumpRTC() {
+                        chipset.dumpRTC();
+                    });
+                    dbg.messageDump(Messages.C8042, function onDump8042() {
+                        chipset.dump8042();
+                    });
                 }
             }
             cpu.addIntNotify(Interrupts.TIMER, this.intBIOSTimer.bind(this));
@@ -370,6 +384,7 @@ class ChipSet extends Component {
          * PIC (Programmable Interupt Controller) initialization
          */
         this.aPICs = new Array(this.cPICs);
+        this.aIRQRequests = [];
         this.initPIC(ChipSet.PIC0.INDEX, ChipSet.PIC0.PORT_LO);
         if (this.cPICs > 1) {
             this.initPIC(ChipSet.PIC1.INDEX, ChipSet.PIC1.PORT_LO);
@@ -1004,6 +1019,7 @@ class ChipSet extends Component {
                           this.b8042OutBuff, this.b8042InPort, this.b8042OutPort]);
             state.set(6, [this.abDMAPageSpare[7], this.abDMAPageSpare, this.bCMOSAddr, this.abCMOSData, this.nRTCCyclesLastUpdate, this.nRTCCyclesNextUpdate]);
         }
+        state.set(7, [this.saveIRQRequests()]);
         return state.data();
     }
 
@@ -1085,6 +1101,9 @@ class ChipSet extends Component {
              */
             this.initRTCTime();
         }
+
+        a = data[7];
+        this.restoreIRQRequests(a && a[0]);
         return true;
     }
 
@@ -1896,6 +1915,115 @@ class ChipSet extends Component {
         }
     }
 
+    /**
+     * dumpDMA(asArgs)
+     *
+     * Use "d dma" to dump all DMA channels, or "d dma n" to dump only channel n.
+     *
+     * @this {ChipSet}
+     * @param {Array.<string>} asArgs
+     */
+    dumpDMA(asArgs)
+    {
+        if (DEBUGGER) {
+            let sParm = asArgs[0];
+            let nChannel = (sParm? +sParm : null);
+            let asTypes = ["verify", "write", "read", "invalid"];
+            let asModes = ["demand", "single", "block", "cascade"];
+            /*
+             * The command, request and mode registers have no value until they're first programmed.
+             */
+            let toHexReg = function(b) {
+                return b == null? "unset" : Str.toHexByte(b);
+            };
+            for (let iDMAC = 0; iDMAC < this.aDMACs.length; iDMAC++) {
+                let controller = this.aDMACs[iDMAC];
+                if (nChannel == null) {
+                    this.dbg.println("DMA" + iDMAC + ": CMD=" + toHexReg(controller.bCmd) + " STATUS=" + Str.toHexByte(controller.bStatus) + " REQ=" + toHexReg(controller.bReq) + " TEMP=" + Str.toHexByte(controller.bTemp));
+                }
+                for (let iChannel = 0; iChannel < controller.aChannels.length; iChannel++) {
+                    let iDMAChannel = controller.nChannelBase + iChannel;
+                    if (nChannel != null && iDMAChannel != nChannel) continue;
+                    let channel = controller.aChannels[iChannel];
+                    let sMode = "";
+                    if (channel.mode != null) {
+                        sMode = " (" + asModes[(channel.mode & ChipSet.DMA_MODE.MODE) >> 6] + ',' + asTypes[(channel.mode & ChipSet.DMA_MODE.TYPE) >> 2];
+                        if (channel.mode & ChipSet.DMA_MODE.AUTOINIT) sMode += ",autoinit";
+                        sMode += ((channel.mode & ChipSet.DMA_MODE.DECREMENT)? ",dec" : ",inc") + ')';
+                    }
+                    let addrInit = (channel.bPage << 16) | (channel.addrInit[1] << 8) | channel.addrInit[0];
+                    let addrCurrent = (channel.bPage << 16) | (channel.addrCurrent[1] << 8) | channel.addrCurrent[0];
+                    let countInit = (channel.countInit[1] << 8) | channel.countInit[0];
+                    let countCurrent = (channel.countCurrent[1] << 8) | channel.countCurrent[0];
+                    this.dbg.println("  CHANNEL" + iDMAChannel + ": " + (channel.masked? "masked" : "unmasked") + " mode=" + toHexReg(channel.mode) + sMode + " addr=" + Str.toHex(addrCurrent, 6) + " (init " + Str.toHex(addrInit, 6) + ") count=" + Str.toHexWord(countCurrent) + " (init " + Str.toHexWord(countInit) + ')');
+                }
+            }
+        }
+    }
+
+    /**
+     * dumpRTC()
+     *
+     * Unlike dumpCMOS(), which reports RTC bytes the way software reads them (ie, BCD or binary, 12-hour or 24-hour,
+     * according to STATUSB), this reports the RTC's internal (binary, 24-hour) date and time, along with decoded status bits.
+     *
+     * @this {ChipSet}
+     */
+    dumpRTC()
+    {
+        if (DEBUGGER) {
+            let ab = this.abCMOSData;
+            let bStatusB = ab[ChipSet.CMOS.ADDR.STATUSB];
+            let bStatusC = ab[ChipSet.CMOS.ADDR.STATUSC];
+            let twoDigits = function(n) {
+                return (n < 10? "0" : "") + n;
+            };
+            let nCentury = ab[ChipSet.CMOS.ADDR.CENTURY_DATE];
+            nCentury = (nCentury >> 4) * 10 + (nCentury & 0xf);
+            let sDump = "RTC: date=" + nCentury + twoDigits(ab[ChipSet.CMOS.ADDR.RTC_YEAR]) + '-' + twoDigits(ab[ChipSet.CMOS.ADDR.RTC_MONTH]) + '-' + twoDigits(ab[ChipSet.CMOS.ADDR.RTC_MONTH_DAY]);
+            sDump += " weekday=" + ab[ChipSet.CMOS.ADDR.RTC_WEEK_DAY];
+            sDump += " time=" + twoDigits(ab[ChipSet.CMOS.ADDR.RTC_HOUR]) + ':' + twoDigits(ab[ChipSet.CMOS.ADDR.RTC_MIN]) + ':' + twoDigits(ab[ChipSet.CMOS.ADDR.RTC_SEC]);
+            sDump += " alarm=" + twoDigits(ab[ChipSet.CMOS.ADDR.RTC_HOUR_ALRM]) + ':' + twoDigits(ab[ChipSet.CMOS.ADDR.RTC_MIN_ALRM]) + ':' + twoDigits(ab[ChipSet.CMOS.ADDR.RTC_SEC_ALRM]);
+            sDump += "\nSTATUSA=" + Str.toHexByte(ab[ChipSet.CMOS.ADDR.STATUSA]) + " STATUSB=" + Str.toHexByte(bStatusB) + " STATUSC=" + Str.toHexByte(bStatusC) + " STATUSD=" + Str.toHexByte(ab[ChipSet.CMOS.ADDR.STATUSD]);
+            sDump += " (" + ((bStatusB & ChipSet.CMOS.STATUSB.BINARY)? "binary" : "BCD") + ',' + ((bStatusB & ChipSet.CMOS.STATUSB.HOUR24)? "24-hour" : "12-hour");
+            if (bStatusB & ChipSet.CMOS.STATUSB.SET) sDump += ",SET";
+            if (bStatusB & ChipSet.CMOS.STATUSB.PIE) sDump += ",PIE";
+            if (bStatusB & ChipSet.CMOS.STATUSB.AIE) sDump += ",AIE";
+            if (bStatusB & ChipSet.CMOS.STATUSB.UIE) sDump += ",UIE";
+            if (bStatusC & ChipSet.CMOS.STATUSC.PF) sDump += ",PF";
+            if (bStatusC & ChipSet.CMOS.STATUSC.AF) sDump += ",AF";
+            if (bStatusC & ChipSet.CMOS.STATUSC.UF) sDump += ",UF";
+            sDump += ')';
+            if (this.nRTCCyclesPerPeriod != null) {
+                sDump += "\nperiods/sec=" + this.nRTCPeriodsPerSecond + " cycles/period=" + this.nRTCCyclesPerPeriod + " next period in " + (this.nRTCCyclesNextUpdate - this.cpu.getCycles(this.fScaleTimers)) + " cycles";
+            }
+            this.dbg.println(sDump);
+        }
+    }
+
+    /**
+     * dump8042()
+     *
+     * @this {ChipSet}
+     */
+    dump8042()
+    {
+        if (DEBUGGER) {
+            let sDump = "8042: STATUS=" + Str.toHexByte(this.b8042Status & 0xff) + " INBUFF=" + Str.toHexByte(this.b8042InBuff) + " OUTBUFF=" + Str.toHexByte(this.b8042OutBuff);
+            sDump += " CMD=" + Str.toHexByte(this.b8042CmdData) + " INPORT=" + Str.toHexByte(this.b8042InPort) + " OUTPORT=" + Str.toHexByte(this.b8042OutPort);
+            let asFlags = [];
+            if (this.b8042Status & ChipSet.C8042.STATUS.OUTBUFF_FULL) asFlags.push("output buffer full");
+            if (this.b8042Status & ChipSet.C8042.STATUS.OUTBUFF_DELAY) asFlags.push("output buffer delayed");
+            if (this.b8042Status & ChipSet.C8042.STATUS.INBUFF_FULL) asFlags.push("input buffer full");
+            if (this.b8042Status & ChipSet.C8042.STATUS.CMD_FLAG) asFlags.push("last write was command");
+            if (this.b8042CmdData & ChipSet.C8042.DATA.CMD.INT_ENABLE) asFlags.push("IRQ1 enabled");
+            if (this.b8042CmdData & ChipSet.C8042.DATA.CMD.NO_CLOCK) asFlags.push("keyboard disabled");
+            asFlags.push((this.b8042OutPort & ChipSet.C8042.OUTPORT.A20_ON)? "A20 on" : "A20 off");
+            sDump += "\n" + asFlags.join(", ");
+            this.dbg.println(sDump);
+        }
+    }
+
     /**
      * inDMAChannelAddr(iDMAC, iChannel, port, addrFrom)
      *
@@ -2570,6 +2698,55 @@ class ChipSet extends Component {
         return true;
     }
 
+    /**
+     * readDMA(iDMAChannel, ab, nBytes)
+     *
+     * requestDMA() is designed for devices like disk controllers, which want an entire transfer performed as soon
+     * as the channel is unmasked.  Devices that consume data at their own fixed rate (eg, a Sound Blaster DSP) call
+     * this function instead, to "pull" at most nBytes from memory (DMA_MODE.TYPE_READ) whenever they need them.
+     *
+     * Unlike advanceDMA(), this updates the channel's current address AND count registers as it goes (so software
+     * can poll the transfer's progress), and when terminal count is reached, it sets the channel's TC status bit and
+     * either reloads the channel (DMA_MODE.AUTOINIT) or masks it.
+     *
+     * @this {ChipSet}
+     * @param {number} iDMAChannel
+     * @param {Array.<number>|Uint8Array} ab
+     * @param {number} nBytes
+     * @return {number} (number of bytes stored in ab; 0 if the channel is masked or not programmed for reading)
+     */
+    readDMA(iDMAChannel, ab, nBytes)
+    {
+        let iDMAC = iDMAChannel >> 2;
+        let controller = this.aDMACs[iDMAC];
+        if (!controller) return 0;
+
+        let iChannel = iDMAChannel & 0x3;
+        let channel = controller.aChannels[iChannel];
+
+        let cb = 0;
+        while (cb < nBytes && !channel.masked && (channel.mode & ChipSet.DMA_MODE.TYPE) == ChipSet.DMA_MODE.TYPE_READ) {
+            let addr = (channel.bPage << 16) | (channel.addrCurrent[1] << 8) | channel.addrCurrent[0];
+            ab[cb++] = this.bus.getByte(addr);
+            addr = ((channel.mode & ChipSet.DMA_MODE.DECREMENT)? addr - 1 : addr + 1) & 0xffff;
+            channel.addrCurrent[0] = addr & 0xff;
+            channel.addrCurrent[1] = addr >> 8;
+            let count = (((channel.countCurrent[1] << 8) | channel.countCurrent[0]) - 1) & 0xffff;
+            channel.countCurrent[0] = count & 0xff;
+            channel.countCurrent[1] = count >> 8;
+            if (count == 0xffff) {
+                controller.bStatus = (controller.bStatus & ~(0x10 << iChannel)) | (0x1 << iChannel);
+                if (channel.mode & ChipSet.DMA_MODE.AUTOINIT) {
+                    channel.addrCurrent[0] = channel.addrInit[0]; channel.addrCurrent[1] = channel.addrInit[1];
+                    channel.countCurrent[0] = channel.countInit[0]; channel.countCurrent[1] = channel.countInit[1];
+                } else {
+                    channel.masked = true;
+                }
+            }
+        }
+        return cb;
+    }
+
     /**
      * inPICLo(iPIC, addrFrom)
      *
@@ -2698,6 +2875,7 @@ class ChipSet extends Component {
                 if (pic.bISR & bIREnd) {
                     if (DEBUG && this.dbg) this.printf(this.messageBitsIRQ(nIRQ), "outPIC%d(%#04X): IRQ %d ending @%s stack=%s\n",  iPIC, pic.port, nIRQ, this.dbg.toHexOffset(this.cpu.getIP(), this.cpu.getCS()), this.dbg.toHexOffset(this.cpu.getSP(), this.cpu.getSS()));
                     pic.bISR &= ~bIREnd;
+                    this.checkIRQShare(nIRQ);
                     this.checkIRR();
                 } else {
                     if (DEBUG) {
@@ -2812,14 +2990,119 @@ class ChipSet extends Component {
     }
 
     /**
-     * setIRR(nIRQ, nDelay)
+     * addIRQShare(nIRQ, component)
+     *
+     * Components that may share their IRQ with other components (eg, serial adapters, where COM1 and COM3
+     * traditionally share IRQ 4) call this to register themselves, and then pass themselves to setIRR() and
+     * clearIRR().  That allows us to treat the IRQ as a wired-OR line: it isn't cleared until every component
+     * sharing it has dropped its request.
+     *
+     * @this {ChipSet}
+     * @param {number} nIRQ
+     * @param {Component} component
+     */
+    addIRQShare(nIRQ, component)
+    {
+        let aShares = this.aIRQShares[nIRQ] || (this.aIRQShares[nIRQ] = []);
+        if (aShares.indexOf(component) < 0) {
+            aShares.push(component);
+            if (aShares.length > 1) {
+                this.printf(Messages.PIC, "IRQ %d shared by %d components\n", nIRQ, aShares.length);
+            }
+        }
+    }
+
+    /**
+     * saveIRQRequests()
+     *
+     * Components can't be saved directly, so for each shared IRQ, we save the IDs of the components that are
+     * currently requesting it.
+     *
+     * @this {ChipSet}
+     * @return {Array}
+     */
+    saveIRQRequests()
+    {
+        let data = [];
+        for (let nIRQ = 0; nIRQ < this.aIRQRequests.length; nIRQ++) {
+            let aRequests = this.aIRQRequests[nIRQ];
+            if (!aRequests || !aRequests.length) continue;
+            let aIDs = [];
+            for (let i = 0; i < aRequests.length; i++) aIDs.push(aRequests[i].id);
+            data[nIRQ] = aIDs;
+        }
+        return data;
+    }
+
+    /**
+     * restoreIRQRequests(data)
+     *
+     * Maps the component IDs saved by saveIRQRequests() back to the components that registered with addIRQShare();
+     * IDs with no matching component (eg, a saved state from a differently configured machine) are ignored.
+     *
+     * @this {ChipSet}
+     * @param {Array|undefined} data
+     */
+    restoreIRQRequests(data)
+    {
+        this.aIRQRequests = [];
+        if (!data) return;
+        for (let nIRQ = 0; nIRQ < data.length; nIRQ++) {
+            let aIDs = data[nIRQ];
+            let aShares = this.aIRQShares[nIRQ];
+            if (!aIDs || !aShares) continue;
+            let aRequests = [];
+            for (let i = 0; i < aIDs.length; i++) {
+                for (let j = 0; j < aShares.length; j++) {
+                    if (aShares[j].id == aIDs[i]) {
+                        aRequests.push(aShares[j]);
+                        break;
+                    }
+                }
+            }
+            if (aRequests.length) this.aIRQRequests[nIRQ] = aRequests;
+        }
+    }
+
+    /**
+     * checkIRQShare(nIRQ)
+     *
+     * Called whenever an IRQ is EOI'ed: if that IRQ is shared and any of the sharing components are still requesting
+     * an interrupt, then the request is raised again.  On an edge-triggered ISA bus, a second device asserting a shared
+     * line while the first still holds it produces no new edge, so a driver that services only one device per interrupt
+     * could wait forever; real multi-port drivers poll every port on the IRQ, but treating shared IRQs as level-triggered
+     * works for both kinds of drivers.
+     *
+     * @this {ChipSet}
+     * @param {number|undefined} nIRQ
+     */
+    checkIRQShare(nIRQ)
+    {
+        if (nIRQ !== undefined) {
+            let aShares = this.aIRQShares[nIRQ];
+            let aRequests = this.aIRQRequests[nIRQ];
+            if (aShares && aShares.length > 1 && aRequests && aRequests.length) {
+                let pic = this.aPICs[nIRQ >> 3];
+                pic.bIRR |= (1 << (nIRQ & 0x7));
+                this.printf(this.messageBitsIRQ(nIRQ), "shared IRQ %d still requested\n", nIRQ);
+            }
+        }
+    }
+
+    /**
+     * setIRR(nIRQ, nDelay, component)
      *
      * @this {ChipSet}
      * @param {number} nIRQ (IRQ 0-7 implies iPIC 0, and IRQ 8-15 implies iPIC 1)
      * @param {number} [nDelay] is an optional number of instructions to delay acknowledgment of the IRQ (see getIRRVector)
+     * @param {Component} [component] is the requesting component, if it registered with addIRQShare()
      */
-    setIRR(nIRQ, nDelay)
+    setIRR(nIRQ, nDelay, component)
     {
+        if (component && this.aIRQShares[nIRQ]) {
+            let aRequests = this.aIRQRequests[nIRQ] || (this.aIRQRequests[nIRQ] = []);
+            if (aRequests.indexOf(component) < 0) aRequests.push(component);
+        }
         let iPIC = nIRQ >> 3;
         let nIRL = nIRQ & 0x7;
         let pic = this.aPICs[iPIC];
@@ -2833,13 +3116,26 @@ class ChipSet extends Component {
     }
 
     /**
-     * clearIRR(nIRQ)
+     * clearIRR(nIRQ, component)
      *
      * @this {ChipSet}
      * @param {number} nIRQ (IRQ 0-7 implies iPIC 0, and IRQ 8-15 implies iPIC 1)
+     * @param {Component} [component] is the requesting component, if it registered with addIRQShare()
      */
-    clearIRR(nIRQ)
+    clearIRR(nIRQ, component)
     {
+        let aRequests = this.aIRQRequests[nIRQ];
+        if (aRequests) {
+            if (component) {
+                let i = aRequests.indexOf(component);
+                if (i >= 0) aRequests.splice(i, 1);
+            }
+            /*
+             * If any component sharing this IRQ is still requesting an interrupt, the line stays asserted; that
+             * includes callers that didn't identify themselves, since they can't be holding one of these requests.
+             */
+            if (aRequests.length) return;
+        }
         let iPIC = nIRQ >> 3;
         let nIRL = nIRQ & 0x7;
         let pic = this.aPICs[iPIC];
@@ -3972,6 +4268,10 @@ class ChipSet extends Component {
      * The assumption seems to be that if an interrupt occurred, OUTBUFF must contain data,
      * regardless of the state of OUTBUFF_FULL.
      *
+     * If the data came from an auxiliary device (ie, a PS/2 mouse), we don't pass it along to the Keyboard
+     * (its checkBuffer() treats an ACK as its own), and we give the auxiliary device a chance to deliver its
+     * next byte, if the Keyboard didn't claim the output buffer first.
+     *
      * @this {ChipSet}
      * @param {number} port (0x60)
      * @param {number} [addrFrom] (not defined if the Debugger is trying to read the specified port)
@@ -3981,8 +4281,10 @@ class ChipSet extends Component {
     {
         let b = this.b8042OutBuff;
         this.printMessageIO(port, undefined, addrFrom, "8042_OUTBUFF", b, Messages.C8042);
-        this.b8042Status &= ~(ChipSet.C8042.STATUS.OUTBUFF_FULL | ChipSet.C8042.STATUS.OUTBUFF_DELAY);
-        if (this.kbd) this.kbd.checkBuffer(b);
+        let fAux = !!(this.b8042Status & ChipSet.C8042.STATUS.AUX_OUTBUFF);
+        this.b8042Status &= ~(ChipSet.C8042.STATUS.OUTBUFF_FULL | ChipSet.C8042.STATUS.OUTBUFF_DELAY | ChipSet.C8042.STATUS.AUX_OUTBUFF);
+        if (this.kbd) this.kbd.checkBuffer(fAux? undefined : b);
+        if (this.aux) this.aux.checkAuxBuffer();
         return b;
     }
 
@@ -4014,6 +4316,19 @@ class ChipSet extends Component {
                 this.set8042OutPort(bOut);
                 break;
 
+            case ChipSet.C8042.CMD.WRITE_AUX_BUFF:
+                this.b8042Status &= ~(ChipSet.C8042.STATUS.OUTBUFF_FULL | ChipSet.C8042.STATUS.OUTBUFF_DELAY);
+                this.receiveAuxData(bOut);
+                break;
+
+            /*
+             * Like the keyboard (see below), writing to the auxiliary device also enables its interface.
+             */
+            case ChipSet.C8042.CMD.WRITE_AUX:
+                this.set8042CmdData(this.b8042CmdData & ~ChipSet.C8042.DATA.CMD.NO_AUX_CLOCK);
+                if (this.aux) this.aux.receiveAuxCmd(bOut);
+                break;
+
             /*
              * This case is reserved for command bytes that the 8042 is not expecting, which should therefore be passed
              * on to the Keyboard itself.
@@ -4185,8 +4500,9 @@ class ChipSet extends Component {
          * this status port one more time, perhaps to confirm that the OUTBUFF_FULL bit is clear.  It then
          * expects another keyboard interrupt to arrive when the next scan code is available.  Very minimalistic.
          */
-        if (!(this.b8042Status & ChipSet.C8042.STATUS.OUTBUFF_FULL) && this.kbd) {
-            this.kbd.checkBuffer();
+        if (!(this.b8042Status & ChipSet.C8042.STATUS.OUTBUFF_FULL)) {
+            if (this.kbd) this.kbd.checkBuffer();
+            if (this.aux) this.aux.checkAuxBuffer();
         }
         return b;
     }
@@ -4247,6 +4563,18 @@ class ChipSet extends Component {
             if (this.kbd) this.kbd.checkBuffer();
             break;
 
+        case ChipSet.C8042.CMD.DISABLE_AUX:     // 0xA7
+            this.set8042CmdData(this.b8042CmdData | ChipSet.C8042.DATA.CMD.NO_AUX_CLOCK);
+            break;
+
+        case ChipSet.C8042.CMD.ENABLE_AUX:      // 0xA8
+            this.set8042CmdData(this.b8042CmdData & ~ChipSet.C8042.DATA.CMD.NO_AUX_CLOCK);
+            break;
+
+        case ChipSet.C8042.CMD.AUX_TEST:        // 0xA9
+            this.set8042OutBuff(ChipSet.C8042.DATA.AUX_TEST.OK);
+            break;
+
         case ChipSet.C8042.CMD.SELF_TEST:       // 0xAA
             if (this.kbd) this.kbd.flushBuffer();
             this.set8042CmdData(this.b8042CmdData | ChipSet.C8042.DATA.CMD.NO_CLOCK);
@@ -4271,8 +4599,10 @@ class ChipSet extends Component {
             break;
 
         case ChipSet.C8042.CMD.WRITE_OUTPORT:   // 0xD1
+        case ChipSet.C8042.CMD.WRITE_AUX_BUFF:  // 0xD3
+        case ChipSet.C8042.CMD.WRITE_AUX:       // 0xD4
             /*
-             * No further action required for this command; more data is expected via out8042InBuffData()
+             * No further action required for these commands; more data is expected via out8042InBuffData()
              */
             break;
 
@@ -4329,6 +4659,9 @@ class ChipSet extends Component {
              */
             this.kbd.setEnabled(!!(b & ChipSet.C8042.DATA.CMD.NO_INHIBIT), !(b & ChipSet.C8042.DATA.CMD.NO_CLOCK));
         }
+        if (this.aux && !(b & ChipSet.C8042.DATA.CMD.NO_AUX_CLOCK)) {
+            this.aux.checkAuxBuffer();
+        }
     }
 
     /**
@@ -4355,6 +4688,7 @@ class ChipSet extends Component {
     {
         if (b >= 0) {
             this.b8042OutBuff = b;
+            this.b8042Status &= ~ChipSet.C8042.STATUS.AUX_OUTBUFF;
             if (fNoDelay) {
                 this.b8042Status |= ChipSet.C8042.STATUS.OUTBUFF_FULL;
             } else {
@@ -4522,6 +4856,55 @@ class ChipSet extends Component {
         return false;
     }
 
+    /**
+     * bindMouse(id, mouse, fnUpdate)
+     *
+     * This is how a PS/2-style Mouse attaches itself to the 8042's auxiliary device port, using the same interface
+     * that a serial Mouse uses to attach itself to a SerialPort.  Only machines with an 8042 (ie, MODEL_5170 and up)
+     * have an auxiliary device port, and only one device can be attached to it.
+     *
+     * @this {ChipSet}
+     * @param {string} id (unused)
+     * @param {Mouse} mouse
+     * @param {function(number)} fnUpdate (unused; commands are delivered to the Mouse's receiveAuxCmd() interface)
+     * @return {Component|null}
+     */
+    bindMouse(id, mouse, fnUpdate)
+    {
+        if (this.model >= ChipSet.MODEL_5170 && !this.aux) {
+            this.aux = mouse;
+            return this;
+        }
+        return null;
+    }
+
+    /**
+     * receiveAuxData(b)
+     *
+     * This is the auxiliary device's counterpart to receiveKbdData().  Since the auxiliary device and the keyboard
+     * share the 8042's output buffer, the data is declined whenever the buffer is still full; the device must hold
+     * on to it until its checkAuxBuffer() interface is called again.
+     *
+     * @this {ChipSet}
+     * @param {number} b
+     * @return {boolean} (true if data accepted, false if declined)
+     */
+    receiveAuxData(b)
+    {
+        if (!COMPILED) this.printf(Messages.MOUSE + Messages.PORT, "chipset.receiveAuxData(%#04X)\n", b);
+        if (!(this.b8042CmdData & ChipSet.C8042.DATA.CMD.NO_AUX_CLOCK)) {
+            if (!(this.b8042Status & (ChipSet.C8042.STATUS.OUTBUFF_FULL | ChipSet.C8042.STATUS.OUTBUFF_DELAY))) {
+                this.set8042OutBuff(b, true);
+                this.b8042Status |= ChipSet.C8042.STATUS.AUX_OUTBUFF;
+                if (this.b8042CmdData & ChipSet.C8042.DATA.CMD.AUX_INT) {
+                    this.setIRR(ChipSet.IRQ.AUX);
+                }
+                return true;
+            }
+        }
+        return false;
+    }
+
     /**
      * in6300DIPSwitches(iDIP, port, addrFrom)
      *
@@ -5313,13 +5696,16 @@ ChipSet.IRQ = {
     VID:                0x02,   // EGA vertical retrace (arrives via IRQ 9 on MODEL_5170)
     SLAVE:              0x02,   // MODEL_5170
     COM2:               0x03,
+    COM4:               0x03,   // de facto, shared with COM2
     COM1:               0x04,
+    COM3:               0x04,   // de facto, shared with COM1
     XTC:                0x05,   // MODEL_5160 uses IRQ 5 for HDC (XTC version)
     LPT2:               0x05,   // MODEL_5170 uses IRQ 5 for LPT2
     FDC:                0x06,
     LPT1:               0x07,
     RTC:                0x08,   // MODEL_5170
     IRQ2:               0x09,   // MODEL_5170
+    AUX:                0x0C,   // MODEL_5170 and up, for a PS/2-style auxiliary device (ie, mouse)
     FPU:                0x0D,   // MODEL_5170
     ATC1:               0x0E,   // MODEL_5170 uses IRQ 14 for primary ATC controller interrupts
     ATC2:               0x0F    // MODEL_5170 *can* use IRQ 15 for secondary ATC controller interrupts
@@ -5773,15 +6159,20 @@ ChipSet.C8042 = {
         PORT:           0x60,
         CMD: {                  // this.b8042CmdData (C8042.DATA.CMD "data bytes" written to port 0x60, after writing a C8042.CMD byte to port 0x64)
             INT_ENABLE: 0x01,   // generate an interrupt when the controller places data in the output buffer
+            AUX_INT:    0x02,   // generate IRQ 12 when the controller places auxiliary device data in the output buffer (PS/2-style controllers)
             SYS_FLAG:   0x04,   // this value is propagated to ChipSet.C8042.STATUS.SYS_FLAG
             NO_INHIBIT: 0x08,   // disable inhibit function
             NO_CLOCK:   0x10,   // disable keyboard by driving "clock" line low
             PC_MODE:    0x20,
+            NO_AUX_CLOCK: 0x20, // disable auxiliary device by driving its "clock" line low (PS/2-style controllers)
             PC_COMPAT:  0x40    // generate IBM PC-compatible scan codes
         },
         SELF_TEST: {            // result of ChipSet.C8042.CMD.SELF_TEST command (0xAA)
             OK:         0x55
         },
+        AUX_TEST: {             // result of ChipSet.C8042.CMD.AUX_TEST command (0xA9)
+            OK:         0x00
+        },
         INTF_TEST: {            // result of ChipSet.C8042.CMD.INTF_TEST command (0xAB)
             OK:         0x00,   // no error
             CLOCK_LO:   0x01,   // keyboard clock line stuck low
@@ -5836,6 +6227,9 @@ ChipSet.C8042 = {
         COMPAQ_SLOWD:   0xA3,   // enable system slow down; see COMPAQ 386/25 TechRef p2-111
         COMPAQ_TOGGLE:  0xA4,   // toggle speed-control bit; see COMPAQ 386/25 TechRef p2-111
         COMPAQ_SREAD2:  0xA5,   // special read of "port 2"; see COMPAQ 386/25 TechRef p2-111
+        DISABLE_AUX:    0xA7,   // disable auxiliary device (PS/2-style controllers)
+        ENABLE_AUX:     0xA8,   // enable auxiliary device (PS/2-style controllers)
+        AUX_TEST:       0xA9,   // auxiliary device interface test (PS/2-style controllers)
         SELF_TEST:      0xAA,   // self-test (C8042.DATA.SELF_TEST.OK is placed in the output buffer if no errors)
         INTF_TEST:      0xAB,   // interface test
         DIAG_DUMP:      0xAC,   // diagnostic dump
@@ -5844,6 +6238,8 @@ ChipSet.C8042 = {
         READ_INPORT:    0xC0,   // read input port and place data in output buffer (use only if output buffer empty)
         READ_OUTPORT:   0xD0,   // read output port and place data in output buffer (use only if output buffer empty)
         WRITE_OUTPORT:  0xD1,   // next byte written to C8042.DATA.PORT (port 0x60) is placed in the output port (see C8042.OUTPORT)
+        WRITE_AUX_BUFF: 0xD3,   // next byte written to C8042.DATA.PORT is placed in the output buffer as if sent by the auxiliary device
+        WRITE_AUX:      0xD4,   // next byte written to C8042.DATA.PORT is sent to the auxiliary device
         READ_TEST:      0xE0,
         PULSE_OUTPORT:  0xF0    // this is the 1st of 16 commands (0xF0-0xFF) that pulse bits 0-3 of the output port
     },
@@ -5855,6 +6251,7 @@ ChipSet.C8042 = {
         CMD_FLAG:       0x08,   // set on write to C8042.CMD (port 0x64), clear on write to C8042.DATA (port 0x60)
         NO_INHIBIT:     0x10,   // (in COMPAQ parlance: security lock not engaged)
         XMT_TIMEOUT:    0x20,
+        AUX_OUTBUFF:    0x20,   // output buffer contains auxiliary device data (PS/2-style controllers)
         RCV_TIMEOUT:    0x40,
         PARITY_ERR:     0x80,   // last byte of data received had EVEN parity (ODD parity is normally expected)
         OUTBUFF_DELAY:  0x100
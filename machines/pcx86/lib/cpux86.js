@@ -78,6 +78,9 @@ class CPUx86 extends CPULib {
         case X86.MODEL_80386:
             nCyclesDefault = 16000000;
             break;
+        case X86.MODEL_80486:
+            nCyclesDefault = 25000000;
+            break;
         }
 
         super(parmsCPU, nCyclesDefault);
@@ -422,6 +425,28 @@ class CPUx86 extends CPULib {
         if (this.regCR0 & X86.CR0.PG) this.enablePageBlocks();
     }
 
+    /**
+     * invalidatePageBlock(addr)
+     *
+     * Our equivalent of a single-entry TLB flush (see INVLPG): if the block for the given linear address
+     * has been upgraded to a PAGED block, we return it to UNPAGED, so that the next access will remap it.
+     *
+     * @this {CPUx86}
+     * @param {number} addr is a linear address
+     */
+    invalidatePageBlock(addr)
+    {
+        if (this.regCR0 & X86.CR0.PG) {
+            let iBlock = (addr & this.nMemMask) >>> this.nBlockShift;
+            let i = this.aBlocksPaged.indexOf(iBlock);
+            if (i >= 0) {
+                this.releasePageBlock(this.aMemBlocks[iBlock]);
+                this.aMemBlocks[iBlock] = this.blockUnpaged;
+                this.aBlocksPaged.splice(i, 1);
+            }
+        }
+    }
+
     /**
      * acquirePageBlock(addr)
      *
@@ -777,6 +802,8 @@ class CPUx86 extends CPULib {
         this.PS_SET = X86.PS_SET_8086;
         this.PS_DIRECT = X86.PS_DIRECT_8086;
         this.PS_CLEAR_RM = X86.PS.IOPL.MASK | X86.PS.NT;
+        this.CR0_ON = X86.CR0.ON;
+        this.fAlignCheck = false;
 
         this.OPFLAG_NOINTR_8086 = X86.OPFLAG.NOINTR;
         this.nShiftCountMask = 0xff;            // on an 8086/8088, all shift counts are used as-is
@@ -787,6 +814,7 @@ class CPUx86 extends CPULib {
         this.aOpGrp4b = X86.aOpGrp4b;
         this.aOpGrp4w = X86.aOpGrp4w;
         this.aOpGrp6  = X86.aOpGrp6Real;        // setProtMode() will ensure that aOpGrp6 is switched
+        this.aOpGrp7  = X86.aOpGrp7;
 
         if (this.model >= X86.MODEL_80186) {
             /*
@@ -859,6 +887,24 @@ class CPUx86 extends CPULib {
                             this.aOps0F[0xA6] = X86.opXBTS;
                             this.aOps0F[0xA7] = X86.opIBTS;
                         }
+                        if (this.model >= X86.MODEL_80486) {
+                            /*
+                             * The 80486 can toggle PS.AC (which is how most software tells it apart from an 80386),
+                             * and only steppings with CPUID can toggle PS.ID (which is how software detects CPUID).
+                             */
+                            this.PS_DIRECT |= X86.PS.AC;
+                            this.CR0_ON = X86.CR0.ET;
+                            for (bOpcode in X86.aOps0F486) {
+                                this.aOps0F[+bOpcode] = X86.aOps0F486[+bOpcode];
+                            }
+                            if (this.stepping >= X86.STEPPING_80486_E0) {
+                                this.PS_DIRECT |= X86.PS.ID;
+                            } else {
+                                this.aOps0F[0xA2] = X86.opInvalid;
+                            }
+                            this.aOpGrp7 = X86.aOpGrp7.slice();
+                            this.aOpGrp7[0x07] = X86.fnINVLPG;
+                        }
                     } else {
                         /*
                          * Let's make any "undefined" 80286 0x0F opcode handler "invalid" instead IFF the opcode
@@ -869,6 +915,14 @@ class CPUx86 extends CPULib {
                             if (X86.aOps0F386[i] && this.aOps0F[i] == X86.opUndefined) this.aOps0F[i] = X86.opInvalid;
                         }
                     }
+                    if (this.model < X86.MODEL_80486) {
+                        /*
+                         * The same goes for 0x0F opcodes that weren't defined until the 80486.
+                         */
+                        for (i = 0; i < X86.aOps0F486.length; i++) {
+                            if (X86.aOps0F486[i] && this.aOps0F[i] == X86.opUndefined) this.aOps0F[i] = X86.opInvalid;
+                        }
+                    }
                 }
             }
         }
@@ -895,7 +949,10 @@ class CPUx86 extends CPULib {
     resetFPU()
     {
         if (this.chipset) {
-            if (this.chipset.getDIPCoprocessor()) {
+            /*
+             * The 80486 (well, the 80486DX anyway) has an integrated FPU, so there are no switches to consult.
+             */
+            if (this.model >= X86.MODEL_80486 || this.chipset.getDIPCoprocessor()) {
                 this.fpuActive = this.fpu;
             } else {
                 this.fpuActive = null;
@@ -1142,9 +1199,24 @@ class CPUx86 extends CPULib {
             /*
              * As explained above, EAX depends upon the results of the CPU's power-up self-test; however, the only
              * documented value is zero, which indicates that the 80386 passed.  Additionally, DH is set to the CPU
-             * identifier (3) and DL is set to the revision level (stepping).
+             * identifier (3, or 4 for the 80486) and DL is set to the revision level (stepping).
              */
             switch(this.stepping) {
+            case X86.STEPPING_80486_A0:
+                this.regEDX = 0x0400;
+                break;
+            case X86.STEPPING_80486_B0:
+                this.regEDX = 0x0401;
+                break;
+            case X86.STEPPING_80486_C0:
+                this.regEDX = 0x0402;
+                break;
+            case X86.STEPPING_80486_D0:
+                this.regEDX = 0x0404;
+                break;
+            case X86.STEPPING_80486_E0:
+                this.regEDX = 0x0410;
+                break;
             case X86.STEPPING_80386_B0:
             case X86.STEPPING_80386_B1:
                 this.regEDX = 0x0303;
@@ -1160,10 +1232,17 @@ class CPUx86 extends CPULib {
                 this.regEDX = 0x0308;
                 break;
             default:
-                this.regEDX = 0x0300;       // in the absence of a specific stepping, set revision (DL) to zero
+                this.regEDX = (this.model >= X86.MODEL_80486? 0x0400 : 0x0300);    // in the absence of a specific stepping, set revision (DL) to zero
                 break;
             }
-            this.regCR0 = X86.CR0.ON | X86.CR0.ET;
+            this.regCR0 = this.CR0_ON | X86.CR0.ET;
+            if (this.model >= X86.MODEL_80486) {
+                /*
+                 * The 80486 comes out of reset with its cache disabled, and CPUID reports the same signature as DX.
+                 */
+                this.regCR0 |= X86.CR0.CD | X86.CR0.NW;
+                this.nSignature = this.regEDX;
+            }
             this.regCR1 = 0;                // reserved
             this.regCR2 = 0;                // page fault linear address (PFLA)
             this.regCR3 = 0;                // page directory base register (PDBR)
@@ -1832,6 +1911,7 @@ class CPUx86 extends CPULib {
                 this.regDR  = a[11];
                 this.regTR  = a[12];
             }
+            this.updateAlignCheck();
             this.setProtMode();
         }
     }
@@ -2218,6 +2298,7 @@ class CPUx86 extends CPULib {
          * Note that LOADALL386 wants it to come from segSS.dpl.
          */
         this.nCPL = this.segCS.cpl;             // cache the current CPL where it's more convenient
+        this.updateAlignCheck();
 
         if (I386 && this.model >= X86.MODEL_80386) {
             this.resetSizes();
@@ -2924,7 +3005,15 @@ class CPUx86 extends CPULib {
          * This instruction is always allowed to set MSW.PE, but it cannot clear MSW.PE once set;
          * therefore, we always OR the previous value of MSW.PE into the new value before loading.
          */
-        w |= (this.regCR0 & X86.CR0.MSW.PE) | X86.CR0.MSW.ON;
+        w |= (this.regCR0 & X86.CR0.MSW.PE);
+        if (this.model < X86.MODEL_80486) {
+            w |= X86.CR0.MSW.ON;
+        } else {
+            /*
+             * The 80486 no longer forces any MSW bits on, and bits like CR0.ET and CR0.NE are unaffected.
+             */
+            w = (w & ~X86.CR0.MSW.ON) | (this.regCR0 & X86.CR0.MSW.ON);
+        }
         this.regCR0 = (this.regCR0 & ~X86.CR0.MSW.MASK) | (w & X86.CR0.MSW.MASK);
         /*
          * Since the 80286 cannot return to real-mode via this instruction, the only transition we
@@ -2985,6 +3074,23 @@ class CPUx86 extends CPULib {
             this.intFlags |= X86.INTFLAG.TRAP;
             this.opFlags |= X86.OPFLAG.NOINTR;
         }
+
+        this.updateAlignCheck();
+    }
+
+    /**
+     * updateAlignCheck()
+     *
+     * Alignment checking requires CR0.AM, PS.AC and CPL 3, so this must be called whenever any of them may have
+     * changed: setPS() and helpLoadCR0() call it, setLIP() calls it whenever it updates nCPL, and restoreProtMode()
+     * calls it after restoring CR0.  On an 80386, CR0.AM is always on but PS.AC can never be set, so fAlignCheck
+     * remains false.
+     *
+     * @this {CPUx86}
+     */
+    updateAlignCheck()
+    {
+        this.fAlignCheck = !!(this.regCR0 & X86.CR0.AM) && !!(this.regPS & X86.PS.AC) && this.nCPL == 3;
     }
 
     /**
@@ -3162,9 +3268,10 @@ class CPUx86 extends CPULib {
      *
      * @this {CPUx86}
      * @param {number} addr is a linear address
+     * @param {boolean} [fCode] is true for instruction fetches, which are never alignment-checked
      * @return {number} word (16-bit) value at that address
      */
-    getShort(addr)
+    getShort(addr, fCode)
     {
         let off = addr & this.nBlockLimit;
         let iBlock = (addr & this.nMemMask) >>> this.nBlockShift;
@@ -3174,6 +3281,8 @@ class CPUx86 extends CPULib {
          */
         this.nStepCycles -= this.cycleCounts.nWordCyclePenalty;
 
+        if (this.fAlignCheck && (addr & 0x1) && !fCode) X86.helpAlignCheck.call(this);
+
         if (BACKTRACK) {
             this.backTrack.btiMem0 = this.bus.readBackTrack(addr);
             this.backTrack.btiMem1 = this.bus.readBackTrack(addr + 1);
@@ -3196,12 +3305,14 @@ class CPUx86 extends CPULib {
      *
      * @this {CPUx86}
      * @param {number} addr is a linear address
+     * @param {boolean} [fCode] is true for instruction fetches, which are never alignment-checked
      * @return {number} long (32-bit) value at that address
      */
-    getLong(addr)
+    getLong(addr, fCode)
     {
         let off = addr & this.nBlockLimit;
         let iBlock = (addr & this.nMemMask) >>> this.nBlockShift;
+        if (this.fAlignCheck && (addr & 0x3) && !fCode) X86.helpAlignCheck.call(this);
         if (BACKTRACK) {
             this.backTrack.btiMem0 = this.bus.readBackTrack(addr);
             this.backTrack.btiMem1 = this.bus.readBackTrack(addr + 1);
@@ -3268,6 +3379,8 @@ class CPUx86 extends CPULib {
          */
         this.nStepCycles -= this.cycleCounts.nWordCyclePenalty;
 
+        if (this.fAlignCheck && (addr & 0x1)) X86.helpAlignCheck.call(this);
+
         if (BACKTRACK) {
             this.bus.writeBackTrack(addr, this.backTrack.btiMem0);
             this.bus.writeBackTrack(addr + 1, this.backTrack.btiMem1);
@@ -3297,6 +3410,8 @@ class CPUx86 extends CPULib {
         let iBlock = (addr & this.nMemMask) >>> this.nBlockShift;
         this.nStepCycles -= this.cycleCounts.nWordCyclePenalty;
 
+        if (this.fAlignCheck && (addr & 0x3)) X86.helpAlignCheck.call(this);
+
         if (BACKTRACK) {
             this.bus.writeBackTrack(addr, this.backTrack.btiMem0);
             this.bus.writeBackTrack(addr + 1, this.backTrack.btiMem1);
@@ -3749,13 +3864,13 @@ class CPUx86 extends CPULib {
             this.refillPrefetch();
             if (this.cbPrefetch < 2) {
                 this.cbPrefetch = 0;
-                return this.getShort(this.regLIP);
+                return this.getShort(this.regLIP, true);
             }
         }
         let shift = (this.regLIP & 0x3) << 3;
         let w = (this.adwPrefetch[this.regLIP & CPUx86.PFINFO.IP_MASK] >>> shift) & 0xffff;
         if (shift > 16) w |= (this.adwPrefetch[(this.regLIP + 4) & CPUx86.PFINFO.IP_MASK] & 0xff) << 8;
-        this.assert(w === this.getShort(this.regLIP));
+        this.assert(w === this.getShort(this.regLIP, true));
         this.cbPrefetch -= 2;
         return w;
     }
@@ -3772,13 +3887,13 @@ class CPUx86 extends CPULib {
             this.refillPrefetch();
             if (this.cbPrefetch < 4) {
                 this.cbPrefetch = 0;
-                return this.getLong(this.regLIP);
+                return this.getLong(this.regLIP, true);
             }
         }
         let shift = (this.regLIP & 0x3) << 3;
         let l = (this.adwPrefetch[this.regLIP & CPUx86.PFINFO.IP_MASK] >>> shift)|0;
         if (shift) l |= this.adwPrefetch[(this.regLIP + 4) & CPUx86.PFINFO.IP_MASK] << (32 - shift);
-        this.assert(l === this.getLong(this.regLIP));
+        this.assert(l === this.getLong(this.regLIP, true));
         this.cbPrefetch -= 4;
         return l;
     }
@@ -3872,7 +3987,7 @@ class CPUx86 extends CPULib {
         if (PREFETCH) {
             w = this.getShortPrefetch();
         } else if (!(this.opFlags & X86.OPFLAG.WRAP)) {
-            w = this.getShort(this.regLIP);
+            w = this.getShort(this.regLIP, true);
         } else {
             /*
              * The WRAP flag must have been set by checkIP(2), so we also know that we're dealing with
@@ -3902,7 +4017,7 @@ class CPUx86 extends CPULib {
         if (PREFETCH) {
             w = this.getAddr();
         } else if (!(this.opFlags & X86.OPFLAG.WRAP)) {
-            w = this.getAddr(this.regLIP);
+            w = this.getAddr(this.regLIP, true);
         } else {
             /*
              * The WRAP flag must have been set by checkIP(), so we also know that we're dealing with
@@ -3932,7 +4047,7 @@ class CPUx86 extends CPULib {
         if (PREFETCH) {
             w = this.getWordPrefetch();
         } else if (!(this.opFlags & X86.OPFLAG.WRAP)) {
-            w = this.getWord(this.regLIP);
+            w = this.getWord(this.regLIP, true);
         } else {
             /*
              * The WRAP flag must have been set by checkIP(), so we also know that we're dealing with
@@ -4328,7 +4443,7 @@ class CPUx86 extends CPULib {
                 this.updateReg("A", (regPS & X86.PS.AF));
                 this.updateReg("P", (regPS & X86.PS.PF));
                 this.updateReg("C", (regPS & X86.PS.CF));
-                if (this.model == X86.MODEL_80386) {
+                if (this.model >= X86.MODEL_80386) {
                     this.updateReg("FS", this.getFS());
                     this.updateReg("GS", this.getGS());
                     this.updateReg("CR0", this.regCR0);
@@ -42,6 +42,10 @@ if (DEBUGGER) {
  * @property {boolean}  [fTempBreak]
  * @property {string}   [sCmd]
  * @property {Array.<string>} [aCmds]
+ * @property {string}   [sCond]
+ * @property {number}   [nCount]
+ * @property {number}   [nHits]
+ * @property {string}   [sLog]
  * @property {number}   [nCPUCycles]    (added to DbgAddrX86 objects stored in history buffer)
  * @property {number}   [nDebugCycles]  (added to DbgAddrX86 objects stored in history buffer)
  * @property {number}   [nDebugState]   (added to DbgAddrX86 objects stored in history buffer)
@@ -76,6 +80,16 @@ if (DEBUGGER) {
  *      KERNEL!undefined code(0001)=#0397 len 0000C580
  *
  * in the PCx86 Debugger output window, as segments are being loaded by the Windows kernel.
+ *
+ * Breakpoints may also have a condition, a count, and a message to log, in any order before any quoted
+ * commands.  For example, to trace every DOS "Print String" call without stopping:
+ *
+ *      bp [0:86]:[0:84] if ah==9 log "INT 21h AH=@AH DS:DX=@DS:@DX"
+ *
+ * Hits where the condition is false are ignored entirely, and a breakpoint with "count 3." ignores its
+ * first two (qualifying) hits.  A "log" breakpoint prints its message (after the same replacements that
+ * "?" performs on quoted strings) and keeps running, unless it also has commands that halt the CPU.
+ * The "bl" command displays how many times each breakpoint has been hit.
  */
 
 /**
@@ -270,6 +284,11 @@ class DebuggerX86 extends DbgLib {
             }
         }
 
+        /*
+         * The assembler's index of aaOpDescs is built on first use (see getAsmDescs()).
+         */
+        this.aaAsmDescs = null;
+
         this.messageDump(Messages.BUS,  function onDumpBus(asArgs) { dbg.dumpBus(asArgs); });
         this.messageDump(Messages.DESC, function onDumpSel(asArgs) { dbg.dumpSel(asArgs); });
         this.messageDump(Messages.DOS,  function onDumpDOS(asArgs) { dbg.dumpDOS(asArgs); });
@@ -1447,6 +1466,16 @@ class DebuggerX86 extends DbgLib {
     /**
      * parseAddrOptions(dbgAddr, sOptions)
      *
+     * Options include a quoted command sequence, plus any of the following:
+     *
+     *      if [e]      ignore the breakpoint whenever expression [e] is false
+     *      count [n]   ignore the breakpoint until it has been hit [n] times
+     *      log "s"     print string "s" and continue
+     *
+     * The "log" string is removed first, so that it isn't mistaken for the command sequence, and since an
+     * expression may contain spaces, "if" must be the last option (other than the command sequence); it's removed
+     * next, so that "count" is found only among the remaining options, never inside the expression.
+     *
      * @this {DebuggerX86}
      * @param {DbgAddrX86} dbgAddr
      * @param {string} [sOptions]
@@ -1454,9 +1483,25 @@ class DebuggerX86 extends DbgLib {
     parseAddrOptions(dbgAddr, sOptions)
     {
         if (sOptions) {
-            let a = sOptions.match(/(['"])(.*?)\1/);
+            let a = sOptions.match(/\blog\s+(['"])(.*?)\1/i);
+            if (a) {
+                dbgAddr.sLog = a[2];
+                sOptions = sOptions.replace(a[0], "");
+            }
+            a = sOptions.match(/(['"])(.*?)\1/);
             if (a) {
                 dbgAddr.aCmds = this.parseCommand(dbgAddr.sCmd = a[2]);
+                sOptions = sOptions.replace(a[0], "");
+            }
+            a = sOptions.match(/\bif\s+(.+)$/i);
+            if (a) {
+                dbgAddr.sCond = Str.trim(a[1]);
+                sOptions = sOptions.substr(0, a.index);
+            }
+            a = sOptions.match(/\bcount\s+(\S+)/i);
+            if (a) {
+                let n = this.parseValue(a[1]);
+                if (n > 0) dbgAddr.nCount = n;
             }
         }
     }
@@ -1769,8 +1814,22 @@ class DebuggerX86 extends DbgLib {
      */
     getPageEntry(addrPE, lPE, fPTE)
     {
-        let s = Str.toHex(addrPE) + ' ' + Str.toHex(lPE) + ' ';
-        s += (fPTE && (lPE & X86.PTE.DIRTY))? 'D' : '-';
+        return Str.toHex(addrPE, 8) + ' ' + Str.toHex(lPE, 8) + ' ' + this.getPageBits(lPE, fPTE);
+    }
+
+    /**
+     * getPageBits(lPE, fPTE)
+     *
+     * Returns the Dirty, Accessed, User/Supervisor, Read/Write and Present bits of a page entry as a 5-character string.
+     *
+     * @this {DebuggerX86}
+     * @param {number} lPE
+     * @param {boolean} [fPTE] (true if the entry is a PTE, false if it's a PDE)
+     * @return {string}
+     */
+    getPageBits(lPE, fPTE)
+    {
+        let s = (fPTE && (lPE & X86.PTE.DIRTY))? 'D' : '-';
         s += (lPE & X86.PTE.ACCESSED)? 'A' : '-';
         s += (lPE & X86.PTE.USER)? 'U' : 'S';
         s += (lPE & X86.PTE.READWRITE)? 'W' : 'R';
@@ -1811,7 +1870,8 @@ class DebuggerX86 extends DbgLib {
     /**
      * dumpPage(asArgs)
      *
-     * Dumps page table information about the given linear address.
+     * Dumps page table information about the given linear address; if no address is given, dumpPageTables()
+     * is called instead.
      *
      * @this {DebuggerX86}
      * @param {Array.<string>} asArgs
@@ -1820,7 +1880,7 @@ class DebuggerX86 extends DbgLib {
     {
         let sAddr = asArgs[0];
         if (!sAddr) {
-            this.println("missing address");
+            this.dumpPageTables();
             return;
         }
 
@@ -1836,15 +1896,83 @@ class DebuggerX86 extends DbgLib {
             return;
         }
 
+        if (!(this.cpu.regCR0 & X86.CR0.PG)) {
+            this.println("note: paging disabled");
+        }
         this.println("linear     PDE addr   PDE             PTE addr   PTE             physical" );
         this.println("---------  ---------- --------        ---------- --------        ----------");
-        let s = '%' + Str.toHex(addr);
+        let s = '%' + Str.toHex(addr, 8);
         s += "  %%" + this.getPageEntry(pageInfo.addrPDE, pageInfo.lPDE);
-        s += "  %%" + this.getPageEntry(pageInfo.addrPTE, pageInfo.lPTE, true);
-        s += "  %%" + Str.toHex(pageInfo.addrPhys);
+        if (!(pageInfo.lPDE & X86.PTE.PRESENT)) {
+            s += "  PDE not present";
+        } else {
+            s += "  %%" + this.getPageEntry(pageInfo.addrPTE, pageInfo.lPTE, true);
+            s += (pageInfo.lPTE & X86.PTE.PRESENT)? "  %%" + Str.toHex(pageInfo.addrPhys, 8) : "  PTE not present";
+        }
         this.println(s);
     }
 
+    /**
+     * dumpPageTables()
+     *
+     * Walks the page directory at CR3 and lists every present linear-to-physical mapping.  Consecutive pages are
+     * combined into a single line as long as their physical frames are also consecutive and their PDE and PTE bits
+     * are identical.
+     *
+     * @this {DebuggerX86}
+     */
+    dumpPageTables()
+    {
+        if (!I386 || this.cpu.model < X86.MODEL_80386) {
+            this.println("unsupported operation");
+            return;
+        }
+
+        let bus = this.bus;
+        let getLong = function(addr) {
+            return bus.getShortDirect(addr) | (bus.getShortDirect(addr + 2) << 16);
+        };
+
+        let cbPage = X86.LADDR.OFFSET + 1;
+        let addrPD = this.cpu.regCR3 & X86.PTE.FRAME;
+        this.println("page directory at %%" + Str.toHex(addrPD, 8) + ((this.cpu.regCR0 & X86.CR0.PG)? "" : " (paging disabled)"));
+        this.println("linear                 physical                 PDE   PTE   pages");
+        this.println("---------------------  -----------------------  ----- ----- -----");
+
+        let dbg = this;
+        let addrLinear = 0, addrPhys = 0, sBits = "", cPages = 0, cRanges = 0;
+        let printRange = function() {
+            let cb = cPages * cbPage;
+            dbg.println('%' + Str.toHex(addrLinear, 8) + "-%" + Str.toHex(addrLinear + cb - 1, 8) + "  %%" + Str.toHex(addrPhys, 8) + "-%%" + Str.toHex(addrPhys + cb - 1, 8) + "  " + sBits + "  " + cPages);
+            cRanges++;
+        };
+
+        for (let iPDE = 0; iPDE < 1024; iPDE++) {
+            let lPDE = getLong(addrPD + (iPDE << 2));
+            if (!(lPDE & X86.PTE.PRESENT)) continue;
+            let addrPT = lPDE & X86.PTE.FRAME;
+            for (let iPTE = 0; iPTE < 1024; iPTE++) {
+                let lPTE = getLong(addrPT + (iPTE << 2));
+                if (!(lPTE & X86.PTE.PRESENT)) continue;
+                let addrPage = ((iPDE << 22) | (iPTE << 12)) >>> 0;
+                let addrFrame = (lPTE & X86.PTE.FRAME) >>> 0;
+                let sPageBits = this.getPageBits(lPDE) + ' ' + this.getPageBits(lPTE, true);
+                let cb = cPages * cbPage;
+                if (cPages && addrLinear + cb == addrPage && addrPhys + cb == addrFrame && sBits == sPageBits) {
+                    cPages++;
+                    continue;
+                }
+                if (cPages) printRange();
+                addrLinear = addrPage;
+                addrPhys = addrFrame;
+                sBits = sPageBits;
+                cPages = 1;
+            }
+        }
+        if (cPages) printRange();
+        if (!cRanges) this.println("no pages present");
+    }
+
     /**
      * dumpSel(asArgs)
      *
@@ -2127,6 +2255,36 @@ class DebuggerX86 extends DbgLib {
         return aSymbols;
     }
 
+    /**
+     * findFileSymbols(sFile)
+     *
+     * Like findModuleInfo(), we check every Disk for the given file.  If the file name has no extension, we look
+     * for a .SYM file first, then a .MAP file, and finally an executable containing CodeView information.
+     *
+     * @this {DebuggerX86}
+     * @param {string} sFile
+     * @return {Object|null}
+     */
+    findFileSymbols(sFile)
+    {
+        let symbols = null;
+        if (SYMBOLS) {
+            let asFiles = [sFile];
+            if (Str.getBaseName(sFile).indexOf('.') < 0) {
+                asFiles = [sFile + ".SYM", sFile + ".MAP", sFile + ".EXE", sFile + ".COM"];
+            }
+            for (let i = 0; i < asFiles.length && !symbols; i++) {
+                let component, componentPrev = null;
+                while ((component = this.cmp.getMachineComponent("Disk", componentPrev))) {
+                    symbols = component.getFileSymbols(asFiles[i]);
+                    if (symbols) break;
+                    componentPrev = component;
+                }
+            }
+        }
+        return symbols;
+    }
+
     /**
      * messageInit(sEnable)
      *
@@ -2960,6 +3118,7 @@ class DebuggerX86 extends DbgLib {
     {
         if (!this.nStep) this.println("running");
         this.flags.running = true;
+        this.aBreakHit = null;
         this.msStart = ms;
         this.nCyclesStart = nCycles;
     }
@@ -3245,6 +3404,7 @@ class DebuggerX86 extends DbgLib {
             }
         }
         this.aBreakWrite = ["bw"];
+        this.aBreakHit = null;
         /*
          * nSuppressBreaks ensures we can't get into an infinite loop where a breakpoint lookup requires
          * reading a segment descriptor via getSegment(), and that triggers more memory reads, which triggers
@@ -3321,6 +3481,7 @@ class DebuggerX86 extends DbgLib {
                 dbgAddr.fTempBreak = true;
             }
             else {
+                if (dbgAddr.nHits === undefined) dbgAddr.nHits = 0;
                 if (!fQuiet) this.printBreakpoint(aBreak, aBreak.length-1, "set");
                 this.historyInit();
             }
@@ -3405,7 +3566,17 @@ class DebuggerX86 extends DbgLib {
     printBreakpoint(aBreak, i, sAction)
     {
         let dbgAddr = aBreak[i];
-        this.println(aBreak[0] + ' ' + this.toHexAddr(dbgAddr) + (sAction? (' ' + sAction) : (dbgAddr.sCmd? (' "' + dbgAddr.sCmd + '"') : '')));
+        let s = aBreak[0] + ' ' + this.toHexAddr(dbgAddr);
+        if (sAction) {
+            s += ' ' + sAction;
+        } else {
+            if (dbgAddr.nCount) s += " count " + dbgAddr.nCount + '.';
+            if (dbgAddr.sLog) s += ' log "' + dbgAddr.sLog + '"';
+            if (dbgAddr.sCond) s += " if " + dbgAddr.sCond;
+            if (dbgAddr.sCmd) s += ' "' + dbgAddr.sCmd + '"';
+            if (dbgAddr.nHits) s += " (" + dbgAddr.nHits + " hit" + (dbgAddr.nHits > 1? "s" : "") + ")";
+        }
+        this.println(s);
     }
 
     /**
@@ -3484,6 +3655,9 @@ class DebuggerX86 extends DbgLib {
     /**
      * checkBreakpoint(addr, nb, aBreak, fTempBreak)
      *
+     * When a breakpoint is hit, aBreakHit records the breakpoint list and the address that hit it, until the CPU
+     * is restarted; the GDBStub uses that to tell gdb which breakpoint or watchpoint stopped the machine.
+     *
      * @this {DebuggerX86}
      * @param {number} addr
      * @param {number} nb (# of bytes)
@@ -3542,11 +3716,25 @@ class DebuggerX86 extends DbgLib {
                 for (let n = 0; n < nb; n++) {
                     if (addr + n == addrBreak) {
                         let a;
+                        /*
+                         * Hits are counted only when the breakpoint's condition (if any) is true, and a breakpoint
+                         * with a count is ignored until the number of hits reaches that count.
+                         */
+                        if (dbgAddrBreak.sCond && !this.doIf(dbgAddrBreak.sCond, true)) break;
+                        dbgAddrBreak.nHits = (dbgAddrBreak.nHits || 0) + 1;
+                        if (dbgAddrBreak.nHits < dbgAddrBreak.nCount) break;
                         fBreak = true;
                         if (dbgAddrBreak.fTempBreak) {
                             this.findBreakpoint(aBreak, dbgAddrBreak, true, true);
                             fTempBreak = true;
                         }
+                        if (dbgAddrBreak.sLog) {
+                            /*
+                             * A logging breakpoint doesn't halt, unless it also has commands that halt.
+                             */
+                            this.println(this.replaceRegs(dbgAddrBreak.sLog));
+                            fBreak = false;
+                        }
                         if ((a = dbgAddrBreak.aCmds)) {
                             /*
                              * When one or more commands are attached to a breakpoint, we don't halt by default.
@@ -3584,6 +3772,7 @@ class DebuggerX86 extends DbgLib {
                         }
                         if (fBreak) {
                             if (!fTempBreak) this.printBreakpoint(aBreak, i, "hit");
+                            this.aBreakHit = [aBreak, addr + n];
                             break;
                         }
                     }
@@ -3883,10 +4072,13 @@ class DebuggerX86 extends DbgLib {
             /*
              * There's the occasional immediate byte we don't need to display (eg, the 0x0A
              * following an AAM or AAD instruction), so we suppress the byte if it lacks a TYPE_IN
-             * or TYPE_OUT designation (and TYPE_BOTH, as the name implies, includes both).
+             * or TYPE_OUT designation (and TYPE_BOTH, as the name implies, includes both); the byte
+             * must still be skipped, however.
              */
             if (type & DebuggerX86.TYPE_BOTH) {
                 sOperand = Str.toHex(this.getByte(dbgAddr, 1), 2);
+            } else {
+                this.getByte(dbgAddr, 1);
             }
             break;
         case DebuggerX86.TYPE_SBYTE:
@@ -4101,20 +4293,733 @@ class DebuggerX86 extends DbgLib {
     }
 
     /**
-     * parseInstruction(sOp, sOperand, addr)
+     * getAsmDescs()
+     *
+     * Returns an index of every encoding in the disassembler's tables, keyed by instruction name (eg, "ADD"),
+     * building it on first use from this.aaOpDescs (which reflects the current CPU model), aaOp0FDescs, aaGrpDescs
+     * and aaaOpFPUDescs.  Each entry is an object with the following properties:
+     *
+     *      aOpBytes: opcode byte(s)
+     *      aOpDesc:  opcode descriptor (see aaOpDescs)
+     *      reg:      Reg field implied by the opcode (ie, a group or FPU index), or -1 if none
+     *      rm:       RM field implied by an FPU register encoding (where Mod is always 11), or -1 if none
+     *      fFPU:     true if FPU instruction
+     *
+     * @this {DebuggerX86}
+     * @return {Object}
+     */
+    getAsmDescs()
+    {
+        if (!this.aaAsmDescs) {
+            let aaAsmDescs = {};
+            let addDesc = function(sName, aOpBytes, aOpDesc, reg, rm, fFPU) {
+                if (!aaAsmDescs[sName]) aaAsmDescs[sName] = [];
+                aaAsmDescs[sName].push({aOpBytes: aOpBytes, aOpDesc: aOpDesc, reg: reg, rm: rm, fFPU: fFPU});
+            };
+            let addOpcode = function(aOpBytes, aOpDesc) {
+                let iIns = aOpDesc[0];
+                if (iIns == DebuggerX86.INS.NONE || (aOpDesc[1] & DebuggerX86.TYPE_SIZE) == DebuggerX86.TYPE_PREFIX) {
+                    return;
+                }
+                if (iIns == DebuggerX86.INS.ESC) {
+                    let bOpcode = aOpBytes[0];
+                    let aaOpFPUDescs = DebuggerX86.aaaOpFPUDescs[bOpcode];
+                    for (let sModReg in aaOpFPUDescs) {
+                        let modReg = +sModReg;
+                        if (DebuggerX86.ASM_FPU_OBSOLETE.indexOf((bOpcode << 8) | modReg) >= 0) continue;
+                        /*
+                         * This reverses the modReg calculation in getFPUInstruction(): values below 0x30 are memory
+                         * forms (reg only), 0x30-0x37 are register forms whose RM selects ST(i), and values 0x40 and up
+                         * are fixed register forms with reg in the high nibble and RM in the low nibble.
+                         */
+                        let reg = (modReg < 0x40? modReg & 0x7 : modReg >> 4);
+                        let rm = (modReg < 0x30? -1 : (modReg < 0x40? 0 : modReg & 0x7));
+                        let aOpFPUDesc = aaOpFPUDescs[sModReg];
+                        addDesc(DebuggerX86.FINS_NAMES[aOpFPUDesc[0]], aOpBytes, aOpFPUDesc, reg, rm, true);
+                    }
+                    return;
+                }
+                if (iIns >= DebuggerX86.INS_NAMES.length) {
+                    let aGrpDescs = DebuggerX86.aaGrpDescs[iIns - DebuggerX86.INS_NAMES.length];
+                    for (let reg = 0; reg < aGrpDescs.length; reg++) {
+                        iIns = aGrpDescs[reg][0];
+                        if (iIns != DebuggerX86.INS.NONE) addDesc(DebuggerX86.INS_NAMES[iIns], aOpBytes, aGrpDescs[reg], reg, -1, false);
+                    }
+                    return;
+                }
+                addDesc(DebuggerX86.INS_NAMES[iIns], aOpBytes, aOpDesc, -1, -1, false);
+            };
+            for (let bOpcode = 0; bOpcode < this.aaOpDescs.length; bOpcode++) {
+                let aOpDesc = this.aaOpDescs[bOpcode];
+                if (aOpDesc[0] != DebuggerX86.INS.OP0F) {
+                    addOpcode([bOpcode], aOpDesc);
+                    continue;
+                }
+                for (let sOpcode in DebuggerX86.aaOp0FDescs) {
+                    addOpcode([bOpcode, +sOpcode], DebuggerX86.aaOp0FDescs[sOpcode]);
+                }
+            }
+            this.aaAsmDescs = aaAsmDescs;
+        }
+        return this.aaAsmDescs;
+    }
+
+    /**
+     * parseOperand(sOperand)
+     *
+     * Parses one assembler operand, returning an object whose mode property is one of:
+     *
+     *      TYPE_REG:       general register (reg is 0-7, and size is 1, 2 or 4)
+     *      TYPE_SEGREG:    segment register (reg is REG_ES through REG_GS)
+     *      TYPE_CTLREG:    control register (reg is 0-7); TYPE_DBGREG and TYPE_TSTREG are similar
+     *      TYPE_STREG:     FPU stack register (reg is 0-7; "ST" is the same as "ST(0)")
+     *      TYPE_MODMEM:    memory (sBase, sIndex, scale, disp and seg, plus size or fFar if specified)
+     *      TYPE_IMM:       immediate value (value, plus sel if it's a "sel:off" far address)
+     *
+     * Memory operands may be preceded by a size keyword (see ASM_SIZES) or FAR, with or without PTR, and may
+     * include a segment override (eg, "ES:[BX+SI+12]"); immediate jump targets may be preceded by SHORT or NEAR.
+     *
+     * @this {DebuggerX86}
+     * @param {string} sOperand
+     * @return {Object|null} (null if the operand is invalid)
+     */
+    parseOperand(sOperand)
+    {
+        let match, iReg;
+        let operand = {mode: DebuggerX86.TYPE_IMM, reg: 0, size: 0, value: 0, sel: undefined, fFar: false, fNear: false, fShort: false};
+        let s = Str.trim(sOperand);
+
+        while ((match = s.match(/^([a-z]+[0-9]*)\b\s*(ptr\b)?\s*(\S.*)$/i))) {
+            let sKeyword = match[1].toUpperCase();
+            if (DebuggerX86.ASM_SIZES[sKeyword]) {
+                operand.size = DebuggerX86.ASM_SIZES[sKeyword];
+            } else if (sKeyword == "FAR") {
+                operand.fFar = true;
+            } else if (sKeyword == "NEAR") {
+                operand.fNear = true;
+            } else if (sKeyword == "SHORT") {
+                operand.fShort = true;
+            } else {
+                break;
+            }
+            s = match[3];
+        }
+
+        let sUpper = s.toUpperCase();
+        iReg = DebuggerX86.REGS.indexOf(sUpper);
+        if (iReg == DebuggerX86.REG_IP || iReg == DebuggerX86.REG_PS || iReg == DebuggerX86.REG_EIP) iReg = -1;
+
+        if ((match = sUpper.match(/^ST(\(([0-7])\))?$/))) {
+            operand.mode = DebuggerX86.TYPE_STREG;
+            operand.reg = +(match[2] || 0);
+        }
+        else if (iReg >= 0) {
+            operand.mode = DebuggerX86.TYPE_REG;
+            if (iReg < DebuggerX86.REG_AX) {
+                operand.reg = iReg;
+                operand.size = 1;
+            } else if (iReg < DebuggerX86.REG_SEG) {
+                operand.reg = iReg - DebuggerX86.REG_AX;
+                operand.size = 2;
+            } else if (iReg < DebuggerX86.REG_EAX) {
+                operand.mode = DebuggerX86.TYPE_SEGREG;
+                operand.reg = iReg - DebuggerX86.REG_SEG;
+                operand.size = 2;
+            } else if (iReg < DebuggerX86.REG_CR0) {
+                operand.reg = iReg - DebuggerX86.REG_EAX;
+                operand.size = 4;
+            } else {
+                operand.mode = [DebuggerX86.TYPE_CTLREG, DebuggerX86.TYPE_DBGREG, DebuggerX86.TYPE_TSTREG][(iReg - DebuggerX86.REG_CR0) >> 3];
+                operand.reg = iReg & 0x7;
+                operand.size = 4;
+            }
+        }
+        else if (s.indexOf('[') >= 0) {
+            operand.mode = DebuggerX86.TYPE_MODMEM;
+            operand.sBase = operand.sIndex = "";
+            operand.scale = 0;
+            operand.seg = -1;
+            if ((match = s.match(/^([a-z]s)\s*:\s*(.*)$/i))) {
+                operand.seg = DebuggerX86.REGS.indexOf(match[1].toUpperCase()) - DebuggerX86.REG_SEG;
+                if (operand.seg < DebuggerX86.REG_ES || operand.seg > DebuggerX86.REG_GS) return null;
+                s = match[2];
+            }
+            if (!(match = s.match(/^([^[]*)\[(.*)\]$/))) return null;
+            /*
+             * Anything outside the brackets is a displacement (eg, "12[BX]"), and multiple bracketed
+             * terms are simply added together (eg, "[BX][SI]").
+             */
+            let sDisp = match[1];
+            let asTerms = match[2].replace(/\]\s*\[/g, '+').split(/([+-])/);
+            let chSign = '+';
+            for (let i = 0; i < asTerms.length; i++) {
+                let sTerm = asTerms[i].replace(/\s+/g, '');
+                if (sTerm == '+' || sTerm == '-') {
+                    chSign = sTerm;
+                    continue;
+                }
+                if (!sTerm) continue;
+                match = sTerm.toUpperCase().match(/^(?:([1248])\*)?([A-Z]+)(?:\*([1248]))?$/);
+                iReg = match? DebuggerX86.REGS.indexOf(match[2]) : -1;
+                if (iReg < 0 || iReg >= DebuggerX86.REG_SEG && iReg < DebuggerX86.REG_EAX || iReg >= DebuggerX86.REG_CR0) {
+                    sDisp += chSign + sTerm;
+                    continue;
+                }
+                let sReg = DebuggerX86.REGS[iReg];
+                let sScale = match[1] || match[3];
+                let fAddr32 = (iReg >= DebuggerX86.REG_EAX);
+                if (chSign != '+' || operand.fAddr32 !== undefined && operand.fAddr32 != fAddr32) return null;
+                operand.fAddr32 = fAddr32;
+                if (!fAddr32) {
+                    if (sScale) return null;
+                    if (sReg == "BX" || sReg == "BP") {
+                        if (operand.sBase) return null;
+                        operand.sBase = sReg;
+                    } else if (sReg == "SI" || sReg == "DI") {
+                        if (operand.sIndex) return null;
+                        operand.sIndex = sReg;
+                    } else {
+                        return null;
+                    }
+                } else if (!sScale && !operand.sBase) {
+                    operand.sBase = sReg;
+                } else {
+                    if (operand.sIndex) return null;
+                    operand.sIndex = sReg;
+                    operand.scale = "1248".indexOf(sScale || '1');
+                }
+            }
+            if (operand.sIndex == "ESP") {
+                if (operand.scale || operand.sBase == "ESP") return null;
+                operand.sIndex = operand.sBase;
+                operand.sBase = "ESP";
+            }
+            operand.disp = 0;
+            if (sDisp) {
+                if (sDisp.charAt(0) == '+') {
+                    sDisp = sDisp.substr(1);
+                } else if (sDisp.charAt(0) == '-') {
+                    sDisp = '0' + sDisp;
+                }
+                operand.disp = this.parseExpression(sDisp, true);
+                if (operand.disp === undefined) return null;
+            }
+        }
+        else if ((match = s.match(/^([^:]+):(.+)$/))) {
+            operand.sel = this.parseExpression(match[1], true);
+            operand.value = this.parseExpression(match[2], true);
+            if (operand.sel === undefined || operand.value === undefined) return null;
+        }
+        else {
+            operand.value = this.parseExpression(s, true);
+            if (operand.value === undefined) return null;
+        }
+        return operand;
+    }
+
+    /**
+     * matchOperand(operand, type, state)
+     *
+     * Determines whether an operand from parseOperand() is compatible with an operand type descriptor, and if
+     * so, records in state whatever the operand contributes to the encoding (Reg and RM fields, memory reference,
+     * immediate data, and operand size).
+     *
+     * @this {DebuggerX86}
+     * @param {Object} operand
+     * @param {number} type
+     * @param {Object} state
+     * @return {boolean}
+     */
+    matchOperand(operand, type, state)
+    {
+        let typeSize = type & DebuggerX86.TYPE_SIZE;
+        let typeMode = type & DebuggerX86.TYPE_MODE;
+        let iReg = (type & DebuggerX86.TYPE_IREG) >> 8;
+
+        switch (typeMode) {
+        case DebuggerX86.TYPE_IMM:
+            if (operand.mode != DebuggerX86.TYPE_IMM || operand.fNear || operand.fShort) return false;
+            if ((operand.sel !== undefined) != (typeSize == DebuggerX86.TYPE_FARP)) return false;
+            if (operand.sel !== undefined && (operand.value >>> 0) > 0xffff) {
+                if (state.nData == 2) return false;
+                state.nData = 4;
+            }
+            state.aImm.push([typeSize, operand]);
+            return true;
+        case DebuggerX86.TYPE_ONE:
+            return operand.mode == DebuggerX86.TYPE_IMM && operand.sel === undefined && operand.value == 1;
+        case DebuggerX86.TYPE_IMMREL:
+            if (operand.mode != DebuggerX86.TYPE_IMM || operand.sel !== undefined || operand.fFar) return false;
+            if (operand.fShort && typeSize != DebuggerX86.TYPE_BYTE || operand.fNear && typeSize == DebuggerX86.TYPE_BYTE) return false;
+            state.rel = [typeSize, operand];
+            return true;
+        case DebuggerX86.TYPE_IMMOFF:
+            if (operand.mode != DebuggerX86.TYPE_MODMEM || operand.sBase || operand.sIndex) return false;
+            state.mem = operand;
+            state.fOff = true;
+            return this.matchSize(operand, typeSize, state);
+        case DebuggerX86.TYPE_IMPREG:
+            if (typeSize == DebuggerX86.TYPE_ST) {
+                return operand.mode == DebuggerX86.TYPE_STREG && !operand.reg;
+            }
+            if (typeSize == DebuggerX86.TYPE_STREG) {
+                if (operand.mode != DebuggerX86.TYPE_STREG) return false;
+                state.rm = operand.reg;
+                return true;
+            }
+            if (operand.mode != DebuggerX86.TYPE_REG || operand.reg != (iReg & 0x7)) return false;
+            if (iReg < DebuggerX86.REG_AX) return operand.size == 1;
+            /*
+             * Some implied register types combine TYPE_WORD with TYPE_SHORT (eg, TYPE_DX | TYPE_SHORT), so
+             * anything that isn't exactly TYPE_WORD or TYPE_LONG is treated as a 16-bit register.
+             */
+            if (typeSize != DebuggerX86.TYPE_WORD && typeSize != DebuggerX86.TYPE_LONG) typeSize = DebuggerX86.TYPE_SHORT;
+            return this.matchSize(operand, typeSize, state);
+        case DebuggerX86.TYPE_IMPSEG:
+            return operand.mode == DebuggerX86.TYPE_SEGREG && operand.reg == iReg;
+        case DebuggerX86.TYPE_MODRM:
+        case DebuggerX86.TYPE_MODMEM:
+        case DebuggerX86.TYPE_MODREG:
+            if (operand.mode == DebuggerX86.TYPE_MODMEM) {
+                if (typeMode == DebuggerX86.TYPE_MODREG) return false;
+                state.mem = operand;
+                return this.matchSize(operand, typeSize, state);
+            }
+            if (operand.mode != DebuggerX86.TYPE_REG || typeMode == DebuggerX86.TYPE_MODMEM || state.fFPU) return false;
+            state.rm = operand.reg;
+            return this.matchSize(operand, typeSize, state);
+        case DebuggerX86.TYPE_REG:
+            if (operand.mode != DebuggerX86.TYPE_REG) return false;
+            state.reg = operand.reg;
+            return this.matchSize(operand, typeSize, state);
+        case DebuggerX86.TYPE_SEGREG:
+        case DebuggerX86.TYPE_CTLREG:
+        case DebuggerX86.TYPE_DBGREG:
+        case DebuggerX86.TYPE_TSTREG:
+            if (operand.mode != typeMode) return false;
+            state.reg = operand.reg;
+            if (typeMode == DebuggerX86.TYPE_SEGREG && operand.reg >= DebuggerX86.REG_FS) {
+                state.typeCPU = Math.max(state.typeCPU, DebuggerX86.CPU_80386);
+            }
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * matchSize(operand, typeSize, state)
      *
-     * TODO: Unimplemented.  See parseInstruction() in modules/c1pjs/lib/debugger.js for a working implementation.
+     * Checks the size of a register or memory operand against a TYPE_SIZE value; a TYPE_WORD match also
+     * determines the operand size (state.nData), which must agree with any other TYPE_WORD operands.  A memory
+     * operand without a size matches anything but a far pointer, and its implied size is recorded in state.typeMem
+     * so that parseInstruction() can detect ambiguities (eg, "INC [BX]").
+     *
+     * @this {DebuggerX86}
+     * @param {Object} operand
+     * @param {number} typeSize
+     * @param {Object} state
+     * @return {boolean}
+     */
+    matchSize(operand, typeSize, state)
+    {
+        let size = operand.size;
+        if (operand.mode == DebuggerX86.TYPE_MODMEM) {
+            if (operand.fFar) return typeSize == DebuggerX86.TYPE_FARP;
+            if (!size) {
+                if (typeSize == DebuggerX86.TYPE_FARP) return false;
+                state.typeMem = typeSize;
+                return true;
+            }
+        }
+        switch (typeSize) {
+        case DebuggerX86.TYPE_BYTE:
+            return size == 1;
+        case DebuggerX86.TYPE_SHORT:
+            return size == 2;
+        case DebuggerX86.TYPE_WORD:
+        case DebuggerX86.TYPE_SEGP:
+            if (typeSize == DebuggerX86.TYPE_SEGP) size -= 2;
+            if (size != 2 && size != 4 || state.nData && state.nData != size) return false;
+            state.nData = size;
+            return true;
+        case DebuggerX86.TYPE_LONG:
+        case DebuggerX86.TYPE_SINT:
+            return size == 4;
+        case DebuggerX86.TYPE_LINT:
+            return size == 8;
+        case DebuggerX86.TYPE_TREAL:
+        case DebuggerX86.TYPE_BCD80:
+            return size == 10;
+        case DebuggerX86.TYPE_FPU:
+            return operand.mode == DebuggerX86.TYPE_MODMEM;
+        }
+        return false;
+    }
+
+    /**
+     * encodeInstruction(asmDesc, aOperands, aPrefixes, nForce, dbgAddr)
+     *
+     * Attempts to encode the given operands using one of the entries returned by getAsmDescs().
+     *
+     * @this {DebuggerX86}
+     * @param {Object} asmDesc
+     * @param {Array.<Object>} aOperands (from parseOperand())
+     * @param {Array.<number>} aPrefixes
+     * @param {number} nForce is the operand size implied by the instruction name, if any (see ASM_ALIASES)
+     * @param {DbgAddrX86} dbgAddr of memory where this instruction is being assembled
+     * @return {Object|null} state (including aOpBytes and typeCPU) if the operands match, null if not; if they
+     * match but can't be encoded (eg, a jump target is out of range), state.sError is set instead of aOpBytes
+     */
+    encodeInstruction(asmDesc, aOperands, aPrefixes, nForce, dbgAddr)
+    {
+        let i, type, typeSize, operand, v;
+        let aOpDesc = asmDesc.aOpDesc;
+        let bOpcode = asmDesc.aOpBytes[0];
+        let fString = (asmDesc.aOpBytes.length == 1 && (this.isStringIns(bOpcode) || bOpcode >= X86.OPCODE.INSB && bOpcode <= X86.OPCODE.OUTSW));
+        let state = {
+            aOpBytes: null,
+            sError: null,
+            typeCPU: (aOpDesc[1] || 0) >> DebuggerX86.TYPE_CPU_SHIFT,
+            nData: (nForce > 1? nForce : 0),
+            reg: asmDesc.reg,
+            rm: asmDesc.rm,
+            fFPU: asmDesc.fFPU,
+            mem: null,
+            fOff: false,
+            typeMem: -1,
+            aImm: [],
+            rel: null
+        };
+
+        /*
+         * Collect the operand types that the disassembler would display; string instructions display none, so
+         * their (implied) DS:SI and ES:DI operands are used only to choose between the byte and word forms.
+         */
+        let aTypes = [];
+        for (i = 1; i < aOpDesc.length; i++) {
+            type = aOpDesc[i];
+            typeSize = type & DebuggerX86.TYPE_SIZE;
+            if (typeSize == DebuggerX86.TYPE_NONE) continue;
+            if (fString) {
+                let typeMode = type & DebuggerX86.TYPE_MODE;
+                if (typeMode != DebuggerX86.TYPE_DSSI && typeMode != DebuggerX86.TYPE_ESDI) continue;
+                if (typeSize == DebuggerX86.TYPE_BYTE? nForce > 1 : nForce == 1) return null;
+                continue;
+            }
+            aTypes.push(type);
+        }
+
+        let aOps = aOperands;
+        if (aOps.length + 1 == aTypes.length) {
+            if (!asmDesc.fFPU && (aOpDesc[0] == DebuggerX86.INS.AAM || aOpDesc[0] == DebuggerX86.INS.AAD)) {
+                /*
+                 * This is the undisplayed immediate byte of AAM and AAD.
+                 */
+                aOps = aOps.concat([{mode: DebuggerX86.TYPE_IMM, value: 0x0A}]);
+            }
+            else if (asmDesc.fFPU && (aTypes[0] & DebuggerX86.TYPE_SIZE) == DebuggerX86.TYPE_ST) {
+                aOps = [{mode: DebuggerX86.TYPE_STREG, reg: 0}].concat(aOps);
+            }
+        }
+        if (asmDesc.fFPU && !aOps.length && aTypes.length) {
+            /*
+             * The usual FPU shorthands: "FXCH" means "FXCH ST(1)", "FADDP" means "FADDP ST(1),ST", and "FCOM" means
+             * "FCOM ST,ST(1)".
+             */
+            let sName = DebuggerX86.FINS_NAMES[aOpDesc[0]];
+            let typeSize = aTypes[0] & DebuggerX86.TYPE_SIZE;
+            if (typeSize == DebuggerX86.TYPE_STREG) {
+                if (aTypes.length == 1) {
+                    aOps = [{mode: DebuggerX86.TYPE_STREG, reg: 1}];
+                } else if (sName.slice(-1) == 'P') {
+                    aOps = [{mode: DebuggerX86.TYPE_STREG, reg: 1}, {mode: DebuggerX86.TYPE_STREG, reg: 0}];
+                }
+            }
+            else if (typeSize == DebuggerX86.TYPE_ST && sName.indexOf("COM") >= 0) {
+                aOps = [{mode: DebuggerX86.TYPE_STREG, reg: 0}, {mode: DebuggerX86.TYPE_STREG, reg: 1}];
+            }
+        }
+        if (aOps.length != aTypes.length) return null;
+
+        for (i = 0; i < aTypes.length; i++) {
+            if (!this.matchOperand(aOps[i], aTypes[i], state)) return null;
+        }
+
+        let nData = state.nData || (dbgAddr.fData32? 4 : 2);
+        if (state.typeMem == DebuggerX86.TYPE_WORD) {
+            state.typeMem = (nData == 4? DebuggerX86.TYPE_LONG : DebuggerX86.TYPE_SHORT);
+        }
+
+        let mem = state.mem;
+        let fAddr32 = !!(mem && mem.fAddr32 !== undefined? mem.fAddr32 : dbgAddr.fAddr32);
+        let aOpBytes = aPrefixes.slice();
+        if (mem && mem.seg >= 0) {
+            aOpBytes.push(DebuggerX86.ASM_SEGPREFIXES[mem.seg]);
+        }
+        if (state.nData && (nData == 4) != dbgAddr.fData32) {
+            aOpBytes.push(X86.OPCODE.OS);
+            state.typeCPU = Math.max(state.typeCPU, DebuggerX86.CPU_80386);
+        }
+        if (mem && fAddr32 != dbgAddr.fAddr32) {
+            aOpBytes.push(X86.OPCODE.AS);
+            state.typeCPU = Math.max(state.typeCPU, DebuggerX86.CPU_80386);
+        }
+        aOpBytes = aOpBytes.concat(asmDesc.aOpBytes);
+
+        if (state.fOff) {
+            this.addOpBytes(aOpBytes, mem.disp, fAddr32? 4 : 2);
+        }
+        else if (mem) {
+            if (!this.addModRM(aOpBytes, mem, Math.max(state.reg, 0), fAddr32)) return null;
+        }
+        else if (state.rm >= 0) {
+            aOpBytes.push((DebuggerX86.MOD_REGISTER << 6) | (Math.max(state.reg, 0) << 3) | state.rm);
+        }
+
+        for (i = 0; i < state.aImm.length; i++) {
+            typeSize = state.aImm[i][0];
+            operand = state.aImm[i][1];
+            v = operand.value | 0;
+            switch (typeSize) {
+            case DebuggerX86.TYPE_BYTE:
+                if (v < -0x80 || v > 0xff) return null;
+                this.addOpBytes(aOpBytes, v, 1);
+                break;
+            case DebuggerX86.TYPE_SBYTE:
+                if (nData == 2) {
+                    if (v < -0x8000 || v > 0xffff) return null;
+                    v = (v << 16) >> 16;
+                }
+                if (v < -0x80 || v > 0x7f) return null;
+                this.addOpBytes(aOpBytes, v, 1);
+                break;
+            case DebuggerX86.TYPE_WORD:
+            case DebuggerX86.TYPE_FARP:
+                if (nData == 2) {
+                    if (v < -0x8000 || v > 0xffff) return null;
+                }
+                this.addOpBytes(aOpBytes, v, nData);
+                if (typeSize == DebuggerX86.TYPE_FARP) {
+                    v = operand.sel | 0;
+                    if (v < 0 || v > 0xffff) return null;
+                    this.addOpBytes(aOpBytes, v, 2);
+                }
+                break;
+            case DebuggerX86.TYPE_SHORT:
+                if (v < -0x8000 || v > 0xffff) return null;
+                this.addOpBytes(aOpBytes, v, 2);
+                break;
+            default:
+                return null;
+            }
+        }
+
+        if (state.rel) {
+            let cb = (state.rel[0] == DebuggerX86.TYPE_BYTE? 1 : nData);
+            let disp = state.rel[1].value - (dbgAddr.off + aOpBytes.length + cb);
+            disp = (nData == 2? (disp << 16) >> 16 : disp | 0);
+            if (cb == 1 && (disp < -0x80 || disp > 0x7f)) {
+                state.sError = "jump out of range";
+                return state;
+            }
+            this.addOpBytes(aOpBytes, disp, cb);
+        }
+
+        state.aOpBytes = aOpBytes;
+        return state;
+    }
+
+    /**
+     * addModRM(aOpBytes, mem, reg, fAddr32)
+     *
+     * Appends the ModRM byte, plus any SIB byte and displacement, for a memory operand from parseOperand().
+     *
+     * @this {DebuggerX86}
+     * @param {Array.<number>} aOpBytes
+     * @param {Object} mem
+     * @param {number} reg
+     * @param {boolean} fAddr32
+     * @return {boolean} (false if the displacement doesn't fit)
+     */
+    addModRM(aOpBytes, mem, reg, fAddr32)
+    {
+        let mod, rm, cbDisp, sib = -1;
+        let disp = mem.disp | 0;
+        if (!fAddr32) {
+            if (disp < -0x8000 || disp > 0xffff) return false;
+            if (!mem.sBase && !mem.sIndex) {
+                mod = DebuggerX86.MOD_NODISP;
+                rm = DebuggerX86.RM_IMMOFF;
+                cbDisp = 2;
+            } else {
+                rm = DebuggerX86.RMS.indexOf(mem.sBase && mem.sIndex? mem.sBase + '+' + mem.sIndex : mem.sBase || mem.sIndex);
+                disp = (disp << 16) >> 16;
+                mod = (!disp && rm != DebuggerX86.RM_BP? DebuggerX86.MOD_NODISP : (disp >= -0x80 && disp < 0x80? DebuggerX86.MOD_DISP8 : DebuggerX86.MOD_DISP16));
+                cbDisp = (mod == DebuggerX86.MOD_DISP16? 2 : mod);
+            }
+        } else {
+            /*
+             * In 32-bit addressing, RM 4 means a SIB byte follows, and RM 5 (or a SIB base of 5) with Mod 00
+             * means a 32-bit displacement without a base register; so ESP as a base always requires a SIB byte,
+             * and EBP as a base always requires a displacement.
+             */
+            let base = mem.sBase? DebuggerX86.RMS.indexOf(mem.sBase) - 8 : -1;
+            let index = mem.sIndex? DebuggerX86.RMS.indexOf(mem.sIndex) - 8 : -1;
+            if (base < 0) {
+                mod = DebuggerX86.MOD_NODISP;
+                cbDisp = 4;
+                if (index < 0) {
+                    rm = 5;
+                } else {
+                    rm = 4;
+                    sib = (mem.scale << 6) | (index << 3) | 5;
+                }
+            } else {
+                mod = (!disp && base != 5? DebuggerX86.MOD_NODISP : (disp >= -0x80 && disp < 0x80? DebuggerX86.MOD_DISP8 : DebuggerX86.MOD_DISP16));
+                cbDisp = (mod == DebuggerX86.MOD_DISP16? 4 : mod);
+                if (index < 0 && base != 4) {
+                    rm = base;
+                } else {
+                    rm = 4;
+                    sib = (mem.scale << 6) | ((index < 0? 4 : index) << 3) | base;
+                }
+            }
+        }
+        aOpBytes.push((mod << 6) | (reg << 3) | rm);
+        if (sib >= 0) aOpBytes.push(sib);
+        this.addOpBytes(aOpBytes, disp, cbDisp);
+        return true;
+    }
+
+    /**
+     * addOpBytes(aOpBytes, v, cb)
+     *
+     * @this {DebuggerX86}
+     * @param {Array.<number>} aOpBytes
+     * @param {number} v
+     * @param {number} cb (number of bytes to append, low byte first)
+     */
+    addOpBytes(aOpBytes, v, cb)
+    {
+        while (cb-- > 0) {
+            aOpBytes.push(v & 0xff);
+            v >>= 8;
+        }
+    }
+
+    /**
+     * parseInstruction(sOp, sOperand, dbgAddr)
+     *
+     * Assembles one instruction for the 8086 through the 80486, using the same tables as the disassembler, so
+     * the syntax accepted is the syntax that the "u" command displays, plus the usual alternatives; eg:
+     *
+     *      MOV     AX,[BX+SI+12]
+     *      ADD     WORD PTR ES:[BX],5
+     *      REP     MOVSB
+     *      JMP     SHORT 0120
+     *      CALL    FAR 1234:5678
+     *      MOV     EAX,[EBX+ECX*4+8]
+     *      FLD     REAL64 [BP-8]
+     *      FADD    ST,ST(2)
+     *
+     * Every encoding whose operand types match the operands is considered, and the shortest one wins (eg, short
+     * jumps whenever the target is in range, and sign-extended byte immediates whenever the value fits).  Operand
+     * size (0x66) and address size (0x67) prefixes are generated as needed relative to the operand and address sizes
+     * of dbgAddr, and instructions that the current CPU model doesn't support are rejected.
      *
      * @this {DebuggerX86}
      * @param {string} sOp
-     * @param {string|undefined} sOperand
+     * @param {string|undefined} sOperand (all operands, separated by commas)
      * @param {DbgAddrX86} dbgAddr of memory where this instruction is being assembled
      * @return {Array.<number>} of opcode bytes; if the instruction can't be parsed, the array will be empty
      */
     parseInstruction(sOp, sOperand, dbgAddr)
     {
         let aOpBytes = [];
-        this.println("not supported yet");
+        let aPrefixes = [];
+        let typeCPUMin = DebuggerX86.CPU_8086;
+
+        sOp = sOp.toUpperCase();
+        sOperand = sOperand || "";
+
+        while (DebuggerX86.ASM_PREFIXES[sOp] !== undefined) {
+            let bPrefix = DebuggerX86.ASM_PREFIXES[sOp];
+            if (bPrefix == X86.OPCODE.FS || bPrefix == X86.OPCODE.GS) typeCPUMin = DebuggerX86.CPU_80386;
+            aPrefixes.push(bPrefix);
+            let match = sOperand.match(/^\s*(\S+)\s*(.*)$/);
+            sOp = match? match[1].toUpperCase() : "";
+            sOperand = match? match[2] : "";
+        }
+
+        let nForce = 0;
+        let aAlias = DebuggerX86.ASM_ALIASES[sOp];
+        if (aAlias) {
+            sOp = aAlias[0];
+            nForce = aAlias[1] || 0;
+        }
+
+        let aOperands = [];
+        let asOperands = sOperand.match(/('[^']*'|"[^"]*"|\[[^\]]*\]|[^,'"[])+/g) || [];
+        for (let i = 0; i < asOperands.length; i++) {
+            let operand = this.parseOperand(asOperands[i]);
+            if (!operand) {
+                this.println("invalid operand: " + Str.trim(asOperands[i]));
+                return aOpBytes;
+            }
+            if (operand.mode == DebuggerX86.TYPE_REG && operand.size == 4 || operand.fAddr32 || operand.seg >= DebuggerX86.REG_FS) {
+                typeCPUMin = DebuggerX86.CPU_80386;
+            }
+            aOperands.push(operand);
+        }
+
+        /*
+         * FSTSW AX is the one instruction whose register operand is part of its name in FINS_NAMES, and INT 3
+         * has its own (shorter) opcode, which DEBUG.COM always used as well.
+         */
+        if (sOp == "FSTSW" && aOperands.length == 1 && aOperands[0].mode == DebuggerX86.TYPE_REG && aOperands[0].size == 2 && !aOperands[0].reg) {
+            sOp = "FSTSWAX";
+            aOperands = [];
+        }
+        if (sOp == "INT" && aOperands.length == 1 && aOperands[0].mode == DebuggerX86.TYPE_IMM && aOperands[0].value == 3) {
+            sOp = "INT3";
+            aOperands = [];
+        }
+
+        let aAsmDescs = (sOp? this.getAsmDescs()[sOp] : []);
+        if (!aAsmDescs) {
+            this.println("unknown instruction: " + sOp);
+            return aOpBytes;
+        }
+
+        let sError = "invalid operands";
+        let aBest = (sOp? null : aPrefixes);
+        let aTypeMem = [];
+        for (let i = 0; i < aAsmDescs.length; i++) {
+            let state = this.encodeInstruction(aAsmDescs[i], aOperands, aPrefixes, nForce, dbgAddr);
+            if (!state) continue;
+            if (state.sError) {
+                sError = state.sError;
+                continue;
+            }
+            let typeCPU = Math.max(state.typeCPU, typeCPUMin);
+            if (this.cpu.model < DebuggerX86.CPUS[typeCPU]) {
+                sError = DebuggerX86.CPUS[typeCPU] + " CPU only";
+                continue;
+            }
+            if (state.typeMem >= 0 && aTypeMem.indexOf(state.typeMem) < 0) {
+                aTypeMem.push(state.typeMem);
+            }
+            if (!aBest || state.aOpBytes.length < aBest.length) aBest = state.aOpBytes;
+        }
+        if (aTypeMem.length > 1) {
+            this.println("operand size required");
+        } else if (!aBest) {
+            this.println(sError);
+        } else if (this.cpu.model < DebuggerX86.CPUS[typeCPUMin]) {
+            this.println(DebuggerX86.CPUS[typeCPUMin] + " CPU only");
+        } else {
+            aOpBytes = aBest;
+        }
         return aOpBytes;
     }
 
@@ -4645,7 +5550,7 @@ class DebuggerX86 extends DbgLib {
      *      [0]: the assemble command (assumed to be "a")
      *      [1]: the target address (eg, "200")
      *      [2]: the operation code, aka instruction name (eg, "adc")
-     *      [3]: the operation mode operand, if any (eg, "14", "[1234]", etc)
+     *      [3]: the first operand, if any (eg, "ax,[bx+si+12]"), followed by any remaining arguments
      *
      * The Debugger enters "assemble mode" whenever only the first (or first and second) arguments are present.
      * As long as "assemble mode is active, the user can omit the first two arguments on all later assemble commands
@@ -4654,8 +5559,8 @@ class DebuggerX86 extends DbgLib {
      *
      * Entering "assemble mode" is optional; one could enter a series of fully-qualified assemble commands; eg:
      *
-     *      a ff00 cld
-     *      a ff01 ldx 28
+     *      a 100 cld
+     *      a 101 mov ax,[bx+si+12]
      *      ...
      *
      * without ever entering "assemble mode", but of course, that requires more typing and doesn't take advantage
@@ -4680,15 +5585,21 @@ class DebuggerX86 extends DbgLib {
             return;
         }
 
-        let aOpBytes = this.parseInstruction(asArgs[2], asArgs[3], dbgAddr);
+        let aOpBytes = this.parseInstruction(asArgs[2], asArgs.slice(3).join(' '), dbgAddr);
         if (aOpBytes.length) {
+            let dbgAddrIns = this.newAddr(dbgAddr.off, dbgAddr.sel, dbgAddr.addr, dbgAddr.type, dbgAddr.fData32, dbgAddr.fAddr32);
             for (let i = 0; i < aOpBytes.length; i++) {
                 this.setByte(dbgAddr, aOpBytes[i], 1);
             }
             /*
-             * Since getInstruction() also updates the specified address, dbgAddrAssemble is automatically advanced.
+             * Since setByte() advanced dbgAddr (aka dbgAddrAssemble) past the new bytes, we disassemble from a copy
+             * of the original address; getInstruction() displays segment and repeat prefixes as separate instructions,
+             * hence the loop.
              */
-            this.println(this.getInstruction(this.dbgAddrAssemble));
+            let addrEnd = this.getAddr(dbgAddr);
+            do {
+                this.println(this.getInstruction(dbgAddrIns));
+            } while (this.getAddr(dbgAddrIns) < addrEnd);
         }
     }
 
@@ -4713,6 +5624,10 @@ class DebuggerX86 extends DbgLib {
      *
      *      bn [n]  break after [n] instructions
      *
+     * The bp, br and bw commands also accept the options described in parseAddrOptions(); eg:
+     *
+     *      bp [a] count [n] log "s" if [e] "cmds"
+     *
      * TODO: Update the "bl" command to include any/all I/O breakpoints, and the "bc" command to
      * clear them.  Because "bi" and "bo" commands are piggy-backing on Bus functions, those breakpoints
      * are currently outside the realm of what the "bl" and "bc" commands are aware of.
@@ -4734,6 +5649,11 @@ class DebuggerX86 extends DbgLib {
             this.println("\tbc [a]\tclear breakpoint at addr [a]");
             this.println("\tbl\tlist all breakpoints");
             this.println("\tbn [n]\tbreak after [n] instruction(s)");
+            this.println("breakpoint options (bp, br, bw):");
+            this.println("\tcount [n]\tignore until hit [n] time(s)");
+            this.println("\tlog \"s\"\tprint [s] and continue");
+            this.println("\tif [e]\tignore unless [e] is true (must be last)");
+            this.println("\t\"cmds\"\trun [cmds] when hit");
             return;
         }
         let sParm = sCmd.charAt(1);
@@ -4852,6 +5772,9 @@ class DebuggerX86 extends DbgLib {
             this.println("\tdh [n] [#]    dump # instructions from history n");
             this.println("\tdi [#]        dump descriptor info for IDT #");
             this.println("\tds [#]        dump descriptor info for selector #");
+            if (I386 && this.cpu.model >= X86.MODEL_80386) {
+                this.println("\tdp [a]        dump page tables (or paging info for address a)");
+            }
             if (BACKTRACK) {
                 this.println("\tdt [a]        dump backtrack info for address a");
             }
@@ -5490,6 +6413,63 @@ class DebuggerX86 extends DbgLib {
         }
     }
 
+    /**
+     * doLoadSymbols(sFile, sSegment)
+     *
+     * Loads the public symbols from a .MAP, .SYM or CodeView executable file on any loaded disk:
+     *
+     *      ls [file] [segment]
+     *
+     * where segment is the program's load segment (ie, the segment that all the file's frames are relative to);
+     * for an EXE, that's normally the PSP segment + 0x10.  If omitted, we assume the CPU is at the program's entry
+     * point, and subtract the entry point's frame (if known) from CS.  Loading a module again replaces its symbols.
+     *
+     * @this {DebuggerX86}
+     * @param {string} [sFile]
+     * @param {string} [sSegment]
+     */
+    doLoadSymbols(sFile, sSegment)
+    {
+        if (!sFile || sFile == '?') {
+            this.println("load symbols commands:");
+            this.println("\tls [file] [segment]\tload MAP, SYM or CodeView symbols");
+            return;
+        }
+
+        let symbols = this.findFileSymbols(sFile);
+        if (!symbols) {
+            this.println("no symbols found for " + sFile);
+            return;
+        }
+
+        let segLoad;
+        if (sSegment) {
+            segLoad = this.parseValue(sSegment, "segment");
+            if (segLoad === undefined) return;
+        } else {
+            segLoad = this.cpu.getCS() - (symbols.entry || 0);
+        }
+
+        let aFrames = [];
+        for (let frame in symbols.frames) aFrames.push(+frame);
+        aFrames.sort(function(a, b) { return a - b; });
+
+        for (let i = 0; i < aFrames.length; i++) {
+            let frame = aFrames[i];
+            let aSymbols = symbols.frames[frame];
+            /*
+             * Each frame extends to the next frame (or 64Kb, whichever is less), but never excludes its own symbols.
+             */
+            let len = (i < aFrames.length - 1)? Math.min((aFrames[i+1] - frame) << 4, 0x10000) : 0x10000;
+            for (let sSymbol in aSymbols) {
+                len = Math.max(len, aSymbols[sSymbol]['o'] + 1);
+            }
+            this.removeSymbols(symbols.name, frame);
+            this.addSymbols(symbols.name, frame, (segLoad + frame) & 0xffff, 0, null, len, aSymbols);
+        }
+        this.println(symbols.count + " symbols loaded for " + symbols.name + " at segment " + Str.toHex(segLoad & 0xffff, 4));
+    }
+
     /**
      * doMessages(asArgs)
      *
@@ -6269,8 +7249,11 @@ class DebuggerX86 extends DbgLib {
             if (!sCall || sCall == sCallPrev) break;
             let sSymbol = null;
             if (sCmd == "ks") {
-                let a = sCall.match(/[0-9A-F]+$/);
-                if (a) sSymbol = this.doList(a[0]);
+                /*
+                 * The call target may already be followed by its symbol (in parentheses), so skip over that.
+                 */
+                let a = sCall.match(/([0-9A-F]+)(?: \(.*\))?$/);
+                if (a) sSymbol = this.doList(a[1]);
             }
             sCall = Str.pad(sCall, dbgAddrCall.fAddr32? 74 : 62) + ';' + (sSymbol || "stack=" + this.toHexAddr(dbgAddrStack)); // + " return=" + this.toHexAddr(dbgAddrCall));
             this.println(sCall);
@@ -6644,6 +7627,10 @@ class DebuggerX86 extends DbgLib {
                         this.doList(asArgs[1], true);
                         break;
                     }
+                    if (asArgs[0] == "ls") {
+                        this.doLoadSymbols(asArgs[1], asArgs[2]);
+                        break;
+                    }
                     this.doLoad(asArgs);
                     break;
                 case 'm':
@@ -6792,7 +7779,7 @@ if (DEBUGGER) {
 
     DebuggerX86.COMMANDS = {
         '?':     "help/print",
-        'a [#]': "assemble",            // TODO: Implement this command someday
+        'a [#]': "assemble",
         'b [#]': "breakpoint",          // multiple variations (use b? to list them)
         'c':     "clear output",
         'd [#]': "dump memory",         // additional syntax: d [#] [l#], where l# is a number of bytes to dump
@@ -6805,6 +7792,7 @@ if (DEBUGGER) {
         'k':     "stack trace",
         'l':     "load sector(s)",
         "ln":    "list nearest symbol(s)",
+        "ls":    "load symbols",
         'm':     "messages",
         'mouse': "mouse action",        // syntax: mouse {action} {delta} (eg, mouse x 10, mouse click 0, etc)
         'o [#]': "output port #",
@@ -6839,7 +7827,7 @@ if (DEBUGGER) {
     /*
      * CPU instruction ordinals
      *
-     * Note that individual instructions end with ordinal 163 and instruction groups begin with ordinal 164;
+     * Note that individual instructions end with ordinal 170 and instruction groups begin with ordinal 171;
      * the disassembler knows it's dealing with a group whenever the ordinal is not a valid index into INS_NAMES.
      *
      * NOTE: While this list started alphabetical, there are a few wrinkles; eg, POPA/POPF/PUSHF/PUSHA are
@@ -6866,9 +7854,10 @@ if (DEBUGGER) {
         SETO:   136, SETP:   137, SETS:   138, SETZ:   139, SGDT:   140, SHL:    141, SHLD:   142, SHR:    143,
         SHRD:   144, SIDT:   145, SLDT:   146, SMSW:   147, SS:     148, STC:    149, STD:    150, STI:    151,
         STOSB:  152, STOSW:  153, STR:    154, SUB:    155, TEST:   156, VERR:   157, VERW:   158, WAIT:   159,
-        XBTS:   160, XCHG:   161, XLAT:   162, XOR:    163, GRP1B:  164, GRP1W:  165, GRP1SW: 166, GRP2B:  167,
-        GRP2W:  168, GRP2B1: 169, GRP2W1: 170, GRP2BC: 171, GRP2WC: 172, GRP3B:  173, GRP3W:  174, GRP4B:  175,
-        GRP4W:  176, OP0F:   177, GRP6:   178, GRP7:   179, GRP8:   180
+        XBTS:   160, XCHG:   161, XLAT:   162, XOR:    163, BSWAP:  164, CMPXCHG:165, CPUID:  166, INVD:   167,
+        INVLPG: 168, WBINVD: 169, XADD:   170, GRP1B:  171, GRP1W:  172, GRP1SW: 173, GRP2B:  174, GRP2W:  175,
+        GRP2B1: 176, GRP2W1: 177, GRP2BC: 178, GRP2WC: 179, GRP3B:  180, GRP3W:  181, GRP4B:  182, GRP4W:  183,
+        OP0F:   184, GRP6:   185, GRP7:   186, GRP8:   187
     };
 
     /*
@@ -6895,7 +7884,8 @@ if (DEBUGGER) {
         "SETO",   "SETP",   "SETS",   "SETZ",   "SGDT",   "SHL",    "SHLD",   "SHR",
         "SHRD",   "SIDT",   "SLDT",   "SMSW",   "SS:",    "STC",    "STD",    "STI",
         "STOSB",  "STOSW",  "STR",    "SUB",    "TEST",   "VERR",   "VERW",   "WAIT",
-        "XBTS",   "XCHG",   "XLAT",   "XOR"
+        "XBTS",   "XCHG",   "XLAT",   "XOR",    "BSWAP",  "CMPXCHG","CPUID",  "INVD",
+        "INVLPG", "WBINVD", "XADD"
     ];
 
     /*
@@ -6958,7 +7948,8 @@ if (DEBUGGER) {
     DebuggerX86.CPU_80186 = 1;
     DebuggerX86.CPU_80286 = 2;
     DebuggerX86.CPU_80386 = 3;
-    DebuggerX86.CPUS = [8086, 80186, 80286, 80386];
+    DebuggerX86.CPU_80486 = 4;
+    DebuggerX86.CPUS = [8086, 80186, 80286, 80386, 80486];
 
     /*
      * ModRM masks and definitions
@@ -7148,6 +8139,7 @@ if (DEBUGGER) {
     DebuggerX86.TYPE_80287 = DebuggerX86.TYPE_80286;
     DebuggerX86.TYPE_80386 = (DebuggerX86.CPU_80386 << 14);
     DebuggerX86.TYPE_80387 = DebuggerX86.TYPE_80386;
+    DebuggerX86.TYPE_80486 = (DebuggerX86.CPU_80486 << 14);
     DebuggerX86.TYPE_CPU_SHIFT = 14;
 
     DebuggerX86.HISTORY_LIMIT = DEBUG? 100000 : 1000;
@@ -7303,9 +8295,9 @@ if (DEBUGGER) {
     /* 0x67 */ [DebuggerX86.INS.AS,    DebuggerX86.TYPE_PREFIX | DebuggerX86.TYPE_80386],
 
     /* 0x68 */ [DebuggerX86.INS.PUSH,  DebuggerX86.TYPE_IMM    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN   | DebuggerX86.TYPE_80186],
-    /* 0x69 */ [DebuggerX86.INS.IMUL,  DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_SHORT | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
+    /* 0x69 */ [DebuggerX86.INS.IMUL,  DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
     /* 0x6A */ [DebuggerX86.INS.PUSH,  DebuggerX86.TYPE_IMM    | DebuggerX86.TYPE_SBYTE | DebuggerX86.TYPE_IN   | DebuggerX86.TYPE_80186],
-    /* 0x6B */ [DebuggerX86.INS.IMUL,  DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_SHORT | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_IN],
+    /* 0x6B */ [DebuggerX86.INS.IMUL,  DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_IN],
     /* 0x6C */ [DebuggerX86.INS.INS,   DebuggerX86.TYPE_ESDI   | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_DX    | DebuggerX86.TYPE_IN],
     /* 0x6D */ [DebuggerX86.INS.INS,   DebuggerX86.TYPE_ESDI   | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_DX    | DebuggerX86.TYPE_IN],
     /* 0x6E */ [DebuggerX86.INS.OUTS,  DebuggerX86.TYPE_DX     | DebuggerX86.TYPE_IN    | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_DSSI | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_IN],
@@ -7482,6 +8474,8 @@ if (DEBUGGER) {
         0x05: [DebuggerX86.INS.LOADALL,DebuggerX86.TYPE_80286],
         0x06: [DebuggerX86.INS.CLTS,   DebuggerX86.TYPE_80286],
         0x07: [DebuggerX86.INS.LOADALL,DebuggerX86.TYPE_80386],   // TODO: implied operand is ES:[(E)DI]
+        0x08: [DebuggerX86.INS.INVD,   DebuggerX86.TYPE_80486],
+        0x09: [DebuggerX86.INS.WBINVD, DebuggerX86.TYPE_80486],
         0x20: [DebuggerX86.INS.MOV,    DebuggerX86.TYPE_MODREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_CTLREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_IN],
         0x21: [DebuggerX86.INS.MOV,    DebuggerX86.TYPE_MODREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_DBGREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_IN],
         0x22: [DebuggerX86.INS.MOV,    DebuggerX86.TYPE_CTLREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_IN],
@@ -7522,6 +8516,7 @@ if (DEBUGGER) {
         0x9F: [DebuggerX86.INS.SETG,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386],
         0xA0: [DebuggerX86.INS.PUSH,   DebuggerX86.TYPE_FS     | DebuggerX86.TYPE_IN    | DebuggerX86.TYPE_80386],
         0xA1: [DebuggerX86.INS.POP,    DebuggerX86.TYPE_FS     | DebuggerX86.TYPE_OUT   | DebuggerX86.TYPE_80386],
+        0xA2: [DebuggerX86.INS.CPUID,  DebuggerX86.TYPE_80486],
         0xA3: [DebuggerX86.INS.BT,     DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN   | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
         0xA4: [DebuggerX86.INS.SHLD,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
         0xA5: [DebuggerX86.INS.SHLD,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN, DebuggerX86.TYPE_CL  | DebuggerX86.TYPE_IN],
@@ -7532,19 +8527,31 @@ if (DEBUGGER) {
         0xAB: [DebuggerX86.INS.BTS,    DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
         0xAC: [DebuggerX86.INS.SHRD,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
         0xAD: [DebuggerX86.INS.SHRD,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN, DebuggerX86.TYPE_CL  | DebuggerX86.TYPE_IN],
-        0xAF: [DebuggerX86.INS.IMUL,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
-        0xB2: [DebuggerX86.INS.LSS,    DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT,                           DebuggerX86.TYPE_MODMEM | DebuggerX86.TYPE_SEGP  | DebuggerX86.TYPE_IN],
+        0xAF: [DebuggerX86.INS.IMUL,   DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
+        0xB0: [DebuggerX86.INS.CMPXCHG,DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80486, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_IN],
+        0xB1: [DebuggerX86.INS.CMPXCHG,DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80486, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
+        0xB2: [DebuggerX86.INS.LSS,    DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODMEM | DebuggerX86.TYPE_SEGP  | DebuggerX86.TYPE_IN],
         0xB3: [DebuggerX86.INS.BTR,    DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
-        0xB4: [DebuggerX86.INS.LFS,    DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT,                           DebuggerX86.TYPE_MODMEM | DebuggerX86.TYPE_SEGP  | DebuggerX86.TYPE_IN],
-        0xB5: [DebuggerX86.INS.LGS,    DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT,                           DebuggerX86.TYPE_MODMEM | DebuggerX86.TYPE_SEGP  | DebuggerX86.TYPE_IN],
+        0xB4: [DebuggerX86.INS.LFS,    DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODMEM | DebuggerX86.TYPE_SEGP  | DebuggerX86.TYPE_IN],
+        0xB5: [DebuggerX86.INS.LGS,    DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODMEM | DebuggerX86.TYPE_SEGP  | DebuggerX86.TYPE_IN],
         0xB6: [DebuggerX86.INS.MOVZX,  DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_IN],
-        0xB7: [DebuggerX86.INS.MOVZX,  DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_SHORT | DebuggerX86.TYPE_IN],
+        0xB7: [DebuggerX86.INS.MOVZX,  DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_SHORT | DebuggerX86.TYPE_IN],
         0xBA: [DebuggerX86.INS.GRP8,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_IMM    | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_IN],
         0xBB: [DebuggerX86.INS.BTC,    DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
         0xBC: [DebuggerX86.INS.BSF,    DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
         0xBD: [DebuggerX86.INS.BSR,    DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_IN],
         0xBE: [DebuggerX86.INS.MOVSX,  DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_IN],
-        0xBF: [DebuggerX86.INS.MOVSX,  DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_SHORT | DebuggerX86.TYPE_IN]
+        0xBF: [DebuggerX86.INS.MOVSX,  DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_OUT  | DebuggerX86.TYPE_80386, DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_SHORT | DebuggerX86.TYPE_IN],
+        0xC0: [DebuggerX86.INS.XADD,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80486, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_BYTE  | DebuggerX86.TYPE_BOTH],
+        0xC1: [DebuggerX86.INS.XADD,   DebuggerX86.TYPE_MODRM  | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80486, DebuggerX86.TYPE_REG    | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH],
+        0xC8: [DebuggerX86.INS.BSWAP,  DebuggerX86.REG_AX << 8 | DebuggerX86.TYPE_IMPREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80486],
+        0xC9: [DebuggerX86.INS.BSWAP,  DebuggerX86.REG_CX << 8 | DebuggerX86.TYPE_IMPREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80486],
+        0xCA: [DebuggerX86.INS.BSWAP,  DebuggerX86.REG_DX << 8 | DebuggerX86.TYPE_IMPREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80486],
+        0xCB: [DebuggerX86.INS.BSWAP,  DebuggerX86.REG_BX << 8 | DebuggerX86.TYPE_IMPREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80486],
+        0xCC: [DebuggerX86.INS.BSWAP,  DebuggerX86.REG_SP << 8 | DebuggerX86.TYPE_IMPREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80486],
+        0xCD: [DebuggerX86.INS.BSWAP,  DebuggerX86.REG_BP << 8 | DebuggerX86.TYPE_IMPREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80486],
+        0xCE: [DebuggerX86.INS.BSWAP,  DebuggerX86.REG_SI << 8 | DebuggerX86.TYPE_IMPREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80486],
+        0xCF: [DebuggerX86.INS.BSWAP,  DebuggerX86.REG_DI << 8 | DebuggerX86.TYPE_IMPREG | DebuggerX86.TYPE_LONG  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80486]
     };
 
     /*
@@ -7728,25 +8735,25 @@ if (DEBUGGER) {
       ],
       [
         /* GRP2B */
-        [DebuggerX86.INS.ROL,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80286, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
-        [DebuggerX86.INS.ROR,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80286, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
-        [DebuggerX86.INS.RCL,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80286, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
-        [DebuggerX86.INS.RCR,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80286, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
-        [DebuggerX86.INS.SHL,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80286, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
-        [DebuggerX86.INS.SHR,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80286, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
+        [DebuggerX86.INS.ROL,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
+        [DebuggerX86.INS.ROR,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
+        [DebuggerX86.INS.RCL,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
+        [DebuggerX86.INS.RCR,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
+        [DebuggerX86.INS.SHL,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
+        [DebuggerX86.INS.SHR,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
          DebuggerX86.aOpDescUndefined,
-        [DebuggerX86.INS.SAR,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80286, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN]
+        [DebuggerX86.INS.SAR,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN]
       ],
       [
         /* GRP2W */
-        [DebuggerX86.INS.ROL,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80286, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
-        [DebuggerX86.INS.ROR,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80286, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
-        [DebuggerX86.INS.RCL,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80286, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
-        [DebuggerX86.INS.RCR,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80286, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
-        [DebuggerX86.INS.SHL,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80286, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
-        [DebuggerX86.INS.SHR,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80286, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
+        [DebuggerX86.INS.ROL,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
+        [DebuggerX86.INS.ROR,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
+        [DebuggerX86.INS.RCL,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
+        [DebuggerX86.INS.RCR,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
+        [DebuggerX86.INS.SHL,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
+        [DebuggerX86.INS.SHR,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN],
          DebuggerX86.aOpDescUndefined,
-        [DebuggerX86.INS.SAR,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80286, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN]
+        [DebuggerX86.INS.SAR,  DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_WORD  | DebuggerX86.TYPE_BOTH | DebuggerX86.TYPE_80186, DebuggerX86.TYPE_IMM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN]
       ],
       [
         /* GRP2B1 */
@@ -7857,7 +8864,7 @@ if (DEBUGGER) {
         [DebuggerX86.INS.SMSW, DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_SHORT| DebuggerX86.TYPE_OUT | DebuggerX86.TYPE_80286],
          DebuggerX86.aOpDescUndefined,
         [DebuggerX86.INS.LMSW, DebuggerX86.TYPE_MODRM | DebuggerX86.TYPE_SHORT| DebuggerX86.TYPE_IN  | DebuggerX86.TYPE_80286],
-         DebuggerX86.aOpDescUndefined
+        [DebuggerX86.INS.INVLPG, DebuggerX86.TYPE_MODMEM | DebuggerX86.TYPE_BYTE | DebuggerX86.TYPE_IN | DebuggerX86.TYPE_80486]
       ],
       [
         /* GRP8 */
@@ -7872,6 +8879,77 @@ if (DEBUGGER) {
       ]
     ];
 
+    /*
+     * Assembler prefixes, which parseInstruction() accepts ahead of any instruction (or on a line by themselves).
+     */
+    DebuggerX86.ASM_PREFIXES = {
+        "LOCK":   X86.OPCODE.LOCK,
+        "REP":    X86.OPCODE.REPZ,
+        "REPE":   X86.OPCODE.REPZ,
+        "REPZ":   X86.OPCODE.REPZ,
+        "REPNE":  X86.OPCODE.REPNZ,
+        "REPNZ":  X86.OPCODE.REPNZ,
+        "ES:":    X86.OPCODE.ES,
+        "CS:":    X86.OPCODE.CS,
+        "SS:":    X86.OPCODE.SS,
+        "DS:":    X86.OPCODE.DS,
+        "FS:":    X86.OPCODE.FS,
+        "GS:":    X86.OPCODE.GS
+    };
+
+    /*
+     * Segment override prefixes, indexed by segment register number (REG_ES through REG_GS).
+     */
+    DebuggerX86.ASM_SEGPREFIXES = [X86.OPCODE.ES, X86.OPCODE.CS, X86.OPCODE.SS, X86.OPCODE.DS, X86.OPCODE.FS, X86.OPCODE.GS];
+
+    /*
+     * Assembler aliases: alternate mnemonics mapped to the names in INS_NAMES or FINS_NAMES, plus an optional
+     * operand size (1, 2 or 4) for those mnemonics that imply one (eg, MOVSD is MOVSW with a 32-bit operand size).
+     * Mnemonics like CBW and PUSHA are included so that they keep their 16-bit meaning inside 32-bit code segments.
+     *
+     * The FN* control instructions are aliases because the FPU tables (like the disassembler) use the FINIT, FCLEX,
+     * etc, names for the no-wait encodings; to assemble a waiting version, precede the instruction with WAIT.
+     */
+    DebuggerX86.ASM_ALIASES = {
+        "JB":     ["JC"],       "JNAE":   ["JC"],       "JAE":    ["JNC"],      "JNB":    ["JNC"],
+        "JE":     ["JZ"],       "JNE":    ["JNZ"],      "JNA":    ["JBE"],      "JNBE":   ["JA"],
+        "JPE":    ["JP"],       "JPO":    ["JNP"],      "JNGE":   ["JL"],       "JNL":    ["JGE"],
+        "JNG":    ["JLE"],      "JNLE":   ["JG"],       "LOOPE":  ["LOOPZ"],    "LOOPNE": ["LOOPNZ"],
+        "SETB":   ["SETC"],     "SETNAE": ["SETC"],     "SETAE":  ["SETNC"],    "SETNB":  ["SETNC"],
+        "SETE":   ["SETZ"],     "SETNE":  ["SETNZ"],    "SETNA":  ["SETBE"],    "SETA":   ["SETNBE"],
+        "SETPE":  ["SETP"],     "SETPO":  ["SETNP"],    "SETNGE": ["SETL"],     "SETNL":  ["SETGE"],
+        "SETNG":  ["SETLE"],    "SETNLE": ["SETG"],     "SAL":    ["SHL"],      "XLATB":  ["XLAT"],
+        "RETN":   ["RET"],      "FWAIT":  ["WAIT"],
+        "CBW":    ["CBW", 2],   "CWDE":   ["CBW", 4],   "CWD":    ["CWD", 2],   "CDQ":    ["CWD", 4],
+        "PUSHA":  ["PUSHA", 2], "PUSHAD": ["PUSHA", 4], "POPA":   ["POPA", 2],  "POPAD":  ["POPA", 4],
+        "PUSHF":  ["PUSHF", 2], "PUSHFD": ["PUSHF", 4], "POPF":   ["POPF", 2],  "POPFD":  ["POPF", 4],
+        "IRET":   ["IRET", 2],  "IRETD":  ["IRET", 4],
+        "MOVSW":  ["MOVSW", 2], "MOVSD":  ["MOVSW", 4], "CMPSW":  ["CMPSW", 2], "CMPSD":  ["CMPSW", 4],
+        "STOSW":  ["STOSW", 2], "STOSD":  ["STOSW", 4], "LODSW":  ["LODSW", 2], "LODSD":  ["LODSW", 4],
+        "SCASW":  ["SCASW", 2], "SCASD":  ["SCASW", 4],
+        "INSB":   ["INS", 1],   "INSW":   ["INS", 2],   "INSD":   ["INS", 4],
+        "OUTSB":  ["OUTS", 1],  "OUTSW":  ["OUTS", 2],  "OUTSD":  ["OUTS", 4],
+        "FNINIT": ["FINIT"],    "FNCLEX": ["FCLEX"],    "FNDISI": ["FDISI"],    "FNENI":  ["FENI"],
+        "FNSTCW": ["FSTCW"],    "FNSTSW": ["FSTSW"],    "FNSTENV":["FSTENV"],   "FNSAVE": ["FSAVE"]
+    };
+
+    /*
+     * Assembler operand size keywords (each may be followed by PTR), including the FPU keywords that the
+     * disassembler displays (eg, REAL64); sizes are in bytes.  FAR is handled separately, since it implies
+     * a far pointer rather than a particular size.
+     */
+    DebuggerX86.ASM_SIZES = {
+        "BYTE":   1,    "WORD":   2,    "DWORD":  4,    "FWORD":  6,    "QWORD":  8,    "TBYTE":  10,
+        "INT16":  2,    "INT32":  4,    "INT64":  8,    "REAL32": 4,    "REAL64": 8,    "REAL80": 10,
+        "BCD80":  10
+    };
+
+    /*
+     * FPU encodings that aaaOpFPUDescs flags as "Obsolete"; the disassembler must still decode them, but
+     * the assembler should never produce them.  Each entry combines an ESC opcode with a modReg index.
+     */
+    DebuggerX86.ASM_FPU_OBSOLETE = [0xD933, 0xDC32, 0xDC33, 0xDD31, 0xDE32, 0xDF31, 0xDF32, 0xDF33];
+
     /*
      * Table of system (non-segment) descriptors, including indicators of which ones are gates.
      */
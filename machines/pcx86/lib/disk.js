@@ -982,6 +982,7 @@ class Disk extends Component {
                                     }
                                     sector.file = file;
                                     sector.offFile = sector[Disk.SECTOR.FILE_OFFSET];
+                                    file.aSectors.push(sector);
                                 }
                                 delete sector[Disk.SECTOR.FILE_INDEX];
                                 delete sector[Disk.SECTOR.FILE_OFFSET];
@@ -1096,6 +1097,34 @@ class Disk extends Component {
         return aInfo;
     }
 
+    /**
+     * getFileSymbols(sFile)
+     *
+     * If the given file (either a bare file name or a complete path) is found in the file table, we return
+     * whatever symbols FileInfo.loadSymbols() is able to extract from it; otherwise, null.
+     *
+     * @this {Disk}
+     * @param {string} sFile
+     * @return {Object|null}
+     */
+    getFileSymbols(sFile)
+    {
+        let symbols = null;
+        if (SYMBOLS && this.aFileTable) {
+            let sFileUpper = sFile.toUpperCase().replace(/\\/g, '/');
+            for (let iFile = 0; iFile < this.aFileTable.length; iFile++) {
+                let file = this.aFileTable[iFile];
+                if (!file) continue;
+                let sPath = file.path.toUpperCase();
+                if (file.name.toUpperCase() == sFileUpper || sPath == sFileUpper || sPath == '/' + sFileUpper) {
+                    symbols = file.loadSymbols();
+                    if (symbols) break;
+                }
+            }
+        }
+        return symbols;
+    }
+
     /**
      * getSector(lba)
      *
@@ -2203,6 +2232,7 @@ class FileInfo {
         this.attr = attr;
         this.size = size;
         this.module = module;
+        this.aSectors = [];
     }
 
     /**
@@ -2250,6 +2280,320 @@ class FileInfo {
         }
         return sSymbol || this.name + '+' + Str.toHex(off, 0, true);
     }
+
+    /**
+     * readData()
+     *
+     * Reassembles the contents of the file from the sectors that buildFileTable() associated with it.
+     *
+     * @this {FileInfo}
+     * @return {Array.<number>}
+     */
+    readData()
+    {
+        let ab = new Array(this.size).fill(0);
+        for (let i = 0; i < this.aSectors.length; i++) {
+            let sector = this.aSectors[i];
+            for (let off = 0; off < sector[Disk.SECTOR.LENGTH] && sector.offFile + off < this.size; off++) {
+                let b = this.disk.read(sector, off);
+                if (b < 0) break;
+                ab[sector.offFile + off] = b;
+            }
+        }
+        return ab;
+    }
+
+    /**
+     * loadSymbols()
+     *
+     * Extracts the public symbols from a LINK .MAP file, a MAPSYM .SYM file, or the CodeView (NB0x) information
+     * appended to an executable.  The result is an object containing:
+     *
+     *      name (module name)
+     *      entry (frame of the program's entry point, if known)
+     *      count (total number of symbols)
+     *      frames (object of aSymbols collections, indexed by frame)
+     *
+     * Every frame is a paragraph number relative to the start of the load image, which is how LINK describes the
+     * segments of a DOS executable, so the Debugger must add the program's load segment to each frame before passing
+     * the corresponding aSymbols collection to addSymbols().
+     *
+     * @this {FileInfo}
+     * @return {Object|null}
+     */
+    loadSymbols()
+    {
+        let ab = this.readData();
+        let sName = this.name.toUpperCase();
+        let i = sName.lastIndexOf('.');
+        let symbols = {name: i > 0? sName.substr(0, i) : sName, entry: undefined, count: 0, frames: {}};
+        if (sName.endsWith(".MAP")) {
+            this.parseMAP(ab, symbols);
+        } else if (sName.endsWith(".SYM")) {
+            this.parseSYM(ab, symbols);
+        } else {
+            this.parseCodeView(ab, symbols);
+        }
+        return symbols.count? symbols : null;
+    }
+
+    /**
+     * parseMAP(ab, symbols)
+     *
+     * LINK lists every public twice, first by name and then by value, using "frame:offset" addresses; eg:
+     *
+     *        Address         Publics by Value
+     *
+     *       0000:0010       _main
+     *       0000:0035       _printf
+     *       0013:0042       _errno
+     *       0000:0000  Abs  __acrtused
+     *
+     *      Program entry point at 0000:0010
+     *
+     * Absolute ("Abs") and imported ("Imp") symbols don't describe locations within the program, so they are ignored.
+     *
+     * @this {FileInfo}
+     * @param {Array.<number>} ab
+     * @param {Object} symbols
+     */
+    parseMAP(ab, symbols)
+    {
+        let sText = "";
+        for (let i = 0; i < ab.length; i++) {
+            sText += String.fromCharCode(ab[i]);
+        }
+        let fPublics = false;
+        let asLines = sText.split(/\r?\n/);
+        for (let i = 0; i < asLines.length; i++) {
+            let sLine = asLines[i];
+            if (sLine.indexOf("Publics by") >= 0) {
+                fPublics = true;
+                continue;
+            }
+            let match = sLine.match(/entry point at\s+([0-9A-F]+):([0-9A-F]+)/i);
+            if (match) {
+                symbols.entry = parseInt(match[1], 16);
+                fPublics = false;
+                continue;
+            }
+            if (sLine.indexOf("Line numbers for") >= 0) {
+                fPublics = false;
+                continue;
+            }
+            if (fPublics) {
+                match = sLine.match(/^\s*([0-9A-F]{4}):([0-9A-F]{4,8})\s+(Abs\s+|Imp\s+|Res\s+)?(\S+)/i);
+                if (match && !match[3]) {
+                    FileInfo.addSymbol(symbols, parseInt(match[1], 16), parseInt(match[2], 16), match[4]);
+                }
+            }
+        }
+    }
+
+    /**
+     * parseSYM(ab, symbols)
+     *
+     * MAPSYM converts a MAP file into a .SYM file, which begins with a MAPDEF:
+     *
+     *      0x00: paragraph pointer to next MAPDEF (zero if none)
+     *      0x02: flags
+     *      0x04: entry point frame
+     *      0x06: count of constants
+     *      0x08: pointer to constants
+     *      0x0A: count of segments
+     *      0x0C: paragraph pointer to first SEGDEF
+     *      0x0E: maximum symbol length
+     *      0x0F: length of module name, followed by the name
+     *
+     * and ends with a 4-byte MAPEND (a zero word, followed by minor and major version bytes).  Each SEGDEF contains:
+     *
+     *      0x00: paragraph pointer to next SEGDEF
+     *      0x02: count of symbols
+     *      0x04: pointer to table of symbol pointers
+     *      0x06: frame (or segment number, for a segmented executable)
+     *      0x0E: flags (bit 0 set if the symbol values are 32-bit)
+     *      0x14: length of segment name, followed by the name
+     *
+     * where all symbol pointers are relative to the SEGDEF, and each symbol is a 16-bit or 32-bit value followed
+     * by a length-prefixed name.  Only the layout produced by MAPSYM 4.x and up (with symbol pointer tables) is
+     * supported.
+     *
+     * @this {FileInfo}
+     * @param {Array.<number>} ab
+     * @param {Object} symbols
+     */
+    parseSYM(ab, symbols)
+    {
+        if (ab.length < 0x14 || FileInfo.getValue(ab, ab.length - 4, 2)) return;
+        let cSegs = FileInfo.getValue(ab, 0x0A, 2);
+        let offSeg = FileInfo.getValue(ab, 0x0C, 2) << 4;
+        let cbName = ab[0x0F];
+        if (!cbName) return;
+        symbols.name = FileInfo.getString(ab, 0x10, cbName);
+        symbols.entry = FileInfo.getValue(ab, 0x04, 2);
+        while (cSegs-- > 0 && offSeg && offSeg + 0x15 <= ab.length) {
+            let cSymbols = FileInfo.getValue(ab, offSeg + 0x02, 2);
+            let offTable = offSeg + FileInfo.getValue(ab, offSeg + 0x04, 2);
+            let frame = FileInfo.getValue(ab, offSeg + 0x06, 2);
+            let cbValue = (ab[offSeg + 0x0E] & 0x01)? 4 : 2;
+            for (let i = 0; i < cSymbols; i++) {
+                let offSymbol = offSeg + FileInfo.getValue(ab, offTable + i * 2, 2);
+                if (offSymbol + cbValue >= ab.length) break;
+                let cb = ab[offSymbol + cbValue];
+                FileInfo.addSymbol(symbols, frame, FileInfo.getValue(ab, offSymbol, cbValue), FileInfo.getString(ab, offSymbol + cbValue + 1, cb));
+            }
+            offSeg = FileInfo.getValue(ab, offSeg, 2) << 4;
+        }
+    }
+
+    /**
+     * parseCodeView(ab, symbols)
+     *
+     * CodeView information is appended to an executable, and the last 8 bytes of the file are a signature ("NB00"
+     * through "NB11") and the distance from the end of the file back to the start of the information, where the
+     * signature is repeated, followed by the offset of the subsection directory.
+     *
+     * Versions prior to NB05 use a directory containing a count of entries followed by 10-byte entries, and their
+     * sstPublic (0x102) subsections contain 16-bit offset, segment, and type values, followed by a length-prefixed name.
+     *
+     * Later versions use a directory header describing the size of the header and of each entry, and public symbols
+     * are stored as CodeView symbol records (S_PUB16, S_PUB32 and its NB11 variant) in sstPublic (0x123) or sstGlobalPub
+     * (0x12A) subsections; the latter begins with a 16-byte hash table header.
+     *
+     * @this {FileInfo}
+     * @param {Array.<number>} ab
+     * @param {Object} symbols
+     */
+    parseCodeView(ab, symbols)
+    {
+        if (ab.length < 16) return;
+        if (FileInfo.getValue(ab, 0, 2) == 0x5A4D) {
+            symbols.entry = FileInfo.getValue(ab, 0x16, 2);         // "MZ" header field for the relative value of CS
+        }
+        let sSig = FileInfo.getString(ab, ab.length - 8, 4);
+        let match = sSig.match(/^NB(0[0-9]|1[01])$/);
+        if (!match) return;
+        let nVersion = +match[1];
+        let offBase = ab.length - FileInfo.getValue(ab, ab.length - 4, 4);
+        if (offBase < 0 || FileInfo.getString(ab, offBase, 4) != sSig) return;
+        let offDir = offBase + FileInfo.getValue(ab, offBase + 4, 4);
+        let cDir, cbDirEntry, cbLength;
+        if (nVersion < 5) {
+            cDir = FileInfo.getValue(ab, offDir, 2);
+            offDir += 2;
+            cbDirEntry = 10;
+            cbLength = 2;
+        } else {
+            cbDirEntry = FileInfo.getValue(ab, offDir + 2, 2);
+            cDir = FileInfo.getValue(ab, offDir + 4, 4);
+            offDir += FileInfo.getValue(ab, offDir, 2);
+            cbLength = 4;
+        }
+        while (cDir-- > 0 && offDir + cbDirEntry <= ab.length) {
+            let type = FileInfo.getValue(ab, offDir, 2);
+            let off = offBase + FileInfo.getValue(ab, offDir + 4, 4);
+            let offEnd = Math.min(off + FileInfo.getValue(ab, offDir + 8, cbLength), ab.length);
+            offDir += cbDirEntry;
+            if (nVersion < 5) {
+                if (type != FileInfo.CV.SST_PUBLIC_OLD) continue;
+                while (off + 7 <= offEnd) {
+                    let cb = ab[off + 6];
+                    FileInfo.addSymbol(symbols, FileInfo.getValue(ab, off + 2, 2), FileInfo.getValue(ab, off, 2), FileInfo.getString(ab, off + 7, cb));
+                    off += 7 + cb;
+                }
+                continue;
+            }
+            if (type == FileInfo.CV.SST_GLOBALPUB) {
+                off += 16;
+            } else if (type == FileInfo.CV.SST_PUBLIC) {
+                if (FileInfo.getValue(ab, off, 4) == FileInfo.CV.SIGNATURE) off += 4;
+            } else {
+                continue;
+            }
+            while (off + 4 <= offEnd) {
+                let cbRec = FileInfo.getValue(ab, off, 2);
+                let rectyp = FileInfo.getValue(ab, off + 2, 2);
+                let offRec = off + 4;
+                if (rectyp == FileInfo.CV.S_PUB16) {
+                    FileInfo.addSymbol(symbols, FileInfo.getValue(ab, offRec + 2, 2), FileInfo.getValue(ab, offRec, 2), FileInfo.getString(ab, offRec + 7, ab[offRec + 6]));
+                } else if (rectyp == FileInfo.CV.S_PUB32) {
+                    FileInfo.addSymbol(symbols, FileInfo.getValue(ab, offRec + 4, 2), FileInfo.getValue(ab, offRec, 4), FileInfo.getString(ab, offRec + 9, ab[offRec + 8]));
+                } else if (rectyp == FileInfo.CV.S_PUB32_NEW) {
+                    FileInfo.addSymbol(symbols, FileInfo.getValue(ab, offRec + 8, 2), FileInfo.getValue(ab, offRec + 4, 4), FileInfo.getString(ab, offRec + 11, ab[offRec + 10]));
+                }
+                off += 2 + cbRec;
+            }
+        }
+    }
+
+    /**
+     * addSymbol(symbols, frame, off, sSymbol)
+     *
+     * Adds a symbol to the aSymbols collection for the given frame, using the format that DebuggerX86.addSymbols() expects.
+     *
+     * @param {Object} symbols
+     * @param {number} frame
+     * @param {number} off
+     * @param {string} sSymbol
+     */
+    static addSymbol(symbols, frame, off, sSymbol)
+    {
+        if (!sSymbol) return;
+        let aSymbols = symbols.frames[frame];
+        if (!aSymbols) aSymbols = symbols.frames[frame] = {};
+        let sSymbolUpper = sSymbol.toUpperCase();
+        let symbol = {'o': off};
+        if (sSymbolUpper != sSymbol) symbol['l'] = sSymbol;
+        if (!aSymbols[sSymbolUpper]) symbols.count++;
+        aSymbols[sSymbolUpper] = symbol;
+    }
+
+    /**
+     * getValue(ab, off, len)
+     *
+     * @param {Array.<number>} ab
+     * @param {number} off
+     * @param {number} len (1 to 4 bytes)
+     * @return {number}
+     */
+    static getValue(ab, off, len)
+    {
+        let v = 0;
+        for (let i = len - 1; i >= 0; i--) {
+            v = (v * 256) + (ab[off + i] || 0);
+        }
+        return v;
+    }
+
+    /**
+     * getString(ab, off, len)
+     *
+     * @param {Array.<number>} ab
+     * @param {number} off
+     * @param {number} len
+     * @return {string}
+     */
+    static getString(ab, off, len)
+    {
+        let s = "";
+        for (let i = 0; i < len && off + i < ab.length; i++) {
+            s += String.fromCharCode(ab[off + i]);
+        }
+        return s;
+    }
 }
 
+/*
+ * CodeView subsection types and symbol record types recognized by parseCodeView().
+ */
+FileInfo.CV = {
+    SST_PUBLIC_OLD: 0x102,
+    SST_PUBLIC:     0x123,
+    SST_GLOBALPUB:  0x12A,
+    SIGNATURE:      1,
+    S_PUB16:        0x0103,
+    S_PUB32:        0x0203,
+    S_PUB32_NEW:    0x1009
+};
+
 if (typeof module !== "undefined") module.exports = Disk;
@@ -161,6 +161,12 @@ class FPUx86 extends Component {
     {
         this.cpu = cpu;
         this.chipset = cmp.getMachineComponent("ChipSet");
+        /*
+         * An 80486 brings its own FPU, regardless of what (if anything) the machine configuration specified.
+         */
+        if (cpu.model >= X86.MODEL_80486 && this.model < X86.FPU.MODEL_80487) {
+            this.model = this.stepping = X86.FPU.MODEL_80487;
+        }
         this.setReady();
     }
 
@@ -406,13 +412,43 @@ class FPUx86 extends Component {
             this.regStatus |= X86.FPU.STATUS.ES;    // set ES whenever one or more unmasked EXC bits are set
         }
         if ((this.regStatus & X86.FPU.STATUS.ES) && !(this.regControl & X86.FPU.CONTROL.IEM)) {
-            this.chipset.setFPUInterrupt();
+            /*
+             * When an 80486 is in "native" error mode (CR0.NE), the exception is reported by checkMathFault()
+             * at the next waiting FPU instruction, instead of through the external interrupt.
+             */
+            if (!this.isNativeErrorMode()) this.chipset.setFPUInterrupt();
             return true;
         }
         this.chipset.clearFPUInterrupt();
         return false;
     }
 
+    /**
+     * isNativeErrorMode()
+     *
+     * @this {FPUx86}
+     * @return {boolean} true if unmasked exceptions should generate MF_FAULT instead of an external interrupt
+     */
+    isNativeErrorMode()
+    {
+        return this.isAtLeastModel(X86.FPU.MODEL_80487) && !!(this.cpu.regCR0 & X86.CR0.NE);
+    }
+
+    /**
+     * checkMathFault()
+     *
+     * Called before every waiting FPU instruction (including WAIT itself) to deliver any pending exception
+     * as an MF_FAULT when isNativeErrorMode() is true.
+     *
+     * @this {FPUx86}
+     */
+    checkMathFault()
+    {
+        if ((this.regStatus & X86.FPU.STATUS.ES) && this.isNativeErrorMode()) {
+            X86.helpFault.call(this.cpu, X86.EXCEPTION.MF_FAULT);
+        }
+    }
+
     /**
      * setException(n)
      *
@@ -1398,6 +1434,7 @@ class FPUx86 extends Component {
 
         let fnOp = FPUx86.aaOps[bOpcode][modReg];
         if (fnOp) {
+            if (FPUx86.afnNoWait.indexOf(fnOp) < 0) this.checkMathFault();
             /*
              * A handful of FPU instructions must preserve (at least some of) the "exception" registers,
              * so if the current function is NOT one of those, then update all the "exception" registers.
@@ -1452,6 +1489,7 @@ class FPUx86 extends Component {
      */
     opWAIT()
     {
+        this.checkMathFault();
         return false;
     }
 
@@ -3346,6 +3384,13 @@ FPUx86.afnPreserveExceptions = [
     FPUx86.FSAVE,   FPUx86.FSTCW,   FPUx86.FSTENV,  FPUx86.FSTSW,   FPUx86.FSTSWAX287
 ];
 
+/*
+ * These are the "non-waiting" control instructions (eg, FNINIT, FNCLEX), which never trigger checkMathFault().
+ */
+FPUx86.afnNoWait = [
+    FPUx86.FCLEX,   FPUx86.FINIT,   FPUx86.FSAVE,   FPUx86.FSTCW,   FPUx86.FSTENV,  FPUx86.FSTSW,   FPUx86.FSTSWAX287
+];
+
 /*
  * Initialize every FPU module on the page
  */
@@ -0,0 +1,848 @@
+/**
+ * @fileoverview Implements the PCx86 GDB stub
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+if (typeof module !== "undefined") {
+    var net         = require("net");
+    var Str         = require("../../shared/lib/strlib");
+    var Component   = require("../../shared/lib/component");
+    var Messages    = require("./messages");
+    var X86         = require("./x86");
+    var DebuggerX86 = require("./debugger");
+}
+
+/**
+ * GDBStub class
+ *
+ * Implements a GDB "Remote Serial Protocol" server, so that gdb (or any other RSP client) can debug a machine
+ * running under Node; eg:
+ *
+ *      (gdb) set architecture i8086
+ *      (gdb) target remote localhost:1234
+ *
+ * The stub is a thin layer over the Debugger: software and hardware breakpoints become "bp" breakpoints, write,
+ * read and access watchpoints become "bw" and/or "br" breakpoints, single-steps use the Debugger's stepCPU(), and
+ * continues use its startCPU(), so everything gdb does is also visible in (and can be mixed with) the Debugger's
+ * own commands.
+ *
+ * gdb has no notion of segments, so every address it sends is treated as a linear address, and the EIP register
+ * it receives is simply the CPU's IP (or EIP); the same is true of any other software that uses gdb's "i8086" or
+ * "i386" architectures.
+ *
+ * @class GDBStub
+ * @unrestricted (allows the class to define properties, both dot and named, outside of the constructor)
+ */
+class GDBStub extends Component {
+    /**
+     * GDBStub(parms)
+     *
+     * The GDBStub component has the following component-specific (parms) properties:
+     *
+     *      port: the TCP port to listen on (default is 1234)
+     *
+     *      host: the interface to listen on (default is "localhost")
+     *
+     * @this {GDBStub}
+     * @param {Object} parms
+     */
+    constructor(parms)
+    {
+        super("GDBStub", parms, Messages.GDB);
+
+        this.nPort = +parms['port'] || GDBStub.PORT;
+        this.sHost = parms['host'] || "localhost";
+
+        this.server = null;
+        this.socket = null;
+        this.sInput = "";
+        this.fNoAck = false;
+
+        /*
+         * fRunning is true while gdb is waiting for the CPU to stop (ie, after a "continue"), fInterrupt is set when
+         * gdb asks us to stop it, and aBreaks records every breakpoint we've added on gdb's behalf, as [type, addr, len]
+         * entries, so that we can remove them when gdb detaches.
+         */
+        this.fRunning = false;
+        this.fInterrupt = false;
+        this.sStopReply = "S05";
+        this.aBreaks = [];
+    }
+
+    /**
+     * initBus(cmp, bus, cpu, dbg)
+     *
+     * @this {GDBStub}
+     * @param {Computer} cmp
+     * @param {BusX86} bus
+     * @param {CPUx86} cpu
+     * @param {DebuggerX86} dbg
+     */
+    initBus(cmp, bus, cpu, dbg)
+    {
+        this.cmp = cmp;
+        this.bus = bus;
+        this.cpu = cpu;
+        this.dbg = dbg;
+        if (!dbg) {
+            Component.warning(this.id + ": no Debugger available");
+        }
+        else if (window || typeof net == "undefined") {
+            Component.warning(this.id + ": TCP server unavailable");
+        }
+        else {
+            this.listen();
+        }
+        this.setReady();
+    }
+
+    /**
+     * powerDown(fSave, fShutdown)
+     *
+     * @this {GDBStub}
+     * @param {boolean} [fSave]
+     * @param {boolean} [fShutdown]
+     * @return {Object|boolean} component state if fSave; otherwise, true if successful, false if failure
+     */
+    powerDown(fSave, fShutdown)
+    {
+        if (fShutdown) {
+            this.disconnect();
+            if (this.server) {
+                this.server.close();
+                this.server = null;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * stop(ms, nCycles)
+     *
+     * This is a notification handler, called by the Computer, to inform us the CPU has now stopped; if gdb is
+     * waiting for that (ie, it sent a continue packet), we tell it why.
+     *
+     * @this {GDBStub}
+     * @param {number} ms
+     * @param {number} nCycles
+     */
+    stop(ms, nCycles)
+    {
+        if (this.fRunning) {
+            this.fRunning = false;
+            this.sendPacket(this.sStopReply = this.getStopReply());
+        }
+    }
+
+    /**
+     * listen()
+     *
+     * @this {GDBStub}
+     */
+    listen()
+    {
+        let stub = this;
+        this.server = net.createServer(function onGDBConnect(socket) {
+            stub.connect(socket);
+        });
+        this.server.on('error', function onGDBServerError(err) {
+            Component.warning(stub.id + ": " + err.message);
+            stub.server = null;
+        });
+        this.server.listen(this.nPort, this.sHost, function onGDBListen() {
+            stub.println("GDB stub listening on " + stub.sHost + ':' + stub.nPort);
+        });
+    }
+
+    /**
+     * connect(socket)
+     *
+     * Only one gdb can be attached at a time; the CPU is stopped as soon as it attaches, as gdb expects.
+     *
+     * @this {GDBStub}
+     * @param {Object} socket
+     */
+    connect(socket)
+    {
+        if (this.socket) {
+            socket.destroy();
+            return;
+        }
+        let stub = this;
+        this.socket = socket;
+        this.sInput = "";
+        this.fNoAck = this.fRunning = this.fInterrupt = false;
+        this.sStopReply = "S05";
+        socket.setNoDelay(true);
+        socket.on('data', function onGDBData(data) {
+            stub.receiveData(data.toString("latin1"));
+        });
+        socket.on('error', function onGDBError(err) {
+            stub.printf("%s\n", err.message);
+        });
+        socket.on('close', function onGDBClose() {
+            if (stub.socket === socket) {
+                stub.socket = null;
+                stub.detach(false);
+                stub.println("GDB disconnected");
+            }
+        });
+        this.println("GDB connected from " + socket.remoteAddress);
+        if (this.cpu.isRunning()) this.dbg.stopCPU();
+    }
+
+    /**
+     * disconnect()
+     *
+     * @this {GDBStub}
+     */
+    disconnect()
+    {
+        if (this.socket) {
+            this.socket.destroy();
+            this.socket = null;
+        }
+        this.detach(false);
+    }
+
+    /**
+     * detach(fResume)
+     *
+     * Removes all of gdb's breakpoints, and optionally restarts the CPU.
+     *
+     * @this {GDBStub}
+     * @param {boolean} fResume
+     */
+    detach(fResume)
+    {
+        while (this.aBreaks.length) {
+            let a = this.aBreaks[0];
+            this.removeBreakpoint(a[0], a[1], a[2]);
+        }
+        this.fRunning = false;
+        if (fResume && this.dbg && !this.cpu.isRunning()) this.dbg.startCPU(false, true);
+    }
+
+    /**
+     * receiveData(s)
+     *
+     * Splits the incoming data into packets, acknowledging (or rejecting) each one, and handles the out-of-band
+     * interrupt character (Ctrl-C) that gdb sends to stop a running target.
+     *
+     * @this {GDBStub}
+     * @param {string} s
+     */
+    receiveData(s)
+    {
+        this.sInput += s;
+        while (this.sInput) {
+            let ch = this.sInput.charAt(0);
+            if (ch == '\x03') {
+                this.sInput = this.sInput.substr(1);
+                this.interrupt();
+                continue;
+            }
+            if (ch != '$') {
+                /*
+                 * Skip acknowledgements (we never retransmit) and any other noise between packets.
+                 */
+                let i = this.sInput.indexOf('$');
+                this.sInput = (i < 0? "" : this.sInput.substr(i));
+                continue;
+            }
+            let iHash = this.sInput.indexOf('#');
+            if (iHash < 0 || this.sInput.length < iHash + 3) break;
+            let sPacket = this.sInput.substring(1, iHash);
+            let nChecksum = parseInt(this.sInput.substr(iHash + 1, 2), 16);
+            this.sInput = this.sInput.substr(iHash + 3);
+            if (nChecksum != GDBStub.getChecksum(sPacket) && !this.fNoAck) {
+                this.socket.write('-');
+                continue;
+            }
+            if (!this.fNoAck) this.socket.write('+');
+            this.printf("received: %s\n", sPacket);
+            let sReply = this.doPacket(sPacket);
+            if (sReply != null) this.sendPacket(sReply);
+        }
+    }
+
+    /**
+     * sendPacket(s)
+     *
+     * @this {GDBStub}
+     * @param {string} s
+     */
+    sendPacket(s)
+    {
+        if (this.socket) {
+            s = s.replace(/[#$}*]/g, function(ch) {
+                return '}' + String.fromCharCode(ch.charCodeAt(0) ^ 0x20);
+            });
+            this.printf("sending: %s\n", s);
+            this.socket.write('$' + s + '#' + Str.toHex(GDBStub.getChecksum(s), 2).toLowerCase(), "latin1");
+        }
+    }
+
+    /**
+     * interrupt()
+     *
+     * @this {GDBStub}
+     */
+    interrupt()
+    {
+        if (this.cpu.isRunning()) {
+            this.fInterrupt = true;
+            this.dbg.stopCPU();
+        } else {
+            this.sendPacket(this.sStopReply = "S02");
+        }
+    }
+
+    /**
+     * doPacket(sPacket)
+     *
+     * @this {GDBStub}
+     * @param {string} sPacket
+     * @return {string|null} reply, or null if the reply will be sent later (ie, when the CPU stops)
+     */
+    doPacket(sPacket)
+    {
+        let match;
+        let sReply = "";
+        let sArgs = sPacket.substr(1);
+
+        switch(sPacket.charAt(0)) {
+        case '?':
+            sReply = this.sStopReply;
+            break;
+        case 'c':
+        case 's':
+            if (sArgs) this.cpu.setIP(parseInt(sArgs, 16));
+            if (this.cpu.isRunning()) this.dbg.stopCPU();
+            if (sPacket.charAt(0) == 's') {
+                this.dbg.stepCPU(0);
+                sReply = this.sStopReply = "S05";
+                break;
+            }
+            this.fInterrupt = false;
+            this.fRunning = true;
+            if (!this.dbg.startCPU(false, true)) {
+                this.fRunning = false;
+                sReply = "E01";
+                break;
+            }
+            sReply = null;
+            break;
+        case 'D':
+            this.detach(true);
+            sReply = "OK";
+            break;
+        case 'g':
+            for (let iReg = 0; iReg < GDBStub.REGS.length; iReg++) {
+                sReply += this.getReg(iReg);
+            }
+            break;
+        case 'G':
+            sReply = "OK";
+            for (let iReg = 0, off = 0; iReg < GDBStub.REGS.length && off < sArgs.length; iReg++) {
+                let cch = GDBStub.REGS[iReg][1] >> 2;
+                this.setReg(iReg, sArgs.substr(off, cch));
+                off += cch;
+            }
+            break;
+        case 'p':
+            sReply = this.getReg(parseInt(sArgs, 16)) || "E01";
+            break;
+        case 'P':
+            match = sArgs.match(/^([0-9a-f]+)=([0-9a-f]+)$/i);
+            sReply = (match && this.setReg(parseInt(match[1], 16), match[2])? "OK" : "E01");
+            break;
+        case 'm':
+            match = sArgs.match(/^([0-9a-f]+),([0-9a-f]+)$/i);
+            sReply = match? this.readMemory(parseInt(match[1], 16), parseInt(match[2], 16)) : "E01";
+            break;
+        case 'M':
+            match = sArgs.match(/^([0-9a-f]+),([0-9a-f]+):([0-9a-f]*)$/i);
+            sReply = match? this.writeMemory(parseInt(match[1], 16), parseInt(match[2], 16), match[3]) : "E01";
+            break;
+        case 'Z':
+        case 'z':
+            match = sArgs.match(/^([0-4]),([0-9a-f]+),([0-9a-f]+)/i);
+            if (match) {
+                let type = +match[1], addr = parseInt(match[2], 16), len = parseInt(match[3], 16);
+                if (sPacket.charAt(0) == 'Z') {
+                    sReply = this.addBreakpoint(type, addr, len)? "OK" : "E01";
+                } else {
+                    this.removeBreakpoint(type, addr, len);
+                    sReply = "OK";
+                }
+            }
+            break;
+        case 'H':
+            sReply = "OK";
+            break;
+        case 'k':
+            this.disconnect();
+            sReply = null;
+            break;
+        case 'q':
+            sReply = this.doQuery(sArgs);
+            break;
+        case 'Q':
+            if (sArgs == "StartNoAckMode") {
+                this.sendPacket("OK");
+                this.fNoAck = true;
+                sReply = null;
+            }
+            break;
+        default:
+            break;
+        }
+        return sReply;
+    }
+
+    /**
+     * doQuery(sQuery)
+     *
+     * @this {GDBStub}
+     * @param {string} sQuery (the packet without its leading 'q')
+     * @return {string}
+     */
+    doQuery(sQuery)
+    {
+        let match;
+        let sReply = "";
+        if (!sQuery.indexOf("Supported")) {
+            sReply = "PacketSize=" + GDBStub.PACKET_SIZE.toString(16) + ";qXfer:features:read+;swbreak+;hwbreak+;QStartNoAckMode+";
+        }
+        else if ((match = sQuery.match(/^Xfer:features:read:([^:]*):([0-9a-f]+),([0-9a-f]+)$/i))) {
+            if (match[1] != "target.xml") {
+                sReply = "E00";
+            } else {
+                let sXML = this.getTargetXML();
+                let off = parseInt(match[2], 16), len = parseInt(match[3], 16);
+                sReply = (off + len < sXML.length? 'm' : 'l') + sXML.substr(off, len);
+            }
+        }
+        else if (sQuery == "Attached") {
+            sReply = "1";
+        }
+        else if (sQuery == "C") {
+            sReply = "QC1";
+        }
+        else if (sQuery == "fThreadInfo") {
+            sReply = "m1";
+        }
+        else if (sQuery == "sThreadInfo") {
+            sReply = "l";
+        }
+        return sReply;
+    }
+
+    /**
+     * getStopReply()
+     *
+     * @this {GDBStub}
+     * @return {string}
+     */
+    getStopReply()
+    {
+        if (this.fInterrupt) {
+            this.fInterrupt = false;
+            return "S02";
+        }
+        let aBreakHit = this.dbg.aBreakHit;
+        if (aBreakHit) {
+            let addr = aBreakHit[1];
+            for (let i = 0; i < this.aBreaks.length; i++) {
+                let a = this.aBreaks[i];
+                if (addr < a[1] || addr >= a[1] + a[2]) continue;
+                let sHex = (a[1] >>> 0).toString(16);
+                switch(a[0]) {
+                case GDBStub.BREAK.SW:
+                    return "T05swbreak:;";
+                case GDBStub.BREAK.HW:
+                    return "T05hwbreak:;";
+                case GDBStub.BREAK.WRITE:
+                    if (aBreakHit[0] == this.dbg.aBreakWrite) return "T05watch:" + sHex + ';';
+                    break;
+                case GDBStub.BREAK.READ:
+                    if (aBreakHit[0] == this.dbg.aBreakRead) return "T05rwatch:" + sHex + ';';
+                    break;
+                case GDBStub.BREAK.ACCESS:
+                    if (aBreakHit[0] != this.dbg.aBreakExec) return "T05awatch:" + sHex + ';';
+                    break;
+                }
+            }
+        }
+        return "S05";
+    }
+
+    /**
+     * getTargetXML()
+     *
+     * @this {GDBStub}
+     * @return {string}
+     */
+    getTargetXML()
+    {
+        let sXML = '<?xml version="1.0"?>\n<!DOCTYPE target SYSTEM "gdb-target.dtd">\n<target version="1.0">\n';
+        sXML += "<architecture>" + (this.cpu.model >= X86.MODEL_80386? "i386" : "i8086") + "</architecture>\n";
+        sXML += '<feature name="org.gnu.gdb.i386.core">\n';
+        for (let iReg = 0; iReg < GDBStub.REGS.length; iReg++) {
+            let aReg = GDBStub.REGS[iReg];
+            sXML += '<reg name="' + aReg[0] + '" bitsize="' + aReg[1] + '" type="' + aReg[2] + '" regnum="' + iReg + '"' + (iReg >= GDBStub.REG_ST0? ' group="float"' : '') + '/>\n';
+        }
+        return sXML + "</feature>\n</target>\n";
+    }
+
+    /**
+     * getReg(iReg)
+     *
+     * @this {GDBStub}
+     * @param {number} iReg
+     * @return {string} register value, in target (little-endian) byte order, or empty string if no such register
+     */
+    getReg(iReg)
+    {
+        let v = 0;
+        let cpu = this.cpu;
+        let fpu = cpu.fpuActive;
+        let aReg = GDBStub.REGS[iReg];
+        if (!aReg) return "";
+
+        switch(iReg) {
+        case 0:
+            v = cpu.regEAX;
+            break;
+        case 1:
+            v = cpu.regECX;
+            break;
+        case 2:
+            v = cpu.regEDX;
+            break;
+        case 3:
+            v = cpu.regEBX;
+            break;
+        case 4:
+            v = cpu.getSP();
+            break;
+        case 5:
+            v = cpu.regEBP;
+            break;
+        case 6:
+            v = cpu.regESI;
+            break;
+        case 7:
+            v = cpu.regEDI;
+            break;
+        case 8:
+            v = cpu.getIP();
+            break;
+        case 9:
+            v = cpu.getPS();
+            break;
+        case 10:
+            v = cpu.getCS();
+            break;
+        case 11:
+            v = cpu.getSS();
+            break;
+        case 12:
+            v = cpu.getDS();
+            break;
+        case 13:
+            v = cpu.getES();
+            break;
+        case 14:
+            if (cpu.model >= X86.MODEL_80386) v = cpu.getFS();
+            break;
+        case 15:
+            if (cpu.model >= X86.MODEL_80386) v = cpu.getGS();
+            break;
+        default:
+            if (fpu) {
+                if (iReg < GDBStub.REG_FCTRL) {
+                    /*
+                     * getTR() returns ST(i) in "temp-real" form: the 64-bit significand in the first two elements,
+                     * followed by the sign and exponent.
+                     */
+                    let a = fpu.getTR(iReg - GDBStub.REG_ST0, true);
+                    return GDBStub.toHexLE(a[0], 4) + GDBStub.toHexLE(a[1], 4) + GDBStub.toHexLE(a[2], 2);
+                }
+                v = [fpu.getControl(), fpu.getStatus(), fpu.getTags(), fpu.regCodeSel, fpu.regCodeOff, fpu.regDataSel, fpu.regDataOff, fpu.regOpcode][iReg - GDBStub.REG_FCTRL];
+                if (v < 0) v = 0;
+            }
+            break;
+        }
+        return GDBStub.toHexLE(v, aReg[1] >> 3);
+    }
+
+    /**
+     * setReg(iReg, sValue)
+     *
+     * Only the CPU registers can be modified; writes to the FPU registers are ignored.
+     *
+     * @this {GDBStub}
+     * @param {number} iReg
+     * @param {string} sValue (in target byte order)
+     * @return {boolean} true if register exists, false if not
+     */
+    setReg(iReg, sValue)
+    {
+        let cpu = this.cpu;
+        let aReg = GDBStub.REGS[iReg];
+        if (!aReg || iReg >= GDBStub.REG_ST0) return !!aReg;
+
+        let v = 0;
+        for (let i = Math.min(sValue.length, 8) - 2; i >= 0; i -= 2) {
+            v = (v << 8) | parseInt(sValue.substr(i, 2), 16);
+        }
+        if (cpu.model < X86.MODEL_80386) v &= 0xffff;
+
+        /*
+         * Segment registers are reloaded only if they've changed, because (as the Debugger's "r" command warns)
+         * loading a segment register can fault if you're not careful.
+         */
+        switch(iReg) {
+        case 0:
+            cpu.regEAX = v;
+            break;
+        case 1:
+            cpu.regECX = v;
+            break;
+        case 2:
+            cpu.regEDX = v;
+            break;
+        case 3:
+            cpu.regEBX = v;
+            break;
+        case 4:
+            cpu.setSP(v);
+            break;
+        case 5:
+            cpu.regEBP = v;
+            break;
+        case 6:
+            cpu.regESI = v;
+            break;
+        case 7:
+            cpu.regEDI = v;
+            break;
+        case 8:
+            if (v != cpu.getIP()) cpu.setIP(v);
+            break;
+        case 9:
+            if (v != cpu.getPS()) cpu.setPS(v);
+            break;
+        case 10:
+            if (v != cpu.getCS()) cpu.setCS(v);
+            break;
+        case 11:
+            if (v != cpu.getSS()) cpu.setSS(v);
+            break;
+        case 12:
+            if (v != cpu.getDS()) cpu.setDS(v);
+            break;
+        case 13:
+            if (v != cpu.getES()) cpu.setES(v);
+            break;
+        case 14:
+            if (cpu.model >= X86.MODEL_80386 && v != cpu.getFS()) cpu.setFS(v);
+            break;
+        case 15:
+            if (cpu.model >= X86.MODEL_80386 && v != cpu.getGS()) cpu.setGS(v);
+            break;
+        }
+        this.dbg.dbgAddrNextCode = this.dbg.newAddr(cpu.getIP(), cpu.getCS());
+        return true;
+    }
+
+    /**
+     * readMemory(addr, len)
+     *
+     * @this {GDBStub}
+     * @param {number} addr (linear)
+     * @param {number} len
+     * @return {string}
+     */
+    readMemory(addr, len)
+    {
+        let s = "";
+        let dbgAddr = this.dbg.newAddr(0, undefined, addr, DebuggerX86.ADDRTYPE.LINEAR);
+        len = Math.min(len, GDBStub.PACKET_SIZE >> 1);
+        while (len--) {
+            s += Str.toHex(this.dbg.getByte(dbgAddr, 1), 2).toLowerCase();
+        }
+        return s;
+    }
+
+    /**
+     * writeMemory(addr, len, sData)
+     *
+     * @this {GDBStub}
+     * @param {number} addr (linear)
+     * @param {number} len
+     * @param {string} sData
+     * @return {string}
+     */
+    writeMemory(addr, len, sData)
+    {
+        if (sData.length != len * 2) return "E01";
+        let dbgAddr = this.dbg.newAddr(0, undefined, addr, DebuggerX86.ADDRTYPE.LINEAR);
+        for (let i = 0; i < len; i++) {
+            this.dbg.setByte(dbgAddr, parseInt(sData.substr(i * 2, 2), 16), 1, true);
+        }
+        this.cpu.updateCPU(true);
+        return "OK";
+    }
+
+    /**
+     * addBreakpoint(type, addr, len)
+     *
+     * @this {GDBStub}
+     * @param {number} type (see GDBStub.BREAK)
+     * @param {number} addr (linear)
+     * @param {number} len
+     * @return {boolean}
+     */
+    addBreakpoint(type, addr, len)
+    {
+        let dbg = this.dbg;
+        let aaBreaks = this.getBreakLists(type);
+        if (type <= GDBStub.BREAK.HW) {
+            len = 1;
+        } else if (!len || len > GDBStub.MAX_WATCH) {
+            return false;
+        }
+        for (let i = 0; i < aaBreaks.length; i++) {
+            for (let off = 0; off < len; off++) {
+                if (!dbg.addBreakpoint(aaBreaks[i], dbg.newAddr(0, undefined, addr + off, DebuggerX86.ADDRTYPE.LINEAR), false, true)) {
+                    this.removeBreakpoint(type, addr, len);
+                    return false;
+                }
+            }
+        }
+        this.aBreaks.push([type, addr, len]);
+        return true;
+    }
+
+    /**
+     * removeBreakpoint(type, addr, len)
+     *
+     * @this {GDBStub}
+     * @param {number} type (see GDBStub.BREAK)
+     * @param {number} addr (linear)
+     * @param {number} len
+     */
+    removeBreakpoint(type, addr, len)
+    {
+        let dbg = this.dbg;
+        let aaBreaks = this.getBreakLists(type);
+        if (type <= GDBStub.BREAK.HW) len = 1;
+        for (let i = 0; i < aaBreaks.length; i++) {
+            for (let off = 0; off < len; off++) {
+                dbg.findBreakpoint(aaBreaks[i], dbg.newAddr(0, undefined, addr + off, DebuggerX86.ADDRTYPE.LINEAR), true, false, true);
+            }
+        }
+        for (let i = 0; i < this.aBreaks.length; i++) {
+            let a = this.aBreaks[i];
+            if (a[0] == type && a[1] == addr) {
+                this.aBreaks.splice(i, 1);
+                break;
+            }
+        }
+    }
+
+    /**
+     * getBreakLists(type)
+     *
+     * @this {GDBStub}
+     * @param {number} type (see GDBStub.BREAK)
+     * @return {Array.<Array>} the Debugger breakpoint list(s) corresponding to the gdb breakpoint type
+     */
+    getBreakLists(type)
+    {
+        switch(type) {
+        case GDBStub.BREAK.WRITE:
+            return [this.dbg.aBreakWrite];
+        case GDBStub.BREAK.READ:
+            return [this.dbg.aBreakRead];
+        case GDBStub.BREAK.ACCESS:
+            return [this.dbg.aBreakRead, this.dbg.aBreakWrite];
+        default:
+            return [this.dbg.aBreakExec];
+        }
+    }
+
+    /**
+     * getChecksum(s)
+     *
+     * @param {string} s
+     * @return {number}
+     */
+    static getChecksum(s)
+    {
+        let n = 0;
+        for (let i = 0; i < s.length; i++) n += s.charCodeAt(i);
+        return n & 0xff;
+    }
+
+    /**
+     * toHexLE(v, cb)
+     *
+     * @param {number} v
+     * @param {number} cb (number of bytes)
+     * @return {string}
+     */
+    static toHexLE(v, cb)
+    {
+        let s = "";
+        while (cb--) {
+            s += Str.toHex(v & 0xff, 2).toLowerCase();
+            v >>>= 8;
+        }
+        return s;
+    }
+}
+
+GDBStub.PORT = 1234;
+GDBStub.PACKET_SIZE = 0x4000;
+GDBStub.MAX_WATCH = 16;
+
+/*
+ * Breakpoint types used by Z and z packets
+ */
+GDBStub.BREAK = {
+    SW:         0,
+    HW:         1,
+    WRITE:      2,
+    READ:       3,
+    ACCESS:     4
+};
+
+/*
+ * Registers in the order (and with the names) that gdb's "org.gnu.gdb.i386.core" feature requires; each entry
+ * contains the name, size in bits, and type.
+ */
+GDBStub.REGS = [
+    ["eax", 32, "int32"], ["ecx", 32, "int32"], ["edx", 32, "int32"], ["ebx", 32, "int32"],
+    ["esp", 32, "data_ptr"], ["ebp", 32, "data_ptr"], ["esi", 32, "int32"], ["edi", 32, "int32"],
+    ["eip", 32, "code_ptr"], ["eflags", 32, "int32"],
+    ["cs", 32, "int32"], ["ss", 32, "int32"], ["ds", 32, "int32"], ["es", 32, "int32"], ["fs", 32, "int32"], ["gs", 32, "int32"],
+    ["st0", 80, "i387_ext"], ["st1", 80, "i387_ext"], ["st2", 80, "i387_ext"], ["st3", 80, "i387_ext"],
+    ["st4", 80, "i387_ext"], ["st5", 80, "i387_ext"], ["st6", 80, "i387_ext"], ["st7", 80, "i387_ext"],
+    ["fctrl", 32, "int"], ["fstat", 32, "int"], ["ftag", 32, "int"], ["fiseg", 32, "int"],
+    ["fioff", 32, "int"], ["foseg", 32, "int"], ["fooff", 32, "int"], ["fop", 32, "int"]
+];
+
+GDBStub.REG_ST0   = 16;
+GDBStub.REG_FCTRL = 24;
+
+if (typeof module !== "undefined") module.exports = GDBStub;
@@ -194,7 +194,8 @@ if (DEBUGGER) {
         0x0B: "set palette (id=@BH,color=@BL)",
         0x0C: "write dot (row=@DX,col=@CX)",
         0x0D: "read dot (row=@DX,col=@CX)",
-        0x0E: "write tty (@AL)"
+        0x0E: "write tty (@AL)",
+        0x4F: "VBE function @AL"
     };
 
     Interrupts.FUNCS[Interrupts.DISK] = {
@@ -53,6 +53,12 @@ var Messages = {
     DOS:        0x000100000000,
     EVENT:      0x000200000000,
     KEY:        0x000400000000,
+    ADLIB:      0x000800000000,
+    SB:         0x001000000000,
+    NET:        0x002000000000,
+    PRINTER:    0x004000000000,
+    MODEM:      0x008000000000,
+    GDB:        0x010000000000,
     WARN:       0x100000000000,
     HALT:       0x200000000000,
     BUFFER:     0x400000000000,
@@ -108,6 +114,12 @@ Messages.CATEGORIES = {
     "data":     Messages.DATA,
     "event":    Messages.EVENT,
     "key":      Messages.KEY,
+    "adlib":    Messages.ADLIB,
+    "sb":       Messages.SB,
+    "net":      Messages.NET,
+    "printer":  Messages.PRINTER,
+    "modem":    Messages.MODEM,
+    "gdb":      Messages.GDB,
     "warn":     Messages.WARN,
     /*
      * Now we turn to message actions rather than message types; for example, setting "halt"
@@ -0,0 +1,1061 @@
+/**
+ * @fileoverview Implements the PCx86 Modem component
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+if (typeof module !== "undefined") {
+    var net         = require("net");
+    var Str         = require("../../shared/lib/strlib");
+    var Web         = require("../../shared/lib/weblib");
+    var Component   = require("../../shared/lib/component");
+    var State       = require("../../shared/lib/state");
+    var PCx86       = require("./defines");
+    var Messages    = require("./messages");
+}
+
+/**
+ * Modem class
+ *
+ * Emulates an external Hayes Smartmodem 2400 (or compatible) attached to a SerialPort.  In command mode, the modem
+ * interprets the AT command set, maintains the usual S-registers, and reports result codes; once connected, it passes
+ * data between the SerialPort and the other end of the "line", until it detects the "+++" escape sequence (surrounded
+ * by the S12 guard time), loses carrier, or the host drops DTR (see &D).
+ *
+ * Dialing (eg, ATDT5551212) connects to one of the following:
+ *
+ *      1) another Modem on the same page (or in the same Node process) whose 'number' matches the digits dialed;
+ *         that modem rings (raising RI and reporting RING) until its host answers (ATA), or it auto-answers (S0)
+ *
+ *      2) (Node only) a TCP endpoint, either by dialing "host:port" directly (eg, ATDT localhost:2323), or by dialing
+ *         a number listed in the 'directory' parameter; the connection is treated as a telnet session, so that most
+ *         BBS telnet servers work as expected (option negotiations are stripped, and mostly refused)
+ *
+ * If nothing answers, the dialing modem reports NO CARRIER after S7 seconds.
+ *
+ * @class Modem
+ * @unrestricted (allows the class to define properties, both dot and named, outside of the constructor)
+ */
+class Modem extends Component {
+    /**
+     * Modem(parms)
+     *
+     * The Modem component has the following component-specific (parms) properties:
+     *
+     *      serial: the ID of the SerialPort component the modem is attached to (eg, "com2")
+     *
+     *      number: the modem's own phone number, for other modems to dial (optional)
+     *
+     *      baud: the connection rate reported in CONNECT results (default is 2400)
+     *
+     *      directory: (Node only) a comma-separated list of "number=host:port" entries, for dialing TCP endpoints
+     *      with software that only allows digits in phone numbers (eg, "5551212=localhost:2323")
+     *
+     *      telnet: false to exchange raw data with TCP endpoints, without any telnet processing (default is true)
+     *
+     * @this {Modem}
+     * @param {Object} parms
+     */
+    constructor(parms)
+    {
+        super("Modem", parms, Messages.MODEM);
+
+        this.idSerial = parms['serial'];
+        this.sNumber = Modem.getDigits(parms['number'] || "");
+        this.nBaud = parms['baud'] || Modem.BAUD;
+        this.fTelnet = (parms['telnet'] !== false);
+
+        this.directory = {};
+        let sDirectory = (!window && typeof net != "undefined" && parms['directory']) || "";
+        let asEntries = sDirectory.split(',');
+        for (let i = 0; i < asEntries.length; i++) {
+            let asParts = asEntries[i].split('=');
+            if (asParts.length == 2) this.directory[Modem.getDigits(asParts[0])] = Str.trim(asParts[1]);
+        }
+
+        if (this.sNumber) {
+            if (Modem.directory[this.sNumber]) {
+                this.notice("Phone number " + this.sNumber + " already in use");
+            } else {
+                Modem.directory[this.sNumber] = this;
+            }
+        }
+
+        this.serial = null;
+        this.pinsDTE = 0;
+
+        /*
+         * line is the object we exchange data with once connected (a ModemLink or ModemSocket), and modemCaller
+         * is the Modem (if any) that's currently ringing us.
+         */
+        this.line = null;
+        this.modemCaller = null;
+        this.fDialing = this.fOnline = false;
+        this.sCommand = this.sCommandPrev = "";
+        this.nEscapes = 0;
+        this.nCyclesLast = 0;
+    }
+
+    /**
+     * initBus(cmp, bus, cpu, dbg)
+     *
+     * @this {Modem}
+     * @param {Computer} cmp
+     * @param {BusX86} bus
+     * @param {CPUx86} cpu
+     * @param {DebuggerX86} dbg
+     */
+    initBus(cmp, bus, cpu, dbg)
+    {
+        this.cmp = cmp;
+        this.cpu = cpu;
+        this.dbg = dbg;
+        this.timerEscape = cpu.addTimer(this.id + ".escape", this.checkEscape.bind(this));
+        this.timerRing = cpu.addTimer(this.id + ".ring", this.ring.bind(this));
+        this.timerDial = cpu.addTimer(this.id + ".dial", this.dialTimeout.bind(this));
+        this.setReady();
+    }
+
+    /**
+     * powerUp(data, fRepower)
+     *
+     * @this {Modem}
+     * @param {Object|null} data
+     * @param {boolean} [fRepower]
+     * @return {boolean} true if successful, false if failure
+     */
+    powerUp(data, fRepower)
+    {
+        if (!fRepower) {
+            if (!data || !this.restore) {
+                this.reset();
+            } else {
+                if (!this.restore(data)) return false;
+            }
+            if (!this.serial) {
+                let serial = null;
+                while ((serial = this.cmp.getMachineComponent("SerialPort", serial))) {
+                    if (serial.bindModem && serial.bindModem(this.idSerial, this, this.receiveData, this.receiveStatus)) {
+                        this.serial = serial;
+                        break;
+                    }
+                }
+                if (!this.serial) {
+                    Component.warning(this.id + ": serial port " + this.idSerial + " unavailable");
+                }
+            }
+            this.updateStatus();
+        }
+        return true;
+    }
+
+    /**
+     * powerDown(fSave, fShutdown)
+     *
+     * @this {Modem}
+     * @param {boolean} [fSave]
+     * @param {boolean} [fShutdown]
+     * @return {Object|boolean} component state if fSave; otherwise, true if successful, false if failure
+     */
+    powerDown(fSave, fShutdown)
+    {
+        let data = fSave? this.save() : true;
+        if (fShutdown) this.hangup();
+        return data;
+    }
+
+    /**
+     * reset()
+     *
+     * @this {Modem}
+     */
+    reset()
+    {
+        this.initState();
+        this.hangup();
+    }
+
+    /**
+     * save()
+     *
+     * This implements save support for the Modem component.  Only the modem's settings are saved; any connection
+     * is dropped when the machine is restored.
+     *
+     * @this {Modem}
+     * @return {Object}
+     */
+    save()
+    {
+        let state = new State(this);
+        state.set(0, [this.fEcho, this.fQuiet, this.fVerbose, this.nResults, this.nDCD, this.nDTR, this.aRegs]);
+        return state.data();
+    }
+
+    /**
+     * restore(data)
+     *
+     * This implements restore support for the Modem component.
+     *
+     * @this {Modem}
+     * @param {Object} data
+     * @return {boolean} true if successful, false if failure
+     */
+    restore(data)
+    {
+        return this.initState(data[0]);
+    }
+
+    /**
+     * initState(data)
+     *
+     * @this {Modem}
+     * @param {Array} [data]
+     * @return {boolean} true if successful, false if failure
+     */
+    initState(data)
+    {
+        if (!data) {
+            data = [true, false, true, 4, 1, 0, Modem.SREG_DEFAULTS.slice()];
+        }
+        let i = 0;
+        this.fEcho = data[i++];
+        this.fQuiet = data[i++];
+        this.fVerbose = data[i++];
+        this.nResults = data[i++];
+        this.nDCD = data[i++];
+        this.nDTR = data[i++];
+        this.aRegs = data[i].slice();
+        this.sCommand = "";
+        this.nEscapes = 0;
+        return true;
+    }
+
+    /**
+     * receiveData(b)
+     *
+     * Called by the SerialPort for every byte it transmits.
+     *
+     * @this {Modem}
+     * @param {number} b
+     * @return {boolean} true if received
+     */
+    receiveData(b)
+    {
+        if (this.fOnline) {
+            /*
+             * The escape sequence is three S2 characters, preceded and followed by at least S12 fiftieths of a second
+             * of silence; the escape characters are also passed along, just as a real modem would.
+             */
+            let nCycles = this.cpu.getCycles();
+            if (b == this.aRegs[Modem.SREG.ESCAPE] && this.nEscapes < 3 &&
+               (this.nEscapes || nCycles - this.nCyclesLast >= this.getGuardCycles())) {
+                if (++this.nEscapes == 3) this.cpu.setTimer(this.timerEscape, this.aRegs[Modem.SREG.GUARD_TIME] * 20, true);
+            } else {
+                this.nEscapes = 0;
+                this.cpu.clearTimer(this.timerEscape);
+            }
+            this.nCyclesLast = nCycles;
+            if (this.line) this.line.transmit(b);
+            return true;
+        }
+        if (this.fDialing) {
+            /*
+             * Any character typed while dialing aborts the call.
+             */
+            this.hangup();
+            this.sendResult(Modem.RESULT.NO_CARRIER);
+            return true;
+        }
+        if (this.fEcho) this.serial.receiveData(b);
+        if (b == this.aRegs[Modem.SREG.CR]) {
+            this.doCommandLine(this.sCommand);
+            this.sCommand = "";
+        }
+        else if (b == this.aRegs[Modem.SREG.BS]) {
+            if (this.sCommand.length > 2) this.sCommand = this.sCommand.slice(0, -1);
+        }
+        else if (b >= 0x20 && b < 0x7F) {
+            let ch = String.fromCharCode(b).toUpperCase();
+            /*
+             * Nothing is recorded until an "AT" prefix arrives, and "A/" immediately repeats the previous command line.
+             */
+            if (this.sCommand.length < 2) {
+                this.sCommand += ch;
+                if (this.sCommand == "A/") {
+                    this.sCommand = "";
+                    if (this.fEcho) this.serial.receiveData(this.aRegs[Modem.SREG.CR]);
+                    this.doCommandLine(this.sCommandPrev);
+                }
+                else if (this.sCommand != "A" && this.sCommand != "AT") {
+                    this.sCommand = (ch == "A"? ch : "");
+                }
+            }
+            else if (this.sCommand.length < Modem.MAX_COMMAND) {
+                this.sCommand += ch;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * receiveStatus(pins)
+     *
+     * Called by the SerialPort whenever its DTR or RTS signals change.
+     *
+     * @this {Modem}
+     * @param {number} pins
+     */
+    receiveStatus(pins)
+    {
+        let fDTRDropped = (this.pinsDTE & RS232.DTR.MASK) && !(pins & RS232.DTR.MASK);
+        this.pinsDTE = pins;
+        if (fDTRDropped) {
+            switch(this.nDTR) {
+            case 1:
+                if (this.fOnline) {
+                    this.fOnline = false;
+                    this.sendResult(Modem.RESULT.OK);
+                }
+                break;
+            case 2:
+                if (this.line || this.fDialing) {
+                    this.hangup();
+                    this.sendResult(Modem.RESULT.NO_CARRIER);
+                }
+                break;
+            case 3:
+                this.reset();
+                break;
+            default:
+                break;
+            }
+        }
+    }
+
+    /**
+     * updateStatus(fRing)
+     *
+     * Updates the SerialPort's view of our CTS, DSR, CD and RI signals.
+     *
+     * @this {Modem}
+     * @param {boolean} [fRing]
+     */
+    updateStatus(fRing)
+    {
+        if (this.serial) {
+            let pins = RS232.CTS.MASK | RS232.DSR.MASK;
+            if (!this.nDCD || this.line && !this.fDialing) pins |= RS232.CD.MASK;
+            if (fRing) pins |= RS232.RI.MASK;
+            this.serial.receiveStatus(pins);
+        }
+    }
+
+    /**
+     * sendResult(nResult)
+     *
+     * @this {Modem}
+     * @param {number} nResult (one of Modem.RESULT)
+     */
+    sendResult(nResult)
+    {
+        if (this.fQuiet) return;
+        let sCR = String.fromCharCode(this.aRegs[Modem.SREG.CR]);
+        let sLF = String.fromCharCode(this.aRegs[Modem.SREG.LF]);
+        let s;
+        if (nResult == Modem.RESULT.CONNECT && this.nResults) {
+            nResult = Modem.CONNECT_RESULTS[this.nBaud] || nResult;
+        }
+        if (this.fVerbose) {
+            s = Modem.RESULT_STRINGS[nResult];
+            if (s === undefined) s = "CONNECT " + this.nBaud;
+            s = sCR + sLF + s + sCR + sLF;
+        } else {
+            s = nResult + sCR;
+        }
+        this.printf("result: %s\n", nResult);
+        this.serial.receiveData(s);
+    }
+
+    /**
+     * sendInfo(s)
+     *
+     * Sends an informational line (eg, the response to ATI or ATS0?) to the host.
+     *
+     * @this {Modem}
+     * @param {string} s
+     */
+    sendInfo(s)
+    {
+        let sCRLF = String.fromCharCode(this.aRegs[Modem.SREG.CR], this.aRegs[Modem.SREG.LF]);
+        this.serial.receiveData(sCRLF + s + sCRLF);
+    }
+
+    /**
+     * doCommandLine(sLine)
+     *
+     * Processes an entire command line (including the "AT" prefix) and reports the final result; the D, A and O
+     * commands end processing of the line, because the final result isn't known until later.
+     *
+     * @this {Modem}
+     * @param {string} sLine
+     */
+    doCommandLine(sLine)
+    {
+        if (sLine.indexOf("AT") != 0) return;
+        this.sCommandPrev = sLine;
+        this.printf("command: %s\n", sLine);
+
+        let s = sLine.substr(2).replace(/ /g, "");
+        let i = 0, nResult = Modem.RESULT.OK;
+
+        let getNumber = function() {
+            let n = 0, iStart = i;
+            while (i < s.length && s[i] >= '0' && s[i] <= '9') n = n * 10 + (s.charCodeAt(i++) - 0x30);
+            return (i > iStart)? n : -1;
+        };
+
+        while (i < s.length && nResult == Modem.RESULT.OK) {
+            let ch = s[i++], n;
+            if (ch == '&') {
+                ch = s[i++];
+                n = getNumber();
+                switch(ch) {
+                case 'C':
+                    if (n > 1) { nResult = Modem.RESULT.ERROR; break; }
+                    this.nDCD = Math.max(n, 0);
+                    this.updateStatus();
+                    break;
+                case 'D':
+                    if (n > 3) { nResult = Modem.RESULT.ERROR; break; }
+                    this.nDTR = Math.max(n, 0);
+                    break;
+                case 'F':
+                    this.initState();
+                    this.updateStatus();
+                    break;
+                case 'V':
+                    this.showSettings();
+                    break;
+                case 'K':                       // flow control
+                case 'Q':                       // synchronous/asynchronous mode
+                case 'S':                       // DSR override
+                case 'W':                       // store active profile (we have no NVRAM, so this is a no-op)
+                case 'Y':                       // select stored profile
+                    break;
+                default:
+                    nResult = Modem.RESULT.ERROR;
+                    break;
+                }
+                continue;
+            }
+            switch(ch) {
+            case 'A':
+                this.answer();
+                return;
+            case 'D':
+                this.dial(s.substr(i));
+                return;
+            case 'O':
+                getNumber();
+                if (this.line && !this.fDialing) {
+                    this.fOnline = true;
+                    this.nEscapes = 0;
+                    this.sendResult(Modem.RESULT.CONNECT);
+                } else {
+                    this.sendResult(Modem.RESULT.NO_CARRIER);
+                }
+                return;
+            case 'E':
+                this.fEcho = (getNumber() > 0);
+                break;
+            case 'H':
+                if (getNumber() <= 0) this.hangup();
+                break;
+            case 'I':
+                n = Math.max(getNumber(), 0);
+                if (n >= Modem.INFO.length) { nResult = Modem.RESULT.ERROR; break; }
+                this.sendInfo(Modem.INFO[n]);
+                break;
+            case 'Q':
+                this.fQuiet = (getNumber() > 0);
+                break;
+            case 'V':
+                this.fVerbose = (getNumber() > 0);
+                break;
+            case 'X':
+                n = getNumber();
+                if (n > 4) { nResult = Modem.RESULT.ERROR; break; }
+                this.nResults = Math.max(n, 0);
+                break;
+            case 'Z':
+                getNumber();
+                this.hangup();
+                this.initState();
+                this.updateStatus();
+                break;
+            case 'S':
+                n = getNumber();
+                if (n < 0 || n >= this.aRegs.length) { nResult = Modem.RESULT.ERROR; break; }
+                if (s[i] == '=') {
+                    i++;
+                    let v = getNumber();
+                    if (v < 0 || v > 255) { nResult = Modem.RESULT.ERROR; break; }
+                    if (n != Modem.SREG.RINGS) this.aRegs[n] = v;
+                } else if (s[i] == '?') {
+                    i++;
+                    this.sendInfo(Str.sprintf("%03d", this.aRegs[n]));
+                }
+                break;
+            case 'B':                           // Bell/CCITT protocol
+            case 'L':                           // speaker volume
+            case 'M':                           // speaker control
+            case 'P':                           // pulse dialing default
+            case 'T':                           // tone dialing default
+                getNumber();
+                break;
+            default:
+                nResult = Modem.RESULT.ERROR;
+                break;
+            }
+        }
+        this.sendResult(nResult);
+    }
+
+    /**
+     * showSettings()
+     *
+     * @this {Modem}
+     */
+    showSettings()
+    {
+        let s = "E" + (this.fEcho? 1 : 0) + " Q" + (this.fQuiet? 1 : 0) + " V" + (this.fVerbose? 1 : 0) + " X" + this.nResults;
+        s += " &C" + this.nDCD + " &D" + this.nDTR;
+        for (let i = 0; i < this.aRegs.length; i++) {
+            s += (i % 8? " " : "\r\n") + Str.sprintf("S%02d:%03d", i, this.aRegs[i]);
+        }
+        this.sendInfo(s);
+    }
+
+    /**
+     * dial(sDial)
+     *
+     * @this {Modem}
+     * @param {string} sDial
+     */
+    dial(sDial)
+    {
+        if (this.line) {
+            this.sendResult(Modem.RESULT.ERROR);
+            return;
+        }
+        if (sDial[0] == 'T' || sDial[0] == 'P') sDial = sDial.substr(1);
+        /*
+         * A trailing semicolon means "return to command mode after dialing", which is how some software dials
+         * voice calls; there's nobody to talk to here, so we simply report OK.
+         */
+        if (sDial.slice(-1) == ';') {
+            this.sendResult(Modem.RESULT.OK);
+            return;
+        }
+        let sNumber = Modem.getDigits(sDial);
+        let sAddr = this.directory[sNumber] || "";
+        if (!sAddr && sDial.match(/^[A-Z0-9.-]+:[0-9]+$/)) sAddr = sDial.toLowerCase();
+
+        this.printf("dialing %s\n", sAddr || sNumber);
+        this.fDialing = true;
+        this.cpu.setTimer(this.timerDial, this.aRegs[Modem.SREG.WAIT_CARRIER] * 1000, true);
+
+        let modem = Modem.directory[sNumber];
+        if (modem) {
+            if (!modem.ringFrom(this)) {
+                this.hangup();
+                this.sendResult(Modem.RESULT.BUSY);
+            }
+        }
+        else if (sAddr && !window && typeof net != "undefined") {
+            this.line = new ModemSocket(this, sAddr, this.fTelnet);
+        }
+    }
+
+    /**
+     * dialTimeout()
+     *
+     * @this {Modem}
+     */
+    dialTimeout()
+    {
+        if (this.fDialing) {
+            this.hangup();
+            this.sendResult(Modem.RESULT.NO_CARRIER);
+        }
+    }
+
+    /**
+     * ringFrom(modem)
+     *
+     * Called by a dialing Modem to ring this modem.
+     *
+     * @this {Modem}
+     * @param {Modem} modem
+     * @return {boolean} true if ringing, false if busy
+     */
+    ringFrom(modem)
+    {
+        if (this.line || this.fDialing || this.modemCaller || !this.serial) return false;
+        this.modemCaller = modem;
+        this.aRegs[Modem.SREG.RINGS] = 0;
+        this.nRingPhase = 0;
+        this.ring();
+        return true;
+    }
+
+    /**
+     * ring()
+     *
+     * Each ring cycle consists of RI raised for 2 seconds, followed by 4 seconds of silence.
+     *
+     * @this {Modem}
+     */
+    ring()
+    {
+        if (!this.modemCaller) return;
+        if (!this.modemCaller.fDialing) {
+            /*
+             * The caller gave up.
+             */
+            this.modemCaller = null;
+            this.updateStatus();
+            return;
+        }
+        if (!(this.nRingPhase++ % 3)) {
+            this.aRegs[Modem.SREG.RINGS]++;
+            this.updateStatus(true);
+            this.sendResult(Modem.RESULT.RING);
+            let nRings = this.aRegs[Modem.SREG.AUTO_ANSWER];
+            if (nRings && this.aRegs[Modem.SREG.RINGS] >= nRings) {
+                this.updateStatus();
+                this.answer();
+                return;
+            }
+        } else {
+            this.updateStatus();
+        }
+        this.cpu.setTimer(this.timerRing, Modem.RING_MS, true);
+    }
+
+    /**
+     * answer()
+     *
+     * @this {Modem}
+     */
+    answer()
+    {
+        let modem = this.modemCaller;
+        this.modemCaller = null;
+        this.cpu.clearTimer(this.timerRing);
+        if (!modem || !modem.fDialing) {
+            this.sendResult(Modem.RESULT.NO_CARRIER);
+            return;
+        }
+        this.line = new ModemLink(modem);
+        modem.line = new ModemLink(this);
+        this.connect();
+        modem.connect();
+    }
+
+    /**
+     * connect()
+     *
+     * Called once the line has been established (by either end).
+     *
+     * @this {Modem}
+     */
+    connect()
+    {
+        this.fDialing = false;
+        this.cpu.clearTimer(this.timerDial);
+        this.fOnline = true;
+        this.nEscapes = 0;
+        this.nCyclesLast = this.cpu.getCycles();
+        this.updateStatus();
+        this.sendResult(Modem.RESULT.CONNECT);
+    }
+
+    /**
+     * receiveLine(b)
+     *
+     * Called with every byte that arrives from the other end of the line.
+     *
+     * @this {Modem}
+     * @param {number} b
+     */
+    receiveLine(b)
+    {
+        if (this.fOnline) this.serial.receiveData(b);
+    }
+
+    /**
+     * dropLine()
+     *
+     * Called when the other end of the line hangs up (or a connection attempt fails).
+     *
+     * @this {Modem}
+     */
+    dropLine()
+    {
+        if (this.line || this.fDialing) {
+            this.line = null;
+            this.hangup();
+            this.sendResult(Modem.RESULT.NO_CARRIER);
+        }
+    }
+
+    /**
+     * hangup()
+     *
+     * @this {Modem}
+     */
+    hangup()
+    {
+        let line = this.line;
+        this.line = null;
+        if (line) line.close();
+        this.modemCaller = null;
+        this.fDialing = this.fOnline = false;
+        if (this.cpu) {
+            this.cpu.clearTimer(this.timerDial);
+            this.cpu.clearTimer(this.timerRing);
+            this.cpu.clearTimer(this.timerEscape);
+        }
+        this.updateStatus();
+    }
+
+    /**
+     * checkEscape()
+     *
+     * Called when the guard time following an escape sequence has elapsed.
+     *
+     * @this {Modem}
+     */
+    checkEscape()
+    {
+        if (this.fOnline && this.nEscapes == 3) {
+            this.fOnline = false;
+            this.nEscapes = 0;
+            this.sendResult(Modem.RESULT.OK);
+        }
+    }
+
+    /**
+     * getGuardCycles()
+     *
+     * @this {Modem}
+     * @return {number} number of cycles corresponding to the S12 guard time (in fiftieths of a second)
+     */
+    getGuardCycles()
+    {
+        return this.cpu.getMSCycles(this.aRegs[Modem.SREG.GUARD_TIME] * 20);
+    }
+
+    /**
+     * getDigits(s)
+     *
+     * @param {string} s
+     * @return {string} only the digits in s
+     */
+    static getDigits(s)
+    {
+        return s.replace(/[^0-9]/g, "");
+    }
+
+    /**
+     * Modem.init()
+     *
+     * This function operates on every HTML element of class "modem", extracting the
+     * JSON-encoded parameters for the Modem constructor from the element's "data-value"
+     * attribute, invoking the constructor to create a Modem component, and then binding
+     * any associated HTML controls to the new component.
+     */
+    static init()
+    {
+        let aeModem = Component.getElementsByClass(document, PCx86.APPCLASS, "modem");
+        for (let iModem = 0; iModem < aeModem.length; iModem++) {
+            let eModem = aeModem[iModem];
+            let parmsModem = Component.getComponentParms(eModem);
+            let modem = new Modem(parmsModem);
+            Component.bindComponentControls(modem, eModem, PCx86.APPCLASS);
+        }
+    }
+}
+
+/**
+ * ModemLink class
+ *
+ * One end of a "phone line" between two Modems in the same page (or Node process).
+ *
+ * @class ModemLink
+ */
+class ModemLink {
+    /**
+     * ModemLink(modem)
+     *
+     * @this {ModemLink}
+     * @param {Modem} modem (the modem at the other end)
+     */
+    constructor(modem)
+    {
+        this.modem = modem;
+    }
+
+    /**
+     * transmit(b)
+     *
+     * @this {ModemLink}
+     * @param {number} b
+     */
+    transmit(b)
+    {
+        this.modem.receiveLine(b);
+    }
+
+    /**
+     * close()
+     *
+     * @this {ModemLink}
+     */
+    close()
+    {
+        this.modem.dropLine();
+    }
+}
+
+/**
+ * ModemSocket class
+ *
+ * Connects a Modem to a TCP endpoint (eg, a BBS telnet server).  With telnet processing enabled, IAC sequences are
+ * removed from incoming data, and every option is refused except ECHO, SUPPRESS-GO-AHEAD and BINARY, which is usually
+ * enough to put the server into "character at a time" mode; outgoing IAC bytes are doubled.
+ *
+ * @class ModemSocket
+ */
+class ModemSocket {
+    /**
+     * ModemSocket(modem, sAddr, fTelnet)
+     *
+     * @this {ModemSocket}
+     * @param {Modem} modem
+     * @param {string} sAddr ("host:port")
+     * @param {boolean} fTelnet
+     */
+    constructor(modem, sAddr, fTelnet)
+    {
+        this.modem = modem;
+        this.fTelnet = fTelnet;
+        this.fConnected = false;
+        this.aIAC = null;
+
+        let iColon = sAddr.lastIndexOf(':');
+        let options = {host: iColon > 0? sAddr.substr(0, iColon) : "localhost", port: +sAddr.substr(iColon + 1) || 23};
+        let socket = this;
+        this.socket = net.connect(options, function onSocketConnect() {
+            socket.fConnected = true;
+            if (modem.line === socket) modem.connect();
+        });
+        this.socket.on('data', function onSocketData(data) {
+            for (let i = 0; i < data.length; i++) socket.receiveByte(data[i]);
+        });
+        this.socket.on('error', function onSocketError(err) {
+            modem.printf("%s: %s\n", sAddr, err.message);
+        });
+        this.socket.on('close', function onSocketClose() {
+            socket.fConnected = false;
+            if (modem.line === socket) modem.dropLine();
+        });
+    }
+
+    /**
+     * receiveByte(b)
+     *
+     * @this {ModemSocket}
+     * @param {number} b
+     */
+    receiveByte(b)
+    {
+        if (this.fTelnet) {
+            if (this.aIAC) {
+                this.aIAC.push(b);
+                if (!this.doTelnet(this.aIAC)) return;
+                let fLiteral = (this.aIAC.length == 1 && b == ModemSocket.TELNET.IAC);
+                this.aIAC = null;
+                if (!fLiteral) return;                  // IAC IAC is a literal 0xFF, which goes to the modem
+            }
+            else if (b == ModemSocket.TELNET.IAC) {
+                this.aIAC = [];
+                return;
+            }
+        }
+        if (this.modem.line === this) this.modem.receiveLine(b);
+    }
+
+    /**
+     * doTelnet(a)
+     *
+     * @this {ModemSocket}
+     * @param {Array.<number>} a (the bytes following an IAC)
+     * @return {boolean} true if the sequence is complete, false if more bytes are required
+     */
+    doTelnet(a)
+    {
+        let T = ModemSocket.TELNET;
+        switch(a[0]) {
+        case T.DO:
+        case T.DONT:
+        case T.WILL:
+        case T.WONT:
+            if (a.length < 2) return false;
+            if (a[0] == T.DO) {
+                this.write([T.IAC, (a[1] == T.OPT_SGA || a[1] == T.OPT_BINARY)? T.WILL : T.WONT, a[1]]);
+            } else if (a[0] == T.WILL) {
+                this.write([T.IAC, (a[1] == T.OPT_ECHO || a[1] == T.OPT_SGA || a[1] == T.OPT_BINARY)? T.DO : T.DONT, a[1]]);
+            }
+            return true;
+        case T.SB:
+            /*
+             * Subnegotiations run until IAC SE; since we refuse every option that uses them, just skip them.
+             */
+            return (a.length >= 3 && a[a.length - 2] == T.IAC && a[a.length - 1] == T.SE);
+        default:
+            return true;
+        }
+    }
+
+    /**
+     * transmit(b)
+     *
+     * @this {ModemSocket}
+     * @param {number} b
+     */
+    transmit(b)
+    {
+        if (!this.fConnected) return;
+        this.write((this.fTelnet && b == ModemSocket.TELNET.IAC)? [b, b] : [b]);
+    }
+
+    /**
+     * write(ab)
+     *
+     * @this {ModemSocket}
+     * @param {Array.<number>} ab
+     */
+    write(ab)
+    {
+        if (this.fConnected) this.socket.write(new Uint8Array(ab));
+    }
+
+    /**
+     * close()
+     *
+     * @this {ModemSocket}
+     */
+    close()
+    {
+        this.socket.destroy();
+        this.fConnected = false;
+    }
+}
+
+ModemSocket.TELNET = {
+    SE:         240,
+    SB:         250,
+    WILL:       251,
+    WONT:       252,
+    DO:         253,
+    DONT:       254,
+    IAC:        255,
+    OPT_BINARY: 0,
+    OPT_ECHO:   1,
+    OPT_SGA:    3
+};
+
+Modem.BAUD          = 2400;
+Modem.RING_MS       = 2000;             // RING is reported every third RING_MS interval (ie, every 6 seconds)
+Modem.MAX_COMMAND   = 40;               // maximum command line length (excluding the "AT" prefix)
+
+/*
+ * Every Modem with a phone number, indexed by that number
+ */
+Modem.directory = {};
+
+/*
+ * S-registers
+ */
+Modem.SREG = {
+    AUTO_ANSWER:    0,                  // rings before answering (0 disables auto-answer)
+    RINGS:          1,                  // ring count (read-only)
+    ESCAPE:         2,                  // escape character
+    CR:             3,                  // carriage return character
+    LF:             4,                  // line feed character
+    BS:             5,                  // backspace character
+    WAIT_DIALTONE:  6,                  // seconds to wait for dial tone
+    WAIT_CARRIER:   7,                  // seconds to wait for carrier
+    COMMA_PAUSE:    8,                  // seconds to pause for a comma in a dial string
+    CARRIER_DETECT: 9,                  // carrier detect response time (1/10 seconds)
+    CARRIER_LOSS:   10,                 // carrier loss time (1/10 seconds)
+    DTMF_DURATION:  11,                 // tone duration (milliseconds)
+    GUARD_TIME:     12                  // escape guard time (1/50 seconds)
+};
+
+Modem.SREG_DEFAULTS = [0, 0, 43, 13, 10, 8, 2, 50, 2, 6, 14, 95, 50];
+
+/*
+ * ATI0 through ATI3 responses (product code, ROM checksum, ROM test, and identification)
+ */
+Modem.INFO = ["247", "255", "OK", "PCx86 Hayes-Compatible Modem"];
+
+Modem.RESULT = {
+    OK:             0,
+    CONNECT:        1,
+    RING:           2,
+    NO_CARRIER:     3,
+    ERROR:          4,
+    NO_DIALTONE:    6,
+    BUSY:           7,
+    NO_ANSWER:      8
+};
+
+Modem.RESULT_STRINGS = {
+    0:  "OK",
+    1:  "CONNECT",
+    2:  "RING",
+    3:  "NO CARRIER",
+    4:  "ERROR",
+    6:  "NO DIALTONE",
+    7:  "BUSY",
+    8:  "NO ANSWER"
+};
+
+/*
+ * Extended CONNECT result codes (X1 and higher), indexed by connection rate
+ */
+Modem.CONNECT_RESULTS = {
+    1200:   5,
+    2400:   10,
+    4800:   11,
+    9600:   12,
+    7200:   13,
+    12000:  14,
+    14400:  15,
+    19200:  16
+};
+
+/*
+ * Initialize every Modem module on the page.
+ */
+Web.onInit(Modem.init);
+
+if (typeof module !== "undefined") module.exports = Modem;
@@ -37,7 +37,7 @@ class Mouse extends Component {
      *
      *      serial: the ID of a corresponding serial component (used in lieu of type="serial" and binding="ID")
      *
-     *      type: one of "bus", "inport", or "serial"; the default is "serial" if serial or binding properties are set
+     *      type: one of "bus", "inport", "ps2", or "serial"; the default is "serial" if serial or binding properties are set
      *
      * The first version of this component supported ONLY emulation of the original Microsoft serial mouse,
      * so a valid SerialPort component ID using the 'serial' property was required.  Now, using the 'type' property,
@@ -45,6 +45,9 @@ class Mouse extends Component {
      * Bus Mouse interface or 'inport' for the Microsoft InPort Mouse interface).  The 'adapter' property is used
      * only when the selected type supports different configurations (eg, primary vs. secondary InPort adapters).
      *
+     * If the 'type' property is set to "ps2", the mouse attaches itself to the auxiliary device port of the ChipSet's
+     * 8042 keyboard controller (so it requires a MODEL_5170 or later ChipSet), and it delivers its data via IRQ 12.
+     *
      * If the 'type' property is set to "serial" (or 'type' is not set and either the original 'serial' property
      * or the new 'binding' property is set), then serial communication will be established with the specified
      * SerialPort component, requesting access to the corresponding serial component ID.  If the SerialPort component
@@ -68,7 +71,7 @@ class Mouse extends Component {
         this.iAdapter = parmsMouse['adapter'] || 0;
         this.idDevice = parmsMouse['serial'] || parmsMouse['binding'];
         this.sType = parmsMouse['type'] || (this.idDevice? Mouse.TYPE.SERIAL : Mouse.TYPE.BUS);
-        this.typeDevice = (this.sType == Mouse.TYPE.SERIAL? "SerialPort" : null);
+        this.typeDevice = (this.sType == Mouse.TYPE.SERIAL? "SerialPort" : (this.sType == Mouse.TYPE.PS2? "ChipSet" : null));
         this.componentDevice = null;
 
         this.scale = parmsMouse['scaleMouse'];
@@ -269,7 +272,10 @@ class Mouse extends Component {
         this.yDelta = data[i++];
         this.fButton1 = data[i++];      // FYI, we consider button1 to be the LEFT button
         this.fButton2 = data[i++];      // FYI, we consider button2 to be the RIGHT button
-        this.pins = data[i];
+        this.pins = data[i++];
+        this.fButton3 = !!data[i++];    // and button3 is the MIDDLE button
+        this.zDelta = 0;
+        this.initAux(data[i]);
         /*
          * Convert old UART "MCR" data to new RS-232 "pins" data, in case we're loading an old state;
          * detection and conversion relies on the fact that the MCR bits don't overlap with any RS-232 bits.
@@ -297,7 +303,9 @@ class Mouse extends Component {
         data[i++] = this.yDelta;
         data[i++] = this.fButton1;
         data[i++] = this.fButton2;
-        data[i] = this.pins;
+        data[i++] = this.pins;
+        data[i++] = this.fButton3;
+        data[i] = this.saveAux();
         return data;
     }
 
@@ -375,6 +383,15 @@ class Mouse extends Component {
                 },
                 false               // we'll specify false for the 'useCapture' parameter for now...
             );
+            if (this.sType == Mouse.TYPE.PS2) {
+                control.addEventListener(
+                    'wheel',
+                    function onMouseWheel(event) {
+                        if (mouse.wheelMouse(event.deltaY)) event.preventDefault();
+                    },
+                    false
+                );
+            }
             /*
              * None of these tricks seemed to work for IE10, so I'm giving up hiding the browser's mouse pointer in IE for now.
              *
@@ -458,7 +475,7 @@ class Mouse extends Component {
      * clickMouse(iButton, fDown)
      *
      * @this {Mouse}
-     * @param {number} iButton is Mouse.BUTTON.LEFT (0) for fButton1, Mouse.BUTTON.RIGHT (2) for fButton2
+     * @param {number} iButton is Mouse.BUTTON.LEFT (0) for fButton1, Mouse.BUTTON.RIGHT (2) for fButton2, Mouse.BUTTON.MIDDLE (1) for fButton3
      * @param {boolean} fDown
      */
     clickMouse(iButton, fDown)
@@ -480,6 +497,13 @@ class Mouse extends Component {
                     return;
                 }
                 break;
+            case Mouse.BUTTON.MIDDLE:
+                if (this.sType == Mouse.TYPE.PS2 && this.fButton3 != fDown) {
+                    this.fButton3 = fDown;
+                    this.sendPacket(sDiag);
+                    return;
+                }
+                break;
             default:
                 break;
             }
@@ -516,10 +540,10 @@ class Mouse extends Component {
                 /*
                  * As sendPacket() indicates, any x and y coordinates we supply are for diagnostic purposes only.
                  * sendPacket() only cares about the xDelta and yDelta properties we provide above, which it then zeroes
-                 * on completion.
+                 * on completion (a PS/2 mouse may have to accumulate them a bit longer, hence the additions).
                  */
-                this.xDelta = xScaled;
-                this.yDelta = yScaled;
+                this.xDelta += xScaled;
+                this.yDelta += yScaled;
                 this.sendPacket(null, xDiag, yDiag);
             }
         }
@@ -544,6 +568,21 @@ class Mouse extends Component {
      */
     sendPacket(sDiag, xDiag, yDiag)
     {
+        if (this.sType == Mouse.TYPE.PS2) {
+            /*
+             * In remote mode, movement simply accumulates until the host asks for it; in stream mode, it's discarded
+             * whenever data reporting is disabled.
+             */
+            if (!this.fAuxRemote) {
+                if (this.fAuxEnabled && !this.fAuxWrap) {
+                    this.fAuxPending = true;
+                    this.checkAuxBuffer();
+                } else {
+                    this.xDelta = this.yDelta = this.zDelta = 0;
+                }
+            }
+            return;
+        }
         let b1 = 0x40 | (this.fButton1? 0x20 : 0) | (this.fButton2? 0x10 : 0) | ((this.yDelta & 0xC0) >> 4) | ((this.xDelta & 0xC0) >> 6);
         let b2 = this.xDelta & 0x3F;
         let b3 = this.yDelta & 0x3F;
@@ -636,6 +675,298 @@ class Mouse extends Component {
         this.pins = pins;
     }
 
+    /**
+     * initAux(data)
+     *
+     * Initializes (or restores) the state of a PS/2 mouse.
+     *
+     * @this {Mouse}
+     * @param {Array} [data]
+     */
+    initAux(data)
+    {
+        let i = 0;
+        if (!data) data = [0, false, false, false, false, Mouse.PS2.DEFAULT.RATE, Mouse.PS2.DEFAULT.RES, Mouse.PS2.ID.STANDARD, [], [], [], false];
+        this.bAuxCmd = data[i++];           // command awaiting a parameter byte, if any
+        this.fAuxEnabled = data[i++];       // data reporting enabled (stream mode only)
+        this.fAuxRemote = data[i++];        // remote mode (otherwise stream mode)
+        this.fAuxWrap = data[i++];          // wrap (echo) mode
+        this.fAuxScale2 = data[i++];        // 2:1 scaling (otherwise 1:1)
+        this.nAuxRate = data[i++];          // sample rate (in samples/sec)
+        this.nAuxRes = data[i++];           // resolution (0-3, for 1, 2, 4 or 8 counts/mm)
+        this.bAuxID = data[i++];            // device ID (Mouse.PS2.ID)
+        this.aAuxRates = data[i++];         // most recent sample rates (for detecting the IntelliMouse "knock" sequence)
+        this.abAuxBuffer = data[i++];       // bytes waiting to be accepted by the 8042
+        this.abAuxLast = data[i++];         // most recent packet or response (for the RESEND command)
+        this.fAuxPending = data[i];         // movement or button changes that haven't been sent yet
+    }
+
+    /**
+     * saveAux()
+     *
+     * @this {Mouse}
+     * @return {Array}
+     */
+    saveAux()
+    {
+        return [
+            this.bAuxCmd, this.fAuxEnabled, this.fAuxRemote, this.fAuxWrap, this.fAuxScale2, this.nAuxRate, this.nAuxRes,
+            this.bAuxID, this.aAuxRates, this.abAuxBuffer, this.abAuxLast, this.fAuxPending
+        ];
+    }
+
+    /**
+     * resetAux(fDefaults)
+     *
+     * Both the RESET and SET_DEFAULTS commands restore the default settings and disable data reporting;
+     * only RESET restores the standard device ID.
+     *
+     * @this {Mouse}
+     * @param {boolean} [fDefaults] (true to set defaults only)
+     */
+    resetAux(fDefaults)
+    {
+        this.fAuxEnabled = this.fAuxRemote = this.fAuxScale2 = this.fAuxPending = false;
+        this.nAuxRate = Mouse.PS2.DEFAULT.RATE;
+        this.nAuxRes = Mouse.PS2.DEFAULT.RES;
+        this.xDelta = this.yDelta = this.zDelta = 0;
+        if (!fDefaults) {
+            this.fAuxWrap = false;
+            this.bAuxID = Mouse.PS2.ID.STANDARD;
+            this.aAuxRates = [];
+        }
+    }
+
+    /**
+     * receiveAuxCmd(b)
+     *
+     * This is the ChipSet's interface for sending us bytes written to the 8042's auxiliary device port.
+     *
+     * Receiving a command aborts any data still waiting to be sent, and every byte we receive (other than
+     * in wrap mode) is acknowledged, followed by any response data.
+     *
+     * @this {Mouse}
+     * @param {number} b
+     */
+    receiveAuxCmd(b)
+    {
+        let ab = [];
+        let bCmd = this.bAuxCmd;
+        this.bAuxCmd = 0;
+        this.abAuxBuffer = [];
+
+        this.printf(Messages.MOUSE, "mouse command %#04x\n", b);
+
+        if (bCmd) {
+            /*
+             * The previous command was waiting for this parameter byte.
+             */
+            if (bCmd == Mouse.PS2.CMD.SET_RATE) {
+                this.nAuxRate = b;
+                this.aAuxRates.push(b);
+                if (this.aAuxRates.length > 3) this.aAuxRates.shift();
+                if (this.aAuxRates.join(',') == Mouse.PS2.KNOCK_WHEEL) {
+                    this.bAuxID = Mouse.PS2.ID.WHEEL;
+                }
+            } else if (bCmd == Mouse.PS2.CMD.SET_RES) {
+                this.nAuxRes = b & 0x3;
+            }
+            ab.push(Mouse.PS2.RES.ACK);
+        }
+        else if (this.fAuxWrap && b != Mouse.PS2.CMD.RESET && b != Mouse.PS2.CMD.RESET_WRAP) {
+            ab.push(b);
+        }
+        else {
+            switch(b) {
+            case Mouse.PS2.CMD.RESET:
+                this.resetAux();
+                ab.push(Mouse.PS2.RES.ACK, Mouse.PS2.RES.BAT_OK, this.bAuxID);
+                break;
+            case Mouse.PS2.CMD.RESEND:
+                ab = this.abAuxLast.slice();
+                break;
+            case Mouse.PS2.CMD.SET_DEFAULTS:
+                this.resetAux(true);
+                ab.push(Mouse.PS2.RES.ACK);
+                break;
+            case Mouse.PS2.CMD.DISABLE:
+                this.fAuxEnabled = false;
+                ab.push(Mouse.PS2.RES.ACK);
+                break;
+            case Mouse.PS2.CMD.ENABLE:
+                this.fAuxEnabled = true;
+                this.xDelta = this.yDelta = this.zDelta = 0;
+                /*
+                 * A PS/2 mouse has no modem control lines to tell us when a driver has taken charge of it, so the
+                 * first ENABLE is our cue to start capturing and dispatching mouse events.
+                 */
+                if (!this.fActive) {
+                    this.captureAll();
+                    this.setActive(true);
+                }
+                ab.push(Mouse.PS2.RES.ACK);
+                break;
+            case Mouse.PS2.CMD.SET_RATE:
+            case Mouse.PS2.CMD.SET_RES:
+                this.bAuxCmd = b;
+                ab.push(Mouse.PS2.RES.ACK);
+                break;
+            case Mouse.PS2.CMD.GET_ID:
+                ab.push(Mouse.PS2.RES.ACK, this.bAuxID);
+                break;
+            case Mouse.PS2.CMD.SET_REMOTE:
+                this.fAuxRemote = true;
+                ab.push(Mouse.PS2.RES.ACK);
+                break;
+            case Mouse.PS2.CMD.SET_WRAP:
+                this.fAuxWrap = true;
+                ab.push(Mouse.PS2.RES.ACK);
+                break;
+            case Mouse.PS2.CMD.RESET_WRAP:
+                this.fAuxWrap = false;
+                ab.push(Mouse.PS2.RES.ACK);
+                break;
+            case Mouse.PS2.CMD.READ_DATA:
+                ab.push(Mouse.PS2.RES.ACK);
+                ab = ab.concat(this.getAuxPacket());
+                break;
+            case Mouse.PS2.CMD.SET_STREAM:
+                this.fAuxRemote = false;
+                ab.push(Mouse.PS2.RES.ACK);
+                break;
+            case Mouse.PS2.CMD.GET_STATUS:
+                ab.push(Mouse.PS2.RES.ACK,
+                    (this.fAuxRemote? 0x40 : 0) | (this.fAuxEnabled? 0x20 : 0) | (this.fAuxScale2? 0x10 : 0) |
+                    (this.fButton1? 0x04 : 0) | (this.fButton3? 0x02 : 0) | (this.fButton2? 0x01 : 0),
+                    this.nAuxRes, this.nAuxRate);
+                break;
+            case Mouse.PS2.CMD.SET_SCALE2:
+                this.fAuxScale2 = true;
+                ab.push(Mouse.PS2.RES.ACK);
+                break;
+            case Mouse.PS2.CMD.SET_SCALE1:
+                this.fAuxScale2 = false;
+                ab.push(Mouse.PS2.RES.ACK);
+                break;
+            default:
+                this.printf(Messages.MOUSE + Messages.WARN, "unrecognized mouse command %#04x\n", b);
+                ab.push(Mouse.PS2.RES.RESEND);
+                break;
+            }
+        }
+        if (b != Mouse.PS2.CMD.RESEND) this.abAuxLast = ab.slice();
+        this.abAuxBuffer = ab;
+        this.checkAuxBuffer();
+    }
+
+    /**
+     * checkAuxBuffer()
+     *
+     * This is the ChipSet's interface to let us know that the 8042 may be ready for more data.  The 8042 can hold
+     * only one byte at a time, so we offer it our next byte, and leave it in our buffer if the 8042 declines it.
+     *
+     * Movement and button changes that arrive while a previous packet is still being sent are accumulated into
+     * the next packet, which isn't assembled until the previous packet is gone.
+     *
+     * @this {Mouse}
+     */
+    checkAuxBuffer()
+    {
+        if (!this.abAuxBuffer.length && this.fAuxPending && this.fAuxEnabled && !this.fAuxRemote && !this.fAuxWrap) {
+            this.abAuxBuffer = this.abAuxLast = this.getAuxPacket();
+            this.fAuxPending = false;
+        }
+        if (this.abAuxBuffer.length && this.componentDevice) {
+            if (this.componentDevice.receiveAuxData(this.abAuxBuffer[0])) {
+                this.abAuxBuffer = this.abAuxBuffer.slice(1);
+            }
+        }
+    }
+
+    /**
+     * getAuxPacket()
+     *
+     * Returns a PS/2 movement data packet and zeroes the accumulated deltas:
+     *
+     *              D7  D6  D5  D4  D3  D2  D1  D0
+     *      Byte 1  YV  XV  YS  XS  1   MB  RB  LB
+     *      Byte 2  X7  X6  X5  X4  X3  X2  X1  X0
+     *      Byte 3  Y7  Y6  Y5  Y4  Y3  Y2  Y1  Y0
+     *      Byte 4  Z7  Z6  Z5  Z4  Z3  Z2  Z1  Z0      (Mouse.PS2.ID.WHEEL only)
+     *
+     * where XS and YS are the sign bits of the 9-bit X and Y movement values, and XV and YV are overflow bits.
+     * Unlike a serial mouse, positive Y movement is up, away from the user.
+     *
+     * @this {Mouse}
+     * @return {Array.<number>}
+     */
+    getAuxPacket()
+    {
+        let x = this.scaleAux(this.xDelta);
+        let y = this.scaleAux(-this.yDelta);
+        let b1 = 0x08 | (this.fButton1? 0x01 : 0) | (this.fButton2? 0x02 : 0) | (this.fButton3? 0x04 : 0);
+        if (x < -256 || x > 255) {
+            b1 |= 0x40;
+            x = (x < 0? -256 : 255);
+        }
+        if (y < -256 || y > 255) {
+            b1 |= 0x80;
+            y = (y < 0? -256 : 255);
+        }
+        if (x < 0) b1 |= 0x10;
+        if (y < 0) b1 |= 0x20;
+        let ab = [b1, x & 0xff, y & 0xff];
+        if (this.bAuxID == Mouse.PS2.ID.WHEEL) {
+            ab.push(Math.max(-8, Math.min(7, this.zDelta)) & 0xff);
+        }
+        this.xDelta = this.yDelta = this.zDelta = 0;
+        if (this.messageEnabled(Messages.MOUSE)) {
+            let sPacket = "";
+            for (let i = 0; i < ab.length; i++) sPacket += (i? "," : "") + Str.toHexByte(ab[i]);
+            this.printMessage("mouse packet [" + sPacket + "]");
+        }
+        return ab;
+    }
+
+    /**
+     * scaleAux(n)
+     *
+     * Our deltas are calibrated for the default resolution (4 counts/mm), so we adjust them for the current
+     * resolution, and then apply 2:1 scaling if it's enabled (which only applies in stream mode).
+     *
+     * @this {Mouse}
+     * @param {number} n
+     * @return {number}
+     */
+    scaleAux(n)
+    {
+        if (n) {
+            n = Math.round(n * (1 << this.nAuxRes) / (1 << Mouse.PS2.DEFAULT.RES)) || Math.sign(n);
+            if (this.fAuxScale2 && !this.fAuxRemote) {
+                let m = Math.abs(n);
+                n = Math.sign(n) * (m < Mouse.PS2.SCALE2.length? Mouse.PS2.SCALE2[m] : m * 2);
+            }
+        }
+        return n;
+    }
+
+    /**
+     * wheelMouse(dy)
+     *
+     * @this {Mouse}
+     * @param {number} dy (from a 'wheel' event; positive values scroll down)
+     * @return {boolean} true if the event was consumed, false if not
+     */
+    wheelMouse(dy)
+    {
+        if (this.isActive() && this.bAuxID == Mouse.PS2.ID.WHEEL && dy) {
+            this.zDelta += Math.sign(dy);
+            this.sendPacket();
+            return true;
+        }
+        return false;
+    }
+
     /**
      * inBusData(port, addrFrom)
      *
@@ -771,11 +1102,13 @@ class Mouse extends Component {
 Mouse.TYPE = {
     BUS:        "bus",
     INPORT:     "inport",
+    PS2:        "ps2",
     SERIAL:     "serial"
 };
 
 Mouse.BUTTON = {
     LEFT:   0,
+    MIDDLE: 1,
     RIGHT:  2
 };
 
@@ -963,6 +1296,49 @@ Mouse.SERIAL = {
     ID:     0x4D
 };
 
+/*
+ * PS/2 mouse commands and responses, delivered through the 8042's auxiliary device port (see ChipSet.C8042.CMD.WRITE_AUX).
+ *
+ * An IntelliMouse-compatible driver enables the wheel by setting the sample rate to 200, 100 and 80, in that order,
+ * and then requesting the device ID; a wheel mouse responds with ID.WHEEL instead of ID.STANDARD, and from then on,
+ * every packet contains a 4th byte with the wheel movement.
+ */
+Mouse.PS2 = {
+    CMD: {
+        SET_SCALE1:     0xE6,
+        SET_SCALE2:     0xE7,
+        SET_RES:        0xE8,   // followed by a resolution byte (0-3)
+        GET_STATUS:     0xE9,   // responds with 3 status bytes
+        SET_STREAM:     0xEA,
+        READ_DATA:      0xEB,   // responds with a data packet (used in remote mode)
+        RESET_WRAP:     0xEC,
+        SET_WRAP:       0xEE,
+        SET_REMOTE:     0xF0,
+        GET_ID:         0xF2,
+        SET_RATE:       0xF3,   // followed by a sample rate byte (10-200)
+        ENABLE:         0xF4,   // enable data reporting
+        DISABLE:        0xF5,   // disable data reporting
+        SET_DEFAULTS:   0xF6,
+        RESEND:         0xFE,
+        RESET:          0xFF
+    },
+    RES: {
+        BAT_OK:         0xAA,
+        ACK:            0xFA,
+        RESEND:         0xFE
+    },
+    ID: {
+        STANDARD:       0x00,
+        WHEEL:          0x03    // IntelliMouse
+    },
+    DEFAULT: {
+        RATE:           100,
+        RES:            2       // 4 counts/mm
+    },
+    KNOCK_WHEEL:        "200,100,80",
+    SCALE2:             [0, 1, 1, 3, 6, 9]
+};
+
 /*
  * Initialize every Mouse module on the page.
  */
@@ -0,0 +1,1207 @@
+/**
+ * @fileoverview Implements the PCx86 NE2000 network adapter
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+if (typeof module !== "undefined") {
+    var fs          = require("fs");
+    var net         = require("net");
+    var Str         = require("../../shared/lib/strlib");
+    var Web         = require("../../shared/lib/weblib");
+    var Component   = require("../../shared/lib/component");
+    var State       = require("../../shared/lib/state");
+    var PCx86       = require("./defines");
+    var Messages    = require("./messages");
+    var ChipSet     = require("./chipset");
+}
+
+/**
+ * NE2000 class
+ *
+ * The Novell NE2000 is an ISA Ethernet adapter built around National Semiconductor's DP8390 Network Interface
+ * Controller, with 16Kb of packet buffer memory that the host can only reach through the DP8390's "remote DMA"
+ * channel (ie, the data port at offset 0x10), plus a small PROM containing the card's Ethernet (MAC) address.
+ * Received frames are stored in a ring of 256-byte pages (from PSTART to PSTOP), each prefixed with a 4-byte header,
+ * which the host reads either with an explicit remote read or with the "Send Packet" command (which reads the frame at
+ * BNRY), and transmitted frames are assembled in the buffer by the host and sent with the CR.TXP command.
+ *
+ * Frames leave the card through one or more "backends", selected with the 'backend' parameter, a comma-separated
+ * list of any of the following:
+ *
+ *      hub[:name]          an in-process virtual hub, which connects every NE2000 on the page (or in the same Node
+ *                          process) that uses the same hub name (default is "default")
+ *
+ *      pcap:file           (Node only) records every frame sent and received to a libpcap file, for Wireshark et al
+ *
+ *      socket:host:port    (Node only) exchanges frames with a local socket server, using the same framing as QEMU's
+ *      socket:path         "-netdev socket" (ie, each frame is preceded by its length as a 32-bit big-endian value)
+ *
+ * @class NE2000
+ * @unrestricted (allows the class to define properties, both dot and named, outside of the constructor)
+ */
+class NE2000 extends Component {
+    /**
+     * NE2000(parms)
+     *
+     * The NE2000 component has the following component-specific (parms) properties:
+     *
+     *      port: base I/O port (default is 0x300)
+     *
+     *      irq: IRQ number (default is 3)
+     *
+     *      mac: Ethernet address, as six hex bytes separated by colons (default is derived from the component's ID)
+     *
+     *      backend: see above (default is "hub")
+     *
+     * @this {NE2000}
+     * @param {Object} parms
+     */
+    constructor(parms)
+    {
+        super("NE2000", parms, Messages.NET);
+
+        this.portBase = parms['port'] || NE2000.PORT;
+        this.nIRQ = (parms['irq'] != null? parms['irq'] : NE2000.IRQ);
+
+        this.abMAC = NE2000.parseMAC(parms['mac']);
+        if (!this.abMAC) {
+            if (parms['mac']) this.notice("Invalid MAC address: " + parms['mac']);
+            /*
+             * Derive a stable, locally administered address from our ID, so that multiple machines on the same hub
+             * don't collide, and a given machine always comes up with the same address.
+             */
+            let h = 0;
+            for (let i = 0; i < this.id.length; i++) h = (h * 31 + this.id.charCodeAt(i)) & 0xffffff;
+            this.abMAC = [0x52, 0x54, 0x00, h >> 16, (h >> 8) & 0xff, h & 0xff];
+        }
+
+        this.sBackends = parms['backend'] || "hub";
+        this.aBackends = [];
+        this.fIRQ = false;
+    }
+
+    /**
+     * initBus(cmp, bus, cpu, dbg)
+     *
+     * @this {NE2000}
+     * @param {Computer} cmp
+     * @param {BusX86} bus
+     * @param {CPUx86} cpu
+     * @param {DebuggerX86} dbg
+     */
+    initBus(cmp, bus, cpu, dbg)
+    {
+        this.bus = bus;
+        this.cpu = cpu;
+        this.dbg = dbg;
+        this.chipset = cmp.getMachineComponent("ChipSet");
+
+        /*
+         * On machines with a slave PIC, the ISA bus's IRQ 2 line is wired to IRQ 9.
+         */
+        if (this.nIRQ == 2 && this.chipset && this.chipset.aPICs.length > 1) {
+            this.nIRQ = ChipSet.IRQ.IRQ2;
+        }
+        if (this.chipset && this.nIRQ) this.chipset.addIRQShare(this.nIRQ, this);
+
+        bus.addPortInputTable(this, NE2000.aPortInput, this.portBase);
+        bus.addPortOutputTable(this, NE2000.aPortOutput, this.portBase);
+
+        this.initBackends();
+        this.setReady();
+    }
+
+    /**
+     * initBackends()
+     *
+     * @this {NE2000}
+     */
+    initBackends()
+    {
+        let asBackends = this.sBackends.split(',');
+        for (let i = 0; i < asBackends.length; i++) {
+            let sBackend = Str.trim(asBackends[i]);
+            let iColon = sBackend.indexOf(':');
+            let sType = (iColon < 0? sBackend : sBackend.substr(0, iColon)).toLowerCase();
+            let sArg = (iColon < 0? "" : sBackend.substr(iColon + 1));
+            let backend = null;
+            switch(sType) {
+            case "hub":
+                backend = new NetHub(this, sArg || "default");
+                break;
+            case "pcap":
+                if (!window && typeof fs != "undefined" && sArg) backend = new NetPcap(this, sArg);
+                break;
+            case "socket":
+                if (!window && typeof net != "undefined" && sArg) backend = new NetSocket(this, sArg);
+                break;
+            case "":
+            case "none":
+                continue;
+            default:
+                break;
+            }
+            if (backend && backend.fReady) {
+                this.aBackends.push(backend);
+            } else {
+                this.notice("Network backend unavailable: " + sBackend);
+            }
+        }
+    }
+
+    /**
+     * powerUp(data, fRepower)
+     *
+     * @this {NE2000}
+     * @param {Object|null} data
+     * @param {boolean} [fRepower]
+     * @return {boolean} true if successful, false if failure
+     */
+    powerUp(data, fRepower)
+    {
+        if (!fRepower) {
+            if (!data || !this.restore) {
+                this.reset();
+            } else {
+                if (!this.restore(data)) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * powerDown(fSave, fShutdown)
+     *
+     * @this {NE2000}
+     * @param {boolean} [fSave]
+     * @param {boolean} [fShutdown]
+     * @return {Object|boolean} component state if fSave; otherwise, true if successful, false if failure
+     */
+    powerDown(fSave, fShutdown)
+    {
+        if (fShutdown) {
+            for (let i = 0; i < this.aBackends.length; i++) this.aBackends[i].close();
+            this.aBackends = [];
+        }
+        return fSave? this.save() : true;
+    }
+
+    /**
+     * reset()
+     *
+     * @this {NE2000}
+     */
+    reset()
+    {
+        this.initState();
+    }
+
+    /**
+     * save()
+     *
+     * This implements save support for the NE2000 component.
+     *
+     * @this {NE2000}
+     * @return {Object}
+     */
+    save()
+    {
+        let state = new State(this);
+        state.set(0, [
+            this.bCR, this.bPSTART, this.bPSTOP, this.bBNRY, this.bTPSR, this.wTBCR, this.bISR, this.wRSAR, this.wRBCR,
+            this.bRCR, this.bTCR, this.bDCR, this.bIMR, this.bTSR, this.bRSR, this.bCURR, this.abPAR.slice(), this.abMAR.slice(),
+            this.abCounters.slice()
+        ]);
+        state.set(1, [this.abMAC.slice(), State.compress(Array.from(this.abMemory))]);
+        return state.data();
+    }
+
+    /**
+     * restore(data)
+     *
+     * This implements restore support for the NE2000 component.
+     *
+     * @this {NE2000}
+     * @param {Object} data
+     * @return {boolean} true if successful, false if failure
+     */
+    restore(data)
+    {
+        return this.initState(data[0], data[1]);
+    }
+
+    /**
+     * initState(dataRegs, dataMemory)
+     *
+     * @this {NE2000}
+     * @param {Array} [dataRegs]
+     * @param {Array} [dataMemory]
+     * @return {boolean} true if successful, false if failure
+     */
+    initState(dataRegs, dataMemory)
+    {
+        this.abMemory = new Uint8Array(NE2000.MEM.END);
+
+        if (dataMemory) {
+            this.abMAC = dataMemory[0];
+            let ab = dataMemory[1];
+            if (ab.length < NE2000.MEM.END) ab = State.decompress(ab, NE2000.MEM.END);
+            this.abMemory.set(ab);
+        }
+
+        /*
+         * The PROM occupies the first 32 bytes of the card's address space; the NE2000 repeats every PROM byte
+         * (because it's wired to both halves of the data bus), and the bytes at 0x0E and 0x0F identify the card.
+         */
+        for (let i = 0; i < 6; i++) {
+            this.abMemory[i * 2] = this.abMemory[i * 2 + 1] = this.abMAC[i];
+        }
+        for (let i = 12; i < NE2000.MEM.PROM_SIZE; i++) {
+            this.abMemory[i] = (i == 14 || i == 15)? NE2000.MEM.PROM_ID : 0;
+        }
+
+        if (!dataRegs) {
+            this.bCR = NE2000.CR.STP | NE2000.CR.RD_ABORT;
+            this.bPSTART = this.bPSTOP = this.bBNRY = this.bTPSR = 0;
+            this.wTBCR = this.wRSAR = this.wRBCR = 0;
+            this.bISR = NE2000.ISR.RST;
+            this.bRCR = this.bTCR = this.bDCR = this.bIMR = 0;
+            this.bTSR = this.bRSR = 0;
+            this.bCURR = 0;
+            this.abPAR = this.abMAC.slice();
+            this.abMAR = [0, 0, 0, 0, 0, 0, 0, 0];
+            this.abCounters = [0, 0, 0];
+        } else {
+            let i = 0;
+            this.bCR = dataRegs[i++];
+            this.bPSTART = dataRegs[i++];
+            this.bPSTOP = dataRegs[i++];
+            this.bBNRY = dataRegs[i++];
+            this.bTPSR = dataRegs[i++];
+            this.wTBCR = dataRegs[i++];
+            this.bISR = dataRegs[i++];
+            this.wRSAR = dataRegs[i++];
+            this.wRBCR = dataRegs[i++];
+            this.bRCR = dataRegs[i++];
+            this.bTCR = dataRegs[i++];
+            this.bDCR = dataRegs[i++];
+            this.bIMR = dataRegs[i++];
+            this.bTSR = dataRegs[i++];
+            this.bRSR = dataRegs[i++];
+            this.bCURR = dataRegs[i++];
+            this.abPAR = dataRegs[i++];
+            this.abMAR = dataRegs[i++];
+            this.abCounters = dataRegs[i];
+        }
+        this.updateIRQ();
+        return true;
+    }
+
+    /**
+     * resetCard()
+     *
+     * Reading the reset port stops the DP8390 and sets ISR.RST; the host must then reinitialize it.
+     *
+     * @this {NE2000}
+     */
+    resetCard()
+    {
+        this.bCR = NE2000.CR.STP | NE2000.CR.RD_ABORT;
+        this.bISR |= NE2000.ISR.RST;
+        this.bIMR = 0;
+        this.updateIRQ();
+    }
+
+    /**
+     * inReg(port, addrFrom)
+     *
+     * @this {NE2000}
+     * @param {number} port (0x300-0x30F)
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     * @return {number} simulated port value
+     */
+    inReg(port, addrFrom)
+    {
+        let b;
+        let reg = port - this.portBase;
+        let page = (this.bCR & NE2000.CR.PS) >> 6;
+        let sReg = NE2000.REG_NAMES[page] && NE2000.REG_NAMES[page][reg] || ("P" + page + ".REG" + Str.toHex(reg, 1));
+
+        if (reg == NE2000.REG.CR) {
+            b = this.bCR;
+        }
+        else if (page == 0) {
+            switch(reg) {
+            case 0x01:                      // CLDA0
+            case 0x02:                      // CLDA1
+            case 0x05:                      // NCR (number of collisions)
+            case 0x06:                      // FIFO
+                b = 0;
+                break;
+            case 0x03:
+                b = this.bBNRY;
+                break;
+            case 0x04:
+                b = this.bTSR;
+                break;
+            case 0x07:
+                b = this.bISR;
+                break;
+            case 0x08:                      // CRDA0
+                b = this.wRSAR & 0xff;
+                break;
+            case 0x09:                      // CRDA1
+                b = this.wRSAR >> 8;
+                break;
+            case 0x0C:
+                b = this.bRSR;
+                break;
+            case 0x0D:                      // CNTR0-CNTR2 (tally counters, cleared when read)
+            case 0x0E:
+            case 0x0F:
+                b = this.abCounters[reg - 0x0D];
+                if (addrFrom !== undefined) this.abCounters[reg - 0x0D] = 0;
+                break;
+            default:
+                b = 0xff;
+                break;
+            }
+        }
+        else if (page == 1) {
+            if (reg <= 0x06) {
+                b = this.abPAR[reg - 1];
+            } else if (reg == 0x07) {
+                b = this.bCURR;
+            } else {
+                b = this.abMAR[reg - 0x08];
+            }
+        }
+        else if (page == 2) {
+            switch(reg) {
+            case 0x01:
+                b = this.bPSTART;
+                break;
+            case 0x02:
+                b = this.bPSTOP;
+                break;
+            case 0x04:
+                b = this.bTPSR;
+                break;
+            case 0x0C:
+                b = this.bRCR | NE2000.RCR.RESERVED;
+                break;
+            case 0x0D:
+                b = this.bTCR | NE2000.TCR.RESERVED;
+                break;
+            case 0x0E:
+                b = this.bDCR | NE2000.DCR.RESERVED;
+                break;
+            case 0x0F:
+                b = this.bIMR | NE2000.IMR.RESERVED;
+                break;
+            default:
+                b = 0xff;
+                break;
+            }
+        }
+        else {
+            b = 0xff;
+        }
+        this.printMessageIO(port, undefined, addrFrom, sReg, b);
+        return b;
+    }
+
+    /**
+     * outReg(port, bOut, addrFrom)
+     *
+     * @this {NE2000}
+     * @param {number} port (0x300-0x30F)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to write the specified port)
+     */
+    outReg(port, bOut, addrFrom)
+    {
+        let reg = port - this.portBase;
+        let page = (this.bCR & NE2000.CR.PS) >> 6;
+        let sReg = NE2000.REG_NAMES[page] && NE2000.REG_NAMES[page][reg] || ("P" + page + ".REG" + Str.toHex(reg, 1));
+        this.printMessageIO(port, bOut, addrFrom, sReg);
+
+        if (reg == NE2000.REG.CR) {
+            this.outCommand(bOut);
+            return;
+        }
+        if (page == 0) {
+            switch(reg) {
+            case 0x01:
+                this.bPSTART = bOut;
+                break;
+            case 0x02:
+                this.bPSTOP = bOut;
+                break;
+            case 0x03:
+                this.bBNRY = bOut;
+                break;
+            case 0x04:
+                this.bTPSR = bOut;
+                break;
+            case 0x05:
+                this.wTBCR = (this.wTBCR & 0xff00) | bOut;
+                break;
+            case 0x06:
+                this.wTBCR = (this.wTBCR & 0x00ff) | (bOut << 8);
+                break;
+            case 0x07:                      // ISR bits are cleared by writing 1s
+                this.bISR &= ~(bOut & ~NE2000.ISR.RST);
+                this.updateIRQ();
+                break;
+            case 0x08:
+                this.wRSAR = (this.wRSAR & 0xff00) | bOut;
+                break;
+            case 0x09:
+                this.wRSAR = (this.wRSAR & 0x00ff) | (bOut << 8);
+                break;
+            case 0x0A:
+                this.wRBCR = (this.wRBCR & 0xff00) | bOut;
+                break;
+            case 0x0B:
+                this.wRBCR = (this.wRBCR & 0x00ff) | (bOut << 8);
+                break;
+            case 0x0C:
+                this.bRCR = bOut & ~NE2000.RCR.RESERVED;
+                break;
+            case 0x0D:
+                this.bTCR = bOut & ~NE2000.TCR.RESERVED;
+                break;
+            case 0x0E:
+                this.bDCR = bOut & ~NE2000.DCR.RESERVED;
+                break;
+            case 0x0F:
+                this.bIMR = bOut & ~NE2000.IMR.RESERVED;
+                this.updateIRQ();
+                break;
+            default:
+                break;
+            }
+        }
+        else if (page == 1) {
+            if (reg <= 0x06) {
+                this.abPAR[reg - 1] = bOut;
+            } else if (reg == 0x07) {
+                this.bCURR = bOut;
+            } else {
+                this.abMAR[reg - 0x08] = bOut;
+            }
+        }
+        /*
+         * Page 2 registers are read-only (they're for diagnostics), and page 3 is undefined on the DP8390.
+         */
+    }
+
+    /**
+     * outCommand(bOut)
+     *
+     * @this {NE2000}
+     * @param {number} bOut
+     */
+    outCommand(bOut)
+    {
+        /*
+         * TXP can only be set by the host, not cleared; it clears itself when the transmission is complete.
+         */
+        this.bCR = (bOut & ~NE2000.CR.TXP) | (this.bCR & NE2000.CR.TXP);
+        if (bOut & NE2000.CR.STP) {
+            this.bCR &= ~NE2000.CR.STA;
+            this.bISR |= NE2000.ISR.RST;
+        } else if (bOut & NE2000.CR.STA) {
+            this.bCR &= ~NE2000.CR.STP;
+            this.bISR &= ~NE2000.ISR.RST;
+        }
+        let rd = bOut & NE2000.CR.RD;
+        if (rd & NE2000.CR.RD_ABORT) {
+            this.bCR = (this.bCR & ~NE2000.CR.RD) | NE2000.CR.RD_ABORT;
+        } else {
+            if (rd == NE2000.CR.RD_SEND) {
+                /*
+                 * "Send Packet" is a remote read of the frame at BNRY, header and all, whose length the DP8390
+                 * takes from the header's byte count; the host is still responsible for advancing BNRY afterward.
+                 */
+                this.wRSAR = this.bBNRY << 8;
+                this.wRBCR = this.readMemory(this.wRSAR + 2) | (this.readMemory(this.wRSAR + 3) << 8);
+            }
+            if (rd && !this.wRBCR) this.bISR |= NE2000.ISR.RDC;
+        }
+        if ((bOut & NE2000.CR.TXP) && (this.bCR & NE2000.CR.STA)) {
+            this.transmitFrame();
+        }
+        this.updateIRQ();
+    }
+
+    /**
+     * inData(port, addrFrom)
+     *
+     * The data port is decoded at every offset from 0x10 to 0x17, so a 16-bit IN from the data port simply becomes
+     * two successive byte reads, which is exactly what we want.
+     *
+     * @this {NE2000}
+     * @param {number} port (0x310-0x317)
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     * @return {number} simulated port value
+     */
+    inData(port, addrFrom)
+    {
+        let b = 0xff;
+        if (addrFrom !== undefined) {
+            let rd = this.bCR & NE2000.CR.RD;
+            if ((rd == NE2000.CR.RD_READ || rd == NE2000.CR.RD_SEND) && this.wRBCR) {
+                b = this.readMemory(this.wRSAR);
+                this.advanceRemoteDMA();
+            }
+        }
+        this.printMessageIO(port, undefined, addrFrom, "DATA", b);
+        return b;
+    }
+
+    /**
+     * outData(port, bOut, addrFrom)
+     *
+     * @this {NE2000}
+     * @param {number} port (0x310-0x317)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to write the specified port)
+     */
+    outData(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "DATA");
+        if ((this.bCR & NE2000.CR.RD) == NE2000.CR.RD_WRITE && this.wRBCR) {
+            this.writeMemory(this.wRSAR, bOut);
+            this.advanceRemoteDMA();
+        }
+    }
+
+    /**
+     * inReset(port, addrFrom)
+     *
+     * @this {NE2000}
+     * @param {number} port (0x318-0x31F)
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     * @return {number} simulated port value
+     */
+    inReset(port, addrFrom)
+    {
+        let b = 0xff;
+        this.printMessageIO(port, undefined, addrFrom, "RESET", b);
+        if (addrFrom !== undefined) this.resetCard();
+        return b;
+    }
+
+    /**
+     * outReset(port, bOut, addrFrom)
+     *
+     * Writing the reset port (which drivers do to complete the reset sequence) has no effect.
+     *
+     * @this {NE2000}
+     * @param {number} port (0x318-0x31F)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to write the specified port)
+     */
+    outReset(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "RESET");
+    }
+
+    /**
+     * advanceRemoteDMA()
+     *
+     * Like the real DP8390, remote DMA addresses wrap from PSTOP back to PSTART, so that the host can read a
+     * received frame that wraps around the end of the receive ring without any special effort.
+     *
+     * @this {NE2000}
+     */
+    advanceRemoteDMA()
+    {
+        this.wRSAR = (this.wRSAR + 1) & 0xffff;
+        if (this.bPSTOP && this.wRSAR == (this.bPSTOP << 8)) this.wRSAR = this.bPSTART << 8;
+        if (!--this.wRBCR) {
+            this.bISR |= NE2000.ISR.RDC;
+            this.updateIRQ();
+        }
+    }
+
+    /**
+     * readMemory(addr)
+     *
+     * @this {NE2000}
+     * @param {number} addr
+     * @return {number}
+     */
+    readMemory(addr)
+    {
+        if (addr < NE2000.MEM.PROM_SIZE || addr >= NE2000.MEM.START && addr < NE2000.MEM.END) {
+            return this.abMemory[addr];
+        }
+        return 0xff;
+    }
+
+    /**
+     * writeMemory(addr, b)
+     *
+     * @this {NE2000}
+     * @param {number} addr
+     * @param {number} b
+     */
+    writeMemory(addr, b)
+    {
+        if (addr >= NE2000.MEM.START && addr < NE2000.MEM.END) {
+            this.abMemory[addr] = b;
+        }
+    }
+
+    /**
+     * updateIRQ()
+     *
+     * The NE2000's interrupt line is active whenever any unmasked ISR bit is set; since the PIC is edge-triggered,
+     * we signal it only when the line goes from inactive to active.
+     *
+     * @this {NE2000}
+     */
+    updateIRQ()
+    {
+        let fIRQ = !!(this.bISR & this.bIMR & ~NE2000.ISR.RST);
+        if (fIRQ != this.fIRQ) {
+            this.fIRQ = fIRQ;
+            if (this.chipset) {
+                if (fIRQ) {
+                    this.chipset.setIRR(this.nIRQ, 0, this);
+                } else {
+                    this.chipset.clearIRR(this.nIRQ, this);
+                }
+            }
+        }
+    }
+
+    /**
+     * transmitFrame()
+     *
+     * @this {NE2000}
+     */
+    transmitFrame()
+    {
+        let addr = this.bTPSR << 8;
+        let cb = Math.min(this.wTBCR, NE2000.MAX_FRAME);
+        let ab = new Uint8Array(cb);
+        for (let i = 0; i < cb; i++) ab[i] = this.readMemory(addr + i);
+
+        this.printf(Messages.NET, "transmitting %d bytes to %s\n", cb, NE2000.formatMAC(ab));
+
+        if (this.bTCR & NE2000.TCR.LB) {
+            this.receiveFrame(ab);
+        } else {
+            for (let i = 0; i < this.aBackends.length; i++) this.aBackends[i].transmit(ab);
+        }
+
+        this.bCR &= ~NE2000.CR.TXP;
+        this.bTSR = NE2000.TSR.PTX;
+        this.bISR |= NE2000.ISR.PTX;
+        this.updateIRQ();
+    }
+
+    /**
+     * receiveFrame(ab, backend)
+     *
+     * Called by a backend when a frame arrives; if the frame passes our address filter, it's stored in the
+     * receive ring, and ISR.PRX is set.
+     *
+     * @this {NE2000}
+     * @param {Uint8Array|Array.<number>} ab
+     * @param {Object} [backend] (the backend that delivered the frame, if any)
+     */
+    receiveFrame(ab, backend)
+    {
+        for (let i = 0; i < this.aBackends.length; i++) {
+            if (this.aBackends[i] !== backend && this.aBackends[i].capture) this.aBackends[i].capture(ab);
+        }
+
+        if (!(this.bCR & NE2000.CR.STA) || (this.bCR & NE2000.CR.STP) || ab.length < NE2000.ADDR_SIZE) return;
+
+        let bStatus = NE2000.RSR.PRX;
+        if (!(this.bRCR & NE2000.RCR.PRO)) {
+            if (ab[0] & 0x01) {
+                let fBroadcast = true;
+                for (let i = 0; i < NE2000.ADDR_SIZE; i++) {
+                    if (ab[i] != 0xff) fBroadcast = false;
+                }
+                if (fBroadcast) {
+                    if (!(this.bRCR & NE2000.RCR.AB)) return;
+                } else {
+                    if (!(this.bRCR & NE2000.RCR.AM)) return;
+                    let index = NE2000.getMulticastIndex(ab);
+                    if (!(this.abMAR[index >> 3] & (1 << (index & 7)))) return;
+                }
+            } else {
+                for (let i = 0; i < NE2000.ADDR_SIZE; i++) {
+                    if (ab[i] != this.abPAR[i]) return;
+                }
+            }
+        }
+        if (ab[0] & 0x01) bStatus |= NE2000.RSR.PHY;
+
+        /*
+         * Short frames are padded to the Ethernet minimum (the sender's hardware would have done that).
+         */
+        let cb = Math.max(ab.length, NE2000.MIN_FRAME);
+        let nPages = (cb + 4 + 0xff) >> 8;
+        let nRing = this.bPSTOP - this.bPSTART;
+        if (nRing <= 0 || this.bCURR < this.bPSTART || this.bCURR >= this.bPSTOP) return;
+        let nFree = (this.bCURR < this.bBNRY)? (this.bBNRY - this.bCURR) : (nRing - (this.bCURR - this.bBNRY));
+        if (nPages >= nFree) {
+            this.printf(Messages.NET, "receive ring full, dropping %d-byte frame\n", cb);
+            if (this.abCounters[2] < 0xff) this.abCounters[2]++;
+            return;
+        }
+
+        let pageNext = this.bCURR + nPages;
+        if (pageNext >= this.bPSTOP) pageNext -= nRing;
+
+        let addr = this.bCURR << 8;
+        let addrStop = this.bPSTOP << 8;
+        let abHeader = [bStatus, pageNext, (cb + 4) & 0xff, (cb + 4) >> 8];
+        for (let i = 0; i < cb + 4; i++) {
+            this.abMemory[addr++] = (i < 4)? abHeader[i] : (i - 4 < ab.length? ab[i - 4] : 0);
+            if (addr == addrStop) addr = this.bPSTART << 8;
+        }
+
+        this.printf(Messages.NET, "received %d bytes from %s at page %#04x\n", cb, NE2000.formatMAC(ab, NE2000.ADDR_SIZE), this.bCURR);
+
+        this.bCURR = pageNext;
+        this.bRSR = bStatus;
+        this.bISR |= NE2000.ISR.PRX;
+        this.updateIRQ();
+    }
+
+    /**
+     * NE2000.getMulticastIndex(ab)
+     *
+     * The DP8390 indexes its 64-bit multicast filter (MAR0-MAR7) with the upper 6 bits of the big-endian CRC-32
+     * of the destination address.
+     *
+     * @param {Uint8Array|Array.<number>} ab
+     * @return {number}
+     */
+    static getMulticastIndex(ab)
+    {
+        let crc = -1;
+        for (let i = 0; i < NE2000.ADDR_SIZE; i++) {
+            let b = ab[i];
+            for (let j = 0; j < 8; j++) {
+                let carry = ((crc >>> 31) ^ (b & 1));
+                crc <<= 1;
+                b >>= 1;
+                if (carry) crc = (crc ^ 0x04c11db6) | carry;
+            }
+        }
+        return crc >>> 26;
+    }
+
+    /**
+     * NE2000.parseMAC(sMAC)
+     *
+     * @param {string} [sMAC]
+     * @return {Array.<number>|null}
+     */
+    static parseMAC(sMAC)
+    {
+        if (sMAC) {
+            let as = sMAC.split(/[:-]/);
+            if (as.length == NE2000.ADDR_SIZE) {
+                let ab = [];
+                for (let i = 0; i < as.length; i++) {
+                    let b = Str.parseInt(as[i], 16);
+                    if (b === undefined || b < 0 || b > 0xff) return null;
+                    ab.push(b);
+                }
+                return ab;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * NE2000.formatMAC(ab, off)
+     *
+     * @param {Uint8Array|Array.<number>} ab
+     * @param {number} [off]
+     * @return {string}
+     */
+    static formatMAC(ab, off = 0)
+    {
+        let s = "";
+        for (let i = 0; i < NE2000.ADDR_SIZE; i++) {
+            if (s) s += ':';
+            s += Str.toHex(ab[off + i], 2);
+        }
+        return s;
+    }
+
+    /**
+     * NE2000.init()
+     *
+     * This function operates on every HTML element of class "ne2000", extracting the
+     * JSON-encoded parameters for the NE2000 constructor from the element's "data-value"
+     * attribute, invoking the constructor to create an NE2000 component, and then binding
+     * any associated HTML controls to the new component.
+     */
+    static init()
+    {
+        let aeNIC = Component.getElementsByClass(document, PCx86.APPCLASS, "ne2000");
+        for (let iNIC = 0; iNIC < aeNIC.length; iNIC++) {
+            let eNIC = aeNIC[iNIC];
+            let parmsNIC = Component.getComponentParms(eNIC);
+            let nic = new NE2000(parmsNIC);
+            Component.bindComponentControls(nic, eNIC, PCx86.APPCLASS);
+        }
+    }
+}
+
+/**
+ * NetHub class
+ *
+ * An in-process Ethernet hub: every frame transmitted by one NE2000 is delivered to every other NE2000 attached to
+ * a hub with the same name.
+ *
+ * @class NetHub
+ */
+class NetHub {
+    /**
+     * NetHub(nic, sName)
+     *
+     * @this {NetHub}
+     * @param {NE2000} nic
+     * @param {string} sName
+     */
+    constructor(nic, sName)
+    {
+        this.nic = nic;
+        this.sName = sName;
+        this.aPorts = NetHub.hubs[sName] || (NetHub.hubs[sName] = []);
+        this.aPorts.push(this);
+        this.fReady = true;
+    }
+
+    /**
+     * transmit(ab)
+     *
+     * @this {NetHub}
+     * @param {Uint8Array} ab
+     */
+    transmit(ab)
+    {
+        for (let i = 0; i < this.aPorts.length; i++) {
+            let port = this.aPorts[i];
+            if (port !== this) port.nic.receiveFrame(ab, port);
+        }
+    }
+
+    /**
+     * close()
+     *
+     * @this {NetHub}
+     */
+    close()
+    {
+        let i = this.aPorts.indexOf(this);
+        if (i >= 0) this.aPorts.splice(i, 1);
+    }
+}
+
+NetHub.hubs = {};
+
+/**
+ * NetPcap class
+ *
+ * Records every frame the NE2000 sends or receives to a libpcap ("tcpdump") file.
+ *
+ * @class NetPcap
+ */
+class NetPcap {
+    /**
+     * NetPcap(nic, sFile)
+     *
+     * @this {NetPcap}
+     * @param {NE2000} nic
+     * @param {string} sFile
+     */
+    constructor(nic, sFile)
+    {
+        this.nic = nic;
+        this.fReady = false;
+        try {
+            this.fd = fs.openSync(sFile, "w");
+            let ab = new Uint8Array(24);
+            let dv = new DataView(ab.buffer);
+            dv.setUint32(0, 0xa1b2c3d4, true);          // magic number
+            dv.setUint16(4, 2, true);                   // major version
+            dv.setUint16(6, 4, true);                   // minor version
+            dv.setInt32(8, 0, true);                    // GMT offset
+            dv.setUint32(12, 0, true);                  // timestamp accuracy
+            dv.setUint32(16, 0xffff, true);             // snapshot length
+            dv.setUint32(20, 1, true);                  // link-layer type (Ethernet)
+            fs.writeSync(this.fd, ab);
+            this.fReady = true;
+        } catch(err) {
+            nic.notice("Unable to create " + sFile + ": " + err.message);
+        }
+    }
+
+    /**
+     * transmit(ab)
+     *
+     * @this {NetPcap}
+     * @param {Uint8Array} ab
+     */
+    transmit(ab)
+    {
+        this.capture(ab);
+    }
+
+    /**
+     * capture(ab)
+     *
+     * @this {NetPcap}
+     * @param {Uint8Array|Array.<number>} ab
+     */
+    capture(ab)
+    {
+        if (!this.fReady) return;
+        let ms = Date.now();
+        let abRecord = new Uint8Array(16 + ab.length);
+        let dv = new DataView(abRecord.buffer);
+        dv.setUint32(0, Math.floor(ms / 1000), true);
+        dv.setUint32(4, (ms % 1000) * 1000, true);
+        dv.setUint32(8, ab.length, true);
+        dv.setUint32(12, ab.length, true);
+        abRecord.set(ab, 16);
+        fs.writeSync(this.fd, abRecord);
+    }
+
+    /**
+     * close()
+     *
+     * @this {NetPcap}
+     */
+    close()
+    {
+        if (this.fReady) {
+            fs.closeSync(this.fd);
+            this.fReady = false;
+        }
+    }
+}
+
+/**
+ * NetSocket class
+ *
+ * Exchanges frames with a local socket server (eg, QEMU with "-netdev socket,listen=:1234", or a bridge to a TAP
+ * device), where each frame is preceded by its length as a 32-bit big-endian value.
+ *
+ * @class NetSocket
+ */
+class NetSocket {
+    /**
+     * NetSocket(nic, sAddr)
+     *
+     * @this {NetSocket}
+     * @param {NE2000} nic
+     * @param {string} sAddr ("host:port", "port", or the path of a Unix domain socket)
+     */
+    constructor(nic, sAddr)
+    {
+        this.nic = nic;
+        this.sAddr = sAddr;
+        this.abPending = new Uint8Array(0);
+        this.fConnected = false;
+
+        let options;
+        let match = sAddr.match(/^(?:(.*):)?([0-9]+)$/);
+        if (match) {
+            options = {host: match[1] || "localhost", port: +match[2]};
+        } else {
+            options = {path: sAddr};
+        }
+        let socket = this;
+        this.socket = net.connect(options, function onSocketConnect() {
+            socket.fConnected = true;
+            nic.status("Connected to %s", sAddr);
+        });
+        this.socket.on('data', function onSocketData(data) {
+            socket.receiveData(data);
+        });
+        this.socket.on('error', function onSocketError(err) {
+            nic.notice("Network socket " + sAddr + ": " + err.message);
+        });
+        this.socket.on('close', function onSocketClose() {
+            socket.fConnected = false;
+        });
+        this.fReady = true;
+    }
+
+    /**
+     * receiveData(data)
+     *
+     * @this {NetSocket}
+     * @param {Uint8Array} data
+     */
+    receiveData(data)
+    {
+        let abPending = new Uint8Array(this.abPending.length + data.length);
+        abPending.set(this.abPending);
+        abPending.set(data, this.abPending.length);
+        while (abPending.length >= 4) {
+            let cb = ((abPending[0] << 24) | (abPending[1] << 16) | (abPending[2] << 8) | abPending[3]) >>> 0;
+            if (abPending.length < 4 + cb) break;
+            this.nic.receiveFrame(abPending.slice(4, 4 + cb), this);
+            abPending = abPending.subarray(4 + cb);
+        }
+        this.abPending = abPending;
+    }
+
+    /**
+     * transmit(ab)
+     *
+     * @this {NetSocket}
+     * @param {Uint8Array} ab
+     */
+    transmit(ab)
+    {
+        if (!this.fConnected) return;
+        let abFrame = new Uint8Array(4 + ab.length);
+        new DataView(abFrame.buffer).setUint32(0, ab.length);
+        abFrame.set(ab, 4);
+        this.socket.write(abFrame);
+    }
+
+    /**
+     * close()
+     *
+     * @this {NetSocket}
+     */
+    close()
+    {
+        this.socket.destroy();
+        this.fConnected = false;
+    }
+}
+
+NE2000.PORT         = 0x300;
+NE2000.IRQ          = 3;
+NE2000.ADDR_SIZE    = 6;
+NE2000.MIN_FRAME    = 60;               // minimum Ethernet frame size (excluding CRC)
+NE2000.MAX_FRAME    = 1514;             // maximum Ethernet frame size (excluding CRC)
+
+/*
+ * The card's address space (as seen through remote DMA): a 32-byte PROM at 0x0000, and 16Kb of buffer memory
+ * from 0x4000 to 0x7FFF (ie, pages 0x40-0x7F).
+ */
+NE2000.MEM = {
+    PROM_SIZE:      0x20,
+    PROM_ID:        0x57,               // 'W' (an NE1000 would use 0x42)
+    START:          0x4000,
+    END:            0x8000
+};
+
+NE2000.REG = {
+    CR:             0x00,
+    DATA:           0x10,
+    RESET:          0x18
+};
+
+NE2000.CR = {
+    STP:            0x01,               // stop
+    STA:            0x02,               // start
+    TXP:            0x04,               // transmit packet
+    RD:             0x38,               // remote DMA command
+    RD_READ:        0x08,
+    RD_WRITE:       0x10,
+    RD_SEND:        0x18,
+    RD_ABORT:       0x20,
+    PS:             0xC0                // page select
+};
+
+NE2000.ISR = {
+    PRX:            0x01,               // packet received
+    PTX:            0x02,               // packet transmitted
+    RXE:            0x04,               // receive error
+    TXE:            0x08,               // transmit error
+    OVW:            0x10,               // receive ring overwrite warning
+    CNT:            0x20,               // counter overflow
+    RDC:            0x40,               // remote DMA complete
+    RST:            0x80                // reset status (not an interrupt source)
+};
+
+NE2000.IMR = {
+    RESERVED:       0x80
+};
+
+NE2000.DCR = {
+    WTS:            0x01,               // word transfer select
+    RESERVED:       0x80
+};
+
+NE2000.TCR = {
+    LB:             0x06,               // loopback mode (any nonzero value)
+    RESERVED:       0xE0
+};
+
+NE2000.TSR = {
+    PTX:            0x01                // packet transmitted without error
+};
+
+NE2000.RCR = {
+    SEP:            0x01,               // accept frames with receive errors
+    AR:             0x02,               // accept runt frames
+    AB:             0x04,               // accept broadcast frames
+    AM:             0x08,               // accept multicast frames (that pass the MAR filter)
+    PRO:            0x10,               // promiscuous mode
+    MON:            0x20,               // monitor mode
+    RESERVED:       0xC0
+};
+
+NE2000.RSR = {
+    PRX:            0x01,               // packet received intact
+    PHY:            0x20                // physical (0) or multicast/broadcast (1) address
+};
+
+/*
+ * Register names (for port messages), indexed by page and then register offset
+ */
+NE2000.REG_NAMES = [
+    ["CR", "PSTART", "PSTOP", "BNRY", "TPSR", "TBCR0", "TBCR1", "ISR", "RSAR0", "RSAR1", "RBCR0", "RBCR1", "RCR", "TCR", "DCR", "IMR"],
+    ["CR", "PAR0", "PAR1", "PAR2", "PAR3", "PAR4", "PAR5", "CURR", "MAR0", "MAR1", "MAR2", "MAR3", "MAR4", "MAR5", "MAR6", "MAR7"]
+];
+
+/*
+ * Port input notification table
+ */
+NE2000.aPortInput = {};
+
+/*
+ * Port output notification table
+ */
+NE2000.aPortOutput = {};
+
+for (let reg = 0x00; reg < 0x20; reg++) {
+    NE2000.aPortInput[reg] = reg < NE2000.REG.DATA? NE2000.prototype.inReg : (reg < NE2000.REG.RESET? NE2000.prototype.inData : NE2000.prototype.inReset);
+    NE2000.aPortOutput[reg] = reg < NE2000.REG.DATA? NE2000.prototype.outReg : (reg < NE2000.REG.RESET? NE2000.prototype.outData : NE2000.prototype.outReset);
+}
+
+/*
+ * Initialize every NE2000 module on the page.
+ */
+Web.onInit(NE2000.init);
+
+if (typeof module !== "undefined") module.exports = NE2000;
@@ -48,17 +48,19 @@ class ParallelPort extends Component {
      *
      *      adapter: 1 (port 0x3BC), 2 (port 0x378), or 3 (port 0x278); 0 if not defined
      *
-     *      binding: name of a control (based on its "binding" attribute) to bind to this port's I/O
+     *      port: base I/O port, overriding the adapter's default (eg, 0x278)
+     *
+     *      irq: IRQ number, overriding the adapter's default (eg, 5); IRQs may be shared with other adapters
      *
-     * In the future, we may support 'port' and 'irq' properties that allow the machine to define a
-     * non-standard parallel port configuration, instead of only our pre-defined 'adapter' configurations.
+     *      binding: name of a control (based on its "binding" attribute) to bind to this port's I/O
      *
-     * NOTE: Since the XSL file defines 'adapter' as a number, not a string, there's no need to use
-     * parseInt(), and as an added benefit, we don't need to worry about whether a hex or decimal format
+     * NOTE: Since the XSL file defines 'adapter', 'port' and 'irq' as numbers, not strings, there's no need
+     * to use parseInt(), and as an added benefit, we don't need to worry about whether a hex or decimal format
      * was used.
      *
      * DOS typically names the Primary adapter "LPT1" and the Secondary adapter "LPT2", but I prefer
      * to stick to adapter numbers, since not all operating systems follow those naming conventions.
+     * When all three adapters are present, adapter 3 is what DOS calls "LPT3".
      *
      * @this {ParallelPort}
      * @param {Object} parmsParallel
@@ -83,9 +85,18 @@ class ParallelPort extends Component {
             this.nIRQ = ChipSet.IRQ.LPT2;
             break;
         default:
-            Component.warning("Unrecognized parallel adapter #" + this.iAdapter);
-            return;
+            /*
+             * An explicit 'port' is enough to define a non-standard adapter, with or without an 'irq'.
+             */
+            this.nIRQ = 0;
+            if (!parmsParallel['port']) {
+                Component.warning("Unrecognized parallel adapter #" + this.iAdapter);
+                return;
+            }
+            break;
         }
+        if (parmsParallel['port']) this.portBase = parmsParallel['port'];
+        if (parmsParallel['irq'] != null) this.nIRQ = parmsParallel['irq'];
         /**
          * consoleBuffer becomes a string that records parallel port output if the 'binding' property is set to the
          * reserved name "console".  Nothing is written to the console, however, until a linefeed (0x0A) is output
@@ -102,6 +113,15 @@ class ParallelPort extends Component {
          */
         this.controlBuffer = null;
 
+        /**
+         * printer is the Printer component (if any) bound to the port with bindPrinter(), and receivePrinter is
+         * the Printer method that transmitByte() calls for every byte output.
+         *
+         * @type {Printer|null}
+         */
+        this.printer = null;
+        this.receivePrinter = null;
+
         let sBinding = parmsParallel['binding'];
         if (sBinding == "console") {
             this.consoleBuffer = "";
@@ -123,6 +143,26 @@ class ParallelPort extends Component {
         }
     }
 
+    /**
+     * bindPrinter(id, printer, fnReceive)
+     *
+     * @this {ParallelPort}
+     * @param {string} id
+     * @param {Printer} printer
+     * @param {function(number):boolean} fnReceive
+     * @return {Component|null}
+     */
+    bindPrinter(id, printer, fnReceive)
+    {
+        let component = null;
+        if (id == this.idComponent && !this.printer) {
+            this.printer = printer;
+            this.receivePrinter = fnReceive;
+            component = this;
+        }
+        return component;
+    }
+
     /**
      * setBinding(sHTMLType, sBinding, control, sValue)
      *
@@ -157,8 +197,11 @@ class ParallelPort extends Component {
         this.cpu = cpu;
         this.dbg = dbg;
         this.chipset = cmp.getMachineComponent("ChipSet");
-        bus.addPortInputTable(this, ParallelPort.aPortInput, this.portBase);
-        bus.addPortOutputTable(this, ParallelPort.aPortOutput, this.portBase);
+        if (this.portBase) {
+            if (this.chipset && this.nIRQ) this.chipset.addIRQShare(this.nIRQ, this);
+            bus.addPortInputTable(this, ParallelPort.aPortInput, this.portBase);
+            bus.addPortOutputTable(this, ParallelPort.aPortOutput, this.portBase);
+        }
         this.setReady();
     }
 
@@ -351,6 +394,12 @@ class ParallelPort extends Component {
     outControl(port, bOut, addrFrom)
     {
         this.printMessageIO(port, bOut, addrFrom, "CTRL");
+        /*
+         * Pulling the (active-low) INIT line low resets an attached printer to its power-on settings.
+         */
+        if (this.printer && (this.bControl & ParallelPort.CONTROL.INIT) && !(bOut & ParallelPort.CONTROL.INIT)) {
+            this.printer.initPrinter();
+        }
         this.bControl = bOut | ParallelPort.CONTROL.ALWAYS_SET;
         this.updateIRR();
     }
@@ -364,9 +413,9 @@ class ParallelPort extends Component {
     {
         if (this.chipset && this.nIRQ) {
             if ((this.bControl & ParallelPort.CONTROL.IRQ_ENABLE) && !(this.bStatus & ParallelPort.STATUS.NACK)) {
-                this.chipset.setIRR(this.nIRQ);
+                this.chipset.setIRR(this.nIRQ, 0, this);
             } else {
-                this.chipset.clearIRR(this.nIRQ);
+                this.chipset.clearIRR(this.nIRQ, this);
             }
         }
     }
@@ -384,7 +433,10 @@ class ParallelPort extends Component {
 
         this.printMessage("transmitByte(" + Str.toHexByte(b) + ")");
 
-        if (this.controlBuffer) {
+        if (this.printer) {
+            fTransmitted = this.receivePrinter.call(this.printer, b);
+        }
+        else if (this.controlBuffer) {
             if (b == 0x0D) {
                 // this.iLogicalCol = 0;
             }
@@ -0,0 +1,1464 @@
+/**
+ * @fileoverview Implements the PCx86 Printer component
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+if (typeof module !== "undefined") {
+    var fs          = require("fs");
+    var zlib        = require("zlib");
+    var Str         = require("../../shared/lib/strlib");
+    var Web         = require("../../shared/lib/weblib");
+    var Component   = require("../../shared/lib/component");
+    var State       = require("../../shared/lib/state");
+    var PCx86       = require("./defines");
+    var Messages    = require("./messages");
+    var ParallelPort = require("./parallel");
+}
+
+/**
+ * Printer class
+ *
+ * Emulates a 9-pin dot-matrix printer attached to a ParallelPort: either an Epson FX-80 (and its many ESC/P
+ * compatibles) or an IBM Graphics Printer/Proprinter.  The two share most of their control codes, since IBM's
+ * printer was built by Epson, but differ in a few places (eg, ESC 2, ESC 4, ESC 5, ESC \, and ESC ^), and in what
+ * characters 0x80-0xFF look like: the Epson prints italics, whereas the IBM prints (most of) code page 437.
+ *
+ * Every pin strike is rendered into a 240dpi bitmap of the current page; horizontal positions are maintained
+ * in 1/720-inch units (the smallest unit that every pitch and graphics density divides evenly) and vertical
+ * positions in 1/216-inch units (the printer's finest line-feed increment).  Completed pages are delivered to:
+ *
+ *      1) a canvas, when running in a browser (the page being printed is redrawn about once a second), along
+ *         with optional "formFeed" and "save" buttons, the latter downloading the last MAX_PAGES pages as a PDF;
+ *      2) PNG files (one per page) or a single PDF file, when running "headless" under Node with 'file' set.
+ *
+ * Output files are written whenever a page is ejected, and once more at shutdown (for any partially printed page);
+ * a PDF file is rewritten with every page, so completed pages are kept only in compressed form, which is all that
+ * encodePDF() needs.  Pages with nothing printed on them are skipped.
+ *
+ * @class Printer
+ * @unrestricted (allows the class to define properties, both dot and named, outside of the constructor)
+ */
+class Printer extends Component {
+    /**
+     * Printer(parms)
+     *
+     * The Printer component has the following component-specific (parms) properties:
+     *
+     *      parallel: the ID of the ParallelPort component the printer is attached to (eg, "lpt1")
+     *
+     *      model: "epson" (default) or "ibm"
+     *
+     *      file: name of a PNG file (eg, "print.png", which produces "print-1.png", "print-2.png", etc) or a PDF
+     *      file (eg, "print.pdf") to write pages to (Node only; ignored in the browser)
+     *
+     * @this {Printer}
+     * @param {Object} parms
+     */
+    constructor(parms)
+    {
+        super("Printer", parms, Messages.PRINTER);
+
+        this.idParallel = parms['parallel'];
+        this.model = (parms['model'] == Printer.MODEL.IBM? Printer.MODEL.IBM : Printer.MODEL.EPSON);
+
+        this.sFile = (!window && typeof fs != "undefined" && parms['file']) || "";
+        this.fPDF = (/\.pdf$/i).test(this.sFile);
+
+        this.parallel = null;
+        this.canvas = this.context = null;
+
+        /*
+         * abPage holds one byte per pixel of the current page (non-zero for ink), and aPages holds completed pages
+         * (packed, 1 bit per pixel, and compressed); we only keep completed pages if they may be needed later (ie, for
+         * a PDF), and in a browser, only the last MAX_PAGES of them.
+         */
+        /** @type {Uint8Array} */
+        this.abPage = null;
+        this.cyPage = 0;
+        this.aCarry = [];
+        this.aPages = [];
+        this.fKeepPages = this.fPDF || !this.sFile;
+        this.nPage = 0;
+        this.fDirty = this.fChanged = false;
+
+        this.aSeq = null;
+        this.nGraphics = this.dxGraphics = 0;
+        this.f9Pin = false;
+        this.bGraphics = -1;
+        this.nAllChars = 0;
+    }
+
+    /**
+     * initBus(cmp, bus, cpu, dbg)
+     *
+     * @this {Printer}
+     * @param {Computer} cmp
+     * @param {BusX86} bus
+     * @param {CPUx86} cpu
+     * @param {DebuggerX86} dbg
+     */
+    initBus(cmp, bus, cpu, dbg)
+    {
+        this.cmp = cmp;
+        this.cpu = cpu;
+        this.dbg = dbg;
+        this.timerFlush = cpu.addTimer(this.id, this.flushPage.bind(this), Printer.FLUSH_MS);
+        this.setReady();
+    }
+
+    /**
+     * setBinding(sHTMLType, sBinding, control, sValue)
+     *
+     * @this {Printer}
+     * @param {string} sHTMLType is the type of the HTML control (eg, "button", "list", "text", "submit", "textarea", "canvas")
+     * @param {string} sBinding is the value of the 'binding' parameter stored in the HTML control's "data-value" attribute (eg, "paper")
+     * @param {HTMLElement} control is the HTML control DOM object (eg, HTMLButtonElement)
+     * @param {string} [sValue] optional data value
+     * @return {boolean} true if binding was successful, false if unrecognized binding request
+     */
+    setBinding(sHTMLType, sBinding, control, sValue)
+    {
+        let printer = this;
+
+        switch (sBinding) {
+        case "paper":
+            if (sHTMLType != "canvas") break;
+            this.bindings[sBinding] = this.canvas = /** @type {HTMLCanvasElement} */ (control);
+            this.context = this.canvas.getContext("2d");
+            this.drawPage();
+            return true;
+
+        case "formFeed":
+            this.bindings[sBinding] = control;
+            control.onclick = function onClickFormFeed() {
+                printer.newPage();
+            };
+            return true;
+
+        case "save":
+            this.bindings[sBinding] = control;
+            control.onclick = function onClickSave() {
+                let aPages = printer.getPages();
+                if (!aPages.length) {
+                    Component.alertUser("Nothing has been printed yet.");
+                    return;
+                }
+                let sAlert = Web.downloadFile(printer.encodePDF(aPages), "pdf", false, "print.pdf");
+                Component.alertUser(sAlert);
+            };
+            return true;
+
+        default:
+            break;
+        }
+        return false;
+    }
+
+    /**
+     * powerUp(data, fRepower)
+     *
+     * @this {Printer}
+     * @param {Object|null} data
+     * @param {boolean} [fRepower]
+     * @return {boolean} true if successful, false if failure
+     */
+    powerUp(data, fRepower)
+    {
+        if (!fRepower) {
+            if (!data || !this.restore) {
+                this.reset();
+            } else {
+                if (!this.restore(data)) return false;
+            }
+            if (!this.parallel) {
+                let parallel = null;
+                while ((parallel = this.cmp.getMachineComponent("ParallelPort", parallel))) {
+                    if (parallel.bindPrinter && parallel.bindPrinter(this.idParallel, this, this.receiveByte)) {
+                        this.parallel = parallel;
+                        break;
+                    }
+                }
+                if (!this.parallel) {
+                    Component.warning(this.id + ": parallel port " + this.idParallel + " unavailable");
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * powerDown(fSave, fShutdown)
+     *
+     * @this {Printer}
+     * @param {boolean} [fSave]
+     * @param {boolean} [fShutdown]
+     * @return {Object|boolean} component state if fSave; otherwise, true if successful, false if failure
+     */
+    powerDown(fSave, fShutdown)
+    {
+        this.flushPage();
+        if (fShutdown && this.fDirty) this.writePage(this.packPage(), this.nPage + 1);
+        return fSave? this.save() : true;
+    }
+
+    /**
+     * reset()
+     *
+     * @this {Printer}
+     */
+    reset()
+    {
+        this.initState();
+    }
+
+    /**
+     * save()
+     *
+     * This implements save support for the Printer component.  Only the printer's settings and head position are
+     * saved; whatever was already printed on the current page has already been delivered.
+     *
+     * @this {Printer}
+     * @return {Object}
+     */
+    save()
+    {
+        let state = new State(this);
+        state.set(0, this.saveRegisters());
+        return state.data();
+    }
+
+    /**
+     * restore(data)
+     *
+     * This implements restore support for the Printer component.
+     *
+     * @this {Printer}
+     * @param {Object} data
+     * @return {boolean} true if successful, false if failure
+     */
+    restore(data)
+    {
+        return this.initState(data[0]);
+    }
+
+    /**
+     * initState(data)
+     *
+     * @this {Printer}
+     * @param {Array} [data]
+     * @return {boolean} true if successful, false if failure
+     */
+    initState(data)
+    {
+        this.pageLength = Printer.PAGE_LENGTH;
+        this.initPrinter();
+        this.x = this.y = 0;
+        if (data) {
+            let i = 0;
+            this.x = data[i++];
+            this.y = data[i++];
+            this.bMode = data[i++];
+            this.lineSpacing = data[i++];
+            this.lineSpacingIBM = data[i++];
+            this.pageLength = data[i++];
+            this.skipPerf = data[i++];
+            this.marginLeft = data[i++];
+            this.marginRight = data[i++];
+            this.aTabs = data[i++];
+            this.aVTabs = data[i++];
+            this.fAutoLF = data[i++];
+            this.fHighControls = data[i];
+        }
+        this.aSeq = null;
+        this.aCarry = [];
+        this.nGraphics = this.nAllChars = 0;
+        this.bGraphics = -1;
+        if (!this.abPage) this.clearPage();
+        return true;
+    }
+
+    /**
+     * saveRegisters()
+     *
+     * @this {Printer}
+     * @return {Array}
+     */
+    saveRegisters()
+    {
+        let i = 0;
+        let data = [];
+        data[i++] = this.x;
+        data[i++] = this.y;
+        data[i++] = this.bMode;
+        data[i++] = this.lineSpacing;
+        data[i++] = this.lineSpacingIBM;
+        data[i++] = this.pageLength;
+        data[i++] = this.skipPerf;
+        data[i++] = this.marginLeft;
+        data[i++] = this.marginRight;
+        data[i++] = this.aTabs;
+        data[i++] = this.aVTabs;
+        data[i++] = this.fAutoLF;
+        data[i]   = this.fHighControls;
+        return data;
+    }
+
+    /**
+     * initPrinter()
+     *
+     * Restores the power-on settings (ESC @, or pulsing the parallel port's INIT line) without moving the paper.
+     *
+     * @this {Printer}
+     */
+    initPrinter()
+    {
+        this.bMode = 0;
+        this.lineSpacing = this.lineSpacingIBM = Printer.LINE_SPACING;
+        this.skipPerf = 0;
+        this.marginLeft = 0;
+        this.marginRight = Printer.PAGE_WIDTH;
+        this.aTabs = Printer.getDefaultTabs();
+        this.aVTabs = [];
+        this.fAutoLF = false;
+        this.fHighControls = true;
+        this.x = this.marginLeft;
+    }
+
+    /**
+     * receiveByte(b)
+     *
+     * Called by the ParallelPort for every byte it transmits.
+     *
+     * @this {Printer}
+     * @param {number} b
+     * @return {boolean} true if received
+     */
+    receiveByte(b)
+    {
+        if (this.nGraphics) {
+            this.nGraphics--;
+            if (!this.f9Pin) {
+                this.printColumn(b << 1);
+            } else if (this.bGraphics < 0) {
+                this.bGraphics = b;
+            } else {
+                this.printColumn((this.bGraphics << 1) | (b >> 7));
+                this.bGraphics = -1;
+            }
+        }
+        else if (this.nAllChars) {
+            this.nAllChars--;
+            this.printChar(b);
+        }
+        else if (this.aSeq) {
+            this.aSeq.push(b);
+            if (this.doSequence(this.aSeq)) this.aSeq = null;
+        }
+        else if (b == Printer.CTRL.ESC) {
+            this.aSeq = [];
+        }
+        else if (b < 0x20 || b == 0x7F || b >= 0x80 && b < 0xA0 && this.fHighControls) {
+            this.doControl(b & 0x7F);
+        }
+        else {
+            this.printChar(b);
+        }
+        return true;
+    }
+
+    /**
+     * doControl(b)
+     *
+     * @this {Printer}
+     * @param {number} b
+     */
+    doControl(b)
+    {
+        let i;
+        switch(b) {
+        case Printer.CTRL.BS:
+            this.x = Math.max(this.x - this.getPitch(), this.marginLeft);
+            break;
+        case Printer.CTRL.HT:
+            for (i = 0; i < this.aTabs.length; i++) {
+                if (this.aTabs[i] > this.x) {
+                    if (this.aTabs[i] < this.marginRight) this.x = this.aTabs[i];
+                    break;
+                }
+            }
+            break;
+        case Printer.CTRL.LF:
+            this.lineFeed(this.lineSpacing);
+            break;
+        case Printer.CTRL.VT:
+            for (i = 0; i < this.aVTabs.length; i++) {
+                if (this.aVTabs[i] > this.y) break;
+            }
+            if (i < this.aVTabs.length) {
+                this.lineFeed(this.aVTabs[i] - this.y);
+            } else {
+                this.lineFeed(this.lineSpacing);
+            }
+            break;
+        case Printer.CTRL.FF:
+            this.newPage();
+            break;
+        case Printer.CTRL.CR:
+            this.x = this.marginLeft;
+            if (this.fAutoLF || this.parallel && (this.parallel.bControl & ParallelPort.CONTROL.NAUTOFEED)) {
+                this.lineFeed(this.lineSpacing);
+            }
+            break;
+        case Printer.CTRL.SO:
+            this.bMode |= Printer.MODE.EXPANDED_LINE;
+            break;
+        case Printer.CTRL.SI:
+            this.bMode |= Printer.MODE.CONDENSED;
+            break;
+        case Printer.CTRL.DC2:
+            this.bMode &= ~Printer.MODE.CONDENSED;
+            break;
+        case Printer.CTRL.DC4:
+            this.bMode &= ~Printer.MODE.EXPANDED_LINE;
+            break;
+        default:
+            /*
+             * BEL, DC1 (select), DC3 (deselect), CAN (cancel line) and DEL (delete last character) are ignored,
+             * since the printer never buffers anything and is always selected.
+             */
+            this.printf("ignoring control code %#04x\n", b);
+            break;
+        }
+    }
+
+    /**
+     * doSequence(a)
+     *
+     * Processes an ESC sequence, whose bytes (excluding the ESC) have been accumulated in the given array.
+     *
+     * @this {Printer}
+     * @param {Array.<number>} a
+     * @return {boolean} true if the sequence is complete, false if more bytes are required
+     */
+    doSequence(a)
+    {
+        let b = a[0], i, n;
+        let fIBM = (this.model == Printer.MODEL.IBM);
+
+        /*
+         * Sequences that require parameters are processed only once all their parameters have arrived.
+         */
+        n = fIBM? Printer.IBM_PARMS[b] : Printer.EPSON_PARMS[b];
+        if (n === undefined) n = Printer.PARMS[b] || 0;
+        if (n < 0) {
+            /*
+             * A negative count means the parameters end with a zero (or when there are too many of them).
+             */
+            if (a.length < 2 || a[a.length - 1] && a.length <= 33) return false;
+        }
+        else if (a.length <= n) {
+            return false;
+        }
+        if (b == 0x43 && a[1] == 0 && a.length < 3) return false;     // ESC C 0 n (page length in inches)
+
+        let pitch = this.getPitch();
+
+        switch(b) {
+        case 0x21:                                                  // ESC ! n (master select)
+            this.bMode = (this.bMode & ~0xFF) | a[1];
+            break;
+        case 0x24:                                                  // ESC $ n1 n2 (absolute position, 1/60-inch units)
+            n = this.marginLeft + (a[1] | (a[2] << 8)) * 12;
+            if (n < this.marginRight) this.x = n;
+            break;
+        case 0x2A:                                                  // ESC * m n1 n2 (bit-image)
+            this.setGraphics(Printer.aGraphicsDensities[a[1] & 0x7] || Printer.aGraphicsDensities[0], a[2] | (a[3] << 8));
+            break;
+        case 0x2D:                                                  // ESC - n (underline)
+            this.setMode(Printer.MODE.UNDERLINE, a[1] & 1);
+            break;
+        case 0x30:                                                  // ESC 0 (1/8-inch line spacing)
+            this.lineSpacing = 27;
+            break;
+        case 0x31:                                                  // ESC 1 (7/72-inch line spacing)
+            this.lineSpacing = 21;
+            break;
+        case 0x32:                                                  // ESC 2 (1/6-inch line spacing, or the ESC A spacing on IBM)
+            this.lineSpacing = fIBM? this.lineSpacingIBM : Printer.LINE_SPACING;
+            break;
+        case 0x33:                                                  // ESC 3 n (n/216-inch line spacing)
+            this.lineSpacing = a[1];
+            break;
+        case 0x34:                                                  // ESC 4 (italic on, or set top-of-form on IBM)
+            if (!fIBM) this.bMode |= Printer.MODE.ITALIC;
+            break;
+        case 0x35:                                                  // ESC 5 (italic off, or ESC 5 n automatic line feed on IBM)
+            if (fIBM) {
+                this.fAutoLF = !!(a[1] & 1);
+            } else {
+                this.bMode &= ~Printer.MODE.ITALIC;
+            }
+            break;
+        case 0x36:                                                  // ESC 6 (print 0x80-0x9F, or character set 2 on IBM)
+            this.fHighControls = false;
+            break;
+        case 0x37:                                                  // ESC 7 (treat 0x80-0x9F as controls, or character set 1 on IBM)
+            this.fHighControls = true;
+            break;
+        case 0x3A:                                                  // ESC : (12 cpi on IBM)
+            if (fIBM) this.bMode |= Printer.MODE.ELITE;
+            break;
+        case 0x40:                                                  // ESC @ (initialize)
+            this.initPrinter();
+            break;
+        case 0x41:                                                  // ESC A n (n/72-inch line spacing, deferred until ESC 2 on IBM)
+            if (fIBM) {
+                this.lineSpacingIBM = a[1] * 3;
+            } else {
+                this.lineSpacing = a[1] * 3;
+            }
+            break;
+        case 0x42:                                                  // ESC B n1 ... 0 (vertical tabs, in lines)
+            this.aVTabs = [];
+            for (i = 1; i < a.length && a[i]; i++) this.aVTabs.push(a[i] * this.lineSpacing);
+            break;
+        case 0x43:                                                  // ESC C n (page length in lines) or ESC C 0 n (in inches)
+            n = a[1]? a[1] * this.lineSpacing : a[2] * Printer.UNITS_Y;
+            if (n) this.pageLength = Math.min(n, Printer.PAGE_LENGTH_MAX);
+            break;
+        case 0x44:                                                  // ESC D n1 ... 0 (horizontal tabs, in columns)
+            this.aTabs = [];
+            for (i = 1; i < a.length && a[i]; i++) this.aTabs.push(this.marginLeft + a[i] * pitch);
+            break;
+        case 0x45:                                                  // ESC E (emphasized on)
+            this.bMode |= Printer.MODE.EMPHASIZED;
+            break;
+        case 0x46:                                                  // ESC F (emphasized off)
+            this.bMode &= ~Printer.MODE.EMPHASIZED;
+            break;
+        case 0x47:                                                  // ESC G (double-strike on)
+            this.bMode |= Printer.MODE.DOUBLE;
+            break;
+        case 0x48:                                                  // ESC H (double-strike off)
+            this.bMode &= ~Printer.MODE.DOUBLE;
+            break;
+        case 0x4A:                                                  // ESC J n (advance paper n/216 inch)
+            this.lineFeed(a[1], true);
+            break;
+        case 0x4B:                                                  // ESC K n1 n2 (60dpi bit-image)
+        case 0x4C:                                                  // ESC L n1 n2 (120dpi bit-image)
+        case 0x59:                                                  // ESC Y n1 n2 (120dpi high-speed bit-image)
+        case 0x5A:                                                  // ESC Z n1 n2 (240dpi bit-image)
+            this.setGraphics(Printer.aGraphicsDensities[b == 0x4B? 0 : (b == 0x5A? 3 : 1)], a[1] | (a[2] << 8));
+            break;
+        case 0x4D:                                                  // ESC M (elite on)
+            if (!fIBM) this.bMode |= Printer.MODE.ELITE;
+            break;
+        case 0x4E:                                                  // ESC N n (skip over perforation)
+            this.skipPerf = a[1] * this.lineSpacing;
+            break;
+        case 0x4F:                                                  // ESC O (cancel skip over perforation)
+            this.skipPerf = 0;
+            break;
+        case 0x50:                                                  // ESC P (pica, ie, elite off)
+            if (!fIBM) this.bMode &= ~Printer.MODE.ELITE;
+            break;
+        case 0x51:                                                  // ESC Q n (right margin)
+            if (!fIBM && a[1]) this.marginRight = Math.min(this.marginLeft + a[1] * pitch, Printer.PAGE_WIDTH);
+            break;
+        case 0x52:                                                  // ESC R (reset tabs on IBM; ESC R n selects a character set on Epson)
+            if (fIBM) this.aTabs = Printer.getDefaultTabs();
+            break;
+        case 0x53:                                                  // ESC S n (superscript or subscript)
+            this.bMode &= ~(Printer.MODE.SUPER | Printer.MODE.SUB);
+            this.bMode |= (a[1] & 1)? Printer.MODE.SUB : Printer.MODE.SUPER;
+            break;
+        case 0x54:                                                  // ESC T (cancel superscript/subscript)
+            this.bMode &= ~(Printer.MODE.SUPER | Printer.MODE.SUB);
+            break;
+        case 0x57:                                                  // ESC W n (expanded)
+            this.setMode(Printer.MODE.EXPANDED, a[1] & 1);
+            break;
+        case 0x58:                                                  // ESC X n m (left and right margins on IBM)
+            if (fIBM) {
+                if (a[1]) this.marginLeft = (a[1] - 1) * pitch;
+                if (a[2]) this.marginRight = Math.min(a[2] * pitch, Printer.PAGE_WIDTH);
+            }
+            break;
+        case 0x5C:                                                  // ESC \ n1 n2 (print any characters on IBM, or relative position on Epson)
+            n = a[1] | (a[2] << 8);
+            if (fIBM) {
+                this.nAllChars = n;
+            } else {
+                n = this.x + ((n << 16) >> 16) * 6;
+                if (n >= this.marginLeft && n < this.marginRight) this.x = n;
+            }
+            break;
+        case 0x5E:                                                  // ESC ^ (print any character on IBM, or ESC ^ m n1 n2 9-pin graphics on Epson)
+            if (fIBM) {
+                this.nAllChars = 1;
+            } else {
+                this.setGraphics(Printer.aGraphicsDensities[a[1] & 1], (a[2] | (a[3] << 8)) * 2, true);
+            }
+            break;
+        case 0x5F:                                                  // ESC _ n (overscore on IBM)
+            if (fIBM) this.setMode(Printer.MODE.OVERSCORE, a[1] & 1);
+            break;
+        case 0x6A:                                                  // ESC j n (reverse feed n/216 inch)
+            if (!fIBM) this.y = Math.max(this.y - a[1], 0);
+            break;
+        case 0x6C:                                                  // ESC l n (left margin)
+            if (!fIBM && a[1] * pitch < this.marginRight) this.marginLeft = a[1] * pitch;
+            break;
+        default:
+            if (b < 0x20) {                                         // ESC followed by a control code (eg, ESC SO)
+                this.doControl(b);
+                break;
+            }
+            /*
+             * Everything else (eg, ESC U, ESC x, ESC p, ESC t, ESC I, ESC 8, ESC 9, ESC <) either has no visible effect
+             * or selects a feature we don't support; either way, the parameter tables above take care of skipping them.
+             */
+            this.printf("ignoring ESC %#04x (%d parameter bytes)\n", b, a.length - 1);
+            break;
+        }
+        return true;
+    }
+
+    /**
+     * setMode(bit, f)
+     *
+     * @this {Printer}
+     * @param {number} bit
+     * @param {number|boolean} f
+     */
+    setMode(bit, f)
+    {
+        if (f) {
+            this.bMode |= bit;
+        } else {
+            this.bMode &= ~bit;
+        }
+    }
+
+    /**
+     * setGraphics(dx, n, f9Pin)
+     *
+     * @this {Printer}
+     * @param {number} dx (horizontal distance between columns, in 1/720-inch units)
+     * @param {number} n (number of data bytes that follow)
+     * @param {boolean} [f9Pin] (true if each column consists of two bytes)
+     */
+    setGraphics(dx, n, f9Pin = false)
+    {
+        this.dxGraphics = dx;
+        this.nGraphics = n;
+        this.f9Pin = f9Pin;
+        this.bGraphics = -1;
+    }
+
+    /**
+     * getPitch()
+     *
+     * @this {Printer}
+     * @return {number} width of the current character cell, in 1/720-inch units
+     */
+    getPitch()
+    {
+        let pitch = (this.bMode & Printer.MODE.CONDENSED)?
+            ((this.bMode & Printer.MODE.ELITE)? Printer.PITCH.CONDENSED_ELITE : Printer.PITCH.CONDENSED) :
+            ((this.bMode & Printer.MODE.ELITE)? Printer.PITCH.ELITE : Printer.PITCH.PICA);
+        if (this.bMode & (Printer.MODE.EXPANDED | Printer.MODE.EXPANDED_LINE)) pitch *= 2;
+        return pitch;
+    }
+
+    /**
+     * lineFeed(dy, fNoReturn)
+     *
+     * @this {Printer}
+     * @param {number} dy (in 1/216-inch units)
+     * @param {boolean} [fNoReturn] (true to leave the print head where it is)
+     */
+    lineFeed(dy, fNoReturn)
+    {
+        /*
+         * On an Epson, LF also returns the print head to the left margin, but not on an IBM.  Expanded mode
+         * that was enabled with SO lasts only until the end of the line.
+         */
+        if (!fNoReturn) {
+            if (this.model == Printer.MODEL.EPSON) this.x = this.marginLeft;
+            this.bMode &= ~Printer.MODE.EXPANDED_LINE;
+        }
+        this.y += dy;
+        if (this.y >= this.pageLength - this.skipPerf) {
+            let y = this.y - this.pageLength;
+            this.newPage();
+            if (y > 0 && !this.skipPerf) this.y = y;
+        }
+    }
+
+    /**
+     * printChar(b)
+     *
+     * @this {Printer}
+     * @param {number} b
+     */
+    printChar(b)
+    {
+        let pitch = this.getPitch();
+        if (this.x + pitch > this.marginRight) {
+            this.x = this.marginLeft;
+            this.lineFeed(this.lineSpacing, true);
+        }
+        let bMode = this.bMode;
+        let aGlyph = null, sBox = null;
+        if (b >= 0x80) {
+            if (this.model == Printer.MODEL.EPSON) {
+                bMode |= Printer.MODE.ITALIC;
+                b -= 0x80;
+                if (b < 0x20) b = 0x20;
+            } else if (b >= 0xB0 && b < 0xE0) {
+                sBox = Printer.aBoxChars[b - 0xB0];
+            } else {
+                b = Printer.sHighChars.charCodeAt(b < 0xB0? b - 0x80 : b - 0xB0);
+            }
+        }
+        if (sBox) {
+            this.printBox(sBox, pitch);
+        } else {
+            if (b >= 0x20 && b < 0x7F) aGlyph = Printer.aFont[b - 0x20];
+            if (aGlyph) this.printGlyph(aGlyph, bMode, pitch);
+        }
+        if (bMode & (Printer.MODE.UNDERLINE | Printer.MODE.OVERSCORE)) {
+            let y = this.y + ((bMode & Printer.MODE.UNDERLINE)? 8 * Printer.PIN_SPACING : 0);
+            for (let dx = 0; dx < pitch; dx += Printer.PITCH.PICA / 12) {
+                this.strike(this.x + dx, y);
+            }
+        }
+        this.x += pitch;
+    }
+
+    /**
+     * printGlyph(aGlyph, bMode, pitch)
+     *
+     * Each glyph is 5 columns of 8 dots, printed in a cell 6 columns wide; the 8th (bottom) dot is for descenders.
+     *
+     * @this {Printer}
+     * @param {Array.<number>} aGlyph
+     * @param {number} bMode
+     * @param {number} pitch
+     */
+    printGlyph(aGlyph, bMode, pitch)
+    {
+        let dxCol = pitch / 6;
+        for (let col = 0; col < aGlyph.length; col++) {
+            let bits = aGlyph[col];
+            for (let row = 0; bits; row++, bits >>= 1) {
+                if (!(bits & 1)) continue;
+                let x = this.x + col * dxCol;
+                let y = this.y + row * Printer.PIN_SPACING;
+                if (bMode & (Printer.MODE.SUPER | Printer.MODE.SUB)) {
+                    y = this.y + ((bMode & Printer.MODE.SUB)? 4 * Printer.PIN_SPACING : 0) + ((row * Printer.PIN_SPACING) >> 1);
+                }
+                if (bMode & Printer.MODE.ITALIC) x += ((6 - row) * dxCol) / 4;
+                this.strike(x, y);
+                if (bMode & Printer.MODE.EMPHASIZED) this.strike(x + dxCol / 2, y);
+                if (bMode & Printer.MODE.DOUBLE) this.strike(x, y + 1);
+            }
+        }
+    }
+
+    /**
+     * printBox(sBox, pitch)
+     *
+     * Prints one of the IBM box-drawing, shading or block characters (0xB0-0xDF); sBox is either a 4-digit string
+     * describing the lines extending up, down, left and right from the center of the cell (0 for none, 1 for single,
+     * 2 for double), or one of the letters in Printer.aBoxChars describing a shade or block.
+     *
+     * @this {Printer}
+     * @param {string} sBox
+     * @param {number} pitch
+     */
+    printBox(sBox, pitch)
+    {
+        let x, y, pin;
+        let dx = pitch / 12;
+        let xMid = this.x + (pitch >> 1), yMid = this.y + 4 * Printer.PIN_SPACING;
+        if (sBox.length == 4) {
+            let up = +sBox[0], down = +sBox[1], left = +sBox[2], right = +sBox[3];
+            let xOff = pitch / 6, yOff = Printer.PIN_SPACING;
+            for (let i = -1; i <= 1; i++) {
+                if (up == 2 && i || up == 1 && !i) {
+                    for (y = this.y; y <= yMid; y += Printer.PIN_SPACING) this.strike(xMid + i * xOff, y);
+                }
+                if (down == 2 && i || down == 1 && !i) {
+                    for (y = yMid; y < this.y + this.lineSpacing; y += Printer.PIN_SPACING) this.strike(xMid + i * xOff, y);
+                }
+                if (left == 2 && i || left == 1 && !i) {
+                    for (x = this.x; x <= xMid; x += dx) this.strike(x, yMid + i * yOff);
+                }
+                if (right == 2 && i || right == 1 && !i) {
+                    for (x = xMid; x < this.x + pitch; x += dx) this.strike(x, yMid + i * yOff);
+                }
+            }
+            return;
+        }
+        let pinFirst = 0, pinLast = 8, xFirst = this.x, xLast = this.x + pitch, nSkip = 0;
+        switch(sBox) {
+        case "L":                                               // light shade
+            nSkip = 4;
+            break;
+        case "M":                                               // medium shade
+            nSkip = 2;
+            break;
+        case "D":                                               // dark shade
+            nSkip = 1;
+            dx /= 2;
+            break;
+        case "B":                                               // lower half block
+            pinFirst = 4;
+            break;
+        case "T":                                               // upper half block
+            pinLast = 4;
+            break;
+        case "<":                                               // left half block
+            xLast = xMid;
+            break;
+        case ">":                                               // right half block
+            xFirst = xMid;
+            break;
+        default:                                                // full block
+            break;
+        }
+        let n = 0;
+        for (pin = pinFirst; pin <= pinLast; pin++) {
+            for (x = xFirst; x < xLast; x += dx, n++) {
+                if (nSkip && (n + pin) % (nSkip + 1)) continue;
+                this.strike(x, this.y + pin * Printer.PIN_SPACING);
+            }
+        }
+    }
+
+    /**
+     * printColumn(bits)
+     *
+     * Prints one column of bit-image graphics; bit 8 is the top pin and bit 0 the bottom (9th) pin.
+     *
+     * @this {Printer}
+     * @param {number} bits
+     */
+    printColumn(bits)
+    {
+        if (this.x < this.marginRight) {
+            for (let pin = 0; pin < 9; pin++) {
+                if (bits & (0x100 >> pin)) this.strike(this.x, this.y + pin * Printer.PIN_SPACING);
+            }
+        }
+        this.x += this.dxGraphics;
+    }
+
+    /**
+     * strike(x, y)
+     *
+     * Fires a pin at the specified position, leaving a dot roughly 1/72 inch in diameter.
+     *
+     * Since the top-of-form position is TOP_EDGE below the top edge of the paper, dots near the bottom of a form
+     * can land past the perforation; those are saved in aCarry and printed at the top of the next page.
+     *
+     * @this {Printer}
+     * @param {number} x (in 1/720-inch units, relative to the left edge of the printable area)
+     * @param {number} y (in 1/216-inch units, relative to the top-of-form position)
+     */
+    strike(x, y)
+    {
+        let xPixel = Math.round((x + Printer.LEFT_EDGE) * Printer.DPI / Printer.UNITS_X);
+        let yPixel = Math.round((y + Printer.TOP_EDGE) * Printer.DPI / Printer.UNITS_Y);
+        for (let row = 0; row < 3; row++, yPixel++) {
+            if (yPixel < 0 || yPixel >= this.cyPage * 2) continue;
+            let fCarry = (yPixel >= this.cyPage);
+            let off = (fCarry? yPixel - this.cyPage : yPixel) * Printer.CX_PAGE;
+            for (let col = (row == 1? 0 : 1); col < (row == 1? 4 : 3); col++) {
+                let xDot = xPixel + col - 1;
+                if (xDot < 0 || xDot >= Printer.CX_PAGE) continue;
+                if (fCarry) {
+                    this.aCarry.push(off + xDot);
+                } else {
+                    this.abPage[off + xDot] = 1;
+                }
+            }
+        }
+        this.fDirty = this.fChanged = true;
+    }
+
+    /**
+     * clearPage()
+     *
+     * @this {Printer}
+     */
+    clearPage()
+    {
+        let cyPage = Math.ceil(this.pageLength * Printer.DPI / Printer.UNITS_Y);
+        if (!this.abPage || this.cyPage != cyPage) {
+            this.cyPage = cyPage;
+            this.abPage = new Uint8Array(Printer.CX_PAGE * cyPage);
+        } else {
+            this.abPage.fill(0);
+        }
+        this.fDirty = false;
+        this.fChanged = true;
+    }
+
+    /**
+     * newPage()
+     *
+     * Ejects the current page (if anything was printed on it) and moves to the top of the next page.
+     *
+     * @this {Printer}
+     */
+    newPage()
+    {
+        if (this.fDirty) {
+            let page = this.packPage();
+            this.nPage++;
+            if (this.fKeepPages) {
+                this.aPages.push(Printer.compressPage(page));
+                if (!this.sFile && this.aPages.length > Printer.MAX_PAGES) this.aPages.shift();
+            }
+            this.writePage(page, this.nPage);
+            this.printf("page %d printed\n", this.nPage);
+        }
+        this.clearPage();
+        for (let i = 0; i < this.aCarry.length; i++) {
+            let off = this.aCarry[i];
+            if (off < this.abPage.length) {
+                this.abPage[off] = 1;
+                this.fDirty = true;
+            }
+        }
+        this.aCarry = [];
+        this.drawPage();
+        this.y = 0;
+        this.x = this.marginLeft;
+    }
+
+    /**
+     * flushPage()
+     *
+     * Called periodically to bring the canvas up-to-date with the page currently being printed; output files are
+     * written only by newPage() and powerDown().
+     *
+     * @this {Printer}
+     */
+    flushPage()
+    {
+        if (this.fChanged) this.drawPage();
+    }
+
+    /**
+     * getPages()
+     *
+     * @this {Printer}
+     * @return {Array.<Object>} the completed pages (compressed), along with the current page (if anything has been printed on it)
+     */
+    getPages()
+    {
+        let aPages = this.aPages.slice();
+        if (this.fDirty) aPages.push(Printer.compressPage(this.packPage()));
+        return aPages;
+    }
+
+    /**
+     * packPage()
+     *
+     * @this {Printer}
+     * @return {Object} the current page, packed 1 bit per pixel (with ink as 0, since 1-bit PNG and PDF grayscale images treat 0 as black)
+     */
+    packPage()
+    {
+        let cbRow = (Printer.CX_PAGE + 7) >> 3;
+        let ab = new Uint8Array(cbRow * this.cyPage).fill(0xff);
+        for (let y = 0, off = 0; y < this.cyPage; y++) {
+            let offRow = y * cbRow;
+            for (let x = 0; x < Printer.CX_PAGE; x++, off++) {
+                if (this.abPage[off]) ab[offRow + (x >> 3)] &= ~(0x80 >> (x & 7));
+            }
+        }
+        return {cx: Printer.CX_PAGE, cy: this.cyPage, cbRow: cbRow, ab: ab};
+    }
+
+    /**
+     * drawPage()
+     *
+     * Draws the current page on the bound canvas (if any), with each canvas pixel's shade reflecting how many of the
+     * page pixels it covers have been inked.
+     *
+     * @this {Printer}
+     */
+    drawPage()
+    {
+        this.fChanged = false;
+        if (!this.context) return;
+        let cx = this.canvas.width, cy = this.canvas.height;
+        let image = this.context.createImageData(cx, cy);
+        let data = image.data;
+        let xScale = Printer.CX_PAGE / cx, yScale = this.cyPage / cy;
+        for (let y = 0, i = 0; y < cy; y++) {
+            let yFirst = (y * yScale)|0, yLast = Math.max(((y + 1) * yScale)|0, yFirst + 1);
+            for (let x = 0; x < cx; x++, i += 4) {
+                let xFirst = (x * xScale)|0, xLast = Math.max(((x + 1) * xScale)|0, xFirst + 1);
+                let nInk = 0, nTotal = 0;
+                for (let yPage = yFirst; yPage < yLast; yPage++) {
+                    let off = yPage * Printer.CX_PAGE;
+                    for (let xPage = xFirst; xPage < xLast; xPage++, nTotal++) {
+                        if (this.abPage[off + xPage]) nInk++;
+                    }
+                }
+                let shade = 255 - ((nInk * 255 / nTotal)|0);
+                data[i] = data[i + 1] = data[i + 2] = shade;
+                data[i + 3] = 255;
+            }
+        }
+        this.context.putImageData(image, 0, 0);
+    }
+
+    /**
+     * writePage(page, nPage)
+     *
+     * @this {Printer}
+     * @param {Object} page
+     * @param {number} nPage (1-based)
+     */
+    writePage(page, nPage)
+    {
+        if (!this.sFile) return;
+        let sFile = this.sFile, data;
+        if (this.fPDF) {
+            data = this.encodePDF(nPage > this.nPage? this.aPages.concat([Printer.compressPage(page)]) : this.aPages);
+        } else {
+            sFile = sFile.replace(/(\.png)?$/i, "-" + nPage + ".png");
+            data = this.encodePNG(page);
+        }
+        try {
+            fs.writeFileSync(sFile, data);
+        } catch(err) {
+            this.notice("Unable to write " + sFile + ": " + err.message);
+            this.sFile = "";
+        }
+    }
+
+    /**
+     * encodePNG(page)
+     *
+     * @this {Printer}
+     * @param {Object} page
+     * @return {Uint8Array}
+     */
+    encodePNG(page)
+    {
+        let abRaw = new Uint8Array((page.cbRow + 1) * page.cy);
+        for (let y = 0; y < page.cy; y++) {
+            abRaw.set(page.ab.subarray(y * page.cbRow, (y + 1) * page.cbRow), y * (page.cbRow + 1) + 1);
+        }
+        let ppm = Math.round(Printer.DPI / 0.0254);
+        let aChunks = [Printer.PNG_SIGNATURE];
+        aChunks.push(Printer.chunkPNG("IHDR", [
+            page.cx >>> 24, (page.cx >> 16) & 0xff, (page.cx >> 8) & 0xff, page.cx & 0xff,
+            page.cy >>> 24, (page.cy >> 16) & 0xff, (page.cy >> 8) & 0xff, page.cy & 0xff,
+            1, 0, 0, 0, 0                                       // 1-bit grayscale, no interlace
+        ]));
+        aChunks.push(Printer.chunkPNG("pHYs", [
+            ppm >>> 24, (ppm >> 16) & 0xff, (ppm >> 8) & 0xff, ppm & 0xff,
+            ppm >>> 24, (ppm >> 16) & 0xff, (ppm >> 8) & 0xff, ppm & 0xff,
+            1                                                   // pixels per meter
+        ]));
+        aChunks.push(Printer.chunkPNG("IDAT", Printer.deflate(abRaw)));
+        aChunks.push(Printer.chunkPNG("IEND", []));
+        return Printer.concatBytes(aChunks);
+    }
+
+    /**
+     * encodePDF(aPages)
+     *
+     * Produces a PDF with one page per printed page, each consisting of a single 1-bit image.
+     *
+     * @this {Printer}
+     * @param {Array.<Object>} aPages (from compressPage())
+     * @return {Uint8Array}
+     */
+    encodePDF(aPages)
+    {
+        let aChunks = [], aOffsets = [], cb = 0;
+        /**
+         * @param {string} s
+         * @param {Uint8Array} [abStream]
+         */
+        let addObject = function(s, abStream) {
+            aOffsets.push(cb);
+            let sObj = (aOffsets.length) + " 0 obj\n" + s;
+            if (abStream) sObj += "\nstream\n";
+            aChunks.push(Printer.stringToBytes(sObj));
+            cb += sObj.length;
+            if (abStream) {
+                aChunks.push(abStream);
+                cb += abStream.length;
+                sObj = "\nendstream";
+                aChunks.push(Printer.stringToBytes(sObj));
+                cb += sObj.length;
+            }
+            sObj = "\nendobj\n";
+            aChunks.push(Printer.stringToBytes(sObj));
+            cb += sObj.length;
+        };
+        let s = "%PDF-1.4\n";
+        aChunks.push(Printer.stringToBytes(s));
+        cb += s.length;
+        let sKids = "";
+        for (let i = 0; i < aPages.length; i++) sKids += (3 + i * 3) + " 0 R ";
+        addObject("<< /Type /Catalog /Pages 2 0 R >>");
+        addObject("<< /Type /Pages /Kids [" + sKids + "] /Count " + aPages.length + " >>");
+        for (let i = 0; i < aPages.length; i++) {
+            let page = aPages[i];
+            let cxPoints = page.cx * 72 / Printer.DPI, cyPoints = page.cy * 72 / Printer.DPI;
+            let sContent = "q " + cxPoints + " 0 0 " + cyPoints + " 0 0 cm /Im0 Do Q";
+            let abImage = page.ab;
+            addObject("<< /Type /Page /Parent 2 0 R /MediaBox [0 0 " + cxPoints + " " + cyPoints + "] /Resources << /XObject << /Im0 " + (5 + i * 3) + " 0 R >> >> /Contents " + (4 + i * 3) + " 0 R >>");
+            addObject("<< /Length " + sContent.length + " >>", Printer.stringToBytes(sContent));
+            addObject("<< /Type /XObject /Subtype /Image /Width " + page.cx + " /Height " + page.cy + " /ColorSpace /DeviceGray /BitsPerComponent 1 /Filter /FlateDecode /Length " + abImage.length + " >>", abImage);
+        }
+        s = "xref\n0 " + (aOffsets.length + 1) + "\n0000000000 65535 f \n";
+        for (let i = 0; i < aOffsets.length; i++) {
+            s += Str.pad(aOffsets[i].toString(), 10, true).replace(/ /g, '0') + " 00000 n \n";
+        }
+        s += "trailer\n<< /Size " + (aOffsets.length + 1) + " /Root 1 0 R >>\nstartxref\n" + cb + "\n%%EOF\n";
+        aChunks.push(Printer.stringToBytes(s));
+        return Printer.concatBytes(aChunks);
+    }
+
+    /**
+     * compressPage(page)
+     *
+     * @param {Object} page (from packPage())
+     * @return {Object} the same page, with its bits deflated, as encodePDF() requires
+     */
+    static compressPage(page)
+    {
+        return {cx: page.cx, cy: page.cy, cbRow: page.cbRow, ab: Printer.deflate(page.ab)};
+    }
+
+    /**
+     * getDefaultTabs()
+     *
+     * @return {Array.<number>} horizontal tab stops every 8 pica columns
+     */
+    static getDefaultTabs()
+    {
+        let aTabs = [];
+        for (let i = 1; i * 8 * Printer.PITCH.PICA < Printer.PAGE_WIDTH; i++) {
+            aTabs.push(i * 8 * Printer.PITCH.PICA);
+        }
+        return aTabs;
+    }
+
+    /**
+     * chunkPNG(sType, data)
+     *
+     * @param {string} sType
+     * @param {Array.<number>|Uint8Array} data
+     * @return {Uint8Array}
+     */
+    static chunkPNG(sType, data)
+    {
+        let ab = new Uint8Array(data.length + 12);
+        let n = data.length;
+        ab[0] = n >>> 24; ab[1] = (n >> 16) & 0xff; ab[2] = (n >> 8) & 0xff; ab[3] = n & 0xff;
+        for (let i = 0; i < 4; i++) ab[4 + i] = sType.charCodeAt(i);
+        ab.set(data, 8);
+        let crc = Printer.crc32(ab.subarray(4, 8 + n));
+        ab[8 + n] = crc >>> 24; ab[9 + n] = (crc >> 16) & 0xff; ab[10 + n] = (crc >> 8) & 0xff; ab[11 + n] = crc & 0xff;
+        return ab;
+    }
+
+    /**
+     * crc32(ab)
+     *
+     * @param {Uint8Array} ab
+     * @return {number}
+     */
+    static crc32(ab)
+    {
+        if (!Printer.aCRCTable) {
+            Printer.aCRCTable = new Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = (c & 1)? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                Printer.aCRCTable[n] = c;
+            }
+        }
+        let crc = -1;
+        for (let i = 0; i < ab.length; i++) {
+            crc = Printer.aCRCTable[(crc ^ ab[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ -1) >>> 0;
+    }
+
+    /**
+     * deflate(ab)
+     *
+     * Produces a zlib stream, suitable for both PNG IDAT chunks and PDF FlateDecode streams.  Under Node, we use
+     * the zlib module; in the browser, we settle for "stored" (uncompressed) deflate blocks.
+     *
+     * @param {Uint8Array} ab
+     * @return {Uint8Array}
+     */
+    static deflate(ab)
+    {
+        if (typeof zlib != "undefined") {
+            return new Uint8Array(zlib.deflateSync(ab));
+        }
+        let nBlocks = Math.max(Math.ceil(ab.length / 0xffff), 1);
+        let abOut = new Uint8Array(2 + nBlocks * 5 + ab.length + 4);
+        let off = 0;
+        abOut[off++] = 0x78; abOut[off++] = 0x01;
+        for (let i = 0; i < nBlocks; i++) {
+            let cb = Math.min(ab.length - i * 0xffff, 0xffff);
+            abOut[off++] = (i == nBlocks - 1)? 1 : 0;
+            abOut[off++] = cb & 0xff; abOut[off++] = cb >> 8;
+            abOut[off++] = ~cb & 0xff; abOut[off++] = (~cb >> 8) & 0xff;
+            abOut.set(ab.subarray(i * 0xffff, i * 0xffff + cb), off);
+            off += cb;
+        }
+        let a = 1, b = 0;
+        for (let i = 0; i < ab.length; i++) {
+            a = (a + ab[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        abOut[off++] = b >> 8; abOut[off++] = b & 0xff; abOut[off++] = a >> 8; abOut[off] = a & 0xff;
+        return abOut;
+    }
+
+    /**
+     * stringToBytes(s)
+     *
+     * @param {string} s
+     * @return {Uint8Array}
+     */
+    static stringToBytes(s)
+    {
+        let ab = new Uint8Array(s.length);
+        for (let i = 0; i < s.length; i++) ab[i] = s.charCodeAt(i) & 0xff;
+        return ab;
+    }
+
+    /**
+     * concatBytes(aChunks)
+     *
+     * @param {Array.<Uint8Array>} aChunks
+     * @return {Uint8Array}
+     */
+    static concatBytes(aChunks)
+    {
+        let cb = 0;
+        for (let i = 0; i < aChunks.length; i++) cb += aChunks[i].length;
+        let ab = new Uint8Array(cb);
+        for (let i = 0, off = 0; i < aChunks.length; i++) {
+            ab.set(/** @type {!Uint8Array} */ (aChunks[i]), off);
+            off += aChunks[i].length;
+        }
+        return ab;
+    }
+
+    /**
+     * Printer.init()
+     *
+     * This function operates on every HTML element of class "printer", extracting the
+     * JSON-encoded parameters for the Printer constructor from the element's "data-value"
+     * attribute, invoking the constructor to create a Printer component, and then binding
+     * any associated HTML controls to the new component.
+     */
+    static init()
+    {
+        let aePrinter = Component.getElementsByClass(document, PCx86.APPCLASS, "printer");
+        for (let iPrinter = 0; iPrinter < aePrinter.length; iPrinter++) {
+            let ePrinter = aePrinter[iPrinter];
+            let parmsPrinter = Component.getComponentParms(ePrinter);
+            let printer = new Printer(parmsPrinter);
+            Component.bindComponentControls(printer, ePrinter, PCx86.APPCLASS);
+        }
+    }
+}
+
+Printer.MODEL = {
+    EPSON:      "epson",
+    IBM:        "ibm"
+};
+
+Printer.DPI             = 240;                  // resolution of the page bitmap
+Printer.UNITS_X         = 720;                  // horizontal position units per inch
+Printer.UNITS_Y         = 216;                  // vertical position units per inch
+Printer.PIN_SPACING     = 3;                    // pins are 1/72 inch apart (in 1/216-inch units)
+Printer.LINE_SPACING    = 36;                   // 1/6 inch (in 1/216-inch units)
+Printer.PAGE_WIDTH      = 8 * 720;              // printable width (80 columns of pica, in 1/720-inch units)
+Printer.PAGE_LENGTH     = 11 * 216;             // default form length (in 1/216-inch units)
+Printer.PAGE_LENGTH_MAX = 22 * 216;             // maximum form length (ESC C 0 22)
+Printer.LEFT_EDGE       = 180;                  // 1/4 inch from the left edge of the paper to the printable area
+Printer.TOP_EDGE        = 36;                   // 1/6 inch from the top edge of the paper to the top-of-form position
+Printer.CX_PAGE         = 8.5 * 240;            // width of the page bitmap (8.5 inches at 240dpi)
+Printer.FLUSH_MS        = 1000;                 // how often flushPage() updates the canvas
+Printer.MAX_PAGES       = 100;                  // maximum completed pages kept in a browser (for the "save" button)
+
+/*
+ * Character pitches (in 1/720-inch units)
+ */
+Printer.PITCH = {
+    PICA:               72,                     // 10 cpi
+    ELITE:              60,                     // 12 cpi
+    CONDENSED:          42,                     // 17.1 cpi
+    CONDENSED_ELITE:    36                      // 20 cpi
+};
+
+/*
+ * Print modes; the low byte matches the bits of the Epson ESC ! (master select) command.
+ */
+Printer.MODE = {
+    ELITE:              0x001,
+    CONDENSED:          0x004,
+    EMPHASIZED:         0x008,
+    DOUBLE:             0x010,
+    EXPANDED:           0x020,
+    ITALIC:             0x040,
+    UNDERLINE:          0x080,
+    EXPANDED_LINE:      0x100,                  // expanded until the end of the line (SO)
+    SUPER:              0x200,
+    SUB:                0x400,
+    OVERSCORE:          0x800
+};
+
+Printer.CTRL = {
+    BS:                 0x08,
+    HT:                 0x09,
+    LF:                 0x0A,
+    VT:                 0x0B,
+    FF:                 0x0C,
+    CR:                 0x0D,
+    SO:                 0x0E,
+    SI:                 0x0F,
+    DC2:                0x12,
+    DC4:                0x14,
+    ESC:                0x1B
+};
+
+/*
+ * Number of parameter bytes that follow each ESC command byte (commands not listed have none); -1 means
+ * the parameters end with a zero.  PARMS applies to both models, unless overridden by EPSON_PARMS or IBM_PARMS.
+ */
+Printer.PARMS = {
+    0x2A: 3,    // ESC * m n1 n2
+    0x2D: 1,    // ESC - n
+    0x33: 1,    // ESC 3 n
+    0x41: 1,    // ESC A n
+    0x42: -1,   // ESC B n1 ... 0
+    0x43: 1,    // ESC C n (or ESC C 0 n)
+    0x44: -1,   // ESC D n1 ... 0
+    0x49: 1,    // ESC I n
+    0x4A: 1,    // ESC J n
+    0x4B: 2,    // ESC K n1 n2
+    0x4C: 2,    // ESC L n1 n2
+    0x4E: 1,    // ESC N n
+    0x51: 1,    // ESC Q n
+    0x53: 1,    // ESC S n
+    0x55: 1,    // ESC U n
+    0x57: 1,    // ESC W n
+    0x59: 2,    // ESC Y n1 n2
+    0x5A: 2,    // ESC Z n1 n2
+    0x5C: 2     // ESC \ n1 n2
+};
+
+Printer.EPSON_PARMS = {
+    0x21: 1,    // ESC ! n
+    0x24: 2,    // ESC $ n1 n2
+    0x52: 1,    // ESC R n
+    0x5E: 3,    // ESC ^ m n1 n2
+    0x6A: 1,    // ESC j n
+    0x6B: 1,    // ESC k n
+    0x6C: 1,    // ESC l n
+    0x70: 1,    // ESC p n
+    0x72: 1,    // ESC r n
+    0x73: 1,    // ESC s n
+    0x74: 1,    // ESC t n
+    0x78: 1     // ESC x n
+};
+
+Printer.IBM_PARMS = {
+    0x35: 1,    // ESC 5 n
+    0x58: 2,    // ESC X n m
+    0x5F: 1     // ESC _ n
+};
+
+/*
+ * Column spacing (in 1/720-inch units) for bit-image densities 0-6 (60, 120, 120, 240, 80, 72 and 90 dpi)
+ */
+Printer.aGraphicsDensities = [12, 6, 6, 3, 9, 10, 8];
+
+/*
+ * Approximations of code page 437 characters 0x80-0xAF and 0xE0-0xFF, for the IBM model
+ */
+Printer.sHighChars = "CueaaaaceeeiiiAAEaAooouuyOUcLYPfaiounNao?--%%!<>aBGpSsutFOOd8oen=+><||/~o..vn2# ";
+
+/*
+ * Code page 437 box-drawing characters 0xB0-0xDF (see printBox())
+ */
+Printer.aBoxChars = [
+    "L",    "M",    "D",    "1100", "1110", "1120", "2210", "0210",     // 0xB0-0xB7
+    "0120", "2220", "2200", "0220", "2020", "2010", "1020", "0110",     // 0xB8-0xBF
+    "1001", "1011", "0111", "1101", "0011", "1111", "1102", "2201",     // 0xC0-0xC7
+    "2002", "0202", "2022", "0222", "2202", "0022", "2222", "1022",     // 0xC8-0xCF
+    "2011", "0122", "0211", "2001", "1002", "0102", "0201", "2211",     // 0xD0-0xD7
+    "1122", "1010", "0101", "F",    "B",    "<",    ">",    "T"         // 0xD8-0xDF
+];
+
+/*
+ * 5x8 glyphs for characters 0x20-0x7E, one byte per column, with bit 0 at the top
+ */
+Printer.aFont = [
+    [0x00,0x00,0x00,0x00,0x00], [0x00,0x00,0x5F,0x00,0x00], [0x00,0x07,0x00,0x07,0x00], [0x14,0x7F,0x14,0x7F,0x14],
+    [0x24,0x2A,0x7F,0x2A,0x12], [0x23,0x13,0x08,0x64,0x62], [0x36,0x49,0x56,0x20,0x50], [0x00,0x08,0x07,0x03,0x00],
+    [0x00,0x1C,0x22,0x41,0x00], [0x00,0x41,0x22,0x1C,0x00], [0x2A,0x1C,0x7F,0x1C,0x2A], [0x08,0x08,0x3E,0x08,0x08],
+    [0x00,0x80,0x70,0x30,0x00], [0x08,0x08,0x08,0x08,0x08], [0x00,0x00,0x60,0x60,0x00], [0x20,0x10,0x08,0x04,0x02],
+    [0x3E,0x51,0x49,0x45,0x3E], [0x00,0x42,0x7F,0x40,0x00], [0x72,0x49,0x49,0x49,0x46], [0x21,0x41,0x49,0x4D,0x33],
+    [0x18,0x14,0x12,0x7F,0x10], [0x27,0x45,0x45,0x45,0x39], [0x3C,0x4A,0x49,0x49,0x31], [0x41,0x21,0x11,0x09,0x07],
+    [0x36,0x49,0x49,0x49,0x36], [0x46,0x49,0x49,0x29,0x1E], [0x00,0x00,0x14,0x00,0x00], [0x00,0x40,0x34,0x00,0x00],
+    [0x00,0x08,0x14,0x22,0x41], [0x14,0x14,0x14,0x14,0x14], [0x00,0x41,0x22,0x14,0x08], [0x02,0x01,0x59,0x09,0x06],
+    [0x3E,0x41,0x5D,0x59,0x4E], [0x7C,0x12,0x11,0x12,0x7C], [0x7F,0x49,0x49,0x49,0x36], [0x3E,0x41,0x41,0x41,0x22],
+    [0x7F,0x41,0x41,0x41,0x3E], [0x7F,0x49,0x49,0x49,0x41], [0x7F,0x09,0x09,0x09,0x01], [0x3E,0x41,0x41,0x51,0x73],
+    [0x7F,0x08,0x08,0x08,0x7F], [0x00,0x41,0x7F,0x41,0x00], [0x20,0x40,0x41,0x3F,0x01], [0x7F,0x08,0x14,0x22,0x41],
+    [0x7F,0x40,0x40,0x40,0x40], [0x7F,0x02,0x1C,0x02,0x7F], [0x7F,0x04,0x08,0x10,0x7F], [0x3E,0x41,0x41,0x41,0x3E],
+    [0x7F,0x09,0x09,0x09,0x06], [0x3E,0x41,0x51,0x21,0x5E], [0x7F,0x09,0x19,0x29,0x46], [0x26,0x49,0x49,0x49,0x32],
+    [0x03,0x01,0x7F,0x01,0x03], [0x3F,0x40,0x40,0x40,0x3F], [0x1F,0x20,0x40,0x20,0x1F], [0x3F,0x40,0x38,0x40,0x3F],
+    [0x63,0x14,0x08,0x14,0x63], [0x03,0x04,0x78,0x04,0x03], [0x61,0x59,0x49,0x4D,0x43], [0x00,0x7F,0x41,0x41,0x41],
+    [0x02,0x04,0x08,0x10,0x20], [0x00,0x41,0x41,0x41,0x7F], [0x04,0x02,0x01,0x02,0x04], [0x80,0x80,0x80,0x80,0x80],
+    [0x00,0x03,0x07,0x08,0x00], [0x20,0x54,0x54,0x78,0x40], [0x7F,0x28,0x44,0x44,0x38], [0x38,0x44,0x44,0x44,0x28],
+    [0x38,0x44,0x44,0x28,0x7F], [0x38,0x54,0x54,0x54,0x18], [0x00,0x08,0x7E,0x09,0x02], [0x18,0xA4,0xA4,0x9C,0x78],
+    [0x7F,0x08,0x04,0x04,0x78], [0x00,0x44,0x7D,0x40,0x00], [0x20,0x40,0x40,0x3D,0x00], [0x7F,0x10,0x28,0x44,0x00],
+    [0x00,0x41,0x7F,0x40,0x00], [0x7C,0x04,0x78,0x04,0x78], [0x7C,0x08,0x04,0x04,0x78], [0x38,0x44,0x44,0x44,0x38],
+    [0xFC,0x18,0x24,0x24,0x18], [0x18,0x24,0x24,0x18,0xFC], [0x7C,0x08,0x04,0x04,0x08], [0x48,0x54,0x54,0x54,0x24],
+    [0x04,0x04,0x3F,0x44,0x24], [0x3C,0x40,0x40,0x20,0x7C], [0x1C,0x20,0x40,0x20,0x1C], [0x3C,0x40,0x30,0x40,0x3C],
+    [0x44,0x28,0x10,0x28,0x44], [0x4C,0x90,0x90,0x90,0x7C], [0x44,0x64,0x54,0x4C,0x44], [0x00,0x08,0x36,0x41,0x00],
+    [0x00,0x00,0x77,0x00,0x00], [0x00,0x41,0x36,0x08,0x00], [0x02,0x01,0x02,0x04,0x02]
+];
+
+Printer.PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+Printer.aCRCTable = null;
+
+/*
+ * Initialize every Printer module on the page.
+ */
+Web.onInit(Printer.init);
+
+if (typeof module !== "undefined") module.exports = Printer;
@@ -45,7 +45,11 @@ class SerialPort extends Component {
      *
      * The SerialPort component has the following component-specific (parms) properties:
      *
-     *      adapter: 1 (port 0x3F8) or 2 (port 0x2F8); 0 if not defined
+     *      adapter: 1 (port 0x3F8), 2 (port 0x2F8), 3 (port 0x3E8) or 4 (port 0x2E8); 0 if not defined
+     *
+     *      port: base I/O port, overriding the adapter's default (eg, 0x3E8)
+     *
+     *      irq: IRQ number, overriding the adapter's default (eg, 4); IRQs may be shared with other adapters
      *
      *      binding: name of a control (based on its "binding" attribute) to bind to this port's I/O;
      *      as a special case, it can be set to "console" to direct all output to the component's default
@@ -58,15 +62,17 @@ class SerialPort extends Component {
      *      charBOL: a non-zero number specifies the ASCII code of a character to display at the beginning
      *      of every line; it applies only to the above binding, and the default is 0 (no BOL character)
      *
-     * In the future, we may support 'port' and 'irq' properties that allow the machine to define a non-standard
-     * serial port configuration, instead of only our pre-defined 'adapter' configurations.
+     * NOTE: Since the XSL file defines 'adapter', 'port' and 'irq' as numbers, not strings, there's no need to use
+     * parseInt(), and as an added benefit, we don't need to worry about whether a hex or decimal format was used.
      *
-     * NOTE: Since the XSL file defines 'adapter' as a number, not a string, there's no need to use parseInt(),
-     * and as an added benefit, we don't need to worry about whether a hex or decimal format was used.
+     * The adapter defaults mimic the original IBM PC Asynchronous Adapter configuration, which contained a pair of
+     * "shunt modules" that allowed the user to select a port address/IRQ combo of either 0x3F8/IRQ4 ("Primary") or
+     * 0x2F8/IRQ3 ("Secondary"), along with the later de facto COM3 (0x3E8/IRQ4) and COM4 (0x2E8/IRQ3) conventions.
+     * Since the latter two conventions put two adapters on each IRQ, we ask the ChipSet to share the IRQ (see
+     * ChipSet.addIRQShare()); if you'd rather avoid sharing, use the 'irq' property to select a different IRQ.
      *
-     * This hard-coded approach mimics the original IBM PC Asynchronous Adapter configuration, which contained
-     * a pair of "shunt modules" that allowed the user to select a port address/IRQ combo of either 0x3F8/IRQ4
-     * ("Primary") or 0x2F8/IRQ3 ("Secondary").
+     * Note that the IBM ROM BIOS only probes ports 0x3F8 and 0x2F8, so adapters at other addresses won't appear
+     * in the BIOS Data Area; software that uses them must be told their port (and IRQ) directly.
      *
      * DOS names the first adapter listed by the ROM BIOS as "COM1", even if that adapter is a secondary adapter,
      * so don't assume that COM1 always maps to port 0x3F8/IRQ4.  Internally, I try avoid confusion by always
@@ -92,13 +98,27 @@ class SerialPort extends Component {
             this.portBase = 0x2F8;
             this.nIRQ = ChipSet.IRQ.COM2;
             break;
+        case 3:
+            this.portBase = 0x3E8;
+            this.nIRQ = ChipSet.IRQ.COM3;
+            break;
+        case 4:
+            this.portBase = 0x2E8;
+            this.nIRQ = ChipSet.IRQ.COM4;
+            break;
         default:
-            if (this.idComponent != "test") {
+            /*
+             * An explicit 'port' is enough to define a non-standard adapter, with or without an 'irq'.
+             */
+            this.nIRQ = 0;
+            if (!parms['port'] && this.idComponent != "test") {
                 Component.warning("Unrecognized serial adapter #" + this.iAdapter);
                 return;
             }
             break;
         }
+        if (parms['port']) this.portBase = parms['port'];
+        if (parms['irq'] != null) this.nIRQ = parms['irq'];
 
         /*
          * consoleBuffer becomes a string that records serial port output if the 'binding' property is set to the
@@ -235,6 +255,32 @@ class SerialPort extends Component {
         return component;
     }
 
+    /**
+     * bindModem(id, modem, fnReceive, fnStatus)
+     *
+     * Unlike a mouse, a modem both receives our data and monitors our DTR and RTS signals, and it drives our
+     * CTS, DSR, RLSD (Carrier Detect) and RI inputs with receiveStatus().
+     *
+     * @this {SerialPort}
+     * @param {string} id
+     * @param {Modem} modem
+     * @param {function(number):boolean} fnReceive
+     * @param {function(number)} fnStatus
+     * @return {Component|null}
+     */
+    bindModem(id, modem, fnReceive, fnStatus)
+    {
+        let component = null;
+        if (id == this.idComponent && !this.connection) {
+            this.connection = modem;
+            this.sendData = fnReceive;
+            this.updateStatus = fnStatus;
+            this.fNullModem = false;
+            component = this;
+        }
+        return component;
+    }
+
     /**
      * setBinding(sHTMLType, sBinding, control, sValue)
      *
@@ -329,7 +375,7 @@ class SerialPort extends Component {
     {
         this.cmp = cmp;
 
-        if (this.iAdapter) {
+        if (this.portBase) {
             this.bus = bus;
             this.cpu = cpu;
             this.dbg = dbg;
@@ -343,6 +389,7 @@ class SerialPort extends Component {
             });
 
             this.chipset = cmp.getMachineComponent("ChipSet");
+            if (this.chipset && this.nIRQ) this.chipset.addIRQShare(this.nIRQ, this);
 
             bus.addPortInputTable(this, SerialPort.aPortInput, this.portBase);
             bus.addPortOutputTable(this, SerialPort.aPortOutput, this.portBase);
@@ -606,19 +653,25 @@ class SerialPort extends Component {
      * for the life of the machine.  It is entirely appropriate that this is the only way those bits can be changed,
      * because they represent external control signals.
      *
+     * The delta bits are set only when the corresponding signal actually changes; in the case of RI, TERI is set
+     * only on the trailing edge (ie, when the ring signal goes away), as the 8250 does.
+     *
      * @this {SerialPort}
      * @param {number} pins
      */
     receiveStatus(pins)
     {
         let bMSROld = this.bMSR;
-        this.bMSR &= ~(SerialPort.MSR.CTS | SerialPort.MSR.DSR);
-        if (pins & RS232.CTS.MASK) {
-            this.bMSR |= SerialPort.MSR.CTS | SerialPort.MSR.DCTS;
-        }
-        if (pins & RS232.DSR.MASK) {
-            this.bMSR |= SerialPort.MSR.DSR | SerialPort.MSR.DDSR;
-        }
+        this.bMSR &= ~(SerialPort.MSR.CTS | SerialPort.MSR.DSR | SerialPort.MSR.RI | SerialPort.MSR.RLSD);
+        if (pins & RS232.CTS.MASK) this.bMSR |= SerialPort.MSR.CTS;
+        if (pins & RS232.DSR.MASK) this.bMSR |= SerialPort.MSR.DSR;
+        if (pins & RS232.RI.MASK) this.bMSR |= SerialPort.MSR.RI;
+        if (pins & RS232.CD.MASK) this.bMSR |= SerialPort.MSR.RLSD;
+        let delta = bMSROld ^ this.bMSR;
+        if (delta & SerialPort.MSR.CTS) this.bMSR |= SerialPort.MSR.DCTS;
+        if (delta & SerialPort.MSR.DSR) this.bMSR |= SerialPort.MSR.DDSR;
+        if (delta & SerialPort.MSR.RLSD) this.bMSR |= SerialPort.MSR.DRLSD;
+        if ((delta & SerialPort.MSR.RI) && !(this.bMSR & SerialPort.MSR.RI)) this.bMSR |= SerialPort.MSR.TERI;
         if (bMSROld != this.bMSR) this.updateIIR();
     }
 
@@ -685,10 +738,13 @@ class SerialPort extends Component {
     {
         let b = this.bIIR;
         /*
-         * Reading the IIR is supposed to clear the INT_THR condition (as is another write to the THR).
+         * Reading the IIR is supposed to clear the INT_THR condition (as is another write to the THR), which also
+         * drops our interrupt request; that matters when the IRQ is shared, because the line remains asserted until
+         * every adapter on it has dropped its request.
          */
         if (b == SerialPort.IIR.INT_THR) {
             this.bIIR = SerialPort.IIR.NO_INT;
+            if (this.chipset && this.nIRQ) this.chipset.clearIRR(this.nIRQ, this);
         }
         this.printMessageIO(port, undefined, addrFrom, "IIR", b);
         return b;
@@ -750,8 +806,9 @@ class SerialPort extends Component {
     inMSR(port, addrFrom)
     {
         let b = this.bMSR;
-        this.bMSR &= ~(SerialPort.MSR.DCTS | SerialPort.MSR.DDSR);
+        this.bMSR &= ~SerialPort.MSR.DELTA;
         this.printMessageIO(port, undefined, addrFrom, "MSR", b);
+        if (this.bIIR == SerialPort.IIR.INT_MSR) this.updateIIR();
         return b;
     }
 
@@ -878,7 +935,7 @@ class SerialPort extends Component {
         else if ((this.bLSR & SerialPort.LSR.THRE) && (this.bIER & SerialPort.IER.THR_EMPTY)) {
             bIIR = SerialPort.IIR.INT_THR;
         }
-        else if ((this.bMSR & (SerialPort.MSR.DCTS | SerialPort.MSR.DDSR)) && (this.bIER & SerialPort.IER.MSR_DELTA)) {
+        else if ((this.bMSR & SerialPort.MSR.DELTA) && (this.bIER & SerialPort.IER.MSR_DELTA)) {
             bIIR = SerialPort.IIR.INT_MSR;
         }
         if (bIIR >= 0) {
@@ -904,10 +961,10 @@ class SerialPort extends Component {
              * This problem could also occur without being forced by the Debugger; eg, if your physical machine's mouse
              * was configured for a high interrupt rate, and your browser generated mouse events at a comparable rate.
              */
-            if (this.chipset && this.nIRQ) this.chipset.setIRR(this.nIRQ, 100);
+            if (this.chipset && this.nIRQ) this.chipset.setIRR(this.nIRQ, 100, this);
         } else {
             this.bIIR = SerialPort.IIR.NO_INT;
-            if (this.chipset && this.nIRQ) this.chipset.clearIRR(this.nIRQ);
+            if (this.chipset && this.nIRQ) this.chipset.clearIRR(this.nIRQ, this);
         }
     }
 
@@ -1140,7 +1197,8 @@ SerialPort.MSR = {
     CTS:            0x10,       // when set, the modem or data set is ready to exchange data (complement of the Clear To Send input signal)
     DSR:            0x20,       // when set, the modem or data set is ready to establish link (complement of the Data Set Ready input signal)
     RI:             0x40,       // complement of the RI (Ring Indicator) input
-    RLSD:           0x80        // complement of the RLSD (Received Line Signal Detect) input
+    RLSD:           0x80,       // complement of the RLSD (Received Line Signal Detect) input
+    DELTA:          0x0F        // all the "change" bits (DCTS, DDSR, TERI and DRLSD)
 };
 
 /*
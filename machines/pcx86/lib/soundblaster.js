@@ -0,0 +1,1041 @@
+/**
+ * @fileoverview Implements the PCx86 Sound Blaster component
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+if (typeof module !== "undefined") {
+    var fs          = require("fs");
+    var Str         = require("../../shared/lib/strlib");
+    var Web         = require("../../shared/lib/weblib");
+    var Component   = require("../../shared/lib/component");
+    var State       = require("../../shared/lib/state");
+    var PCx86       = require("./defines");
+    var Messages    = require("./messages");
+    var ChipSet     = require("./chipset");
+    var AdLib       = require("./adlib");
+}
+
+/**
+ * SoundBlaster class
+ *
+ * Emulates the digital audio portion of the Creative Labs Sound Blaster (DSP version 1.05), Sound Blaster 2.0
+ * (DSP version 2.01) and Sound Blaster Pro (DSP version 3.02): the DSP reset/version handshake, 8-bit direct (DAC)
+ * output, 8-bit single-cycle and auto-init DMA output, and IRQ signalling.  The SB Pro also gets its mixer chip,
+ * including stereo output.  The FM synthesizer on every Sound Blaster is a YM3812, so if the machine also has an
+ * AdLib component, its ports are mirrored at the Sound Blaster's FM ports.
+ *
+ * The DSP's playback clock is derived from CPU cycles, the same way the AdLib component's is: whenever software touches
+ * the DSP (or our block timer fires), we advance the DSP by however many samples it would have played in the meantime,
+ * pulling bytes from the ChipSet's 8237 DMA controller via ChipSet.readDMA(), and signalling an IRQ at the end of
+ * each block.  The resulting samples are delivered to Web Audio in the browser or, under Node, to a 'wavFile'.
+ *
+ * Recording (ADC) commands are accepted but produce silence.
+ *
+ * @class SoundBlaster
+ * @unrestricted (allows the class to define properties, both dot and named, outside of the constructor)
+ */
+class SoundBlaster extends Component {
+    /**
+     * SoundBlaster(parms)
+     *
+     * The SoundBlaster component has the following component-specific (parms) properties:
+     *
+     *      model: "sb" (DSP 1.05), "sb2" (DSP 2.01; the default), or "sbpro" (DSP 3.02, with mixer)
+     *
+     *      port: base I/O port (default is 0x220)
+     *
+     *      irq: IRQ number (default is 7)
+     *
+     *      dma: 8-bit DMA channel (default is 1)
+     *
+     *      volume: a number from 0 to 1 (default is 0.5); 0 disables sound output (but not the card itself)
+     *
+     *      sampleRate: output sample rate (default is the Web Audio context's rate, or 44100 if none)
+     *
+     *      wavFile: name of a WAV file to write (Node only; ignored in the browser)
+     *
+     * @this {SoundBlaster}
+     * @param {Object} parms
+     */
+    constructor(parms)
+    {
+        super("SoundBlaster", parms, Messages.SB);
+
+        this.sModel = parms['model'] || "sb2";
+        this.nVersion = SoundBlaster.VERSIONS[this.sModel];
+        if (!this.nVersion) {
+            this.notice("Unrecognized Sound Blaster model: " + this.sModel);
+            this.nVersion = SoundBlaster.VERSIONS[this.sModel = "sb2"];
+        }
+        this.fMixer = (this.nVersion >= SoundBlaster.VERSIONS["sbpro"]);
+
+        this.portBase = parms['port'] || SoundBlaster.PORT;
+        this.nIRQ = (parms['irq'] != null? parms['irq'] : SoundBlaster.IRQ);
+        this.nDMA = (parms['dma'] != null? parms['dma'] : SoundBlaster.DMA);
+
+        let volume = parms['volume'];
+        this.volume = (typeof volume != "number" || volume < 0 || volume > 1)? 0.5 : volume;
+
+        this.contextAudio = null;
+        if (this.volume && window) {
+            let classAudio = window['AudioContext'] || window['webkitAudioContext'];
+            if (classAudio) {
+                this.contextAudio = new classAudio();
+            } else {
+                if (DEBUG) this.log("AudioContext not available");
+            }
+        }
+        this.timeAudio = 0;
+
+        this.nSampleRate = parms['sampleRate'] || (this.contextAudio? this.contextAudio['sampleRate'] : 0) || SoundBlaster.SAMPLE_RATE;
+
+        this.sWAVFile = (!window && typeof fs != "undefined" && parms['wavFile']) || "";
+        this.fdWAV = -1;
+        this.cbWAV = 0;
+
+        /*
+         * Output is always stereo (interleaved left and right samples), even when the DSP is producing mono.
+         */
+        this.aSamples = new Float32Array(Math.ceil(this.nSampleRate * SoundBlaster.FLUSH_MS / 1000) * 2 * 2);
+        this.nSamples = 0;
+        this.abDMA = [0];
+    }
+
+    /**
+     * initBus(cmp, bus, cpu, dbg)
+     *
+     * @this {SoundBlaster}
+     * @param {Computer} cmp
+     * @param {BusX86} bus
+     * @param {CPUx86} cpu
+     * @param {DebuggerX86} dbg
+     */
+    initBus(cmp, bus, cpu, dbg)
+    {
+        this.bus = bus;
+        this.cpu = cpu;
+        this.dbg = dbg;
+        this.chipset = cmp.getMachineComponent("ChipSet");
+
+        /*
+         * On machines with a slave PIC, the ISA bus's IRQ 2 line is wired to IRQ 9.
+         */
+        if (this.nIRQ == 2 && this.chipset && this.chipset.aPICs.length > 1) {
+            this.nIRQ = ChipSet.IRQ.IRQ2;
+        }
+        if (this.chipset && this.nIRQ) this.chipset.addIRQShare(this.nIRQ, this);
+
+        bus.addPortInputTable(this, SoundBlaster.aPortInput, this.portBase);
+        bus.addPortOutputTable(this, SoundBlaster.aPortOutput, this.portBase);
+        if (this.fMixer) {
+            bus.addPortInputTable(this, SoundBlaster.aPortInputMixer, this.portBase);
+            bus.addPortOutputTable(this, SoundBlaster.aPortOutputMixer, this.portBase);
+        }
+
+        let adlib = cmp.getMachineComponent("AdLib");
+        if (adlib) {
+            let aOffsets = this.fMixer? SoundBlaster.FM_PORTS_PRO : SoundBlaster.FM_PORTS;
+            for (let i = 0; i < aOffsets.length; i++) {
+                bus.addPortInputTable(adlib, AdLib.aPortInput, this.portBase + aOffsets[i]);
+                bus.addPortOutputTable(adlib, AdLib.aPortOutput, this.portBase + aOffsets[i]);
+            }
+        }
+
+        this.timerFlush = cpu.addTimer(this.id + ".flush", this.flushSamples.bind(this), SoundBlaster.FLUSH_MS);
+        this.timerBlock = cpu.addTimer(this.id + ".block", this.updateSamples.bind(this));
+        if (this.sWAVFile) this.openWAV();
+        this.setReady();
+    }
+
+    /**
+     * powerUp(data, fRepower)
+     *
+     * @this {SoundBlaster}
+     * @param {Object|null} data
+     * @param {boolean} [fRepower]
+     * @return {boolean} true if successful, false if failure
+     */
+    powerUp(data, fRepower)
+    {
+        if (!fRepower) {
+            if (!data || !this.restore) {
+                this.reset();
+            } else {
+                if (!this.restore(data)) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * powerDown(fSave, fShutdown)
+     *
+     * @this {SoundBlaster}
+     * @param {boolean} [fSave]
+     * @param {boolean} [fShutdown]
+     * @return {Object|boolean} component state if fSave; otherwise, true if successful, false if failure
+     */
+    powerDown(fSave, fShutdown)
+    {
+        this.flushSamples();
+        if (fShutdown) this.closeWAV();
+        return fSave? this.save() : true;
+    }
+
+    /**
+     * reset()
+     *
+     * @this {SoundBlaster}
+     */
+    reset()
+    {
+        this.initState();
+    }
+
+    /**
+     * save()
+     *
+     * This implements save support for the SoundBlaster component.
+     *
+     * @this {SoundBlaster}
+     * @return {Object}
+     */
+    save()
+    {
+        let state = new State(this);
+        state.set(0, [
+            this.fResetLine, this.aRead.slice(), this.bRead, this.bCmd, this.aParms.slice(),
+            this.bTimeConstant, this.nBlockSize, this.nCount, this.fDMA, this.fAutoInit, this.fPaused,
+            this.fSilence, this.fHighSpeed, this.fSpeaker, this.bTest, this.fIRQ, this.valueLeft, this.valueRight, this.iChannel
+        ]);
+        state.set(1, [this.bMixerIndex, this.abMixer.slice()]);
+        return state.data();
+    }
+
+    /**
+     * restore(data)
+     *
+     * This implements restore support for the SoundBlaster component.
+     *
+     * @this {SoundBlaster}
+     * @param {Object} data
+     * @return {boolean} true if successful, false if failure
+     */
+    restore(data)
+    {
+        return this.initState(data[0], data[1]);
+    }
+
+    /**
+     * initState(dataDSP, dataMixer)
+     *
+     * @this {SoundBlaster}
+     * @param {Array} [dataDSP]
+     * @param {Array} [dataMixer]
+     * @return {boolean} true if successful, false if failure
+     */
+    initState(dataDSP, dataMixer)
+    {
+        this.nCycles = this.nCyclesPrev = this.nCyclesLast = 0;
+        this.nCyclesSample = 0;
+        this.nTicks = 0;
+
+        if (!dataDSP) {
+            this.resetDSP();
+            this.bRead = 0;
+            this.bTest = 0;
+            this.bTimeConstant = 0;
+            this.nBlockSize = SoundBlaster.BLOCK_SIZE;
+            this.fIRQ = false;
+            this.fResetLine = false;
+        } else {
+            let i = 0;
+            this.fResetLine = dataDSP[i++];
+            this.aRead = dataDSP[i++];
+            this.bRead = dataDSP[i++];
+            this.bCmd = dataDSP[i++];
+            this.aParms = dataDSP[i++];
+            this.bTimeConstant = dataDSP[i++];
+            this.nBlockSize = dataDSP[i++];
+            this.nCount = dataDSP[i++];
+            this.fDMA = dataDSP[i++];
+            this.fAutoInit = dataDSP[i++];
+            this.fPaused = dataDSP[i++];
+            this.fSilence = dataDSP[i++];
+            this.fHighSpeed = dataDSP[i++];
+            this.fSpeaker = dataDSP[i++];
+            this.bTest = dataDSP[i++];
+            this.fIRQ = dataDSP[i++];
+            this.valueLeft = dataDSP[i++];
+            this.valueRight = dataDSP[i++];
+            this.iChannel = dataDSP[i];
+        }
+
+        if (!dataMixer) {
+            this.bMixerIndex = 0;
+            this.resetMixer();
+        } else {
+            this.bMixerIndex = dataMixer[0];
+            this.abMixer = dataMixer[1];
+        }
+
+        this.updateTimer();
+        return true;
+    }
+
+    /**
+     * resetDSP()
+     *
+     * Stops any DSP activity and queues the "ready" byte that software waits for after pulsing the reset port.
+     *
+     * @this {SoundBlaster}
+     */
+    resetDSP()
+    {
+        this.aRead = [];
+        this.bCmd = -1;
+        this.aParms = [];
+        this.nCount = 0;
+        this.fDMA = this.fAutoInit = this.fPaused = this.fSilence = this.fHighSpeed = false;
+        this.fSpeaker = false;
+        this.valueLeft = this.valueRight = 0;
+        this.iChannel = 0;
+        if (this.fIRQ) this.clearIRQ();
+    }
+
+    /**
+     * resetMixer()
+     *
+     * @this {SoundBlaster}
+     */
+    resetMixer()
+    {
+        this.abMixer = new Array(SoundBlaster.MIXER.TOTAL_REGS).fill(0);
+        for (let reg in SoundBlaster.MIXER.DEFAULTS) {
+            this.abMixer[+reg] = SoundBlaster.MIXER.DEFAULTS[reg];
+        }
+    }
+
+    /**
+     * inData(port, addrFrom)
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (0x22A)
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     * @return {number} simulated port value
+     */
+    inData(port, addrFrom)
+    {
+        /*
+         * Reading an empty read buffer simply returns the last byte read again.
+         */
+        if (this.aRead.length && addrFrom !== undefined) this.bRead = this.aRead.shift();
+        let b = this.bRead;
+        this.printMessageIO(port, undefined, addrFrom, "DSP.DATA", b);
+        return b;
+    }
+
+    /**
+     * inWriteStatus(port, addrFrom)
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (0x22C)
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     * @return {number} simulated port value
+     */
+    inWriteStatus(port, addrFrom)
+    {
+        /*
+         * The DSP is always ready for another command, except in high-speed mode, when it's too busy to listen.
+         */
+        let b = SoundBlaster.STATUS.UNUSED | (this.fHighSpeed? SoundBlaster.STATUS.WRITE_BUSY : 0);
+        this.printMessageIO(port, undefined, addrFrom, "DSP.WRITE_STATUS", b);
+        return b;
+    }
+
+    /**
+     * inReadStatus(port, addrFrom)
+     *
+     * Reading this port also acknowledges the DSP's 8-bit IRQ.
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (0x22E)
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     * @return {number} simulated port value
+     */
+    inReadStatus(port, addrFrom)
+    {
+        let b = SoundBlaster.STATUS.UNUSED | (this.aRead.length? SoundBlaster.STATUS.DATA_READY : 0);
+        this.printMessageIO(port, undefined, addrFrom, "DSP.READ_STATUS", b);
+        if (addrFrom !== undefined) {
+            this.updateSamples();
+            if (this.fIRQ) this.clearIRQ();
+        }
+        return b;
+    }
+
+    /**
+     * outReset(port, bOut, addrFrom)
+     *
+     * Software resets the DSP by writing 1 and then 0 to this port; the DSP then returns SoundBlaster.DSP.READY.
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (0x226)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to write the specified port)
+     */
+    outReset(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "DSP.RESET");
+        this.updateSamples();
+        if (bOut & 0x1) {
+            this.fResetLine = true;
+        } else if (this.fResetLine) {
+            this.fResetLine = false;
+            this.resetDSP();
+            this.aRead.push(SoundBlaster.DSP.READY);
+            this.updateTimer();
+        }
+    }
+
+    /**
+     * outWrite(port, bOut, addrFrom)
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (0x22C)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to write the specified port)
+     */
+    outWrite(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "DSP.WRITE");
+        if (this.fHighSpeed) return;
+        this.updateSamples();
+        if (this.bCmd < 0) {
+            this.bCmd = bOut;
+            this.aParms = [];
+        } else {
+            this.aParms.push(bOut);
+        }
+        let nParms = SoundBlaster.DSP.PARMS[this.bCmd] || 0;
+        if (this.aParms.length >= nParms) {
+            let bCmd = this.bCmd;
+            this.bCmd = -1;
+            this.execCommand(bCmd, this.aParms);
+            this.updateTimer();
+        }
+    }
+
+    /**
+     * inMixerData(port, addrFrom)
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (0x225)
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     * @return {number} simulated port value
+     */
+    inMixerData(port, addrFrom)
+    {
+        let b = this.abMixer[this.bMixerIndex];
+        this.printMessageIO(port, undefined, addrFrom, "MIXER.REG" + Str.toHex(this.bMixerIndex, 2), b);
+        return b;
+    }
+
+    /**
+     * outMixerIndex(port, bOut, addrFrom)
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (0x224)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to write the specified port)
+     */
+    outMixerIndex(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "MIXER.INDEX");
+        this.bMixerIndex = bOut;
+    }
+
+    /**
+     * outMixerData(port, bOut, addrFrom)
+     *
+     * @this {SoundBlaster}
+     * @param {number} port (0x225)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to write the specified port)
+     */
+    outMixerData(port, bOut, addrFrom)
+    {
+        this.printMessageIO(port, bOut, addrFrom, "MIXER.REG" + Str.toHex(this.bMixerIndex, 2));
+        this.updateSamples();
+        if (this.bMixerIndex == SoundBlaster.MIXER.RESET) {
+            this.resetMixer();
+            return;
+        }
+        /*
+         * The SB Pro's volume registers only implement the upper 3 bits of each nibble; the low bit always reads as 1.
+         */
+        if (SoundBlaster.MIXER.VOLUMES.indexOf(this.bMixerIndex) >= 0) bOut |= 0x11;
+        this.abMixer[this.bMixerIndex] = bOut;
+    }
+
+    /**
+     * execCommand(bCmd, aParms)
+     *
+     * @this {SoundBlaster}
+     * @param {number} bCmd
+     * @param {Array.<number>} aParms
+     */
+    execCommand(bCmd, aParms)
+    {
+        let nLength = (aParms[1] << 8) | aParms[0];
+        let fSupported = true;
+
+        switch(bCmd) {
+        case SoundBlaster.DSP.CMD.DAC_DIRECT:
+            this.valueLeft = this.valueRight = (aParms[0] - 0x80) / 0x80;
+            break;
+        case SoundBlaster.DSP.CMD.DAC_DMA:
+            this.startDMA(nLength, false, false);
+            break;
+        case SoundBlaster.DSP.CMD.DAC_DMA_AUTO:
+            fSupported = (this.nVersion >= 0x0200);
+            if (fSupported) this.startDMA(this.nBlockSize, true, false);
+            break;
+        case SoundBlaster.DSP.CMD.ADC_DIRECT:
+            this.aRead.push(0x80);
+            break;
+        case SoundBlaster.DSP.CMD.ADC_DMA:
+            /*
+             * Recording isn't supported, but we go through the motions (ie, consuming a block's worth of time and
+             * signalling an IRQ) so that software doesn't hang waiting for it.
+             */
+            this.startDMA(nLength, false, true);
+            break;
+        case SoundBlaster.DSP.CMD.TIME_CONSTANT:
+            this.bTimeConstant = aParms[0];
+            break;
+        case SoundBlaster.DSP.CMD.BLOCK_SIZE:
+            fSupported = (this.nVersion >= 0x0200);
+            if (fSupported) this.nBlockSize = nLength;
+            break;
+        case SoundBlaster.DSP.CMD.SILENCE:
+            this.startDMA(nLength, false, true);
+            break;
+        case SoundBlaster.DSP.CMD.DAC_DMA_AUTO_HS:
+        case SoundBlaster.DSP.CMD.DAC_DMA_HS:
+            fSupported = (this.nVersion >= 0x0201);
+            if (fSupported) {
+                this.startDMA(this.nBlockSize, bCmd == SoundBlaster.DSP.CMD.DAC_DMA_AUTO_HS, false);
+                this.fHighSpeed = true;
+            }
+            break;
+        case SoundBlaster.DSP.CMD.PAUSE_DMA:
+            this.fPaused = true;
+            break;
+        case SoundBlaster.DSP.CMD.SPEAKER_ON:
+            this.fSpeaker = true;
+            break;
+        case SoundBlaster.DSP.CMD.SPEAKER_OFF:
+            this.fSpeaker = false;
+            break;
+        case SoundBlaster.DSP.CMD.CONTINUE_DMA:
+            this.fPaused = false;
+            break;
+        case SoundBlaster.DSP.CMD.SPEAKER_STATUS:
+            this.aRead.push(this.fSpeaker? 0xff : 0x00);
+            break;
+        case SoundBlaster.DSP.CMD.EXIT_AUTO:
+            fSupported = (this.nVersion >= 0x0200);
+            if (fSupported) this.fAutoInit = false;
+            break;
+        case SoundBlaster.DSP.CMD.IDENTIFY:
+            fSupported = (this.nVersion >= 0x0200);
+            if (fSupported) this.aRead.push(~aParms[0] & 0xff);
+            break;
+        case SoundBlaster.DSP.CMD.VERSION:
+            this.aRead.push(this.nVersion >> 8, this.nVersion & 0xff);
+            break;
+        case SoundBlaster.DSP.CMD.WRITE_TEST:
+            this.bTest = aParms[0];
+            break;
+        case SoundBlaster.DSP.CMD.READ_TEST:
+            this.aRead.push(this.bTest);
+            break;
+        case SoundBlaster.DSP.CMD.FORCE_IRQ:
+            this.setIRQ();
+            break;
+        default:
+            fSupported = false;
+            break;
+        }
+        if (!fSupported) {
+            this.printf(Messages.SB + Messages.WARN, "DSP command %#04x unsupported (version %#06x)\n", bCmd, this.nVersion);
+        }
+    }
+
+    /**
+     * startDMA(nCount, fAutoInit, fSilence)
+     *
+     * @this {SoundBlaster}
+     * @param {number} nCount (number of bytes to transfer, minus 1)
+     * @param {boolean} fAutoInit
+     * @param {boolean} fSilence (true to simply consume time, without performing any DMA)
+     */
+    startDMA(nCount, fAutoInit, fSilence)
+    {
+        this.nCount = nCount;
+        this.fDMA = true;
+        this.fAutoInit = fAutoInit;
+        this.fSilence = fSilence;
+        this.fPaused = false;
+        this.iChannel = 0;
+        this.printf(Messages.SB, "DSP %s %d bytes at %dhz\n", fSilence? "silence" : (fAutoInit? "auto-init DMA" : "DMA"), nCount + 1, this.getDSPRate() | 0);
+    }
+
+    /**
+     * setIRQ()
+     *
+     * @this {SoundBlaster}
+     */
+    setIRQ()
+    {
+        this.fIRQ = true;
+        if (this.chipset) this.chipset.setIRR(this.nIRQ, 0, this);
+    }
+
+    /**
+     * clearIRQ()
+     *
+     * @this {SoundBlaster}
+     */
+    clearIRQ()
+    {
+        this.fIRQ = false;
+        if (this.chipset) this.chipset.clearIRR(this.nIRQ, this);
+    }
+
+    /**
+     * isStereo()
+     *
+     * @this {SoundBlaster}
+     * @return {boolean}
+     */
+    isStereo()
+    {
+        return this.fMixer && !!(this.abMixer[SoundBlaster.MIXER.OUTPUT] & SoundBlaster.MIXER.OUTPUT_STEREO);
+    }
+
+    /**
+     * getDSPRate()
+     *
+     * Returns the rate at which the DSP consumes bytes; for stereo output, the time constant is programmed for
+     * twice the sample rate, so this is still the correct byte rate.
+     *
+     * @this {SoundBlaster}
+     * @return {number}
+     */
+    getDSPRate()
+    {
+        return 1000000 / (256 - this.bTimeConstant);
+    }
+
+    /**
+     * tickDSP()
+     *
+     * Advances an active DMA (or silence) transfer by one byte, signalling an IRQ at the end of each block.
+     *
+     * @this {SoundBlaster}
+     */
+    tickDSP()
+    {
+        if (!this.fDMA || this.fPaused) return;
+        let b = 0x80;
+        if (!this.fSilence) {
+            /*
+             * If the DMA channel isn't ready (eg, it's masked), the DSP simply waits.
+             */
+            if (!this.chipset || !this.chipset.readDMA(this.nDMA, this.abDMA, 1)) return;
+            b = this.abDMA[0];
+        }
+        let value = (b - 0x80) / 0x80;
+        if (!this.isStereo()) {
+            this.valueLeft = this.valueRight = value;
+        } else if (!this.iChannel) {
+            this.valueLeft = value;
+        } else {
+            this.valueRight = value;
+        }
+        this.iChannel ^= 1;
+        if (--this.nCount < 0) {
+            this.setIRQ();
+            if (this.fAutoInit) {
+                this.nCount = this.nBlockSize;
+            } else {
+                this.fDMA = this.fSilence = this.fHighSpeed = false;
+            }
+        }
+    }
+
+    /**
+     * getCycles()
+     *
+     * Returns a monotonically increasing (scaled) cycle count; the CPU's own count is periodically reset.
+     *
+     * @this {SoundBlaster}
+     * @return {number}
+     */
+    getCycles()
+    {
+        if (this.cpu) {
+            let nCycles = this.cpu.getCycles(true);
+            let nDelta = nCycles - this.nCyclesPrev;
+            if (nDelta < 0) nDelta = nCycles;
+            this.nCyclesPrev = nCycles;
+            this.nCycles += nDelta;
+        }
+        return this.nCycles;
+    }
+
+    /**
+     * updateSamples()
+     *
+     * Brings the DSP up to date with the CPU: for every output sample that corresponds to the CPU cycles elapsed since
+     * the last call, the DSP consumes however many bytes its own sample rate calls for.
+     *
+     * @this {SoundBlaster}
+     */
+    updateSamples()
+    {
+        if (!this.cpu) return;
+        let nCycles = this.getCycles();
+        let nCyclesPerSec = this.cpu.getBaseCyclesPerSecond();
+        this.nCyclesSample += (nCycles - this.nCyclesLast) * this.nSampleRate;
+        this.nCyclesLast = nCycles;
+        let nSamples = Math.floor(this.nCyclesSample / nCyclesPerSec);
+        if (nSamples > 0) {
+            this.nCyclesSample -= nSamples * nCyclesPerSec;
+            let fOutput = !!(this.contextAudio || this.fdWAV >= 0);
+            if (fOutput || this.fDMA) {
+                let nTicksPerSample = this.getDSPRate() / this.nSampleRate;
+                let volLeft = this.volume, volRight = this.volume;
+                if (this.fMixer) {
+                    let bVoice = this.abMixer[SoundBlaster.MIXER.VOICE], bMaster = this.abMixer[SoundBlaster.MIXER.MASTER];
+                    volLeft *= ((bVoice >> 5) / 7) * ((bMaster >> 5) / 7);
+                    volRight *= (((bVoice >> 1) & 0x7) / 7) * (((bMaster >> 1) & 0x7) / 7);
+                }
+                while (nSamples-- > 0) {
+                    this.nTicks += nTicksPerSample;
+                    while (this.nTicks >= 1) {
+                        this.nTicks--;
+                        this.tickDSP();
+                    }
+                    if (!fOutput) continue;
+                    let fOn = this.fSpeaker;
+                    this.aSamples[this.nSamples++] = fOn? this.valueLeft * volLeft : 0;
+                    this.aSamples[this.nSamples++] = fOn? this.valueRight * volRight : 0;
+                    if (this.nSamples == this.aSamples.length) this.writeSamples();
+                }
+            }
+        }
+        this.updateTimer();
+    }
+
+    /**
+     * updateTimer()
+     *
+     * Arms our block timer to fire when the current DMA block should end, so that its IRQ arrives on time even if
+     * software leaves the DSP alone in the meantime.
+     *
+     * @this {SoundBlaster}
+     */
+    updateTimer()
+    {
+        if (this.cpu && this.timerBlock != null) {
+            if (this.fDMA && !this.fPaused) {
+                let ms = ((this.nCount + 1 - this.nTicks) / this.getDSPRate() + 1 / this.nSampleRate) * 1000;
+                this.cpu.setTimer(this.timerBlock, Math.max(ms, SoundBlaster.MIN_MS), true);
+            } else {
+                this.cpu.clearTimer(this.timerBlock);
+            }
+        }
+    }
+
+    /**
+     * flushSamples()
+     *
+     * Called periodically by our CPU timer (and whenever we power down) to deliver any pending samples.
+     *
+     * @this {SoundBlaster}
+     */
+    flushSamples()
+    {
+        this.updateSamples();
+        if (this.nSamples) this.writeSamples();
+    }
+
+    /**
+     * writeSamples()
+     *
+     * @this {SoundBlaster}
+     */
+    writeSamples()
+    {
+        let n = this.nSamples >> 1;
+
+        if (this.contextAudio) {
+            let ctx = this.contextAudio;
+            let t = ctx['currentTime'];
+            if (ctx['state'] == "suspended") ctx['resume']();
+            if (this.timeAudio < t) this.timeAudio = t + SoundBlaster.LATENCY;
+            if (this.timeAudio - t < SoundBlaster.LATENCY_MAX) {
+                try {
+                    let buffer = ctx['createBuffer'](2, n, this.nSampleRate);
+                    let aLeft = buffer['getChannelData'](0), aRight = buffer['getChannelData'](1);
+                    for (let i = 0; i < n; i++) {
+                        aLeft[i] = this.aSamples[i * 2];
+                        aRight[i] = this.aSamples[i * 2 + 1];
+                    }
+                    let source = ctx['createBufferSource']();
+                    source['buffer'] = buffer;
+                    source['connect'](ctx['destination']);
+                    source['start'](this.timeAudio);
+                    this.timeAudio += n / this.nSampleRate;
+                } catch(e) {
+                    this.notice("AudioContext exception: " + e.message);
+                    this.contextAudio = null;
+                }
+            }
+        }
+
+        if (this.fdWAV >= 0) {
+            let ab = new Uint8Array(n * 4);
+            let dv = new DataView(ab.buffer);
+            for (let i = 0; i < n * 2; i++) {
+                dv.setInt16(i * 2, Math.round(this.aSamples[i] * 32767), true);
+            }
+            fs.writeSync(this.fdWAV, ab, 0, ab.length, SoundBlaster.WAV_HEADER + this.cbWAV);
+            this.cbWAV += ab.length;
+            this.writeWAVHeader();
+        }
+
+        this.nSamples = 0;
+    }
+
+    /**
+     * openWAV()
+     *
+     * @this {SoundBlaster}
+     */
+    openWAV()
+    {
+        try {
+            this.fdWAV = fs.openSync(this.sWAVFile, "w");
+            this.cbWAV = 0;
+            this.writeWAVHeader();
+            this.printf("writing %dhz samples to %s\n", this.nSampleRate, this.sWAVFile);
+        } catch(err) {
+            this.notice("Unable to create " + this.sWAVFile + ": " + err.message);
+            this.fdWAV = -1;
+        }
+    }
+
+    /**
+     * closeWAV()
+     *
+     * @this {SoundBlaster}
+     */
+    closeWAV()
+    {
+        if (this.fdWAV >= 0) {
+            fs.closeSync(this.fdWAV);
+            this.fdWAV = -1;
+        }
+    }
+
+    /**
+     * writeWAVHeader()
+     *
+     * Writes a 44-byte RIFF header for stereo 16-bit PCM data, using the number of data bytes written so far.
+     *
+     * @this {SoundBlaster}
+     */
+    writeWAVHeader()
+    {
+        let ab = new Uint8Array(SoundBlaster.WAV_HEADER);
+        let dv = new DataView(ab.buffer);
+        for (let i = 0; i < 4; i++) {
+            ab[i] = "RIFF".charCodeAt(i);
+            ab[8 + i] = "WAVE".charCodeAt(i);
+            ab[12 + i] = "fmt ".charCodeAt(i);
+            ab[36 + i] = "data".charCodeAt(i);
+        }
+        dv.setUint32(4, SoundBlaster.WAV_HEADER - 8 + this.cbWAV, true);
+        dv.setUint32(16, 16, true);                     // size of the "fmt " chunk
+        dv.setUint16(20, 1, true);                      // PCM
+        dv.setUint16(22, 2, true);                      // stereo
+        dv.setUint32(24, this.nSampleRate, true);
+        dv.setUint32(28, this.nSampleRate * 4, true);   // bytes per second
+        dv.setUint16(32, 4, true);                      // bytes per sample frame
+        dv.setUint16(34, 16, true);                     // bits per sample
+        dv.setUint32(40, this.cbWAV, true);
+        fs.writeSync(this.fdWAV, ab, 0, ab.length, 0);
+    }
+
+    /**
+     * SoundBlaster.init()
+     *
+     * This function operates on every HTML element of class "soundblaster", extracting the
+     * JSON-encoded parameters for the SoundBlaster constructor from the element's "data-value"
+     * attribute, invoking the constructor to create a SoundBlaster component, and then binding
+     * any associated HTML controls to the new component.
+     */
+    static init()
+    {
+        let aeSB = Component.getElementsByClass(document, PCx86.APPCLASS, "soundblaster");
+        for (let iSB = 0; iSB < aeSB.length; iSB++) {
+            let eSB = aeSB[iSB];
+            let parmsSB = Component.getComponentParms(eSB);
+            let sb = new SoundBlaster(parmsSB);
+            Component.bindComponentControls(sb, eSB, PCx86.APPCLASS);
+        }
+    }
+}
+
+SoundBlaster.PORT           = 0x220;
+SoundBlaster.IRQ            = 7;
+SoundBlaster.DMA            = 1;
+SoundBlaster.SAMPLE_RATE    = 44100;
+SoundBlaster.FLUSH_MS       = 20;       // how often flushSamples() delivers samples
+SoundBlaster.MIN_MS         = 0.01;     // shortest block timer we'll arm
+SoundBlaster.LATENCY        = 0.05;     // how far ahead (in seconds) to schedule the first Web Audio buffer
+SoundBlaster.LATENCY_MAX    = 0.5;      // the most audio (in seconds) we'll allow to be queued
+SoundBlaster.WAV_HEADER     = 44;
+SoundBlaster.BLOCK_SIZE     = 0x7FF;    // default DMA block size (minus 1) for auto-init and high-speed transfers
+
+/*
+ * DSP versions returned by SoundBlaster.DSP.CMD.VERSION, indexed by model
+ */
+SoundBlaster.VERSIONS = {
+    "sb":       0x0105,
+    "sb2":      0x0201,
+    "sbpro":    0x0302
+};
+
+/*
+ * Port offsets of the card's FM synthesizer (mirrored from an AdLib component, if any); the SB Pro has two
+ * YM3812s at offsets 0x0-0x3 (left and right), which we map to the same chip.
+ */
+SoundBlaster.FM_PORTS       = [0x8];
+SoundBlaster.FM_PORTS_PRO   = [0x0, 0x2, 0x8];
+
+/*
+ * Read-status and write-status port bits
+ */
+SoundBlaster.STATUS = {
+    UNUSED:         0x7F,               // the remaining bits are undefined; we return them set
+    DATA_READY:     0x80,               // read-status: the read buffer has data available
+    WRITE_BUSY:     0x80                // write-status: the DSP isn't ready for another command
+};
+
+SoundBlaster.DSP = {
+    READY:          0xAA,               // returned after a reset
+    CMD: {
+        DAC_DIRECT:     0x10,
+        DAC_DMA:        0x14,
+        DAC_DMA_AUTO:   0x1C,           // DSP 2.00 and up
+        ADC_DIRECT:     0x20,
+        ADC_DMA:        0x24,
+        TIME_CONSTANT:  0x40,
+        BLOCK_SIZE:     0x48,           // DSP 2.00 and up
+        SILENCE:        0x80,
+        DAC_DMA_AUTO_HS: 0x90,          // DSP 2.01 and up
+        DAC_DMA_HS:     0x91,           // DSP 2.01 and up
+        PAUSE_DMA:      0xD0,
+        SPEAKER_ON:     0xD1,
+        SPEAKER_OFF:    0xD3,
+        CONTINUE_DMA:   0xD4,
+        SPEAKER_STATUS: 0xD8,
+        EXIT_AUTO:      0xDA,           // DSP 2.00 and up
+        IDENTIFY:       0xE0,           // DSP 2.00 and up
+        VERSION:        0xE1,
+        WRITE_TEST:     0xE4,
+        READ_TEST:      0xE8,
+        FORCE_IRQ:      0xF2
+    },
+    PARMS: {                            // number of parameter bytes that follow each command byte
+        0x10: 1,
+        0x14: 2,
+        0x24: 2,
+        0x40: 1,
+        0x48: 2,
+        0x80: 2,
+        0xE0: 1,
+        0xE4: 1
+    }
+};
+
+/*
+ * SB Pro (CT1345) mixer registers
+ */
+SoundBlaster.MIXER = {
+    RESET:          0x00,
+    VOICE:          0x04,
+    MIC:            0x0A,
+    INPUT:          0x0C,
+    OUTPUT:         0x0E,
+    OUTPUT_STEREO:  0x02,
+    MASTER:         0x22,
+    FM:             0x26,
+    CD:             0x28,
+    LINE:           0x2E,
+    TOTAL_REGS:     0x100
+};
+
+SoundBlaster.MIXER.VOLUMES = [SoundBlaster.MIXER.VOICE, SoundBlaster.MIXER.MASTER, SoundBlaster.MIXER.FM, SoundBlaster.MIXER.CD, SoundBlaster.MIXER.LINE];
+
+SoundBlaster.MIXER.DEFAULTS = {
+    0x04:           0xFF,               // VOICE
+    0x22:           0xFF,               // MASTER
+    0x26:           0xFF,               // FM
+    0x28:           0x11,               // CD
+    0x2E:           0x11                // LINE
+};
+
+/*
+ * Port input notification tables
+ */
+SoundBlaster.aPortInput = {
+    0xA: SoundBlaster.prototype.inData,
+    0xC: SoundBlaster.prototype.inWriteStatus,
+    0xE: SoundBlaster.prototype.inReadStatus
+};
+
+SoundBlaster.aPortInputMixer = {
+    0x5: SoundBlaster.prototype.inMixerData
+};
+
+/*
+ * Port output notification tables
+ */
+SoundBlaster.aPortOutput = {
+    0x6: SoundBlaster.prototype.outReset,
+    0xC: SoundBlaster.prototype.outWrite
+};
+
+SoundBlaster.aPortOutputMixer = {
+    0x4: SoundBlaster.prototype.outMixerIndex,
+    0x5: SoundBlaster.prototype.outMixerData
+};
+
+/*
+ * Initialize every SoundBlaster module on the page.
+ */
+Web.onInit(SoundBlaster.init);
+
+if (typeof module !== "undefined") module.exports = SoundBlaster;
@@ -16,8 +16,10 @@ if (typeof module !== "undefined") {
     var Component   = require("../../shared/lib/component");
     var State       = require("../../shared/lib/state");
     var PCx86       = require("./defines");
+    var Interrupts  = require("./interrupts");
     var MemoryX86   = require("./memory");
     var Messages    = require("./messages");
+    var ROMx86      = require("./rom");
     var ChipSet     = require("./chipset");
     var Kbdx86      = require("./keyboard");
     var Mouse       = require("./mouse");
@@ -65,6 +67,15 @@ if (typeof module !== "undefined") {
  * in the case of graphics modes (and text modes whenever font scaling is enabled), we don't reserve
  * any space for borders, so if borders are important, explicit border support will be required.
  *
+ * HGC Support
+ * -----------
+ *
+ * Model "hgc" selects a Hercules Graphics Card, which behaves like an MDA until software enables its
+ * 720x348 graphics mode and/or second 32Kb page through the configuration switch at port 0x3BF (see
+ * Card.HGC).  Like model "mda", it does not register any CGA ports, so a Hercules-plus-CGA system is
+ * configured as two video components, one with model "hgc" and the other with model "cga"; however,
+ * software must then leave the HGC's second page disabled, since it would overlap the CGA's buffer.
+ *
  * EGA Support
  * -----------
  *
@@ -332,6 +343,15 @@ if (typeof module !== "undefined") {
  *       ATC[0x11]: OVERSCAN        00  00  00  00  00  00  00  00  00  00  00  00
  *       ATC[0x12]: PLANES          0F  0F  0F  0F  03  03  01  0F  0F  0F  0F  0F
  *       ATC[0x13]: HPAN            08  08  08  08  00  00  00  00  00  00  00  00
+ *
+ * SVGA Support
+ * ------------
+ *
+ * Model "svga" is a VGA with 1Mb of memory (by default), a Segment Select Register for banked access to
+ * that memory through the A000:0000 window, a few extended CRTC and Sequencer registers (see Card.SVGA),
+ * and packed-pixel 8bpp modes up to 1024x768.  It still relies on a standard VGA ROM for all the standard
+ * modes, but since there's no SVGA ROM for that ROM to defer to, we generate a small option ROM containing
+ * the VBE 1.2 data structures (see addVBE()) and respond to the INT 0x10 VBE functions ourselves (see intVBE()).
  */
 
 /**
@@ -372,7 +392,7 @@ class Card extends Controller {
             let nMonitorType = video.nMonitorType || specs[5];
 
             if (!data || data.length < 6) {
-                data = [false, 0, null, null, 0, new Array(nCard < VideoX86.CARD.EGA? Card.CRTC.TOTAL_REGS : Card.CRTC.EGA.TOTAL_REGS)];
+                data = [false, 0, null, null, 0, new Array(nCard < VideoX86.CARD.EGA? Card.CRTC.TOTAL_REGS : (nCard < VideoX86.CARD.SVGA? Card.CRTC.EGA.TOTAL_REGS : Card.SVGA.CRTC.TOTAL_REGS))];
             }
 
             /*
@@ -403,7 +423,7 @@ class Card extends Controller {
              * a CGA), but for a card with 64Kb or more of memory (ie, any EGA card), the default text mode video buffer
              * size should be dynamically recalculated as the smaller of: cbMemory divided by 4, or 32Kb.
              */
-            if (this.cbMemory >= 0x10000 && this.addrBuffer >= 0xB0000) {
+            if (this.cbMemory >= 0x10000 && this.addrBuffer >= 0xB0000 && nCard >= VideoX86.CARD.EGA) {
                 this.sizeBuffer = Math.min(this.cbMemory >> 2, 0x8000);
             }
 
@@ -416,6 +436,10 @@ class Card extends Controller {
             this.regCRTIndx = data[4] & 0xff;
             this.regCRTPrev = (data[4] >> 8) & 0xff;
             this.regCRTData = data[5];
+            this.regConfig  = data[9] || 0; // see HGC.CONFIG.* (HGC only)
+            if (this.regConfig & Card.HGC.CONFIG.PAGE1) {
+                this.sizeBuffer = this.cbMemory;
+            }
             this.nCRTCRegs  = Card.CRTC.TOTAL_REGS;
             this.asCRTCRegs = DEBUGGER? Card.CRTC.REGS : [];
             this.offStart   = this.regCRTData[Card.CRTC.STARTLO] | (this.regCRTData[Card.CRTC.STARTHI] << 8);
@@ -429,6 +453,10 @@ class Card extends Controller {
                 this.addrMaskHigh = 0xFF;
                 this.nCRTCRegs = Card.CRTC.EGA.TOTAL_REGS;
                 this.asCRTCRegs = DEBUGGER? Card.CRTC.EGA_REGS : [];
+                if (nCard >= VideoX86.CARD.SVGA) {
+                    this.nCRTCRegs = Card.SVGA.CRTC.TOTAL_REGS;
+                    this.asCRTCRegs = DEBUGGER? Card.CRTC.SVGA_REGS : [];
+                }
                 this.initEGA(data[6], nMonitorType);
             }
 
@@ -521,7 +549,8 @@ class Card extends Controller {
                 /*28*/  0,
                 /*29*/  0,
                 /*30*/  Card.DAC.STATE.MODE_WRITE,
-                /*31*/  new Array(Card.DAC.TOTAL_REGS)
+                /*31*/  new Array(Card.DAC.TOTAL_REGS),
+                /*32*/  0
             ];
         }
 
@@ -595,7 +624,7 @@ class Card extends Controller {
         this.nColorDontCare = data[24];
         this.offStart       = data[25];     // this is the last CRTC start address latched from CRTC.STARTHI,CRTC.STARTLO
 
-        if (this.nCard == VideoX86.CARD.VGA) {
+        if (this.nCard >= VideoX86.CARD.VGA) {
             this.regVGAEnable   = data[26];
             this.regDACMask     = data[27];
             this.regDACAddr     = data[28];
@@ -604,6 +633,20 @@ class Card extends Controller {
             this.regDACData     = data[31];
         }
 
+        if (this.nCard >= VideoX86.CARD.SVGA) {
+            this.asSEQRegs = DEBUGGER? Card.SEQ.SVGA_REGS : [];
+            this.setSegment(data[32] || 0);
+            /*
+             * The VGA BIOS never programs our extended CRTC and SEQ registers, so they must power up as zero.
+             */
+            for (let iReg = Card.CRTC.EGA.TOTAL_REGS; iReg < Card.SVGA.CRTC.TOTAL_REGS; iReg++) {
+                if (this.regCRTData[iReg] == null) this.regCRTData[iReg] = 0;
+            }
+            for (let iReg = Card.SEQ.TOTAL_REGS; iReg < Card.SVGA.SEQ.TOTAL_REGS; iReg++) {
+                if (this.regSEQData[iReg] == null) this.regSEQData[iReg] = 0;
+            }
+        }
+
         /*
          * While every Video memory block maintains its own DIRTY flag, used by the Bus cleanMemory() function to
          * quickly determine if anything changed within a given block, we supplement that information at the Card level
@@ -680,6 +723,7 @@ class Card extends Controller {
             data[6] = (this.nCard < VideoX86.CARD.EGA? State.compressEvenOdd(this.adwMemory) : this.saveEGA());
             data[7] = this.nCyclesVertRetrace;
             data[8] = this.adwMemory.length;
+            data[9] = this.regConfig;
         }
         return data;
     }
@@ -720,7 +764,7 @@ class Card extends Controller {
         data[24] = this.nColorDontCare;
         data[25] = this.offStart;
 
-        if (this.nCard == VideoX86.CARD.VGA) {
+        if (this.nCard >= VideoX86.CARD.VGA) {
             data[26] = this.regVGAEnable;
             data[27] = this.regDACMask;
             data[28] = this.regDACAddr;
@@ -728,6 +772,10 @@ class Card extends Controller {
             data[30] = this.regDACState;
             data[31] = this.regDACData;
         }
+
+        if (this.nCard >= VideoX86.CARD.SVGA) {
+            data[32] = this.regSegment;
+        }
         return data;
     }
 
@@ -790,7 +838,7 @@ class Card extends Controller {
                 /*
                  * There are few more EGA regs we could dump, like GRCPos1, GRCPos2, but does anyone care?
                  */
-                if (this.nCard == VideoX86.CARD.VGA) {
+                if (this.nCard >= VideoX86.CARD.VGA) {
                     this.dumpRegs(" DAC", this.regDACAddr, this.regDACData);
                 }
             }
@@ -801,10 +849,18 @@ class Card extends Controller {
              */
             this.dumpRegs(" STATUS1", this.regStatus);
 
-            if (this.nCard == VideoX86.CARD.MDA || this.nCard == VideoX86.CARD.CGA) {
+            if (this.nCard < VideoX86.CARD.EGA) {
                 this.dumpRegs(" MODEREG", this.regMode);
             }
 
+            if (this.nCard == VideoX86.CARD.HGC) {
+                this.dumpRegs("  CONFIG", this.regConfig);
+            }
+
+            if (this.nCard >= VideoX86.CARD.SVGA) {
+                this.dumpRegs(" SEGMENT", this.regSegment);
+            }
+
             if (this.nCard == VideoX86.CARD.CGA) {
                 this.dumpRegs("   COLOR", this.regColor);
             }
@@ -1031,6 +1087,23 @@ class Card extends Controller {
         }
     }
 
+    /**
+     * setSegment(b)
+     *
+     * Updates the SVGA's Segment Select Register and the corresponding offsets that the packed-pixel memory
+     * access functions add to every read and write (segments beyond the end of video memory wrap around).
+     *
+     * @this {Card}
+     * @param {number} b
+     */
+    setSegment(b)
+    {
+        let maskMemory = this.cbMemory - 1;
+        this.regSegment = b;
+        this.offBankWrite = ((b & Card.SVGA.SEGMENT.WRITE) * Card.SVGA.SEGMENT.SIZE) & maskMemory;
+        this.offBankRead = (((b & Card.SVGA.SEGMENT.READ) >> 4) * Card.SVGA.SEGMENT.SIZE) & maskMemory;
+    }
+
     /**
      * getCRTCReg()
      *
@@ -1046,26 +1119,26 @@ class Card extends Controller {
             switch(iReg) {
             case Card.CRTC.EGA.VTOTAL:              // 0x06
                 bOverflowBit8 = Card.CRTC.EGA.OVERFLOW.VTOTAL_BIT8;         // 0x01
-                if (this.nCard == VideoX86.CARD.VGA) bOverflowBit9 = Card.CRTC.EGA.OVERFLOW.VTOTAL_BIT9;
+                if (this.nCard >= VideoX86.CARD.VGA) bOverflowBit9 = Card.CRTC.EGA.OVERFLOW.VTOTAL_BIT9;
                 break;
             case Card.CRTC.EGA.CURSCAN:             // 0x0A
                 if (this.nCard == VideoX86.CARD.EGA) bOverflowBit8 = Card.CRTC.EGA.OVERFLOW.CURSCAN_BIT8;
                 break;
             case Card.CRTC.EGA.VRSTART:             // 0x10
                 bOverflowBit8 = Card.CRTC.EGA.OVERFLOW.VRSTART_BIT8;        // 0x04
-                if (this.nCard == VideoX86.CARD.VGA) bOverflowBit9 = Card.CRTC.EGA.OVERFLOW.VRSTART_BIT9;
+                if (this.nCard >= VideoX86.CARD.VGA) bOverflowBit9 = Card.CRTC.EGA.OVERFLOW.VRSTART_BIT9;
                 break;
             case Card.CRTC.EGA.VDEND:               // 0x12
                 bOverflowBit8 = Card.CRTC.EGA.OVERFLOW.VDEND_BIT8;          // 0x02
-                if (this.nCard == VideoX86.CARD.VGA) bOverflowBit9 = Card.CRTC.EGA.OVERFLOW.VDEND_BIT9;
+                if (this.nCard >= VideoX86.CARD.VGA) bOverflowBit9 = Card.CRTC.EGA.OVERFLOW.VDEND_BIT9;
                 break;
             case Card.CRTC.EGA.VBSTART:             // 0x15
                 bOverflowBit8 = Card.CRTC.EGA.OVERFLOW.VBSTART_BIT8;        // 0x08
-                if (this.nCard == VideoX86.CARD.VGA) bMaxScanBit9 = Card.CRTC.EGA.MAXSCAN.VBSTART_BIT9;
+                if (this.nCard >= VideoX86.CARD.VGA) bMaxScanBit9 = Card.CRTC.EGA.MAXSCAN.VBSTART_BIT9;
                 break;
             case Card.CRTC.EGA.LINECOMP:            // 0x18
                 bOverflowBit8 = Card.CRTC.EGA.OVERFLOW.LINECOMP_BIT8;       // 0x10
-                if (this.nCard == VideoX86.CARD.VGA) bMaxScanBit9 = Card.CRTC.EGA.MAXSCAN.LINECOMP_BIT9;
+                if (this.nCard >= VideoX86.CARD.VGA) bMaxScanBit9 = Card.CRTC.EGA.MAXSCAN.LINECOMP_BIT9;
                 break;
             }
             if (bOverflowBit8) {
@@ -1107,6 +1180,38 @@ Card.MDA = {
     }
 };
 
+/*
+ * HGC Registers (ports 0x3B4, 0x3B5, 0x3B8, 0x3BA, and 0x3BF)
+ *
+ * The Hercules Graphics Card is an MDA superset: it adds a 720x348 graphics mode, 64Kb of memory divided into
+ * two 32Kb pages (at 0xB0000 and 0xB8000), and a write-only configuration switch at port 0x3BF that must be set
+ * before either graphics mode or the second page can be selected via the Mode register.
+ *
+ * In graphics mode, each page is divided into 4 banks of 8Kb, with scan line Y stored in bank (Y & 3) at
+ * offset (Y >> 2) * 90; each byte contains 8 pixels, with bit 7 as the left-most pixel.
+ */
+Card.HGC = {
+    MODE: {
+        PORT:               0x3B8,      // Mode Select Register (write-only)
+        GRAPHICS:           0x02,       // ignored unless CONFIG.GRAPHICS is set
+        VIDEO_ENABLE:       0x08,       // same as MDA.MODE.VIDEO_ENABLE
+        BLINK_ENABLE:       0x20,       // same as MDA.MODE.BLINK_ENABLE
+        PAGE1:              0x80        // ignored unless CONFIG.PAGE1 is set
+    },
+    STATUS: {
+        PORT:               0x3BA,
+        HDRIVE:             0x01,       // same as MDA.STATUS.HDRIVE
+        VIDEO:              0x08,       // same as MDA.STATUS.BWVIDEO
+        VSYNC:              0x80        // clear during vertical retrace (MDA cards leave this bit set)
+    },
+    CONFIG: {
+        PORT:               0x3BF,      // Configuration Switch (write-only)
+        GRAPHICS:           0x01,       // allows MODE.GRAPHICS to be set
+        PAGE1:              0x02        // allows MODE.PAGE1 to be set and maps the second page at 0xB8000
+    },
+    PAGE_SIZE:              0x8000
+};
+
 /*
  * CGA Registers (ports 0x3D4, 0x3D5, 0x3D8, 0x3D9, and 0x3DA)
  */
@@ -1632,6 +1737,52 @@ Card.GRC = {
 
 if (DEBUGGER) Card.GRC.REGS = ["SRESET","ESRESET","COLORCOMP","DATAROT","READMAP","GRCMODE","GRCMISC","COLORDC","BITMASK"];
 
+/*
+ * SVGA Extended Registers (port 0x3CD: regSegment, plus extended CRTC and Sequencer registers)
+ *
+ * Our SVGA is a generic bank-switched "Super VGA" with up to 1Mb of memory, loosely modeled after the Tseng Labs
+ * ET4000.  It borrows the ET4000's Segment Select Register at port 0x3CD, where the low nibble selects the 64Kb
+ * "segment" of video memory that CPU writes to the A000:0000 window will go to, and the high nibble selects the
+ * segment that reads will come from, as well as the ET4000's Extended Start Address register at CRTC[0x33], which
+ * supplies bits 16-19 of the CRTC start address.
+ *
+ * Unlike the ET4000, there's no "key" sequence required to unlock the extended registers, and packed-pixel addressing
+ * (where every byte of the window maps to one 8bpp pixel, and successive bytes map to successive pixels) is selected
+ * by SEQ[0x07] bit 0 rather than as a side-effect of CHAIN4; that way, mode 0x13 continues to behave exactly as it does
+ * on our VGA, and only the extended (VBE) modes use packed-pixel addressing.
+ */
+Card.SVGA = {
+    SEGMENT: {
+        PORT:               0x3CD,      // Segment Select Register
+        WRITE:              0x0F,       // bits 0-3: write segment
+        READ:               0xF0,       // bits 4-7: read segment
+        SIZE:               0x10000     // each segment spans 64Kb
+    },
+    CRTC: {
+        INDX_MASK:          0x3F,
+        EXTSTART: {
+            INDX:           0x33,       // Extended Start Address Register
+            MASK:           0x0F        // bits 0-3: bits 16-19 of the CRTC start address
+        },
+        TOTAL_REGS:         0x38
+    },
+    SEQ: {
+        AUXMODE: {
+            INDX:           0x07,       // Auxiliary Mode Register
+            PACKED:         0x01        // set to select packed-pixel 8bpp addressing (requires GRC.MODE.COLOR256)
+        },
+        TOTAL_REGS:         0x08
+    }
+};
+
+if (DEBUGGER) {
+    Card.CRTC.SVGA_REGS = Card.CRTC.EGA_REGS.slice();
+    for (let iReg = Card.CRTC.EGA.TOTAL_REGS; iReg < Card.SVGA.CRTC.TOTAL_REGS; iReg++) {
+        Card.CRTC.SVGA_REGS.push(iReg == Card.SVGA.CRTC.EXTSTART.INDX? "EXTSTART" : "CRTC" + Str.toHex(iReg, 2));
+    }
+    Card.SEQ.SVGA_REGS = Card.SEQ.REGS.concat(["SEQ05","SEQ06","AUXMODE"]);
+}
+
 /*
  * EGA Memory Access Functions
  *
@@ -1707,6 +1858,7 @@ Card.ACCESS = {
         PAIRS:              0x0800,
         EVENODD:            0x1000,
         CHAIN4:             0x4000,
+        PACKED:             0x8000,     // SVGA only
         MASK:               0xFF00
     },
     WRITE: {                            // and WRITE values are designed to be OR'ed with READ values
@@ -1716,6 +1868,7 @@ Card.ACCESS = {
         MODE3:              0x0003,     // VGA only
         CHAIN4:             0x0004,
         PAIRS:              0x0008,
+        PACKED:             0x000C,     // SVGA only (CHAIN4 and PAIRS are otherwise never combined)
         EVENODD:            0x0010,
         ROT:                0x0020,
         AND:                0x0060,
@@ -2273,6 +2426,49 @@ Card.ACCESS.writeByteMode3 = function writeByteMode3(off, b, addr)
     if (DEBUG) card.video.printf(Messages.MEM + Messages.VIDEO, "writeByteMode3(%#010X): %#04X -> %#010X\n", addr, b, dw);
 };
 
+/**
+ * readBytePacked(off, addr)
+ *
+ * Used by the SVGA's packed-pixel modes, where video memory is simply a linear array of 8bpp pixels, four to a dword,
+ * and the window offset is relocated by the read segment (offBankRead) selected in the Segment Select Register.
+ *
+ * @this {MemoryX86}
+ * @param {number} off
+ * @param {number} [addr]
+ * @return {number}
+ */
+Card.ACCESS.readBytePacked = function readBytePacked(off, addr)
+{
+    off += this.offset + this.controller.offBankRead;
+    return (this.adw[off >> 2] >> ((off & 0x3) << 3)) & 0xff;
+};
+
+/**
+ * writeBytePacked(off, b, addr)
+ *
+ * Used by the SVGA's packed-pixel modes; see readBytePacked() for details.  Note that the Memory block's DIRTY
+ * flag is set no matter which segment was written, so the blocks underlying the window tell updateScreen() only
+ * that SOMETHING changed; updateScreenGraphicsSVGA() relies on the cell cache to determine what that was.
+ *
+ * @this {MemoryX86}
+ * @param {number} off
+ * @param {number} b (which should already be pre-masked to 8 bits; see cpu.setByte())
+ * @param {number} [addr]
+ */
+Card.ACCESS.writeBytePacked = function writeBytePacked(off, b, addr)
+{
+    let card = this.controller;
+    off += this.offset + card.offBankWrite;
+    let idw = off >> 2;
+    let shift = (off & 0x3) << 3;
+    let dw = (this.adw[idw] & ~(0xff << shift)) | (b << shift);
+    if (this.adw[idw] != dw) {
+        this.adw[idw] = dw;
+        this.flags |= MemoryX86.FLAGS.DIRTY;
+    }
+    if (DEBUG) card.video.printf(Messages.MEM + Messages.VIDEO, "writeBytePacked(%#010X): %#04X -> %#010X\n", addr, b, dw);
+};
+
 /*
  * Mappings from getCardAccess() values to access functions above
  */
@@ -2283,6 +2479,7 @@ Card.ACCESS.afn[Card.ACCESS.READ.MODE0  |  Card.ACCESS.READ.CHAIN4]  = Card.ACCE
 Card.ACCESS.afn[Card.ACCESS.READ.MODE0  |  Card.ACCESS.READ.EVENODD] = Card.ACCESS.readByteMode0EvenOdd;
 Card.ACCESS.afn[Card.ACCESS.READ.MODE1]  = Card.ACCESS.readByteMode1;
 Card.ACCESS.afn[Card.ACCESS.READ.PAIRS]  = Card.ACCESS.readBytePairs;
+Card.ACCESS.afn[Card.ACCESS.READ.PACKED] = Card.ACCESS.readBytePacked;
 
 Card.ACCESS.afn[Card.ACCESS.WRITE.MODE0] = Card.ACCESS.writeByteMode0;
 Card.ACCESS.afn[Card.ACCESS.WRITE.MODE0 |  Card.ACCESS.WRITE.ROT] = Card.ACCESS.writeByteMode0Rot;
@@ -2299,6 +2496,7 @@ Card.ACCESS.afn[Card.ACCESS.WRITE.MODE2 |  Card.ACCESS.WRITE.OR]  = Card.ACCESS.
 Card.ACCESS.afn[Card.ACCESS.WRITE.MODE2 |  Card.ACCESS.WRITE.XOR] = Card.ACCESS.writeByteMode2Xor;
 Card.ACCESS.afn[Card.ACCESS.WRITE.MODE3] = Card.ACCESS.writeByteMode3;
 Card.ACCESS.afn[Card.ACCESS.WRITE.PAIRS] = Card.ACCESS.writeBytePairs;
+Card.ACCESS.afn[Card.ACCESS.WRITE.PACKED] = Card.ACCESS.writeBytePacked;
 
 /**
  * @class VideoX86
@@ -2386,6 +2584,7 @@ class VideoX86 extends Component {
         this.nActiveFont = this.nAlternateFont = 0;
         this.nFontSelect = 0;                       // current set of selectable logical fonts
         this.cbMemory = +parmsVideo['memory'] || 0; // zero means fallback to the cardSpec's default size
+        this.addrVBE = +parmsVideo['vbeROM'] || VideoX86.VBE.ROM.ADDR;
         this.sSwitches = parmsVideo['switches'];
         this.nRandomize = parmsVideo['randomize'];
         if (this.nRandomize == null) this.nRandomize = 1;
@@ -2520,7 +2719,7 @@ class VideoX86 extends Component {
          * EGA-compatible mode), only the first 16 entries get used (derived from the ATC); only when a VGA
          * is operating in an 8bpp mode are 256 entries used (derived from the DAC rather than the ATC).
          */
-        this.aRGB = new Array(this.nCard == VideoX86.CARD.VGA? 256 : 16);
+        this.aRGB = new Array(this.nCard >= VideoX86.CARD.VGA? 256 : 16);
         this.fRGBValid = false;     // whenever this is false, it signals getCardColors() to rebuild aRGB
 
         this.aCellCache = [];
@@ -2673,9 +2872,17 @@ class VideoX86 extends Component {
         }
 
         /*
-         * Similarly, the only time we do NOT want to trap CGA ports is when the model is explicitly set to MDA.
+         * The HGC's configuration switch is the only port it adds to the MDA's set.
+         */
+        if (nCard === VideoX86.CARD.HGC) {
+            bus.addPortInputTable(this, VideoX86.aHGCPortInput);
+            bus.addPortOutputTable(this, VideoX86.aHGCPortOutput);
+        }
+
+        /*
+         * Similarly, the only time we do NOT want to trap CGA ports is when the model is explicitly set to MDA (or HGC).
          */
-        if (nCard !== VideoX86.CARD.MDA) {
+        if (nCard !== VideoX86.CARD.MDA && nCard !== VideoX86.CARD.HGC) {
             bus.addPortInputTable(this, VideoX86.aCGAPortInput);
             bus.addPortOutputTable(this, VideoX86.aCGAPortOutput);
         }
@@ -2695,11 +2902,17 @@ class VideoX86 extends Component {
             bus.addPortOutputTable(this, VideoX86.aEGAPortOutput);
         }
 
-        if (this.nCard == VideoX86.CARD.VGA) {
+        if (this.nCard >= VideoX86.CARD.VGA) {
             bus.addPortInputTable(this, VideoX86.aVGAPortInput);
             bus.addPortOutputTable(this, VideoX86.aVGAPortOutput);
         }
 
+        if (this.nCard >= VideoX86.CARD.SVGA) {
+            bus.addPortInputTable(this, VideoX86.aSVGAPortInput);
+            bus.addPortOutputTable(this, VideoX86.aSVGAPortOutput);
+            this.addVBE(cmp, cpu);
+        }
+
         if (DEBUGGER && dbg) {
             dbg.messageDump(Messages.VIDEO, function onDumpVideo(asArgs) {
                 video.dumpVideo(asArgs);
@@ -3465,7 +3678,7 @@ class VideoX86 extends Component {
                      * machine resets.  TODO: Figure out why the VGA diagnostic takes more time on real hardware.
                      */
                     card.nCountVertRetrace++;
-                    if (card.nCard === VideoX86.CARD.VGA) {
+                    if (card.nCard >= VideoX86.CARD.VGA) {
                         if (card.regSEQData[Card.SEQ.CLKMODE.INDX] & Card.SEQ.CLKMODE.SCREEN_OFF) {
                             if (card.nCountVertRetrace & 1) {
                                 return;
@@ -3576,6 +3789,7 @@ class VideoX86 extends Component {
         this.nModeDefault = VideoX86.MODE.CGA_80X25;
 
         switch (this.nCard) {
+        case VideoX86.CARD.SVGA:
         case VideoX86.CARD.VGA:
             nMonitorType = ChipSet.MONITOR.VGACOLOR;
             break;
@@ -3595,6 +3809,7 @@ class VideoX86 extends Component {
             /* falls through */
 
         case VideoX86.CARD.MDA:
+        case VideoX86.CARD.HGC:
             nMonitorType = ChipSet.MONITOR.MONO;
             this.nModeDefault = VideoX86.MODE.MDA_80X25;
             break;
@@ -3612,7 +3827,7 @@ class VideoX86 extends Component {
         }
 
         this.cardActive = null;
-        this.cardMono = this.cardMDA = new Card(this, VideoX86.CARD.MDA);
+        this.cardMono = this.cardMDA = new Card(this, this.nCard == VideoX86.CARD.HGC? VideoX86.CARD.HGC : VideoX86.CARD.MDA);
         this.cardColor = this.cardCGA = new Card(this, VideoX86.CARD.CGA);
 
         if (this.nCard < VideoX86.CARD.EGA) {
@@ -3720,7 +3935,7 @@ class VideoX86 extends Component {
         this.nMode = a[2];
 
         this.cardActive = null;
-        this.cardMono = this.cardMDA = new Card(this, VideoX86.CARD.MDA, data[0]);
+        this.cardMono = this.cardMDA = new Card(this, this.nCard == VideoX86.CARD.HGC? VideoX86.CARD.HGC : VideoX86.CARD.MDA, data[0]);
         this.cardColor = this.cardCGA = new Card(this, VideoX86.CARD.CGA, data[1]);
 
         /*
@@ -3916,7 +4131,7 @@ class VideoX86 extends Component {
              */
             this.setFontData(abROM, aParms || [0x3160, 0x2230], 8);
         }
-        else if (this.nCard == VideoX86.CARD.VGA) {
+        else if (this.nCard >= VideoX86.CARD.VGA) {
             if (DEBUG) this.printf("onROMLoad(): VGA fonts loaded\n");
             /*
              * For VGA cards, in the absence of any parameters, we assume that we're receiving the original
@@ -4256,6 +4471,7 @@ class VideoX86 extends Component {
                 }
                 break;
 
+            case VideoX86.CARD.SVGA:
             case VideoX86.CARD.VGA:
                 nFonts += 4;
                 /* falls through */
@@ -4783,7 +4999,7 @@ class VideoX86 extends Component {
                  * The VGA didn't support funky split (aka wrap-around) cursors, so as above, we pretend that the
                  * cursor has simply been disabled.
                  */
-                if (this.nCard == VideoX86.CARD.VGA) {
+                if (this.nCard >= VideoX86.CARD.VGA) {
                     bCursorFlags |= Card.CRTC.CURSCAN_BLINKOFF;
                     bCursorWrap = 0;
                 }
@@ -5011,7 +5227,7 @@ class VideoX86 extends Component {
                     }
                     break;
                 case Card.GRC.MODE.WRITE.MODE3:
-                    if (this.nCard == VideoX86.CARD.VGA) {
+                    if (this.nCard >= VideoX86.CARD.VGA) {
                         nWriteAccess = Card.ACCESS.WRITE.MODE3;
                         card.nDataRotate = regDataRotate & Card.GRC.DATAROT.COUNT;
                     }
@@ -5060,6 +5276,10 @@ class VideoX86 extends Component {
                             nReadAccess |= Card.ACCESS.READ.CHAIN4;
                             nWriteAccess |= Card.ACCESS.WRITE.CHAIN4;
                         }
+                        if (card.nCard >= VideoX86.CARD.SVGA && (card.regSEQData[Card.SVGA.SEQ.AUXMODE.INDX] & Card.SVGA.SEQ.AUXMODE.PACKED)) {
+                            nReadAccess = Card.ACCESS.READ.PACKED;
+                            nWriteAccess = Card.ACCESS.WRITE.PACKED;
+                        }
                         this.fColor256 = true;
                     }
                 }
@@ -5135,7 +5355,7 @@ class VideoX86 extends Component {
                 if (this.model == "vdu") {
                     this.nCardFont = VideoX86.CARD.MDA;
                 }
-                else if (this.nCard > this.nCardFont) {
+                else if (this.nCard > this.nCardFont && this.nCard != VideoX86.CARD.HGC) {
                     this.nCardFont = this.nCard;
                 }
                 this.buildFont();           // this also updates nActiveFont and nAlternateFont
@@ -5176,6 +5396,12 @@ class VideoX86 extends Component {
             this.cbScreen = (this.cbScreen + cbPadding) | 0;
             this.cbSplit = (this.cbScreen + cbPadding) >> 1;
         }
+        else if (this.nMode == VideoX86.MODE.HGC_720X348) {
+            /*
+             * The last of the 4 interleaved banks ends near the end of the page, so the entire page is "visible".
+             */
+            this.cbScreen = Card.HGC.PAGE_SIZE;
+        }
 
         this.cxBuffer = this.nColsBuffer * cxCell;
         this.cyBuffer = this.nRowsBuffer * cyCell;
@@ -5266,6 +5492,15 @@ class VideoX86 extends Component {
             if (card.nCard == VideoX86.CARD.MDA) {
                 nMode = VideoX86.MODE.MDA_80X25;
             }
+            else if (card.nCard == VideoX86.CARD.HGC) {
+                nMode = VideoX86.MODE.MDA_80X25;
+                if ((card.regMode & Card.HGC.MODE.GRAPHICS) && (card.regConfig & Card.HGC.CONFIG.GRAPHICS)) {
+                    nMode = VideoX86.MODE.HGC_720X348;
+                }
+                if (card.sizeBuffer != this.sizeBuffer) {
+                    fRemap = true;
+                }
+            }
             else if (card.nCard >= VideoX86.CARD.EGA) {
                 /*
                  * The sizeBuffer we choose reflects the amount of physical address space that all 4 planes
@@ -5274,9 +5509,12 @@ class VideoX86 extends Component {
                  *
                  * TODO: Need to take into account modes that "chain" planes together (eg, mode 0x0F, and
                  * presumably mode 0x10, on an EGA card with only 64Kb).
+                 *
+                 * An SVGA can have more memory than the 64Kb window can span, so any memory beyond that must be
+                 * reached through the Segment Select Register (see readBytePacked() and writeBytePacked()).
                  */
                 nMode = null;
-                let cbBuffer = card.cbMemory >> 2;
+                let cbBuffer = Math.min(card.cbMemory >> 2, Card.SVGA.SEGMENT.SIZE);
                 let cbBufferText = (cbBuffer > 0x8000? 0x8000 : cbBuffer);
 
                 let regGRCMisc = card.regGRCData[Card.GRC.MISC.INDX];
@@ -5384,7 +5622,23 @@ class VideoX86 extends Component {
                              * mode 0x0D or 0x0E, else if VGA resolution is set, select either mode 0x11 or 0x12.
                              */
                             if (card.regGRCData[Card.GRC.MODE.INDX] & Card.GRC.MODE.COLOR256) {
-                                if (nCRTCMaxScan & Card.CRTC.EGA.MAXSCAN.SLMASK) {
+                                if (card.nCard >= VideoX86.CARD.SVGA && (card.regSEQData[Card.SVGA.SEQ.AUXMODE.INDX] & Card.SVGA.SEQ.AUXMODE.PACKED)) {
+                                    /*
+                                     * SVGA packed-pixel modes are identified solely by their resolution; anything we don't
+                                     * recognize is UNKNOWN, which at least leaves the buffer mapped.
+                                     */
+                                    let cxMode = (card.regCRTData[Card.CRTC.EGA.HDEND] + 1) << 3;
+                                    let cyMode = card.getCRTCReg(Card.CRTC.EGA.VDEND) + 1;
+                                    nMode = VideoX86.MODE.UNKNOWN;
+                                    for (let i = 0; i < VideoX86.aSVGAModes.length; i++) {
+                                        let modeParms = VideoX86.aModeParms[VideoX86.aSVGAModes[i]];
+                                        if (modeParms[0] == cxMode && modeParms[1] == cyMode) {
+                                            nMode = VideoX86.aSVGAModes[i];
+                                            break;
+                                        }
+                                    }
+                                }
+                                else if (nCRTCMaxScan & Card.CRTC.EGA.MAXSCAN.SLMASK) {
                                     /*
                                      * NOTE: Technically, VDEND is one of those CRTC registers that should be read using
                                      * card.getCRTCReg(), because there are overflow bits (8 and 9).  However, all known modes
@@ -5508,7 +5762,7 @@ class VideoX86 extends Component {
              * (MDA or CGA) never reallocates its memory buffer, it's still a good idea to always force this operation
              * (eg, in case a switch setting changed the active video card).
              */
-            let card = this.cardActive || (nMode == VideoX86.MODE.MDA_80X25? this.cardMono : this.cardColor);
+            let card = this.cardActive || (nMode == VideoX86.MODE.MDA_80X25 || nMode == VideoX86.MODE.HGC_720X348? this.cardMono : this.cardColor);
 
             if (card != this.cardActive || card.addrBuffer != this.addrBuffer || card.sizeBuffer != this.sizeBuffer) {
 
@@ -5851,6 +6105,9 @@ class VideoX86 extends Component {
         let card = this.cardActive;
         let offStart = card.regCRTData[Card.CRTC.STARTLO];
         offStart |= (card.regCRTData[Card.CRTC.STARTHI] & card.addrMaskHigh) << 8;
+        if (card.nCard >= VideoX86.CARD.SVGA) {
+            offStart |= (card.regCRTData[Card.SVGA.CRTC.EXTSTART.INDX] & Card.SVGA.CRTC.EXTSTART.MASK) << 16;
+        }
         if (card.offStart !== offStart) {
             card.offStart = offStart;
             this.invalidateCellCache(false);
@@ -5955,6 +6212,20 @@ class VideoX86 extends Component {
             addrScreenLimit = addrScreen + 0x10000;
         }
 
+        /*
+         * SVGA packed-pixel modes usually display far more memory than the window can span, so there's no
+         * relationship between the window and the visible screen, and therefore nothing for the screen wrap or
+         * split-screen logic below to do.  We pass the entire window to updateScreenCells(), so that its dirty
+         * check can still short-circuit the update (a write through ANY segment dirties the window's blocks),
+         * and updateScreenGraphicsSVGA() takes care of the rest.
+         */
+        if (this.nMode >= VideoX86.MODE.SVGA_640X400) {
+            let cCells = this.updateScreenCells(addrBuffer, addrScreen, addrScreenLimit - addrScreen, iCell, nCells, fForce, fBlinkUpdate);
+            this.bus.cleanMemory(addrScreen, addrScreenLimit - addrScreen, true);
+            if (cCells) this.iCellCacheValid = 2;
+            return true;
+        }
+
         let cbScreen = this.cbScreen;
         this.nColsLogical = this.nCols;
 
@@ -5963,6 +6234,9 @@ class VideoX86 extends Component {
              * Any screen (aka "page") offset must be doubled for text modes, due to the attribute bytes.
              */
             addrScreen += card.offStart << (this.nCardFont? 1 : 0);
+            if (this.nMode == VideoX86.MODE.HGC_720X348 && (card.regMode & Card.HGC.MODE.PAGE1) && (card.regConfig & Card.HGC.CONFIG.PAGE1)) {
+                addrScreen += Card.HGC.PAGE_SIZE;
+            }
         } else {
             /*
              * For the EGA/VGA, we must make offset-doubling dependent on attribute (odd) byte addressibility.
@@ -6130,6 +6404,12 @@ class VideoX86 extends Component {
              */
             this.updateScreenText(addrBuffer, addrScreen, addrScreenLimit, iCell, nCells);
         }
+        else if (this.nMode == VideoX86.MODE.HGC_720X348) {
+            cCells = this.updateScreenGraphicsHGC(addrScreen, addrScreenLimit);
+        }
+        else if (this.nMode >= VideoX86.MODE.SVGA_640X400) {
+            cCells = this.updateScreenGraphicsSVGA();
+        }
         else if (this.cbSplit) {
             /*
              * All CGA graphics modes have the goofy split-buffer layout, hence the simple test above.
@@ -6353,6 +6633,61 @@ class VideoX86 extends Component {
         return cCells;
     }
 
+    /**
+     * updateScreenGraphicsHGC(addrScreen, addrScreenLimit)
+     *
+     * @this {VideoX86}
+     * @param {number} addrScreen
+     * @param {number} addrScreenLimit
+     * @return {number} (number of cells processed)
+     */
+    updateScreenGraphicsHGC(addrScreen, addrScreenLimit)
+    {
+        /*
+         * This is the HGC graphics-mode update case, where every cell is 16 pixels and scan lines are spread
+         * across four 8Kb banks (see Card.HGC).
+         */
+        let iCell = 0, nPixelsPerCell = this.nPointsPerCell;
+        let cbBank = Card.HGC.PAGE_SIZE >> 2;
+        let cbRow = (this.nCols / this.nPointsPerByte)|0;
+        let aPixelColors = [VideoX86.aMDAColors[0], this.colorFont? this.rgbFont : VideoX86.aMDAColors[2]];
+
+        let xDirty = this.nCols, xMaxDirty = 0, yDirty = this.nRows, yMaxDirty = 0;
+
+        this.cBlinkVisible = 0;
+        for (let y = 0; y < this.nRows; y++) {
+            let addr = addrScreen + (y & 3) * cbBank + (y >> 2) * cbRow;
+            let addrLimit = addr + cbRow;
+            if (addrLimit > addrScreenLimit) break;
+            let x = 0;
+            while (addr < addrLimit) {
+                let data = this.bus.getShortDirect(addr);
+                this.assert(iCell < this.aCellCache.length);
+                if (this.iCellCacheValid && data === this.aCellCache[iCell]) {
+                    x += nPixelsPerCell;
+                } else {
+                    this.aCellCache[iCell] = data;
+                    let wPixels = (data >> 8) | ((data & 0xff) << 8);
+                    if (x < xDirty) xDirty = x;
+                    for (let wMask = 0x8000; wMask; wMask >>= 1) {
+                        this.setPixel(this.imageBuffer, x++, y, aPixelColors[(wPixels & wMask)? 1 : 0]);
+                    }
+                    if (x > xMaxDirty) xMaxDirty = x;
+                    if (y < yDirty) yDirty = y;
+                    if (y >= yMaxDirty) yMaxDirty = y + 1;
+                }
+                addr += 2;
+                iCell++;
+            }
+        }
+
+        if (xDirty < this.nCols) {
+            this.contextBuffer.putImageData(this.imageBuffer, 0, 0, xDirty, yDirty, xMaxDirty - xDirty, yMaxDirty - yDirty);
+            this.contextScreen.drawImage(this.canvasBuffer, 0, 0, this.nCols, this.nRows, 0, 0, this.cxScreen, this.cyScreen);
+        }
+        return iCell;
+    }
+
     /**
      * updateScreenGraphicsEGA(addrBuffer, addrScreen, addrScreenLimit)
      *
@@ -6518,8 +6853,12 @@ class VideoX86 extends Component {
 
             if (iPixelFirst) {
                 /*
-                 * TODO: Implement support for 8bpp panning
+                 * In 8bpp modes, HPAN values 0, 2, 4 and 6 shift the display left by 0 to 3 pixels, so we assemble
+                 * the 4 pixels at this position from this dword and the next.  The result no longer corresponds to
+                 * a single dword of video memory, which is why panning bypasses the cell cache.
                  */
+                let shift = (iPixelFirst & 0x6) << 2;
+                if (shift) data = (data >>> shift) | (adwMemory[idw + cbInc] << (32 - shift));
             } else {
                 this.assert(iCell < this.aCellCache.length);
                 if (this.iCellCacheValid && data === this.aCellCache[iCell]) {
@@ -6567,6 +6906,64 @@ class VideoX86 extends Component {
         return cCells;
     }
 
+    /**
+     * updateScreenGraphicsSVGA()
+     *
+     * Takes care of the SVGA's packed-pixel modes, where video memory is a linear array of 8bpp pixels (four to a
+     * dword, leftmost pixel in the low byte), starting at the CRTC start address (a dword address that includes the
+     * Extended Start Address bits), with each scan line OFFSET * 8 bytes from the previous one.  All the addressing
+     * is internal to adwMemory, because the window rarely contains more than a fraction of the screen.
+     *
+     * Panning works the same as in updateScreenGraphicsVGA(), except that since we're always assembling pixels from
+     * memory offsets anyway, the cell cache remains usable.
+     *
+     * @this {VideoX86}
+     * @return {number} (number of cells processed)
+     */
+    updateScreenGraphicsSVGA()
+    {
+        if (!this.imageBuffer) return 0;        // setMode() doesn't allocate one in "headless" mode
+
+        let card = this.cardActive;
+        let adwMemory = card.adwMemory;
+        let aPixelColors = this.getCardColors(8);
+        let maskMemory = card.cbMemory - 1;
+        let cbLine = (card.regCRTData[Card.CRTC.EGA.OFFSET] << 3) || this.nCols;
+        let offLine = (card.offStart << 2) + ((card.regATCData[Card.ATC.HPAN.INDX] & 0x6) >> 1);
+
+        let iCell = 0;
+        let xDirty = this.nCols, xMaxDirty = 0, yDirty = this.nRows, yMaxDirty = 0;
+
+        this.cBlinkVisible = 0;
+        for (let y = 0; y < this.nRows; y++, offLine += cbLine) {
+            for (let x = 0; x < this.nCols; x += 4, iCell++) {
+                let off = (offLine + x) & maskMemory;
+                let idw = off >> 2;
+                let shift = (off & 0x3) << 3;
+                let data = adwMemory[idw] | 0;
+                if (shift) data = (data >>> shift) | (adwMemory[(idw + 1) & (maskMemory >> 2)] << (32 - shift));
+                if (this.iCellCacheValid && data === this.aCellCache[iCell]) continue;
+                this.aCellCache[iCell] = data;
+                if (x < xDirty) xDirty = x;
+                for (let iPixel = 0; iPixel < 4; iPixel++) {
+                    this.setPixel(this.imageBuffer, x + iPixel, y, aPixelColors[data & 0xff]);
+                    data >>>= 8;
+                }
+                if (x + 4 > xMaxDirty) xMaxDirty = x + 4;
+                if (y < yDirty) yDirty = y;
+                yMaxDirty = y + 1;
+            }
+        }
+
+        if (xDirty < this.nCols) {
+            let cxDirty = xMaxDirty - xDirty;
+            let cyDirty = yMaxDirty - yDirty;
+            this.contextBuffer.putImageData(this.imageBuffer, 0, 0, xDirty, yDirty, cxDirty, cyDirty);
+            this.contextScreen.drawImage(this.canvasBuffer, 0, 0, this.nCols, this.nRows, 0, 0, this.cxScreen, this.cyScreen);
+        }
+        return iCell;
+    }
+
     /**
      * getRetraceBits(card)
      *
@@ -6595,7 +6992,7 @@ class VideoX86 extends Component {
          * bit to trigger this work-around, which involves cutting the number of elapsed cycles in half,
          * as well as skipping every other (odd) vertical retrace in startVerticalRetrace().
          */
-        if (card.nCard === VideoX86.CARD.VGA) {
+        if (card.nCard >= VideoX86.CARD.VGA) {
             if (card.regSEQData[Card.SEQ.CLKMODE.INDX] & Card.SEQ.CLKMODE.SCREEN_OFF) {
                 nCyclesElapsed >>>= 1;
             }
@@ -6707,6 +7104,40 @@ class VideoX86 extends Component {
         return this.inCardStatus(this.cardMono, addrFrom);
     }
 
+    /**
+     * inHGCConfig(port, addrFrom)
+     *
+     * @this {VideoX86}
+     * @param {number} port (0x3BF)
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     * @return {number}
+     */
+    inHGCConfig(port, addrFrom)
+    {
+        let b = this.cardMono.regConfig;
+        this.printMessageIO(port, undefined, addrFrom, "CONFIG", b);
+        return b;
+    }
+
+    /**
+     * outHGCConfig(port, bOut, addrFrom)
+     *
+     * Setting or clearing CONFIG.PAGE1 grows or shrinks the video buffer, so we must let checkMode() remap it.
+     *
+     * @this {VideoX86}
+     * @param {number} port (0x3BF)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     */
+    outHGCConfig(port, bOut, addrFrom)
+    {
+        let card = this.cardMono;
+        this.printMessageIO(port, bOut, addrFrom, "CONFIG");
+        card.regConfig = bOut & (Card.HGC.CONFIG.GRAPHICS | Card.HGC.CONFIG.PAGE1);
+        card.sizeBuffer = (card.regConfig & Card.HGC.CONFIG.PAGE1)? card.cbMemory : Card.HGC.PAGE_SIZE;
+        if (card === this.cardActive) this.checkMode();
+    }
+
     /**
      * outFeat(port, bOut, addrFrom)
      *
@@ -7045,6 +7476,10 @@ class VideoX86 extends Component {
             }
             break;
 
+        case Card.SVGA.SEQ.AUXMODE.INDX:
+            if (this.nCard >= VideoX86.CARD.SVGA) this.checkMode();
+            break;
+
         case Card.SEQ.MEMMODE.INDX:
             if (this.setCardAccess(this.getCardAccess())) {
                 /*
@@ -7283,6 +7718,426 @@ class VideoX86 extends Component {
         this.printMessageIO(Card.GRC.POS1_PORT, bOut, addrFrom, "GRC1");
     }
 
+    /**
+     * inSVGASegment(port, addrFrom)
+     *
+     * @this {VideoX86}
+     * @param {number} port (0x3CD)
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     * @return {number}
+     */
+    inSVGASegment(port, addrFrom)
+    {
+        let b = this.cardEGA.regSegment;
+        this.printMessageIO(Card.SVGA.SEGMENT.PORT, undefined, addrFrom, "SEGMENT", b);
+        return b;
+    }
+
+    /**
+     * outSVGASegment(port, bOut, addrFrom)
+     *
+     * @this {VideoX86}
+     * @param {number} port (0x3CD)
+     * @param {number} bOut
+     * @param {number} [addrFrom] (not defined whenever the Debugger tries to read the specified port)
+     */
+    outSVGASegment(port, bOut, addrFrom)
+    {
+        this.printMessageIO(Card.SVGA.SEGMENT.PORT, bOut, addrFrom, "SEGMENT");
+        this.cardEGA.setSegment(bOut);
+    }
+
+    /**
+     * addVBE(cmp, cpu)
+     *
+     * There is no VBE option ROM in our collection that knows how to program our SVGA extensions, so we build a tiny
+     * one ourselves: it contains little more than the OEM string and mode list that VBE function 0x00 points callers to,
+     * plus a "window function" that VBE function 0x01 returns for callers that prefer a far call over INT 0x10.
+     * The VBE functions themselves are handled by intVBE().
+     *
+     * @this {VideoX86}
+     * @param {Computer} cmp
+     * @param {CPUx86} cpu
+     */
+    addVBE(cmp, cpu)
+    {
+        let addr = this.addrVBE;
+        let cbROM = VideoX86.VBE.ROM.SIZE;
+        if (!this.bus.addMemory(addr, cbROM, MemoryX86.TYPE.ROM)) {
+            this.notice("VBE ROM at " + Str.toHexLong(addr) + " unavailable");
+            return;
+        }
+
+        /*
+         * The card itself doesn't exist until reset(), so we determine its memory size the same way Card() will.
+         */
+        let cbMemory = this.cbMemory || VideoX86.cardSpecs[this.nCard][4];
+
+        this.aVBEModes = [];
+        for (let i = 0; i < VideoX86.aSVGAModes.length; i++) {
+            let nMode = VideoX86.aSVGAModes[i];
+            let aParms = VideoX86.aModeParms[nMode];
+            if (aParms[0] * aParms[1] <= cbMemory) this.aVBEModes.push(nMode);
+        }
+
+        let ab = new Array(cbROM).fill(0);
+        ab[0] = 0x55;
+        ab[1] = 0xAA;
+        ab[2] = cbROM >> 9;
+        ab[3] = 0xCB;                                               // RETF (there's nothing to initialize)
+
+        let off = VideoX86.VBE.ROM.WINFUNC;                         // MOV AX,4F05; INT 10h; RETF
+        [0xB8, 0x05, VideoX86.VBE.FUNC, 0xCD, Interrupts.VIDEO, 0xCB].forEach(function(b) { ab[off++] = b; });
+
+        off = VideoX86.VBE.ROM.OEMSTRING;
+        for (let i = 0; i < VideoX86.VBE.OEMSTRING.length; i++) ab[off++] = VideoX86.VBE.OEMSTRING.charCodeAt(i);
+
+        off = VideoX86.VBE.ROM.MODELIST;
+        for (let i = 0; i <= this.aVBEModes.length; i++) {
+            let w = (i < this.aVBEModes.length? this.aVBEModes[i] : 0xFFFF);
+            ab[off++] = w & 0xff;
+            ab[off++] = w >> 8;
+        }
+
+        let sum = 0;
+        for (let i = 0; i < cbROM - 1; i++) sum += ab[i];
+        ab[cbROM - 1] = (256 - (sum & 0xff)) & 0xff;
+
+        for (let i = 0; i < cbROM; i++) this.bus.setByteDirect(addr + i, ab[i]);
+
+        cpu.addIntNotify(Interrupts.VIDEO, this.intVBE.bind(this));
+    }
+
+    /**
+     * intVBE(addr)
+     *
+     * Handles INT 0x10 function 0x4F (VBE), and watches INT 0x10 function 0x00 (set mode) so that we can turn off our
+     * SVGA extensions before the VGA BIOS programs a standard mode, since the BIOS knows nothing about them.
+     *
+     * We don't try to service VBE calls made from protected-mode, since the BIOS couldn't either.
+     *
+     * @this {VideoX86}
+     * @param {number} addr
+     * @return {boolean} true to proceed with the INT 0x10 software interrupt, false to skip
+     */
+    intVBE(addr)
+    {
+        let cpu = this.cpu;
+        if (cpu.isProtMode() && !cpu.isV86Mode()) return true;
+
+        let AH = (cpu.regEAX >> 8) & 0xff;
+        if (!AH) {
+            this.outVBERegs(Card.SEQ.INDX.PORT, [Card.SVGA.SEQ.AUXMODE.INDX, 0], addr);
+            this.outVBERegs(this.cardEGA.port, [Card.SVGA.CRTC.EXTSTART.INDX, 0], addr);
+            this.outVBEPort(Card.SVGA.SEGMENT.PORT, 0, addr);
+            return true;
+        }
+        if (AH != VideoX86.VBE.FUNC) return true;
+
+        let AL = cpu.regEAX & 0xff;
+        let BX = cpu.regEBX & 0xffff, CX = cpu.regECX & 0xffff, DX = cpu.regEDX & 0xffff;
+        let fSuccess = false;
+
+        switch(AL) {
+        case 0x00:
+            fSuccess = this.getVBEInfo(cpu.segES, cpu.regEDI & 0xffff);
+            break;
+        case 0x01:
+            fSuccess = this.getVBEModeInfo(CX & ~VideoX86.VBE.NOCLEAR, cpu.segES, cpu.regEDI & 0xffff);
+            break;
+        case 0x02:
+            fSuccess = this.setVBEMode(BX & ~VideoX86.VBE.NOCLEAR, !!(BX & VideoX86.VBE.NOCLEAR), addr);
+            break;
+        case 0x03:
+            BX = (VideoX86.aSVGAModes.indexOf(this.nMode) >= 0? this.nMode : this.bus.getByteDirect(ROMx86.BIOS.CRT_MODE));
+            fSuccess = true;
+            break;
+        case 0x05:
+            if (!(BX & 0xff)) {
+                /*
+                 * The Segment Select Register has only 4 bits per segment, so no more than 16 banks (1Mb) are
+                 * addressable, regardless how much memory the card was configured with.
+                 */
+                let nBanks = Math.min(this.cardEGA.cbMemory / Card.SVGA.SEGMENT.SIZE, Card.SVGA.SEGMENT.WRITE + 1);
+                if (!(BX & 0xff00)) {
+                    if (DX < nBanks) {
+                        this.outVBEPort(Card.SVGA.SEGMENT.PORT, DX | (DX << 4), addr);
+                        fSuccess = true;
+                    }
+                } else if ((BX & 0xff00) == 0x0100) {
+                    DX = this.cardEGA.regSegment & Card.SVGA.SEGMENT.WRITE;
+                    fSuccess = true;
+                }
+            }
+            break;
+        case 0x06:
+            if (VideoX86.aSVGAModes.indexOf(this.nMode) >= 0 && (BX & 0xff) <= 1) {
+                if (!(BX & 0xff)) {
+                    this.outVBERegs(this.cardEGA.port, [Card.CRTC.EGA.OFFSET, ((CX + 7) >> 3) & 0xff], addr);
+                }
+                BX = this.cardEGA.regCRTData[Card.CRTC.EGA.OFFSET] << 3;
+                CX = BX;
+                DX = BX? Math.min(Math.floor(this.cardEGA.cbMemory / BX), 0xffff) : 0;
+                fSuccess = true;
+            }
+            break;
+        case 0x07:
+            if (VideoX86.aSVGAModes.indexOf(this.nMode) >= 0 && (BX & 0xff) <= 1) {
+                let card = this.cardEGA;
+                let cbLine = card.regCRTData[Card.CRTC.EGA.OFFSET] << 3;
+                if (!(BX & 0xff)) {
+                    let off = DX * cbLine + CX;
+                    let offStart = off >> 2;
+                    this.outVBERegs(card.port, [
+                        Card.CRTC.EGA.STARTHI, (offStart >> 8) & 0xff,
+                        Card.CRTC.EGA.STARTLO, offStart & 0xff,
+                        Card.SVGA.CRTC.EXTSTART.INDX, (offStart >> 16) & Card.SVGA.CRTC.EXTSTART.MASK
+                    ], addr);
+                    this.outVBERegs(Card.ATC.PORT, [Card.ATC.HPAN.INDX, (off & 0x3) << 1], addr);
+                } else {
+                    let off = ((card.regCRTData[Card.CRTC.EGA.STARTHI] << 8) | card.regCRTData[Card.CRTC.EGA.STARTLO] | ((card.regCRTData[Card.SVGA.CRTC.EXTSTART.INDX] & Card.SVGA.CRTC.EXTSTART.MASK) << 16)) << 2;
+                    off += (card.regATCData[Card.ATC.HPAN.INDX] & 0x6) >> 1;
+                    BX = 0;
+                    CX = cbLine? off % cbLine : 0;
+                    DX = cbLine? Math.floor(off / cbLine) : 0;
+                }
+                fSuccess = true;
+            }
+            break;
+        case 0x08:
+            /*
+             * Our DAC is always 6 bits wide, so we ignore any request to change it and simply report the width.
+             */
+            if ((BX & 0xff) <= 1) {
+                BX = (BX & 0xff) | 0x0600;
+                fSuccess = true;
+            }
+            break;
+        default:
+            break;
+        }
+
+        cpu.regEAX = (cpu.regEAX & ~0xffff) | (fSuccess? VideoX86.VBE.SUCCESS : VideoX86.VBE.FAILURE);
+        cpu.regEBX = (cpu.regEBX & ~0xffff) | (BX & 0xffff);
+        cpu.regECX = (cpu.regECX & ~0xffff) | (CX & 0xffff);
+        cpu.regEDX = (cpu.regEDX & ~0xffff) | (DX & 0xffff);
+        return false;
+    }
+
+    /**
+     * getVBEInfo(seg, off)
+     *
+     * Fills in the 256-byte VbeInfoBlock for VBE function 0x00.
+     *
+     * @this {VideoX86}
+     * @param {SegX86} seg register (eg, segES)
+     * @param {number} off is a segment-relative offset
+     * @return {boolean} true if successful, false if not
+     */
+    getVBEInfo(seg, off)
+    {
+        let cpu = this.cpu;
+        let segROM = this.addrVBE >> 4;
+        for (let i = 0; i < VideoX86.VBE.INFO_SIZE; i++) cpu.setSOByte(seg, off + i, 0);
+        for (let i = 0; i < 4; i++) cpu.setSOByte(seg, off + i, "VESA".charCodeAt(i));
+        cpu.setSOWord(seg, off + 0x04, VideoX86.VBE.VERSION);
+        cpu.setSOWord(seg, off + 0x06, (this.addrVBE & 0xf) + VideoX86.VBE.ROM.OEMSTRING);
+        cpu.setSOWord(seg, off + 0x08, segROM);
+        cpu.setSOWord(seg, off + 0x0E, (this.addrVBE & 0xf) + VideoX86.VBE.ROM.MODELIST);
+        cpu.setSOWord(seg, off + 0x10, segROM);
+        cpu.setSOWord(seg, off + 0x12, this.cardEGA.cbMemory / Card.SVGA.SEGMENT.SIZE);
+        return true;
+    }
+
+    /**
+     * getVBEModeInfo(nMode, seg, off)
+     *
+     * Fills in the 256-byte ModeInfoBlock for VBE function 0x01.
+     *
+     * @this {VideoX86}
+     * @param {number} nMode
+     * @param {SegX86} seg register (eg, segES)
+     * @param {number} off is a segment-relative offset
+     * @return {boolean} true if successful, false if not
+     */
+    getVBEModeInfo(nMode, seg, off)
+    {
+        if (this.aVBEModes.indexOf(nMode) < 0) return false;
+
+        let cpu = this.cpu;
+        let cx = VideoX86.aModeParms[nMode][0], cy = VideoX86.aModeParms[nMode][1];
+        for (let i = 0; i < VideoX86.VBE.INFO_SIZE; i++) cpu.setSOByte(seg, off + i, 0);
+        cpu.setSOWord(seg, off + 0x00, 0x001B);                     // supported, optional info, color, graphics
+        cpu.setSOByte(seg, off + 0x02, 0x07);                       // window A exists and is readable and writable
+        cpu.setSOWord(seg, off + 0x04, Card.SVGA.SEGMENT.SIZE >> 10);   // window granularity (Kb)
+        cpu.setSOWord(seg, off + 0x06, Card.SVGA.SEGMENT.SIZE >> 10);   // window size (Kb)
+        cpu.setSOWord(seg, off + 0x08, 0xA000);
+        cpu.setSOWord(seg, off + 0x0C, (this.addrVBE & 0xf) + VideoX86.VBE.ROM.WINFUNC);
+        cpu.setSOWord(seg, off + 0x0E, this.addrVBE >> 4);
+        cpu.setSOWord(seg, off + 0x10, cx);                         // bytes per scan line
+        cpu.setSOWord(seg, off + 0x12, cx);
+        cpu.setSOWord(seg, off + 0x14, cy);
+        cpu.setSOByte(seg, off + 0x16, 8);                          // character cell width
+        cpu.setSOByte(seg, off + 0x17, 16);                         // character cell height
+        cpu.setSOByte(seg, off + 0x18, 1);                          // planes
+        cpu.setSOByte(seg, off + 0x19, 8);                          // bits per pixel
+        cpu.setSOByte(seg, off + 0x1A, 1);                          // banks
+        cpu.setSOByte(seg, off + 0x1B, 0x04);                       // memory model (packed pixel)
+        cpu.setSOByte(seg, off + 0x1D, Math.floor(this.cardEGA.cbMemory / (cx * cy)) - 1);
+        cpu.setSOByte(seg, off + 0x1E, 1);                          // reserved (always 1)
+        return true;
+    }
+
+    /**
+     * setVBEMode(nMode, fNoClear, addr)
+     *
+     * Programs the SVGA for one of our packed-pixel modes the same way a program would, by writing I/O ports, so that
+     * the card's state (and any state saved from it) is indistinguishable from a mode set performed by other means.
+     *
+     * @this {VideoX86}
+     * @param {number} nMode
+     * @param {boolean} fNoClear
+     * @param {number} addr
+     * @return {boolean} true if successful, false if not
+     */
+    setVBEMode(nMode, fNoClear, addr)
+    {
+        if (this.aVBEModes.indexOf(nMode) < 0) return false;
+
+        let card = this.cardEGA;
+        let cx = VideoX86.aModeParms[nMode][0], cy = VideoX86.aModeParms[nMode][1];
+        let cCols = cx >> 3;
+
+        this.outVBERegs(Card.SEQ.INDX.PORT, [
+            Card.SEQ.RESET.INDX,        Card.SEQ.RESET.ASYNC,
+            Card.SEQ.CLKMODE.INDX,      Card.SEQ.CLKMODE.DOTS8,
+            Card.SEQ.MAPMASK.INDX,      Card.SEQ.MAPMASK.MAPS,
+            Card.SEQ.CHARMAP.INDX,      0x00,
+            Card.SEQ.MEMMODE.INDX,      0x0E,
+            Card.SVGA.SEQ.AUXMODE.INDX, Card.SVGA.SEQ.AUXMODE.PACKED,
+            Card.SEQ.RESET.INDX,        Card.SEQ.RESET.ASYNC | Card.SEQ.RESET.SYNC
+        ], addr);
+        this.outVBEPort(Card.MISC.PORT_WRITE, 0xE3, addr);
+        this.outVBEPort(Card.SVGA.SEGMENT.PORT, 0, addr);
+
+        let nHBEnd = cCols + (cCols >> 2) - 2;
+        let nVTotal = cy + (cy >> 4) + 13, nVRStart = cy + 10, nVDEnd = cy - 1, nVBStart = cy + 7, nLineComp = 0x3FF;
+        let bOverflow = ((nVTotal & 0x100) >> 8) | ((nVDEnd & 0x100) >> 7) | ((nVRStart & 0x100) >> 6) | ((nVBStart & 0x100) >> 5) | ((nLineComp & 0x100) >> 4) |
+                        ((nVTotal & 0x200) >> 4) | ((nVDEnd & 0x200) >> 3) | ((nVRStart & 0x200) >> 2);
+        let bMaxScan = ((nVBStart & 0x200) >> 4) | ((nLineComp & 0x200) >> 3);
+
+        this.outVBERegs(card.port, [
+            Card.CRTC.EGA.VREND.INDX,   0x0C,       // clear the write-protect bit first
+            Card.CRTC.HTOTAL,           cCols + (cCols >> 2) - 5,
+            Card.CRTC.EGA.HDEND,        cCols - 1,
+            Card.CRTC.EGA.HBSTART,      cCols,
+            Card.CRTC.EGA.HBEND,        0x80 | (nHBEnd & 0x1F),
+            Card.CRTC.EGA.HRSTART,      cCols + 4,
+            Card.CRTC.EGA.HREND,        ((nHBEnd & 0x20) << 2) | ((cCols + 16) & 0x1F),
+            Card.CRTC.EGA.VTOTAL,       nVTotal & 0xff,
+            Card.CRTC.EGA.OVERFLOW.INDX, bOverflow,
+            Card.CRTC.EGA.PRESCAN,      0x00,
+            Card.CRTC.EGA.MAXSCAN.INDX, bMaxScan,
+            Card.CRTC.EGA.CURSCAN,      0x00,
+            Card.CRTC.EGA.CURSCANB,     0x00,
+            Card.CRTC.EGA.STARTHI,      0x00,
+            Card.CRTC.EGA.STARTLO,      0x00,
+            Card.CRTC.EGA.CURSORHI,     0x00,
+            Card.CRTC.EGA.CURSORLO,     0x00,
+            Card.CRTC.EGA.VRSTART,      nVRStart & 0xff,
+            Card.CRTC.EGA.VDEND,        nVDEnd & 0xff,
+            Card.CRTC.EGA.OFFSET,       cCols,
+            Card.CRTC.EGA.UNDERLINE.INDX, Card.CRTC.EGA.UNDERLINE.DWORD,
+            Card.CRTC.EGA.VBSTART,      nVBStart & 0xff,
+            Card.CRTC.EGA.VBEND,        (nVTotal - 7) & 0xff,
+            Card.CRTC.EGA.MODECTRL.INDX, 0xE3,
+            Card.CRTC.EGA.LINECOMP,     nLineComp & 0xff,
+            Card.SVGA.CRTC.EXTSTART.INDX, 0x00,
+            Card.CRTC.EGA.VREND.INDX,   0x8C
+        ], addr);
+
+        this.outVBERegs(Card.GRC.INDX.PORT, [
+            Card.GRC.SRESET.INDX,       0x00,
+            Card.GRC.ESRESET.INDX,      0x00,
+            Card.GRC.COLORCOMP.INDX,    0x00,
+            Card.GRC.DATAROT.INDX,      0x00,
+            Card.GRC.READMAP.INDX,      0x00,
+            Card.GRC.MODE.INDX,         0x40,
+            Card.GRC.MISC.INDX,         0x05,
+            Card.GRC.COLORDC.INDX,      0x0F,
+            Card.GRC.BITMASK.INDX,      0xFF
+        ], addr);
+
+        let aATC = [];
+        for (let i = 0; i < Card.ATC.PALETTE_REGS; i++) aATC.push(i, i);
+        aATC.push(Card.ATC.MODE.INDX, Card.ATC.MODE.GRAPHICS | Card.ATC.MODE.PELWIDTH, Card.ATC.OVERSCAN.INDX, 0x00,
+                  Card.ATC.PLANES.INDX, 0x0F, Card.ATC.HPAN.INDX, 0x00, Card.ATC.COLORSEL.INDX, 0x00);
+        this.outVBERegs(Card.ATC.PORT, aATC, addr);
+        this.outVBEPort(Card.ATC.PORT, Card.ATC.INDX_PAL_ENABLE, addr);
+
+        /*
+         * The DAC gets the same default palette that the VGA BIOS loads for mode 0x13: the 16 CGA colors, a 16-step
+         * gray ramp, and a 6x6x6 color cube (the VGA BIOS uses a 24-hue HSV table, which nobody relies upon).
+         */
+        this.outVBEPort(Card.DAC.ADDR.PORT_WRITE, 0, addr);
+        for (let i = 0; i < Card.DAC.TOTAL_REGS; i++) {
+            let rgb;
+            if (i < 16) {
+                rgb = VideoX86.aCGAColors[i].slice(0, 3).map(function(b) { return b >> 2; });
+            } else if (i < 32) {
+                let b = Math.round((i - 16) * 63 / 15);
+                rgb = [b, b, b];
+            } else if (i < 32 + 216) {
+                let n = i - 32;
+                rgb = [Math.floor(n / 36), Math.floor(n / 6) % 6, n % 6].map(function(b) { return Math.round(b * 63 / 5); });
+            } else {
+                rgb = [0, 0, 0];
+            }
+            for (let j = 0; j < 3; j++) this.outVBEPort(Card.DAC.DATA.PORT, rgb[j], addr);
+        }
+
+        if (!fNoClear) card.adwMemory.fill(0);
+        this.checkMode(true);
+        return true;
+    }
+
+    /**
+     * outVBEPort(port, b, addr)
+     *
+     * @this {VideoX86}
+     * @param {number} port
+     * @param {number} b
+     * @param {number} addr
+     */
+    outVBEPort(port, b, addr)
+    {
+        this.bus.checkPortOutputNotify(port, 1, b, addr);
+    }
+
+    /**
+     * outVBERegs(port, aRegs, addr)
+     *
+     * Writes pairs of register indexes and values to an index/data port pair; the ATC is the one controller with
+     * a single index/data port, so for the ATC, we also reset its flip-flop first.
+     *
+     * @this {VideoX86}
+     * @param {number} port (index port)
+     * @param {Array.<number>} aRegs (pairs of register indexes and values)
+     * @param {number} addr
+     */
+    outVBERegs(port, aRegs, addr)
+    {
+        let portData = port + 1;
+        if (port == Card.ATC.PORT) {
+            this.bus.checkPortInputNotify(Card.CGA.STATUS.PORT, 1, addr);
+            portData = port;
+        }
+        for (let i = 0; i < aRegs.length; i += 2) {
+            this.outVBEPort(port, aRegs[i], addr);
+            this.outVBEPort(portData, aRegs[i + 1], addr);
+        }
+    }
+
     /**
      * inGRCIndx(port, addrFrom)
      *
@@ -7544,7 +8399,7 @@ class VideoX86 extends Component {
     outCRTCIndx(card, port, bOut, addrFrom)
     {
         card.regCRTPrev = card.regCRTIndx;
-        card.regCRTIndx = bOut & Card.CGA.CRTC.INDX.MASK;
+        card.regCRTIndx = bOut & (card.nCard >= VideoX86.CARD.SVGA? Card.SVGA.CRTC.INDX_MASK : Card.CGA.CRTC.INDX.MASK);
         this.printMessageIO(port /* card.port */, bOut, addrFrom, "CRTC.INDX");
     }
 
@@ -7786,8 +8641,15 @@ class VideoX86 extends Component {
              * old data on appear on the screen before the above code has the chance to store new data over it.
              *
              *      b = (card.regStatus ^= (Card.CGA.STATUS.RETRACE | Card.CGA.STATUS.VRETRACE)) | 0xF0;
+             *
+             * The HGC is the exception: programs detect it by watching bit 7 (HGC.STATUS.VSYNC) change, and an
+             * HGC (as opposed to an HGC+ or InColor card) must report zeros in bits 6-4.
              */
-            b |= 0xF0;
+            if (card.nCard == VideoX86.CARD.HGC) {
+                if (!(b & Card.CGA.STATUS.VRETRACE)) b |= Card.HGC.STATUS.VSYNC;
+            } else {
+                b |= 0xF0;
+            }
         }
 
         card.regStatus = b;
@@ -8053,8 +8915,10 @@ VideoX86.TRAPALL = true;           // monitor all I/O by default (not just delta
 VideoX86.CARD = {
     MDA:    1,          // uses 9x14 monochrome font
     CGA:    2,          // uses 8x8 color font
+    HGC:    3,          // uses 9x14 monochrome font (same as MDA)
     EGA:    4,          // uses 8x14 color font (by default)
-    VGA:    8           // uses 9x16 color font (by default)
+    VGA:    8,          // uses 9x16 color font (by default)
+    SVGA:   16          // uses 9x16 color font (same as VGA)
 };
 
 /*
@@ -8083,6 +8947,7 @@ VideoX86.MODE = {
     CGA_320X200_BW:     5,
     CGA_640X200:        6,
     MDA_80X25:          7,
+    HGC_720X348:        0x08,   // mapped at B000:0000 or B800:0000, mono, 1bpp, 4 interleaved banks (MSHERC uses mode 8 for this)
     EGA_320X200:        0x0D,   // mapped at A000:0000, color, 4bpp, planar
     EGA_640X200:        0x0E,   // mapped at A000:0000, color, 4bpp, planar
     EGA_640X350_MONO:   0x0F,   // mapped at A000:0000, mono,  2bpp, planar
@@ -8103,7 +8968,14 @@ VideoX86.MODE = {
      * instead of A000:0000 and is configured for text mode access, but graphics are still being displayed
      * from the second half of video memory).
      */
-    UNKNOWN:            0xFF
+    UNKNOWN:            0xFF,
+    /*
+     * SVGA packed-pixel modes use their VBE mode numbers, which conveniently sort above all the others.
+     */
+    SVGA_640X400:       0x100,  // mapped at A000:0000, color, 8bpp, packed, banked
+    SVGA_640X480:       0x101,  // mapped at A000:0000, color, 8bpp, packed, banked
+    SVGA_800X600:       0x103,  // mapped at A000:0000, color, 8bpp, packed, banked
+    SVGA_1024X768:      0x105   // mapped at A000:0000, color, 8bpp, packed, banked
 };
 
 VideoX86.UPDATES_PER_SECOND = 60;
@@ -8116,8 +8988,10 @@ VideoX86.UPDATES_PER_SECOND = 60;
 VideoX86.MODEL = {
     "mda": [VideoX86.CARD.MDA, VideoX86.MODE.MDA_80X25],
     "cga": [VideoX86.CARD.CGA, VideoX86.MODE.CGA_80X25],
+    "hgc": [VideoX86.CARD.HGC, VideoX86.MODE.MDA_80X25],
     "ega": [VideoX86.CARD.EGA, VideoX86.MODE.CGA_80X25],
-    "vga": [VideoX86.CARD.VGA, VideoX86.MODE.CGA_80X25]
+    "vga": [VideoX86.CARD.VGA, VideoX86.MODE.CGA_80X25],
+    "svga": [VideoX86.CARD.SVGA, VideoX86.MODE.CGA_80X25]
 };
 
 /*
@@ -8292,6 +9166,7 @@ VideoX86.aModeParms[VideoX86.MODE.CGA_80X25]          = [ 80,  25,  1, 0.5,   0,
 VideoX86.aModeParms[VideoX86.MODE.CGA_320X200]        = [320, 200,  8,   4, 192];                         // 0x04
 VideoX86.aModeParms[VideoX86.MODE.CGA_640X200]        = [640, 200, 16,   8, 192];                         // 0x06
 VideoX86.aModeParms[VideoX86.MODE.MDA_80X25]          = [ 80,  25,  1, 0.5,   0, VideoX86.CARD.MDA];         // 0x07
+VideoX86.aModeParms[VideoX86.MODE.HGC_720X348]        = [720, 348, 16,   8];                              // 0x08
 VideoX86.aModeParms[VideoX86.MODE.EGA_320X200]        = [320, 200,  8,   8];                              // 0x0D
 VideoX86.aModeParms[VideoX86.MODE.EGA_640X200]        = [640, 200,  8,   8];                              // 0x0E
 VideoX86.aModeParms[VideoX86.MODE.EGA_640X350_MONO]   = [640, 350,  8,   8];                              // 0x0F
@@ -8302,10 +9177,44 @@ VideoX86.aModeParms[VideoX86.MODE.VGA_320X200]        = [320, 200,  4,   1];
 VideoX86.aModeParms[VideoX86.MODE.VGA_320X200P]       = [320, 200,  4,   4];                              // 0x14
 VideoX86.aModeParms[VideoX86.MODE.VGA_320X240P]       = [320, 240,  4,   4];                              // 0x15
 VideoX86.aModeParms[VideoX86.MODE.VGA_320X400P]       = [320, 400,  4,   4];                              // 0x16
+VideoX86.aModeParms[VideoX86.MODE.SVGA_640X400]       = [640, 400,  4,   1];                              // 0x100
+VideoX86.aModeParms[VideoX86.MODE.SVGA_640X480]       = [640, 480,  4,   1];                              // 0x101
+VideoX86.aModeParms[VideoX86.MODE.SVGA_800X600]       = [800, 600,  4,   1];                              // 0x103
+VideoX86.aModeParms[VideoX86.MODE.SVGA_1024X768]      = [1024, 768, 4,   1];                              // 0x105
 VideoX86.aModeParms[VideoX86.MODE.CGA_40X25_BW]       = VideoX86.aModeParms[VideoX86.MODE.CGA_40X25];           // 0x00
 VideoX86.aModeParms[VideoX86.MODE.CGA_80X25_BW]       = VideoX86.aModeParms[VideoX86.MODE.CGA_80X25];           // 0x02
 VideoX86.aModeParms[VideoX86.MODE.CGA_320X200_BW]     = VideoX86.aModeParms[VideoX86.MODE.CGA_320X200];         // 0x05
 
+/*
+ * SVGA packed-pixel modes, in the order that checkMode() searches them and that intVBE() reports them.
+ */
+VideoX86.aSVGAModes = [
+    VideoX86.MODE.SVGA_640X400,
+    VideoX86.MODE.SVGA_640X480,
+    VideoX86.MODE.SVGA_800X600,
+    VideoX86.MODE.SVGA_1024X768
+];
+
+/*
+ * VESA BIOS Extension (VBE) 1.2 definitions used by addVBE() and intVBE()
+ */
+VideoX86.VBE = {
+    FUNC:           0x4F,       // INT 0x10 AH value for all VBE functions
+    VERSION:        0x0102,
+    SUCCESS:        0x004F,     // AX value returned by supported functions that succeed
+    FAILURE:        0x014F,     // AX value returned by supported functions that fail
+    NOCLEAR:        0x8000,     // BX bit for function 0x02 that preserves video memory
+    ROM: {
+        ADDR:       0xC6000,    // default option ROM address (immediately after a 24Kb VGA ROM)
+        SIZE:       0x0800,
+        WINFUNC:    0x0008,     // offset of the "window function" (a far routine that calls function 0x05)
+        OEMSTRING:  0x0010,     // offset of the OEM string
+        MODELIST:   0x0020      // offset of the mode list
+    },
+    OEMSTRING:      "PCjs SVGA",
+    INFO_SIZE:      0x100       // size of both the VbeInfoBlock and the ModeInfoBlock
+};
+
 /*
  * MDA attribute byte definitions
  *
@@ -8503,8 +9412,10 @@ VideoX86.aEGADWToByte[0x80808080|0] = 0xf;
 VideoX86.cardSpecs = [];
 VideoX86.cardSpecs[VideoX86.CARD.MDA] = ["MDA", Card.MDA.CRTC.INDX.PORT, 0xB0000, 0x01000, 0x01000, ChipSet.MONITOR.MONO];
 VideoX86.cardSpecs[VideoX86.CARD.CGA] = ["CGA", Card.CGA.CRTC.INDX.PORT, 0xB8000, 0x04000, 0x04000, ChipSet.MONITOR.COLOR];
+VideoX86.cardSpecs[VideoX86.CARD.HGC] = ["HGC", Card.MDA.CRTC.INDX.PORT, 0xB0000, 0x08000, 0x10000, ChipSet.MONITOR.MONO];
 VideoX86.cardSpecs[VideoX86.CARD.EGA] = ["EGA", Card.CGA.CRTC.INDX.PORT, 0xB8000, 0x04000, 0x10000, ChipSet.MONITOR.EGACOLOR];
 VideoX86.cardSpecs[VideoX86.CARD.VGA] = ["VGA", Card.CGA.CRTC.INDX.PORT, 0xB8000, 0x04000, 0x40000, ChipSet.MONITOR.VGACOLOR];
+VideoX86.cardSpecs[VideoX86.CARD.SVGA] = ["SVGA", Card.CGA.CRTC.INDX.PORT, 0xB8000, 0x04000, 0x100000, ChipSet.MONITOR.VGACOLOR];
 
 /*
  * Values for nTouchConfig; a value will be selected based on the sTouchScreen configuration parameter.
@@ -8556,6 +9467,14 @@ VideoX86.aMDAPortOutput = {
     0x3B8: VideoX86.prototype.outMDAMode
 };
 
+VideoX86.aHGCPortInput = {
+    0x3BF: VideoX86.prototype.inHGCConfig          // technically, not actually readable, but I want the Debugger to be able to read this
+};
+
+VideoX86.aHGCPortOutput = {
+    0x3BF: VideoX86.prototype.outHGCConfig
+};
+
 VideoX86.aCGAPortInput = {
     0x3D4: VideoX86.prototype.inCGAIndx,           // technically, not actually readable, but I want the Debugger to be able to read this
     0x3D5: VideoX86.prototype.inCGAData,           // technically, the only CRTC Data registers that are readable are R14-R17
@@ -8617,6 +9536,14 @@ VideoX86.aVGAPortOutput = {
     0x3C9: VideoX86.prototype.outDACData
 };
 
+VideoX86.aSVGAPortInput = {
+    0x3CD: VideoX86.prototype.inSVGASegment
+};
+
+VideoX86.aSVGAPortOutput = {
+    0x3CD: VideoX86.prototype.outSVGASegment
+};
+
 /*
  * Initialize every Video module on the page.
  */
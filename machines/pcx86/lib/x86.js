@@ -19,6 +19,7 @@ var X86 = {
     MODEL_80188:    80188,
     MODEL_80286:    80286,
     MODEL_80386:    80386,
+    MODEL_80486:    80486,
 
     /*
      * 80386 CPU stepping identifiers (supported)
@@ -33,6 +34,19 @@ var X86 = {
     STEPPING_80386_D1: (80386+0xD1),
     STEPPING_80386_D2: (80386+0xD2),
 
+    /*
+     * 80486 CPU stepping identifiers (supported)
+     *
+     * The original 80486DX steppings (A0 through D0) have no CPUID instruction and cannot toggle PS.ID; CPUID
+     * arrived with the "SL Enhanced" parts, which we lump together as an imaginary E0 stepping (in the same spirit as
+     * STEPPING_80386_B2 above).  Any stepping >= E0 is treated as supporting CPUID.
+     */
+    STEPPING_80486_A0: (80486+0xA0),
+    STEPPING_80486_B0: (80486+0xB0),
+    STEPPING_80486_C0: (80486+0xC0),
+    STEPPING_80486_D0: (80486+0xD0),
+    STEPPING_80486_E0: (80486+0xE0),
+
     /*
      * This constant is used to mark points in the code where the physical address being returned
      * is invalid and should not be used.
@@ -92,7 +106,8 @@ var X86 = {
         SS_FAULT:   0x0C,       // Stack Fault                              (#SS: fault, with error code; protected-mode only)
         GP_FAULT:   0x0D,       // General Protection Fault                 (#GP: fault, with error code)
         PF_FAULT:   0x0E,       // Page Fault                               (#PF: fault, with error code)
-        MF_FAULT:   0x10        // Math Fault; see ESC or WAIT              (#MF: fault, no error code)
+        MF_FAULT:   0x10,       // Math Fault; see ESC or WAIT              (#MF: fault, no error code)
+        AC_FAULT:   0x11        // Alignment Check Fault (80486 and up)     (#AC: fault, error code 0)
     },
     /*
      * Processor Status flag definitions (stored in regPS)
@@ -117,7 +132,9 @@ var X86 = {
         NT:     0x4000,     // bit 14: Nested Task flag (always set on 8086/80186; clear on 80286 reset)
         BIT15:  0x8000,     // bit 15: reserved (always set on 8086/80186; clear otherwise)
         RF:    0x10000,     // bit 16: Resume Flag (temporarily disables debug exceptions; 80386 only)
-        VM:    0x20000      // bit 17: Virtual 8086 Mode (80386 only)
+        VM:    0x20000,     // bit 17: Virtual 8086 Mode (80386 and up)
+        AC:    0x40000,     // bit 18: Alignment Check (80486 and up)
+        ID:   0x200000      // bit 21: CPUID available (80486 steppings that support CPUID, and up)
     },
     CR0: {
         /*
@@ -132,7 +149,12 @@ var X86 = {
             MASK:   0xFFFF  // these are the only (MSW) bits that the 80286 can access (within CR0)
         },
         ET: 0x00000010,     // coprocessor type (80287 or 80387); always 1 on post-80386 CPUs
-        ON: 0x7FFFFFE0,     // CR0 bits that are always on
+        NE: 0x00000020,     // numeric error: report unmasked FPU exceptions with MF_FAULT instead of IRQ 13 (80486 and up)
+        WP: 0x00010000,     // write protect: honor read-only pages at CPL 0-2 (80486 and up; stored only, since PTE.READWRITE isn't enforced yet)
+        AM: 0x00040000,     // alignment mask: allow PS.AC to enable alignment checking at CPL 3 (80486 and up)
+        NW: 0x20000000,     // not write-through (80486 and up; there is no cache to emulate, so this bit is simply stored)
+        CD: 0x40000000,     // cache disable (80486 and up; ditto)
+        ON: 0x7FFFFFE0,     // CR0 bits that are always on (80386 only; the 80486 forces only ET on)
         PG: 0x80000000|0,   // 0: paging disabled
     },
     DR7: {                  // Debug Control Register
@@ -510,6 +532,7 @@ var X86 = {
         MODEL_80287:    80287,
         MODEL_80287XL:  80387,  // internally, the 80287XL was an 80387SX, so generally, we treat this as MODEL_80387
         MODEL_80387:    80387,
+        MODEL_80487:    80487,  // the FPU integrated into the 80486DX (ie, an 80387 that supports CR0.NE error reporting)
         CONTROL: {              // FPU Control Word
             IM:     0x0001,     // bit 0: Invalid Operation Mask
             DM:     0x0002,     // bit 1: Denormalized Operand Mask
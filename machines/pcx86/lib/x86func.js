@@ -563,6 +563,51 @@ X86.fnCMPw = function(dst, src)
     return dst;
 };
 
+/**
+ * fnCMPXCHGb(dst, src)
+ *
+ * op=0x0F,0xB0 (CMPXCHG byte,reg) (80486 and up)
+ *
+ * Compares AL to dst; if equal, dst is replaced with src, otherwise AL is replaced with dst.  Note that the
+ * 80486 always writes dst, even when the comparison fails, so we don't set NOWRITE in either case.
+ *
+ * @this {CPUx86}
+ * @param {number} dst
+ * @param {number} src
+ * @return {number}
+ */
+X86.fnCMPXCHGb = function(dst, src)
+{
+    let acc = this.regEAX & 0xff;
+    let b = (acc - dst)|0;
+    this.setArithResult(acc, dst, b, X86.RESULT.BYTE | X86.RESULT.ALL, true);
+    this.nStepCycles -= (this.regEA === X86.ADDR_INVALID? 6 : 7);
+    if (!(b & 0xff)) return src;
+    this.regEAX = (this.regEAX & ~0xff) | dst;
+    return dst;
+};
+
+/**
+ * fnCMPXCHGw(dst, src)
+ *
+ * op=0x0F,0xB1 (CMPXCHG word,reg) (80486 and up)
+ *
+ * @this {CPUx86}
+ * @param {number} dst
+ * @param {number} src
+ * @return {number}
+ */
+X86.fnCMPXCHGw = function(dst, src)
+{
+    let acc = this.regEAX & this.maskData;
+    let w = (acc - dst)|0;
+    this.setArithResult(acc, dst, w, this.typeData | X86.RESULT.ALL, true);
+    this.nStepCycles -= (this.regEA === X86.ADDR_INVALID? 6 : 7);
+    if (!(w & this.maskData)) return src;
+    this.regEAX = (this.regEAX & ~this.maskData) | dst;
+    return dst;
+};
+
 /**
  * fnDECb(dst, src)
  *
@@ -1135,6 +1180,30 @@ X86.fnINCw = function(dst, src)
     return w & this.maskData;
 };
 
+/**
+ * fnINVLPG(dst, src)
+ *
+ * op=0x0F,0x01,reg=0x7 (GRP7:INVLPG) (80486 and up)
+ *
+ * @this {CPUx86}
+ * @param {number} dst
+ * @param {number} src (null)
+ * @return {number}
+ */
+X86.fnINVLPG = function(dst, src)
+{
+    if (this.regEA === X86.ADDR_INVALID) {
+        X86.opInvalid.call(this);
+    } else if (this.nCPL) {
+        X86.helpFault.call(this, X86.EXCEPTION.GP_FAULT, 0);
+    } else {
+        this.invalidatePageBlock(this.regEA);
+        this.opFlags |= X86.OPFLAG.NOWRITE;
+        this.nStepCycles -= 12;
+    }
+    return dst;
+};
+
 /**
  * fnJMPw(dst, src)
  *
@@ -1624,7 +1693,7 @@ X86.fnMOVsrw = function(dst, src)
         this.regXX = this.regEBX;
         break;
     default:
-        if (this.model == X86.MODEL_80286 || this.model == X86.MODEL_80386 && reg != 0x4 && reg != 0x5) {
+        if (this.model == X86.MODEL_80286 || this.model >= X86.MODEL_80386 && reg != 0x4 && reg != 0x5) {
             X86.opInvalid.call(this);
             break;
         }
@@ -3183,6 +3252,51 @@ X86.fnIBTS = function(dst, src)
     return (dst & ~(mask << shift)) | ((src & mask) << shift);
 };
 
+/**
+ * fnXADDb(dst, src)
+ *
+ * op=0x0F,0xC0 (XADD byte,reg) (80486 and up)
+ *
+ * Like fnXCHGrb(), this must update the "other" operand itself; in this case, the reg operand receives the
+ * original dst.  Our ModRM decoders store the result in dst *after* we return, so if both operands refer to
+ * the same register, the sum wins, as it should.
+ *
+ * @this {CPUx86}
+ * @param {number} dst
+ * @param {number} src
+ * @return {number}
+ */
+X86.fnXADDb = function(dst, src)
+{
+    let b = (dst + src)|0;
+    this.setArithResult(dst, src, b, X86.RESULT.BYTE | X86.RESULT.ALL);
+    let reg = (this.bModRM >> 3) & 0x3;
+    let shift = (this.bModRM & 0x20)? 8 : 0;        // reg values 0x4-0x7 select AH, CH, DH and BH
+    this.setReg(reg, (this.getReg(reg) & ~(0xff << shift)) | (dst << shift));
+    this.nStepCycles -= (this.regEA === X86.ADDR_INVALID? 3 : 4);
+    return b & 0xff;
+};
+
+/**
+ * fnXADDw(dst, src)
+ *
+ * op=0x0F,0xC1 (XADD word,reg) (80486 and up)
+ *
+ * @this {CPUx86}
+ * @param {number} dst
+ * @param {number} src
+ * @return {number}
+ */
+X86.fnXADDw = function(dst, src)
+{
+    let w = (dst + src)|0;
+    this.setArithResult(dst, src, w, this.typeData | X86.RESULT.ALL);
+    let reg = (this.bModRM >> 3) & 0x7;
+    this.setReg(reg, (this.getReg(reg) & ~this.maskData) | dst);
+    this.nStepCycles -= (this.regEA === X86.ADDR_INVALID? 3 : 4);
+    return w & this.maskData;
+};
+
 /**
  * fnXBTS(dst, src)
  *
@@ -98,6 +98,22 @@ X86.helpSub64 = function(r64Dst, r64Src)
     }
 };
 
+/**
+ * helpBSWAPreg(l)
+ *
+ * BSWAP with a 16-bit operand size is officially undefined; the 80486 zeroes the low word, so we do, too.
+ *
+ * @this {CPUx86}
+ * @param {number} l
+ * @return {number}
+ */
+X86.helpBSWAPreg = function(l)
+{
+    this.nStepCycles -= 1;
+    if (this.sizeData == 2) return l & ~0xffff;
+    return (l >>> 24) | ((l >> 8) & 0xff00) | ((l & 0xff00) << 8) | (l << 24);
+};
+
 /**
  * helpDECreg(w)
  *
@@ -217,6 +233,22 @@ X86.helpINCreg = function(w)
     return (w & ~this.maskData) | (result & this.maskData);
 };
 
+/**
+ * helpAlignCheck()
+ *
+ * Called by the CPU's word and dword memory accessors for misaligned addresses whenever fAlignCheck is set, except
+ * for instruction fetches.  Only CPL 3 accesses generate AC_FAULT, and we use segCS.cpl rather than nCPL because the
+ * latter isn't updated until an interrupt or call gate has finished pushing onto the (more privileged) stack.
+ *
+ * @this {CPUx86}
+ */
+X86.helpAlignCheck = function()
+{
+    if (this.segCS.cpl == 3) {
+        X86.helpFault.call(this, X86.EXCEPTION.AC_FAULT, 0);
+    }
+};
+
 /**
  * helpLoadCR0(l)
  *
@@ -227,7 +259,15 @@ X86.helpINCreg = function(w)
  */
 X86.helpLoadCR0 = function(l)
 {
-    this.regCR0 = l | X86.CR0.ON;
+    if (this.model >= X86.MODEL_80486 && (l & (X86.CR0.CD | X86.CR0.NW)) == X86.CR0.NW) {
+        /*
+         * The 80486 considers "not write-through" with the cache enabled an invalid combination.
+         */
+        X86.helpFault.call(this, X86.EXCEPTION.GP_FAULT, 0);
+        return;
+    }
+    this.regCR0 = l | this.CR0_ON;
+    this.updateAlignCheck();
     this.setProtMode();
     if (this.regCR0 & X86.CR0.PG) {
         /*
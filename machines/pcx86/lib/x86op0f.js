@@ -35,10 +35,10 @@ X86.opGRP6 = function()
 X86.opGRP7 = function()
 {
     let bModRM = this.peekIPByte();
-    if (!(bModRM & 0x10)) {
+    if (!(bModRM & 0x10) || (bModRM & 0x38) == 0x38) {  // INVLPG (reg 0x38) doesn't read its operand either
         this.opFlags |= X86.OPFLAG.NOREAD;
     }
-    this.decodeModGrpWord.call(this, X86.aOpGrp7, X86.helpSRCNone);
+    this.decodeModGrpWord.call(this, this.aOpGrp7, X86.helpSRCNone);
 };
 
 /**
@@ -348,6 +348,40 @@ X86.opLOADALL386 = function()
     this.nStepCycles -= (122 << ((addr & 0x3)? 1 : 0));
 };
 
+/**
+ * opINVD()
+ *
+ * op=0x0F,0x08 (INVD) (80486 and up)
+ *
+ * We have no internal cache to invalidate, so all that's required is the privilege check.
+ *
+ * @this {CPUx86}
+ */
+X86.opINVD = function()
+{
+    if (this.nCPL) {
+        X86.helpFault.call(this, X86.EXCEPTION.GP_FAULT, 0);
+        return;
+    }
+    this.nStepCycles -= 4;
+};
+
+/**
+ * opWBINVD()
+ *
+ * op=0x0F,0x09 (WBINVD) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opWBINVD = function()
+{
+    if (this.nCPL) {
+        X86.helpFault.call(this, X86.EXCEPTION.GP_FAULT, 0);
+        return;
+    }
+    this.nStepCycles -= 5;
+};
+
 /**
  * opMOVrc()
  *
@@ -1183,6 +1217,31 @@ X86.opPOPFS = function()
     this.opLSP = X86.ADDR_INVALID;
 };
 
+/**
+ * opCPUID()
+ *
+ * op=0x0F,0xA2 (CPUID) (80486 steppings E0 and up)
+ *
+ * The only functions supported on the 80486 are 0 (vendor ID) and 1 (signature and feature flags); other
+ * values of EAX are treated as function 1.  Our only feature flag is bit 0 of EDX (FPU present).
+ *
+ * @this {CPUx86}
+ */
+X86.opCPUID = function()
+{
+    if (!this.regEAX) {
+        this.regEAX = 1;                // highest function supported
+        this.regEBX = 0x756e6547;       // "Genu"
+        this.regEDX = 0x49656e69;       // "ineI"
+        this.regECX = 0x6c65746e;       // "ntel"
+    } else {
+        this.regEAX = this.nSignature;
+        this.regEBX = this.regECX = 0;
+        this.regEDX = (this.fpuActive? 0x1 : 0);
+    }
+    this.nStepCycles -= 14;
+};
+
 /**
  * opBT()
  *
@@ -1339,6 +1398,30 @@ X86.opIMUL = function()
     this.decodeModRegWord.call(this, this.sizeData == 2? X86.fnIMULrw : X86.fnIMULrd);
 };
 
+/**
+ * opCMPXCHGb()
+ *
+ * op=0x0F,0xB0 (CMPXCHG mem/reg,reg) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opCMPXCHGb = function()
+{
+    this.decodeModMemByte.call(this, X86.fnCMPXCHGb);
+};
+
+/**
+ * opCMPXCHGw()
+ *
+ * op=0x0F,0xB1 (CMPXCHG mem/reg,reg) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opCMPXCHGw = function()
+{
+    this.decodeModMemWord.call(this, X86.fnCMPXCHGw);
+};
+
 /**
  * opLSS()
  *
@@ -1609,6 +1692,126 @@ X86.opMOVSXw = function()
     this.nStepCycles -= (this.regEA === X86.ADDR_INVALID? 3 : 6);
 };
 
+/**
+ * opXADDb()
+ *
+ * op=0x0F,0xC0 (XADD mem/reg,reg) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opXADDb = function()
+{
+    this.decodeModMemByte.call(this, X86.fnXADDb);
+};
+
+/**
+ * opXADDw()
+ *
+ * op=0x0F,0xC1 (XADD mem/reg,reg) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opXADDw = function()
+{
+    this.decodeModMemWord.call(this, X86.fnXADDw);
+};
+
+/**
+ * opBSWAPAX()
+ *
+ * op=0x0F,0xC8 (BSWAP EAX) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opBSWAPAX = function()
+{
+    this.regEAX = X86.helpBSWAPreg.call(this, this.regEAX);
+};
+
+/**
+ * opBSWAPCX()
+ *
+ * op=0x0F,0xC9 (BSWAP ECX) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opBSWAPCX = function()
+{
+    this.regECX = X86.helpBSWAPreg.call(this, this.regECX);
+};
+
+/**
+ * opBSWAPDX()
+ *
+ * op=0x0F,0xCA (BSWAP EDX) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opBSWAPDX = function()
+{
+    this.regEDX = X86.helpBSWAPreg.call(this, this.regEDX);
+};
+
+/**
+ * opBSWAPBX()
+ *
+ * op=0x0F,0xCB (BSWAP EBX) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opBSWAPBX = function()
+{
+    this.regEBX = X86.helpBSWAPreg.call(this, this.regEBX);
+};
+
+/**
+ * opBSWAPSP()
+ *
+ * op=0x0F,0xCC (BSWAP ESP) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opBSWAPSP = function()
+{
+    this.setSP(X86.helpBSWAPreg.call(this, this.getSP()));
+};
+
+/**
+ * opBSWAPBP()
+ *
+ * op=0x0F,0xCD (BSWAP EBP) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opBSWAPBP = function()
+{
+    this.regEBP = X86.helpBSWAPreg.call(this, this.regEBP);
+};
+
+/**
+ * opBSWAPSI()
+ *
+ * op=0x0F,0xCE (BSWAP ESI) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opBSWAPSI = function()
+{
+    this.regESI = X86.helpBSWAPreg.call(this, this.regESI);
+};
+
+/**
+ * opBSWAPDI()
+ *
+ * op=0x0F,0xCF (BSWAP EDI) (80486 and up)
+ *
+ * @this {CPUx86}
+ */
+X86.opBSWAPDI = function()
+{
+    this.regEDI = X86.helpBSWAPreg.call(this, this.regEDI);
+};
+
 X86.aOps0F = new Array(256);
 
 X86.aOps0F[0x00] = X86.opGRP6;
@@ -1625,13 +1828,9 @@ X86.aOps0F[0x06] = X86.opCLTS;
 X86.aOps0F[0x0B] = X86.opInvalid;
 
 /*
- * The following 0x0F opcodes are of no consequence to us, since they were all introduced post-80386;
- * 0x0F,0xA6 and 0x0F,0xA7 were introduced on some 80486 processors (and then deprecated), while 0x0F,0xB0
- * and 0x0F,0xB1 were introduced on 80586 (aka Pentium) processors.
+ * The following 0x0F opcodes were used for CMPXCHG by early 80486 steppings, before Intel moved CMPXCHG to
+ * 0x0F,0xB0 and 0x0F,0xB1 (see aOps0F486 below); we implement only the later encodings.
  *
- *      CMPXCHG r/m8,reg8           ; 0F B0 /r          [PENT]
- *      CMPXCHG r/m16,reg16         ; o16 0F B1 /r      [PENT]
- *      CMPXCHG r/m32,reg32         ; o32 0F B1 /r      [PENT]
  *      CMPXCHG486 r/m8,reg8        ; 0F A6 /r          [486,UNDOC]
  *      CMPXCHG486 r/m16,reg16      ; o16 0F A7 /r      [486,UNDOC]
  *      CMPXCHG486 r/m32,reg32      ; o32 0F A7 /r      [486,UNDOC]
@@ -1732,6 +1931,28 @@ if (I386) {
     X86.aOps0F386[0xBD] = X86.opBSR;
     X86.aOps0F386[0xBE] = X86.opMOVSXb;
     X86.aOps0F386[0xBF] = X86.opMOVSXw;
+
+    /*
+     * The 80486 adds the following handlers on top of aOps0F386; initProcessor() also replaces opCPUID() with
+     * opInvalid() on steppings that don't support CPUID, and installs fnINVLPG() in its own copy of aOpGrp7.
+     */
+    X86.aOps0F486 = [];
+    X86.aOps0F486[0x07] = X86.opInvalid;        // the 80386 LOADALL opcode (LOADALL386) is invalid on the 80486
+    X86.aOps0F486[0x08] = X86.opINVD;
+    X86.aOps0F486[0x09] = X86.opWBINVD;
+    X86.aOps0F486[0xA2] = X86.opCPUID;
+    X86.aOps0F486[0xB0] = X86.opCMPXCHGb;
+    X86.aOps0F486[0xB1] = X86.opCMPXCHGw;
+    X86.aOps0F486[0xC0] = X86.opXADDb;
+    X86.aOps0F486[0xC1] = X86.opXADDw;
+    X86.aOps0F486[0xC8] = X86.opBSWAPAX;
+    X86.aOps0F486[0xC9] = X86.opBSWAPCX;
+    X86.aOps0F486[0xCA] = X86.opBSWAPDX;
+    X86.aOps0F486[0xCB] = X86.opBSWAPBX;
+    X86.aOps0F486[0xCC] = X86.opBSWAPSP;
+    X86.aOps0F486[0xCD] = X86.opBSWAPBP;
+    X86.aOps0F486[0xCE] = X86.opBSWAPSI;
+    X86.aOps0F486[0xCF] = X86.opBSWAPDI;
 }
 
 /*
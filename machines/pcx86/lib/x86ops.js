@@ -2550,10 +2550,14 @@ X86.opPOPF = function()
         return;
     }
     /*
-     * Regardless of mode, VM and RF (the only defined EFLAGS bit above bit 15) are never changed by POPFD.
+     * Regardless of mode, VM and RF are never changed by POPFD, whereas the 80486 flags AC and ID (the only other
+     * defined EFLAGS bits above bit 15) can be; POPF, of course, changes none of them.
      */
     let newPS = this.popWord();
-    if (I386) newPS = (newPS & 0xffff) | (this.regPS & ~0xffff);
+    if (I386) {
+        let maskKeep = (this.sizeData == 2? ~0xffff : (X86.PS.VM | X86.PS.RF));
+        newPS = (newPS & ~maskKeep) | (this.regPS & maskKeep);
+    }
     this.setPS(newPS);
     /*
      * NOTE: I'm assuming that neither POPF nor IRET are required to set NOINTR like STI does.
@@ -23,6 +23,8 @@ import FileInfo from "./fileinfo.js";
  * @property {number} lbaStart
  * @property {number} lbaTotal
  * @property {number} nFATBits
+ * @property {number} nFATs
+ * @property {number} nFATSecs
  * @property {number} vbaFAT
  * @property {number} vbaRoot
  * @property {number} nEntries
@@ -32,6 +34,9 @@ import FileInfo from "./fileinfo.js";
  * @property {number} clusBad
  * @property {number} clusFree
  * @property {number} clusTotal
+ * @property {number} [clusRoot] (FAT32 volumes only: first cluster of the root directory)
+ * @property {number} [vbaFSInfo] (FAT32 volumes only: VBA of the FSInfo sector)
+ * @property {string} [cdFormat] (CD-ROM volumes only: one of DiskInfo.ISO.FORMAT)
  */
 
 /**
@@ -84,6 +89,20 @@ import FileInfo from "./fileinfo.js";
  * @property {number} cModify (used only with fWritable disk images)
  */
 
+/**
+ * MetaData records container-specific information from PSI, IMD, and TD0 images that has no place in our sector
+ * objects, so that getPSI() and getIMD() can write a disk back to the same container format without losing it.
+ *
+ * @typedef {Object} MetaData
+ * @property {string} format ("PSI", "IMD", or "TD0")
+ * @property {string} [header] (IMD only: the ASCII header and comment)
+ * @property {number} [fileFormat] (PSI only)
+ * @property {number} [sectorFormat] (PSI only)
+ * @property {Array.<Object>} [aChunks] (PSI only: chunks other than sector chunks, such as TEXT)
+ * @property {Map} [sectors] (PSI only: maps each sector to its SECT flags and any other chunks that followed it)
+ * @property {Object} [tracks] (maps "C:H" to the track's physical sector order and, for IMD and TD0 only, its mode)
+ */
+
 /**
  * @class DiskInfo
  * @property {string} diskName
@@ -97,6 +116,7 @@ import FileInfo from "./fileinfo.js";
  * @property {number} cbSector
  * @property {Array.<VolInfo>|null} volTable
  * @property {Array.<FileInfo>|null} fileTable
+ * @property {MetaData|null} metaData
  */
 export default class DiskInfo {
     /**
@@ -121,6 +141,7 @@ export default class DiskInfo {
         this.volTable = [];
         this.fileTable = [];
         this.tablesBuilt = false;
+        this.metaData = null;
     }
 
     /**
@@ -468,6 +489,29 @@ export default class DiskInfo {
             }
         }
 
+        if (!nHeads && cbDiskData > (DiskInfo.ISO.VD_LBA + 1) * DiskInfo.ISO.SECBYTES && !(cbDiskData % DiskInfo.ISO.SECBYTES)) {
+            /*
+             * CD-ROM images have no BPB (or any other geometry information), so if we find the signature of an ISO 9660
+             * (or High Sierra) volume descriptor at LBA 16, we simply divide the image into tracks of 2K sectors;
+             * buildTables() will take care of the rest (see buildISOVolume()).
+             */
+            let offVD = DiskInfo.ISO.VD_LBA * DiskInfo.ISO.SECBYTES;
+            let getString = (off, len) => {
+                let s = "";
+                for (let i = 0; i < len; i++) s += String.fromCharCode(dbDisk.readUInt8(offVD + off + i));
+                return s;
+            };
+            if (getString(DiskInfo.ISO.VD.ID, DiskInfo.ISO.ID.length) == DiskInfo.ISO.ID || getString(DiskInfo.ISO.HSG_VD.ID, DiskInfo.ISO.HSG_ID.length) == DiskInfo.ISO.HSG_ID) {
+                let nSectorsTotal = cbDiskData / DiskInfo.ISO.SECBYTES;
+                cbSector = DiskInfo.ISO.SECBYTES;
+                nHeads = 1;
+                nSectorsPerTrack = DiskInfo.ISO.TRACKSECS;
+                while (nSectorsTotal % nSectorsPerTrack) nSectorsPerTrack >>= 1;
+                nLogicalSectorsPerTrack = nSectorsPerTrack;
+                nCylinders = nSectorsTotal / nSectorsPerTrack;
+            }
+        }
+
         if (!nHeads) {
             /*
              * Next, check for a DSK header (an old private format I used to use, which begins with either
@@ -736,6 +780,44 @@ export default class DiskInfo {
 
         let iBPB, abBoot, cbSector, cSectorsPerCluster, cbCluster, cFATs, cFATSectors;
         let cRootEntries, cRootSectors, cTotalSectors, cHiddenSectors, cSectorsPerTrack, cHeads, cDataSectors, cbAvail;
+        let nFATBits = 12, cResSectors = 1, cRootClusters = 0;
+
+        if (nTargetSectors >= DiskInfo.FAT32.MIN_SECTORS) {
+            /*
+             * Target sizes this large are always built as a hard drive with a single FAT32 partition, using the same
+             * conventions as Windows 95 OSR2 FDISK and FORMAT: a partition that begins on the second track (leaving the
+             * first track for the MBR), 32 reserved sectors (for the boot sector, FSInfo sector and their backups),
+             * a cluster size based on Microsoft's FAT32 cluster size table, and a root directory that's simply another
+             * cluster chain (starting at cluster 2).  As with our other hard drive images, the last cylinder is reserved.
+             */
+            nFATBits = 32;
+            cbSector = 512;
+            cHeads = 16;
+            cSectorsPerTrack = 63;
+            cHiddenSectors = cSectorsPerTrack;
+            let cCylinders = (nTargetSectors / (cHeads * cSectorsPerTrack)) | 0;
+            cTotalSectors = (cCylinders - 1) * cHeads * cSectorsPerTrack - cHiddenSectors;
+            cSectorsPerCluster = (cTotalSectors <= 532480? 1 : (cTotalSectors <= 16777216? 8 : (cTotalSectors <= 33554432? 16 : 32)));
+            cbCluster = cbSector * cSectorsPerCluster;
+            cResSectors = 32;
+            cFATs = 2;
+            let cEntriesPerFATSector = (256 * cSectorsPerCluster + cFATs) / 2;
+            cFATSectors = Math.ceil((cTotalSectors - cResSectors) / cEntriesPerFATSector);
+            cRootEntries = cRootSectors = 0;
+            cRootClusters = Math.ceil(Math.max(aFileData.length, 1) * DiskInfo.DIRENT.LENGTH / cbCluster);
+            cDataSectors = cTotalSectors - (cResSectors + cFATs * cFATSectors);
+            cbAvail = (cDataSectors - cRootClusters * cSectorsPerCluster) * cbSector;
+            cbTotal = this.calcFileSizes(aFileData, cSectorsPerCluster);
+            if (((cDataSectors / cSectorsPerCluster) | 0) <= DiskInfo.FAT16.MAX_CLUSTERS) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "target size (%dKb) too small for FAT32 volume\n", kbTarget);
+                return false;
+            }
+            if (cbTotal > cbAvail) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "too many file(s) for disk image (%d files, %d bytes)\n", aFileData.length, cbTotal);
+                return false;
+            }
+            abBoot = this.buildBPB32(cbSector, cSectorsPerCluster, cResSectors, cFATs, cFATSectors, cSectorsPerTrack, cHeads, cHiddenSectors, cTotalSectors, aFileData);
+        }
 
         /*
          * Find or build a BPB with enough capacity, and at the same time, calculate all the other values we'll need,
@@ -756,7 +838,7 @@ export default class DiskInfo {
          * it's important to create a disk image that will work with PC DOS 1.0, which didn't understand 180Kb and 360Kb
          * disk images.
          */
-        for (iBPB = 0; iBPB < DiskInfo.aDefaultBPBs.length; iBPB++) {
+        for (iBPB = 0; nFATBits == 12 && iBPB < DiskInfo.aDefaultBPBs.length; iBPB++) {
             /*
              * Use slice() to copy the BPB, to ensure we don't alter the original.
              */
@@ -825,28 +907,60 @@ export default class DiskInfo {
          * Output a Master Boot Record (MBR) if this is a hard drive image.
          */
         if (cHiddenSectors) {
-            abSector = this.buildMBR(cHeads, cSectorsPerTrack, cbSector, cTotalSectors);
+            let bType = DiskInfo.MBR.PARTITIONS.TYPE.FAT12_PRIMARY;
+            if (nFATBits == 32) {
+                bType = (cbDrive / (cHeads * cSectorsPerTrack * cbSector) <= 1024? DiskInfo.MBR.PARTITIONS.TYPE.FAT32_PRIMARY : DiskInfo.MBR.PARTITIONS.TYPE.FAT32_LBA);
+            }
+            abSector = this.buildMBR(cHeads, cSectorsPerTrack, cbSector, cTotalSectors, cHiddenSectors, bType);
             offDisk += this.copyData(dbDisk, offDisk, abSector) * cHiddenSectors;
         }
 
         /*
-         * Output a boot sector.
+         * Output a boot sector, followed by any other reserved sectors (which we fill in later, if needed).
          */
+        let offBoot = offDisk;
         abBoot[DiskInfo.BOOT.SIG_OFFSET] = DiskInfo.BOOT.SIGNATURE & 0xff;            // 0x55
         abBoot[DiskInfo.BOOT.SIG_OFFSET + 1] = (DiskInfo.BOOT.SIGNATURE >> 8) & 0xff; // 0xAA
-        abSector = this.buildData(cbSector, abBoot);
-        offDisk += this.copyData(dbDisk, offDisk, abSector);
+        let abBootSector = abSector = this.buildData(cbSector, abBoot);
+        offDisk += this.copyData(dbDisk, offDisk, abSector) * cResSectors;
 
         /*
          * Build the FAT, noting the starting cluster number that each file will use along the way.
          *
          * Also, notice that the first byte of the FAT is the "media ID" byte that's replicated in the
          * BPB at offset 0x15.  For old BPB-less diskettes, this is where you must look for the media ID.
+         *
+         * On FAT32 volumes, the root directory is allocated first, since BPB32.ROOTCLUS says it starts at cluster 2.
          */
         let abFAT = [];
-        this.buildFATEntry(abFAT, 0, abBoot[DiskInfo.BPB.MEDIA] | 0xF00);
-        this.buildFATEntry(abFAT, 1, 0xFFF);
-        this.buildFAT(abFAT, aFileData, 2, cbCluster);
+        let clusEOC = (nFATBits == 32? DiskInfo.FAT32.CLUSNUM_EOC | 0x7 : 0xFFF);
+        this.buildFATEntry(abFAT, 0, abBoot[DiskInfo.BPB.MEDIA] | (clusEOC & ~0xff), nFATBits);
+        this.buildFATEntry(abFAT, 1, clusEOC, nFATBits);
+        let iCluster = DiskInfo.FAT32.CLUSNUM_MIN;
+        for (let i = 1; i <= cRootClusters; i++, iCluster++) {
+            this.buildFATEntry(abFAT, iCluster, i < cRootClusters? iCluster + 1 : clusEOC, nFATBits);
+        }
+        iCluster = this.buildFAT(abFAT, aFileData, iCluster, cbCluster, nFATBits);
+
+        /*
+         * A FAT32 volume also needs an FSInfo sector, and like the boot sector, a backup copy of both.
+         */
+        if (nFATBits == 32) {
+            let clusTotal = (cDataSectors / cSectorsPerCluster) | 0;
+            let abInfo = this.buildData(cbSector);
+            let setInfo = function(off, dw) {
+                for (let i = 0; i < 4; i++, dw >>>= 8) abInfo[off + i] = dw & 0xff;
+            };
+            setInfo(DiskInfo.FSINFO.LEADSIG, DiskInfo.FSINFO.LEADSIG_VALUE);
+            setInfo(DiskInfo.FSINFO.STRUCSIG, DiskInfo.FSINFO.STRUCSIG_VALUE);
+            setInfo(DiskInfo.FSINFO.FREECOUNT, clusTotal - (iCluster - DiskInfo.FAT32.CLUSNUM_MIN));
+            setInfo(DiskInfo.FSINFO.NEXTFREE, iCluster);
+            setInfo(DiskInfo.FSINFO.TRAILSIG, DiskInfo.FSINFO.TRAILSIG_VALUE);
+            let vbaFSInfo = abBoot[DiskInfo.BPB32.FSINFO], vbaBackup = abBoot[DiskInfo.BPB32.BKBOOT];
+            this.copyData(dbDisk, offBoot + vbaFSInfo * cbSector, abInfo);
+            this.copyData(dbDisk, offBoot + vbaBackup * cbSector, abBootSector);
+            this.copyData(dbDisk, offBoot + (vbaBackup + vbaFSInfo) * cbSector, abInfo);
+        }
 
         /*
          * Output the FAT sectors; we simplify the logic a bit by writing each FAT table as if it
@@ -870,7 +984,7 @@ export default class DiskInfo {
          * However, we do this ONLY for the first two BPB types (160K and 320K diskettes), since those are
          * the only formats PC DOS 1.x understood.
          */
-        if (iBPB < 2) {
+        if (nFATBits == 12 && iBPB < 2) {
             let offRoot = cEntries * DiskInfo.DIRENT.LENGTH;
             while (cEntries++ < cRootEntries) {
                 abRoot[offRoot] = DiskInfo.DIRENT.INVALID;         // 0xE5
@@ -879,9 +993,10 @@ export default class DiskInfo {
         }
 
         /*
-         * Output the root directory sectors (as before, as if they were one giant sector)
+         * Output the root directory sectors (as before, as if they were one giant sector); on FAT32 volumes, those
+         * sectors are simply the first clusters of the data area.
          */
-        abSector = this.buildData(cRootSectors * cbSector, abRoot);
+        abSector = this.buildData((cRootSectors || cRootClusters * cSectorsPerCluster) * cbSector, abRoot);
         offDisk += this.copyData(dbDisk, offDisk, abSector);
 
         /*
@@ -1128,8 +1243,14 @@ export default class DiskInfo {
 
         /*
          * Skip 10 bytes, bringing us to offset 0x16: 2 bytes for modification time, plus 2 bytes for modification date.
+         *
+         * The only one of those skipped bytes we ever fill in is the high word of the starting cluster on FAT32 volumes.
          */
         off += 10;
+        if (iCluster > 0xffff) {
+            ab[offDir + DiskInfo.DIRENT.CLUSTER_HI] = (iCluster >> 16) & 0xff;
+            ab[offDir + DiskInfo.DIRENT.CLUSTER_HI + 1] = (iCluster >> 24) & 0xff;
+        }
         if (dateMod) {
             let dateTime = this.buildDateTime(dateMod);
             ab[off++] = dateTime & 0xff;
@@ -1163,17 +1284,19 @@ export default class DiskInfo {
     }
 
     /**
-     * buildFAT(abFAT, aFileData, iCluster, cbCluster)
+     * buildFAT(abFAT, aFileData, iCluster, cbCluster, nFATBits)
      *
      * @this {DiskInfo}
      * @param {Array.<number>} abFAT
      * @param {Array.<FileData>} aFileData
      * @param {number} iCluster
      * @param {number} cbCluster
+     * @param {number} [nFATBits] (default is 12)
      * @returns {number}
      */
-    buildFAT(abFAT, aFileData, iCluster, cbCluster)
+    buildFAT(abFAT, aFileData, iCluster, cbCluster, nFATBits = 12)
     {
+        let clusEOC = (nFATBits == 12? 0xFFF : (nFATBits == 16? 0xFFFF : 0x0FFFFFFF));
         let cb;
         let cSubDirs = 0;
         for (let iFile = 0; iFile < aFileData.length; iFile++) {
@@ -1189,9 +1312,9 @@ export default class DiskInfo {
                 aFileData[iFile].cluster = iCluster;
                 while (cFileClusters-- > 0) {
                     let iNextCluster = iCluster + 1;
-                    if (!cFileClusters) iNextCluster = 0xFFF;
-                    this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "%s: setting cluster entry %d to %#0wx\n", aFileData[iFile].name, iCluster, iNextCluster);
-                    this.buildFATEntry(abFAT, iCluster++, iNextCluster);
+                    if (!cFileClusters) iNextCluster = clusEOC;
+                    this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "%s: setting cluster entry %d to %#0x\n", aFileData[iFile].name, iCluster, iNextCluster);
+                    this.buildFATEntry(abFAT, iCluster++, iNextCluster, nFATBits);
                 }
             }
         }
@@ -1199,7 +1322,7 @@ export default class DiskInfo {
             for (let iFile = 0; iFile < aFileData.length; iFile++) {
                 cb = aFileData[iFile].size;
                 if (cb < 0) {
-                    iCluster = this.buildFAT(abFAT, aFileData[iFile].files, iCluster, cbCluster);
+                    iCluster = this.buildFAT(abFAT, aFileData[iFile].files, iCluster, cbCluster, nFATBits);
                 }
             }
         }
@@ -1207,15 +1330,23 @@ export default class DiskInfo {
     }
 
     /**
-     * buildFATEntry(abFat, iFat, v)
+     * buildFATEntry(abFat, iFat, v, nFATBits)
      *
      * @this {DiskInfo}
      * @param {Array.<number>} abFAT
      * @param {number} iFAT
      * @param {number} v
+     * @param {number} [nFATBits] (default is 12)
      */
-    buildFATEntry(abFAT, iFAT, v)
+    buildFATEntry(abFAT, iFAT, v, nFATBits = 12)
     {
+        if (nFATBits != 12) {
+            let iByte = iFAT * (nFATBits >> 3);
+            for (let i = 0; i < (nFATBits >> 3); i++, v >>>= 8) {
+                abFAT[iByte + i] = v & 0xff;
+            }
+            return;
+        }
         let iBit = iFAT * 12;
         let iByte = (iBit >> 3);
         if ((iBit % 8) === 0) {
@@ -1232,16 +1363,81 @@ export default class DiskInfo {
     }
 
     /**
-     * buildMBR(cHeads, cSectorsPerTrack, cbSector, cTotalSectors)
+     * buildBPB32(cbSector, cSectorsPerCluster, cResSectors, cFATs, cFATSectors, cSectorsPerTrack, cHeads, cHiddenSectors, cTotalSectors, aFileData)
+     *
+     * Unlike the FAT12 BPBs in aDefaultBPBs, a FAT32 BPB depends entirely on the size of the drive, so we build it on the fly.
+     *
+     * @this {DiskInfo}
+     * @param {number} cbSector
+     * @param {number} cSectorsPerCluster
+     * @param {number} cResSectors
+     * @param {number} cFATs
+     * @param {number} cFATSectors
+     * @param {number} cSectorsPerTrack
+     * @param {number} cHeads
+     * @param {number} cHiddenSectors
+     * @param {number} cTotalSectors
+     * @param {Array.<FileData>} aFileData (used only to look for a volume label)
+     * @returns {Array.<number>}
+     */
+    buildBPB32(cbSector, cSectorsPerCluster, cResSectors, cFATs, cFATSectors, cSectorsPerTrack, cHeads, cHiddenSectors, cTotalSectors, aFileData)
+    {
+        let abBoot = DiskInfo.aDefaultBPBs[0].slice(0, DiskInfo.BPB.OEM + DiskInfo.PCJS_OEM.length);
+        let setBytes = function(off, v, len) {
+            for (let i = 0; i < len; i++, v >>>= 8) abBoot[off + i] = v & 0xff;
+        };
+        let setString = function(off, s, len) {
+            for (let i = 0; i < len; i++) abBoot[off + i] = (i < s.length? s.charCodeAt(i) : 0x20);
+        };
+        abBoot[DiskInfo.BPB.OPCODE + 1] = DiskInfo.BPB32.END - 2;
+        setBytes(DiskInfo.BPB.SECBYTES, cbSector, 2);
+        setBytes(DiskInfo.BPB.CLUSSECS, cSectorsPerCluster, 1);
+        setBytes(DiskInfo.BPB.RESSECS, cResSectors, 2);
+        setBytes(DiskInfo.BPB.FATS, cFATs, 1);
+        setBytes(DiskInfo.BPB.DIRENTS, 0, 2);
+        setBytes(DiskInfo.BPB.DISKSECS, 0, 2);
+        setBytes(DiskInfo.BPB.MEDIA, DiskInfo.FAT.MEDIA_FIXED, 1);
+        setBytes(DiskInfo.BPB.FATSECS, 0, 2);
+        setBytes(DiskInfo.BPB.TRACKSECS, cSectorsPerTrack, 2);
+        setBytes(DiskInfo.BPB.DRIVEHEADS, cHeads, 2);
+        setBytes(DiskInfo.BPB.HIDDENSECS, cHiddenSectors, 4);
+        setBytes(DiskInfo.BPB.LARGESECS, cTotalSectors, 4);
+        setBytes(DiskInfo.BPB32.FATSECS, cFATSectors, 4);
+        setBytes(DiskInfo.BPB32.EXTFLAGS, 0, 2);
+        setBytes(DiskInfo.BPB32.FSVER, 0, 2);
+        setBytes(DiskInfo.BPB32.ROOTCLUS, DiskInfo.FAT32.CLUSNUM_MIN, 4);
+        setBytes(DiskInfo.BPB32.FSINFO, 1, 2);
+        setBytes(DiskInfo.BPB32.BKBOOT, 6, 2);
+        for (let off = DiskInfo.BPB32.BKBOOT + 2; off < DiskInfo.BPB32.DRIVE; off++) abBoot[off] = 0;
+        setBytes(DiskInfo.BPB32.DRIVE, 0x80, 2);
+        setBytes(DiskInfo.BPB32.BOOTSIG, 0x29, 1);
+        setBytes(DiskInfo.BPB32.VOLID, (Date.now() / 1000) | 0, 4);
+        let sLabel = "NO NAME";
+        for (let i = 0; i < aFileData.length; i++) {
+            if (aFileData[i].attr & DiskInfo.ATTR.VOLUME) {
+                let aParts = this.buildShortName(aFileData[i].name, true).split('.');
+                sLabel = aParts[0] + (aParts[1]? aParts[0].padEnd(8).substr(aParts[0].length) + aParts[1] : "");
+                break;
+            }
+        }
+        setString(DiskInfo.BPB32.VOLLABEL, sLabel, 11);
+        setString(DiskInfo.BPB32.FSTYPE, "FAT32", 8);
+        return abBoot;
+    }
+
+    /**
+     * buildMBR(cHeads, cSectorsPerTrack, cbSector, cTotalSectors, cHiddenSectors, bType)
      *
      * @this {DiskInfo}
      * @param {number} cHeads
      * @param {number} cSectorsPerTrack
      * @param {number} cbSector
      * @param {number} cTotalSectors
+     * @param {number} [cHiddenSectors] (default is 1, ie, the partition immediately follows the MBR)
+     * @param {number} [bType] (default is MBR.PARTITIONS.TYPE.FAT12_PRIMARY)
      * @returns {Array.<number>}
      */
-    buildMBR(cHeads, cSectorsPerTrack, cbSector, cTotalSectors)
+    buildMBR(cHeads, cSectorsPerTrack, cbSector, cTotalSectors, cHiddenSectors = 1, bType = DiskInfo.MBR.PARTITIONS.TYPE.FAT12_PRIMARY)
     {
         /*
          * There are four 16-byte partition entries in the MBR, starting at offset 0x1BE,
@@ -1258,30 +1454,34 @@ export default class DiskInfo {
         /*
          * Next 3 bytes: CHS (Cylinder/Head/Sector) of first partition sector
          */
-        abSector[offSector++] = 0x00;           // head: 0
-        abSector[offSector++] = 0x02;           // sector: 1 (bits 0-5), cylinder bits 8-9: 0 (bits 6-7)
-        abSector[offSector++] = 0x00;           // cylinder bits 0-7: 0
+        let iSector = cHiddenSectors % cSectorsPerTrack;
+        let iHead = ((cHiddenSectors / cSectorsPerTrack) | 0) % cHeads;
+        let iCylinder = (cHiddenSectors / (cHeads * cSectorsPerTrack)) | 0;
+        abSector[offSector++] = iHead;
+        abSector[offSector++] = (iSector + 1) | ((iCylinder & 0x300) >> 2);
+        abSector[offSector++] = iCylinder & 0xff;
 
         /*
          * Next 1 byte: partition ID
          */
-        abSector[offSector++] = 0x01;           // partition ID: 0x01 (FAT12)
+        abSector[offSector++] = bType;
 
         /*
-         * Next 3 bytes: CHS (Cylinder/Head/Sector) of last partition sector
+         * Next 3 bytes: CHS (Cylinder/Head/Sector) of last partition sector (or the largest CHS value possible,
+         * if the partition extends beyond cylinder 1023, which is why larger drives must be accessed using LBAs).
          */
         abSector[offSector++] = cHeads-1;
-        let cCylinders = (cTotalSectors / (cHeads * cSectorsPerTrack)) | 0;
+        let cCylinders = Math.min((cTotalSectors / (cHeads * cSectorsPerTrack)) | 0, 1023);
         abSector[offSector++] = cSectorsPerTrack | ((cCylinders & 0x300) >> 2);
         abSector[offSector++] = cCylinders & 0xff;
 
         /*
          * Next 4 bytes: LBA (Logical Block Address) of first partition sector
          */
-        abSector[offSector++] = 1;
-        abSector[offSector++] = 0x00;
-        abSector[offSector++] = 0x00;
-        abSector[offSector++] = 0x00;
+        abSector[offSector++] = (cHiddenSectors & 0xff);
+        abSector[offSector++] = ((cHiddenSectors >> 8) & 0xff);
+        abSector[offSector++] = ((cHiddenSectors >> 16) & 0xff);
+        abSector[offSector++] = ((cHiddenSectors >> 24) & 0xff);
 
         /*
          * Next 4 bytes: Number of sectors in partition
@@ -1457,13 +1657,7 @@ export default class DiskInfo {
         let chunkEnd = dbDisk.length;
         let chunkID, chunkSize = 0, dbChunk;
 
-        let CHUNK_PSI  = 0x50534920;
-        let CHUNK_END  = 0x454e4420;
-        let CHUNK_SECT = 0x53454354;
-        let CHUNK_OFFS = 0x4f464653;
-        let CHUNK_IBMM = 0x49424d4d;    // "IBMM": IBM MFM sector header
-        let CHUNK_TEXT = 0x54455854;
-        let CHUNK_DATA = 0x44415441;
+        let CHUNK = DiskInfo.PSI.CHUNK;
 
         let getCRC = function(start, end) {
             let crc = 0;
@@ -1471,7 +1665,7 @@ export default class DiskInfo {
                 crc ^= dbDisk.readUInt8(i) << 24;
                 for (let j = 0; j < 8; j++) {
                     if (crc & 0x80000000) {
-                        crc = (crc << 1) ^ 0x1edc6f41;
+                        crc = (crc << 1) ^ DiskInfo.PSI.CRC_POLY;
                     } else {
                         crc = crc << 1;
                     }
@@ -1490,13 +1684,13 @@ export default class DiskInfo {
                 dbChunk = dbDisk.slice(chunkOffset + 8, chunkOffset + 8 + chunkSize);
             } else {
                 this.printf(Device.MESSAGE.WARN, "chunk 0x%x at 0x%x: CRC 0x%x != calculated CRC 0x%x\n", chunkID, chunkOffset, chunkCRC, myCRC);
-                chunkID = CHUNK_END;
+                chunkID = CHUNK.END;
             }
         };
 
         getNextChunk();
 
-        if (chunkID != CHUNK_PSI) {
+        if (chunkID != CHUNK.PSI) {
             this.printf(Device.MESSAGE.WARN, "missing PSI header\n");
             chunkEnd = 0;
         }
@@ -1507,11 +1701,23 @@ export default class DiskInfo {
 
         this.printf(Device.MESSAGE.INFO, "file format: 0x%04x\nsector format: 0x%02x 0x%02x\n", fileFormat, sectorFormat >> 8, sectorFormat & 0xff);
 
+        /*
+         * Any chunks we don't otherwise interpret are saved in metaData, along with the SECT flags of every sector,
+         * so that getPSI() can reproduce them.
+         */
+        let metaData = this.metaData = {format: "PSI", fileFormat, sectorFormat, aChunks: [], sectors: new Map(), tracks: {}};
+        let saveChunk = function() {
+            let ab = [];
+            for (let i = 0; i < dbChunk.length; i++) ab.push(dbChunk.readUInt8(i));
+            let aChunks = sector? metaData.sectors.get(sector).aChunks : metaData.aChunks;
+            aChunks.push({id: chunkID, ab});
+        };
+
         while (chunkOffset < chunkEnd) {
             getNextChunk();
             switch(chunkID) {
 
-            case CHUNK_SECT:
+            case CHUNK.SECT:
                 cylinder = dbChunk.readUInt16BE(0);
                 head = dbChunk.readUInt8(2);
                 idSector = dbChunk.readUInt8(3);
@@ -1535,19 +1741,22 @@ export default class DiskInfo {
                     data[cylinder].push([]);
                 }
                 data[cylinder][head].push(sector);
-                if (flags & 0x1) {
+                metaData.sectors.set(sector, {flags, aChunks: []});
+                if (!metaData.tracks[cylinder + ':' + head]) metaData.tracks[cylinder + ':' + head] = {aIDs: []};
+                metaData.tracks[cylinder + ':' + head].aIDs.push(idSector);
+                if (flags & DiskInfo.PSI.SECT.COMPRESSED) {
                     sector[DiskInfo.SECTOR.DATA][sectorIndex++] = pattern | (pattern << 8) | (pattern << 16) | (pattern << 24);
                 }
-                if (flags & 0x4) {
+                if (flags & DiskInfo.PSI.SECT.DATA_ERROR) {
                     sector[DiskInfo.SECTOR.DATA_ERROR] = -1;
                 }
-                if (flags & ~(0x1 | 0x4)) {
+                if (flags & ~(DiskInfo.PSI.SECT.COMPRESSED | DiskInfo.PSI.SECT.DATA_ERROR)) {
                     this.printf(Device.MESSAGE.WARN, "unsupported flags: 0x%x\n", flags);
                 }
                 this.cbDiskData += size;
                 break;
 
-            case CHUNK_DATA:
+            case CHUNK.DATA:
                 this.printf(Device.MESSAGE.INFO, "DATA: %d bytes\n", dbChunk.length);
                 if (!sector) {
                     this.printf(Device.MESSAGE.ERROR, "no sector defined, aborting\n");
@@ -1569,19 +1778,32 @@ export default class DiskInfo {
                 }
                 break;
 
-            case CHUNK_IBMM:
+            case CHUNK.IBMM:
                 this.printf(Device.MESSAGE.INFO, "IBMM: at 0x%x\n", chunkOffset);
+                if (sector && dbChunk.length >= DiskInfo.PSI.IBMM.LENGTH) {
+                    sector[DiskInfo.SECTOR.CYLINDER] = dbChunk.readUInt8(0);
+                    sector[DiskInfo.SECTOR.HEAD] = dbChunk.readUInt8(1);
+                    let flagsIBMM = dbChunk.readUInt8(DiskInfo.PSI.IBMM.FLAGS);
+                    if (flagsIBMM & DiskInfo.PSI.IBMM.NO_DAM) {
+                        sector[DiskInfo.SECTOR.DATA_MARK] = DiskInfo.DAM.NONE;
+                    } else if (flagsIBMM & DiskInfo.PSI.IBMM.DELETED) {
+                        sector[DiskInfo.SECTOR.DATA_MARK] = DiskInfo.DAM.DELETED;
+                    }
+                }
+                saveChunk();
                 break;
 
-            case CHUNK_OFFS:
+            case CHUNK.OFFS:
                 this.printf(Device.MESSAGE.INFO, "OFFS: at 0x%x\n", chunkOffset);
+                saveChunk();
                 break;
 
-            case CHUNK_TEXT:
+            case CHUNK.TEXT:
                 this.printf(Device.MESSAGE.INFO, "TEXT: at 0x%x\n", chunkOffset);
+                saveChunk();
                 break;
 
-            case CHUNK_END:
+            case CHUNK.END:
                 chunkID = 0;
                 this.aDiskData = data;
                 break;
@@ -1595,6 +1817,575 @@ export default class DiskInfo {
         return !!this.aDiskData;
     }
 
+    /**
+     * buildDiskFromIMD(dbDisk)
+     *
+     * Build disk image from an IMD file.
+     *
+     * IMD files are ImageDisk files; see http://dunfield.classiccmp.org/img/index.htm for details.  An IMD file begins
+     * with an ASCII header and comment, terminated by 0x1A, followed by a series of track records, each consisting of:
+     *
+     *      1 byte:     mode (data rate and density; not used here)
+     *      1 byte:     physical cylinder
+     *      1 byte:     physical head (bit 7 set if a sector cylinder map is present; bit 6 if a sector head map is present)
+     *      1 byte:     number of sectors in the track
+     *      1 byte:     sector size code (0-6 for 128 << code, or 0xFF if a sector size table is present)
+     *      n bytes:    sector numbering map (ie, sector IDs, in physical order)
+     *     [n bytes:    sector cylinder map]
+     *     [n bytes:    sector head map]
+     *     [n words:    sector size table]
+     *
+     * followed by a data record for each sector, where the first byte is a record type (see DiskInfo.IMD.DATA).
+     *
+     * @this {DiskInfo}
+     * @param {DataBuffer} dbDisk
+     * @returns {boolean} true if successful (aDiskData initialized); false otherwise
+     */
+    buildDiskFromIMD(dbDisk)
+    {
+        this.aDiskData = null;
+        this.cbDiskData = 0;
+        this.dwChecksum = 0;
+
+        this.abOrigBPB = [];
+        this.fBPBModified = false;
+
+        let off = 0, sHeader = "";
+        while (off < dbDisk.length) {
+            let b = dbDisk.readUInt8(off);
+            if (b == DiskInfo.IMD.COMMENT_END) break;
+            sHeader += String.fromCharCode(b);
+            off++;
+        }
+        if (!sHeader.startsWith(DiskInfo.IMD.SIGNATURE) || off >= dbDisk.length) {
+            this.printf(Device.MESSAGE.WARN, "missing IMD header\n");
+            return false;
+        }
+        this.printf(Device.MESSAGE.INFO, "%s\n", sHeader.trim());
+        this.metaData = {format: "IMD", header: sHeader, tracks: {}};
+
+        let data = [];
+        off++;
+        while (off < dbDisk.length) {
+            if (off + 5 > dbDisk.length) {
+                this.printf(Device.MESSAGE.WARN, "truncated track record at 0x%x\n", off);
+                return false;
+            }
+            let mode = dbDisk.readUInt8(off);
+            let cylinder = dbDisk.readUInt8(off + 1);
+            let headFlags = dbDisk.readUInt8(off + 2);
+            let head = headFlags & DiskInfo.IMD.HEAD.MASK;
+            let nSectors = dbDisk.readUInt8(off + 3);
+            let sizeCode = dbDisk.readUInt8(off + 4);
+            off += 5;
+            let aIDs = [], aCylinders = [], aHeads = [], aSizes = [], i;
+            for (i = 0; i < nSectors; i++) aIDs.push(dbDisk.readUInt8(off++));
+            if (headFlags & DiskInfo.IMD.HEAD.CYLMAP) {
+                for (i = 0; i < nSectors; i++) aCylinders.push(dbDisk.readUInt8(off++));
+            }
+            if (headFlags & DiskInfo.IMD.HEAD.HEADMAP) {
+                for (i = 0; i < nSectors; i++) aHeads.push(dbDisk.readUInt8(off++));
+            }
+            for (i = 0; i < nSectors; i++) {
+                if (sizeCode == DiskInfo.IMD.SIZE_TABLE) {
+                    aSizes.push(dbDisk.readUInt16LE(off));
+                    off += 2;
+                } else {
+                    aSizes.push(128 << sizeCode);
+                }
+            }
+            this.printf(Device.MESSAGE.INFO, "track %d:%d: mode %d, %d sectors\n", cylinder, head, mode, nSectors);
+            this.metaData.tracks[cylinder + ':' + head] = {mode, aIDs, aCylinders, aHeads, fSizeTable: sizeCode == DiskInfo.IMD.SIZE_TABLE};
+            while (data.length < cylinder + 1) {
+                data.push([]);
+            }
+            while (data[cylinder].length < head + 1) {
+                data[cylinder].push([]);
+            }
+            let track = data[cylinder][head];
+            for (i = 0; i < nSectors; i++) {
+                /*
+                 * The cylinder and head recorded in a sector's ID field don't have to match the track's, so they're what we store.
+                 */
+                let sector, idSector = aIDs[i], size = aSizes[i];
+                let idCylinder = aCylinders.length? aCylinders[i] : cylinder;
+                let idHead = aHeads.length? aHeads[i] : head;
+                if (off >= dbDisk.length) {
+                    this.printf(Device.MESSAGE.WARN, "truncated sector record at 0x%x\n", off);
+                    return false;
+                }
+                let type = dbDisk.readUInt8(off++);
+                if (type == DiskInfo.IMD.DATA.UNAVAILABLE) {
+                    sector = this.buildSector(idCylinder, idHead, idSector, size);
+                } else if (type > DiskInfo.IMD.DATA.DELETED_ERROR_COMPRESSED) {
+                    this.printf(Device.MESSAGE.WARN, "unrecognized sector record at 0x%x: %d\n", off - 1, type);
+                    return false;
+                } else if (!(type & 1)) {
+                    sector = this.buildSectorFromBytes(idCylinder, idHead, idSector, size, [dbDisk.readUInt8(off++)]);
+                } else {
+                    sector = this.buildSector(idCylinder, idHead, idSector, size, dbDisk.slice(off, off + size));
+                    off += size;
+                }
+                this.setSectorFlags(sector, type == DiskInfo.IMD.DATA.UNAVAILABLE, type >= DiskInfo.IMD.DATA.ERROR, type >= DiskInfo.IMD.DATA.DELETED && type <= DiskInfo.IMD.DATA.DELETED_COMPRESSED || type >= DiskInfo.IMD.DATA.DELETED_ERROR);
+                track.push(sector);
+                this.cbDiskData += size;
+            }
+        }
+        this.aDiskData = data;
+        this.initGeometry();
+        return true;
+    }
+
+    /**
+     * buildDiskFromTD0(dbDisk)
+     *
+     * Build disk image from a TD0 file.
+     *
+     * TD0 files are TeleDisk files; see http://dunfield.classiccmp.org/img/index.htm for details.  A TD0 file begins
+     * with a 12-byte header, whose signature is "TD" for uncompressed images and "td" for images using "advanced"
+     * compression, in which case everything following the header must be decompressed by expandTD0().  That's followed
+     * by an optional comment record, a series of track records (each with a 4-byte header, followed by a 6-byte header
+     * and an optional data block for each sector), and finally a track header with a sector count of 0xFF.
+     *
+     * Images using the older "normal" (LZW) compression and multi-volume images are not supported.
+     *
+     * @this {DiskInfo}
+     * @param {DataBuffer} dbDisk
+     * @returns {boolean} true if successful (aDiskData initialized); false otherwise
+     */
+    buildDiskFromTD0(dbDisk)
+    {
+        this.aDiskData = null;
+        this.cbDiskData = 0;
+        this.dwChecksum = 0;
+
+        this.abOrigBPB = [];
+        this.fBPBModified = false;
+
+        if (dbDisk.length < DiskInfo.TD0.HEADER.LENGTH) {
+            this.printf(Device.MESSAGE.WARN, "missing TD0 header\n");
+            return false;
+        }
+        let sig = String.fromCharCode(dbDisk.readUInt8(0), dbDisk.readUInt8(1));
+        if (sig != DiskInfo.TD0.SIGNATURE && sig != DiskInfo.TD0.SIGNATURE_ADV) {
+            this.printf(Device.MESSAGE.WARN, "missing TD0 header\n");
+            return false;
+        }
+        let abHeader = [];
+        for (let i = 0; i < DiskInfo.TD0.HEADER.LENGTH; i++) abHeader.push(dbDisk.readUInt8(i));
+        let crcHeader = dbDisk.readUInt16LE(DiskInfo.TD0.HEADER.CRC);
+        let myCRC = this.getCRC16(abHeader, 0, DiskInfo.TD0.HEADER.CRC, DiskInfo.TD0.CRC_POLY);
+        if (crcHeader != myCRC) {
+            this.printf(Device.MESSAGE.WARN, "TD0 header CRC 0x%04x != calculated CRC 0x%04x\n", crcHeader, myCRC);
+        }
+        if (abHeader[DiskInfo.TD0.HEADER.SEQUENCE]) {
+            this.printf(Device.MESSAGE.WARN, "multi-volume TD0 images not supported\n");
+            return false;
+        }
+        this.printf(Device.MESSAGE.INFO, "TeleDisk version %d.%d, data rate 0x%02x, drive type %d, %d side(s)\n", abHeader[DiskInfo.TD0.HEADER.VERSION] >> 4, abHeader[DiskInfo.TD0.HEADER.VERSION] & 0xf, abHeader[DiskInfo.TD0.HEADER.DATARATE], abHeader[DiskInfo.TD0.HEADER.DRIVETYPE], abHeader[DiskInfo.TD0.HEADER.SIDES]);
+
+        let ab;
+        if (sig == DiskInfo.TD0.SIGNATURE_ADV) {
+            ab = this.expandTD0(dbDisk, DiskInfo.TD0.HEADER.LENGTH);
+        } else {
+            if (abHeader[DiskInfo.TD0.HEADER.VERSION] < 0x20) {
+                this.printf(Device.MESSAGE.WARN, "TD0 version %d.%d may use unsupported compression\n", abHeader[DiskInfo.TD0.HEADER.VERSION] >> 4, abHeader[DiskInfo.TD0.HEADER.VERSION] & 0xf);
+            }
+            ab = [];
+            for (let i = DiskInfo.TD0.HEADER.LENGTH; i < dbDisk.length; i++) ab.push(dbDisk.readUInt8(i));
+        }
+
+        let off = 0;
+        let getByte = function() {
+            return off < ab.length? ab[off++] : -1;
+        };
+        let getWord = function() {
+            let w = getByte() & 0xff;
+            return w | ((getByte() & 0xff) << 8);
+        };
+
+        if (abHeader[DiskInfo.TD0.HEADER.STEPPING] & DiskInfo.TD0.COMMENT_PRESENT) {
+            off += 2;                   // skip the comment CRC
+            let cbComment = getWord();
+            off += 6;                   // skip the comment date/time
+            let sComment = "";
+            for (let i = 0; i < cbComment && off < ab.length; i++) {
+                let b = getByte();
+                sComment += (b? String.fromCharCode(b) : '\n');
+            }
+            this.printf(Device.MESSAGE.INFO, "%s\n", sComment.trim());
+        }
+
+        let data = [];
+        this.metaData = {format: "TD0", tracks: {}};
+        let dataRate = abHeader[DiskInfo.TD0.HEADER.DATARATE];
+        while (true) {
+            let nSectors = getByte();
+            if (nSectors < 0) {
+                this.printf(Device.MESSAGE.WARN, "missing TD0 end-of-image track record\n");
+                break;
+            }
+            if (nSectors == DiskInfo.TD0.TRACK_END) break;
+            let cylinder = getByte();
+            let headFlags = getByte();
+            let head = headFlags & DiskInfo.TD0.HEAD_MASK;
+            off++;                      // skip the track header CRC
+            let aIDs = [];
+            /*
+             * Record the track's equivalent IMD mode (0-2 for 500, 300, and 250Kbps FM, and 3-5 for the same rates in MFM).
+             */
+            let mode = (((headFlags | dataRate) & DiskInfo.TD0.FM)? 2 : 5) - Math.min(dataRate & DiskInfo.TD0.RATE_MASK, 2);
+            this.metaData.tracks[cylinder + ':' + head] = {mode, aIDs};
+            this.printf(Device.MESSAGE.INFO, "track %d:%d: %d sectors\n", cylinder, head, nSectors);
+            while (data.length < cylinder + 1) {
+                data.push([]);
+            }
+            while (data[cylinder].length < head + 1) {
+                data[cylinder].push([]);
+            }
+            let track = data[cylinder][head];
+            for (let i = 0; i < nSectors; i++) {
+                let sectorCylinder = getByte();
+                let sectorHead = getByte();
+                let idSector = getByte();
+                let sizeCode = getByte();
+                let flags = getByte();
+                off++;                  // skip the sector data CRC
+                aIDs.push(idSector);
+                if (sizeCode < 0 || flags < 0) {
+                    this.printf(Device.MESSAGE.WARN, "truncated sector record at 0x%x\n", off);
+                    return false;
+                }
+                if (flags & DiskInfo.TD0.SECT.NO_ID) {
+                    this.printf(Device.MESSAGE.WARN, "%d:%d:%d has no sector ID field\n", cylinder, head, idSector);
+                }
+                let sector, size = 128 << (sizeCode & 0x7);
+                if ((flags & (DiskInfo.TD0.SECT.NO_ALLOC | DiskInfo.TD0.SECT.NO_DATA)) || sizeCode > 6) {
+                    sector = this.buildSector(sectorCylinder, sectorHead, idSector, size);
+                    this.setSectorFlags(sector, true);
+                } else {
+                    let cbBlock = getWord();
+                    let offEnd = off + cbBlock;
+                    let method = getByte();
+                    let abSector = [];
+                    if (method == DiskInfo.TD0.DATA.RAW) {
+                        while (off < offEnd) abSector.push(getByte());
+                    } else if (method == DiskInfo.TD0.DATA.REPEAT) {
+                        while (off < offEnd && abSector.length < size) {
+                            let count = getWord();
+                            let b0 = getByte(), b1 = getByte();
+                            while (count-- > 0) abSector.push(b0, b1);
+                        }
+                    } else if (method == DiskInfo.TD0.DATA.RLE) {
+                        while (off < offEnd && abSector.length < size) {
+                            let type = getByte();
+                            if (!type) {
+                                let count = getByte();
+                                while (count-- > 0) abSector.push(getByte());
+                            } else {
+                                let count = getByte();
+                                let abPattern = [];
+                                for (let j = 0; j < (1 << type); j++) abPattern.push(getByte());
+                                while (count-- > 0) abSector.push(...abPattern);
+                            }
+                        }
+                    } else {
+                        this.printf(Device.MESSAGE.WARN, "%d:%d:%d has unrecognized encoding: %d\n", cylinder, head, idSector, method);
+                        return false;
+                    }
+                    off = offEnd;
+                    if (abSector.length != size) {
+                        this.printf(Device.MESSAGE.WARN, "%d:%d:%d has %d bytes instead of %d\n", cylinder, head, idSector, abSector.length, size);
+                    }
+                    sector = this.buildSectorFromBytes(sectorCylinder, sectorHead, idSector, size, abSector);
+                    this.setSectorFlags(sector, false, !!(flags & DiskInfo.TD0.SECT.CRC_ERROR), !!(flags & DiskInfo.TD0.SECT.DELETED));
+                }
+                track.push(sector);
+                this.cbDiskData += size;
+            }
+        }
+        this.aDiskData = data;
+        this.initGeometry();
+        return true;
+    }
+
+    /**
+     * expandTD0(dbDisk, off)
+     *
+     * Decompresses the remainder of a TD0 file that uses "advanced" compression, which is simply the LZHUF algorithm
+     * (LZSS with adaptive Huffman coding) written by Haruyasu Yoshizaki, with a 4Kb ring buffer and a 60-byte look-ahead.
+     *
+     * @this {DiskInfo}
+     * @param {DataBuffer} dbDisk
+     * @param {number} off (offset of the first compressed byte)
+     * @returns {Array.<number>}
+     */
+    expandTD0(dbDisk, off)
+    {
+        const N = 4096, F = 60, THRESHOLD = 2;
+        const N_CHAR = 256 - THRESHOLD + F;
+        const T = N_CHAR * 2 - 1, R = T - 1;
+        const MAX_FREQ = 0x8000;
+
+        let freq = new Array(T + 1), prnt = new Array(T + N_CHAR), son = new Array(T);
+        let i, j, k;
+        for (i = 0; i < N_CHAR; i++) {
+            freq[i] = 1;
+            son[i] = i + T;
+            prnt[i + T] = i;
+        }
+        for (i = 0, j = N_CHAR; j <= R; i += 2, j++) {
+            freq[j] = freq[i] + freq[i + 1];
+            son[j] = i;
+            prnt[i] = prnt[i + 1] = j;
+        }
+        freq[T] = 0xffff;
+        prnt[R] = 0;
+
+        /*
+         * The decoding tables for the upper 6 bits of a match position: the first 32 byte values map to 0, the next
+         * 48 map to 1-3 (16 each), and so on, with progressively longer codes for progressively larger positions.
+         */
+        let dCode = [], dLen = [];
+        let aRanges = [[1, 32, 3], [3, 16, 4], [8, 8, 5], [12, 4, 6], [24, 2, 7], [16, 1, 8]];
+        for (let r = 0, code = 0; r < aRanges.length; r++) {
+            let [nCodes, nRepeat, nLen] = aRanges[r];
+            for (let c = 0; c < nCodes; c++, code++) {
+                for (let n = 0; n < nRepeat; n++) {
+                    dCode.push(code);
+                    dLen.push(nLen);
+                }
+            }
+        }
+
+        let reconst = function() {
+            for (i = j = 0; i < T; i++) {
+                if (son[i] >= T) {
+                    freq[j] = (freq[i] + 1) >> 1;
+                    son[j] = son[i];
+                    j++;
+                }
+            }
+            for (i = 0, j = N_CHAR; j < T; i += 2, j++) {
+                let f = freq[j] = freq[i] + freq[i + 1];
+                for (k = j - 1; f < freq[k]; k--);
+                k++;
+                freq.splice(k, 0, f);
+                freq.splice(j + 1, 1);
+                son.splice(k, 0, i);
+                son.splice(j + 1, 1);
+            }
+            for (i = 0; i < T; i++) {
+                k = son[i];
+                if (k >= T) {
+                    prnt[k] = i;
+                } else {
+                    prnt[k] = prnt[k + 1] = i;
+                }
+            }
+        };
+
+        let update = function(c) {
+            if (freq[R] == MAX_FREQ) reconst();
+            c = prnt[c + T];
+            do {
+                let f = ++freq[c];
+                let l = c + 1;
+                if (f > freq[l]) {
+                    while (f > freq[++l]);
+                    l--;
+                    freq[c] = freq[l];
+                    freq[l] = f;
+                    let s = son[c];
+                    prnt[s] = l;
+                    if (s < T) prnt[s + 1] = l;
+                    let t = son[l];
+                    son[l] = s;
+                    prnt[t] = c;
+                    if (t < T) prnt[t + 1] = c;
+                    son[c] = t;
+                    c = l;
+                }
+            } while ((c = prnt[c]) != 0);
+        };
+
+        let bitBuf = 0, bitLen = 0, cOverrun = 0;
+        let fillBits = function() {
+            while (bitLen <= 8) {
+                let b = 0;
+                if (off < dbDisk.length) {
+                    b = dbDisk.readUInt8(off++);
+                } else {
+                    cOverrun++;
+                }
+                bitBuf |= b << (8 - bitLen);
+                bitLen += 8;
+            }
+        };
+        let getBit = function() {
+            fillBits();
+            let bit = (bitBuf >> 15) & 1;
+            bitBuf = (bitBuf << 1) & 0xffff;
+            bitLen--;
+            return bit;
+        };
+        let getByte = function() {
+            fillBits();
+            let b = (bitBuf >> 8) & 0xff;
+            bitBuf = (bitBuf << 8) & 0xffff;
+            bitLen -= 8;
+            return b;
+        };
+
+        let abText = new Array(N).fill(0x20);
+        let r = N - F;
+        let ab = [];
+        while (cOverrun < 2) {
+            let c = son[R];
+            while (c < T) c = son[c + getBit()];
+            c -= T;
+            update(c);
+            if (c < 256) {
+                ab.push(c);
+                abText[r++] = c;
+                r &= (N - 1);
+            } else {
+                let b = getByte();
+                let pos = dCode[b] << 6;
+                for (let n = dLen[b] - 2; n > 0; n--) b = (b << 1) + getBit();
+                pos |= b & 0x3f;
+                let iText = (r - pos - 1) & (N - 1);
+                let cb = c - 255 + THRESHOLD;
+                for (let n = 0; n < cb; n++) {
+                    let bText = abText[(iText + n) & (N - 1)];
+                    ab.push(bText);
+                    abText[r++] = bText;
+                    r &= (N - 1);
+                }
+            }
+        }
+        return ab;
+    }
+
+    /**
+     * buildSectorFromBytes(iCylinder, iHead, idSector, cbSector, ab)
+     *
+     * Like buildSector(), but using an array of bytes instead of a DataBuffer; if the array is shorter than the sector,
+     * its last byte is repeated.
+     *
+     * @this {DiskInfo}
+     * @param {number} iCylinder
+     * @param {number} iHead
+     * @param {number} idSector
+     * @param {number} cbSector
+     * @param {Array.<number>} ab
+     * @returns {Sector}
+     */
+    buildSectorFromBytes(iCylinder, iHead, idSector, cbSector, ab)
+    {
+        let adw = [];
+        let bLast = ab.length? ab[ab.length - 1] : 0;
+        for (let ib = 0; ib < cbSector; ib += 4) {
+            let dw = 0;
+            for (let i = 0; i < 4; i++) {
+                let b = ib + i < ab.length? ab[ib + i] : bLast;
+                dw |= (b & 0xff) << (i << 3);
+            }
+            adw.push(dw);
+        }
+        let sector = /** @type {Sector} */ ({
+            [DiskInfo.SECTOR.CYLINDER]: iCylinder,
+            [DiskInfo.SECTOR.HEAD]:     iHead,
+            [DiskInfo.SECTOR.ID]:       idSector,
+            [DiskInfo.SECTOR.LENGTH]:   cbSector,
+            [DiskInfo.SECTOR.DATA]:     adw
+        });
+        return this.initSector(sector, adw, cbSector, 0);
+    }
+
+    /**
+     * setSectorFlags(sector, fNoData, fDataError, fDeleted)
+     *
+     * Records the sector conditions that IMD and TD0 images preserve, using the same sector properties as JSON images:
+     * a sector with a data error gets a dataError of -1 (ie, the error occurs at the end of the sector), a sector with a
+     * deleted data address mark gets a dataMark of 0xF8, and a sector with no data at all gets both a dataError of -1 and
+     * a dataMark of 0x00.
+     *
+     * @this {DiskInfo}
+     * @param {Sector} sector
+     * @param {boolean} [fNoData]
+     * @param {boolean} [fDataError]
+     * @param {boolean} [fDeleted]
+     */
+    setSectorFlags(sector, fNoData, fDataError, fDeleted)
+    {
+        if (fNoData || fDataError) sector[DiskInfo.SECTOR.DATA_ERROR] = -1;
+        if (fNoData) {
+            sector[DiskInfo.SECTOR.DATA_MARK] = DiskInfo.DAM.NONE;
+        } else if (fDeleted) {
+            sector[DiskInfo.SECTOR.DATA_MARK] = DiskInfo.DAM.DELETED;
+        }
+    }
+
+    /**
+     * initGeometry()
+     *
+     * Sets the disk's geometry (nCylinders, nHeads, nSectors, and cbSector) from the first track of aDiskData, which is
+     * all that's required for images (like IMD and TD0 images) that don't otherwise describe their geometry.
+     *
+     * Those images also record sectors in physical (ie, interleaved) order, whereas we prefer sectors in ID order, so that
+     * functions like getData() produce the same results as the original disk.  However, if a track contains duplicate IDs
+     * (eg, a copy-protected track), then we leave its sectors in their original order.
+     *
+     * @this {DiskInfo}
+     */
+    initGeometry()
+    {
+        let aDiskData = this.aDiskData;
+        this.nCylinders = aDiskData.length;
+        this.nHeads = this.nSectors = this.cbSector = 0;
+        for (let iCylinder = 0; iCylinder < aDiskData.length; iCylinder++) {
+            let aHeads = aDiskData[iCylinder];
+            if (this.nHeads < aHeads.length) this.nHeads = aHeads.length;
+            for (let iHead = 0; iHead < aHeads.length; iHead++) {
+                let aSectors = aHeads[iHead];
+                let aIDs = aSectors.map((sector) => sector[DiskInfo.SECTOR.ID]);
+                if (new Set(aIDs).size == aIDs.length) {
+                    aSectors.sort((a, b) => a[DiskInfo.SECTOR.ID] - b[DiskInfo.SECTOR.ID]);
+                }
+                if (!this.nSectors && aSectors.length) {
+                    this.nSectors = aSectors.length;
+                    this.cbSector = aSectors[0][DiskInfo.SECTOR.LENGTH];
+                } else if (aSectors.length != this.nSectors) {
+                    this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "%s: %d:%d has non-standard sector count: %d\n", this.diskName, iCylinder, iHead, aSectors.length);
+                }
+            }
+        }
+    }
+
+    /**
+     * getCRC16(ab, start, end, poly)
+     *
+     * @this {DiskInfo}
+     * @param {Array.<number>} ab
+     * @param {number} start
+     * @param {number} end
+     * @param {number} poly
+     * @returns {number}
+     */
+    getCRC16(ab, start, end, poly)
+    {
+        let crc = 0;
+        for (let i = start; i < end; i++) {
+            crc ^= ab[i] << 8;
+            for (let j = 0; j < 8; j++) {
+                crc = (crc & 0x8000)? ((crc << 1) ^ poly) : (crc << 1);
+            }
+            crc &= 0xffff;
+        }
+        return crc;
+    }
+
     /**
      * buildFileTableFromJSON(fileTable)
      *
@@ -1670,14 +2461,17 @@ export default class DiskInfo {
             /*
              * Process all recognized volumes.
              *
-             * NOTE: Our file table currently supports only files on FAT volumes, and there is only one file
-             * table for all FAT volumes; every FileInfo object contains a volume index to indicate the volume.
+             * NOTE: Our file table currently supports only files on FAT volumes (or a single ISO 9660 volume on a
+             * CD-ROM image), and there is only one file table for all volumes; every FileInfo object contains a volume
+             * index to indicate the volume.
              */
-            let iVolume = 0;
-            while (true) {
-                let vol = this.buildVolume(iVolume, sectorBoot);
-                if (!vol || vol.iPartition < 0) break;
-                iVolume++;
+            if (!this.buildISOVolume()) {
+                let iVolume = 0;
+                while (true) {
+                    let vol = this.buildVolume(iVolume, sectorBoot);
+                    if (!vol || vol.iPartition < 0) break;
+                    iVolume++;
+                }
             }
 
             /*
@@ -1747,7 +2541,9 @@ export default class DiskInfo {
                              * NOTE: Like DISKSECS, FATSECS and DIRENTS are 2-byte fields; but unlike DISKSECS,
                              * their upper byte is zero in all our default (diskette) BPBs, so there's no need to fetch them.
                              */
-                            vol.vbaRoot = vol.vbaFAT + bpb[DiskInfo.BPB.FATSECS] * bpb[DiskInfo.BPB.FATS];
+                            vol.nFATs = bpb[DiskInfo.BPB.FATS];
+                            vol.nFATSecs = bpb[DiskInfo.BPB.FATSECS];
+                            vol.vbaRoot = vol.vbaFAT + vol.nFATSecs * vol.nFATs;
                             vol.clusSecs = bpb[DiskInfo.BPB.CLUSSECS];
                             vol.lbaTotal = cbDiskBPB / this.cbSector;
                             vol.nEntries = bpb[DiskInfo.BPB.DIRENTS];
@@ -1789,7 +2585,9 @@ export default class DiskInfo {
                         let bType = this.getSectorData(sectorBoot, off + DiskInfo.MBR.PARTITIONS.ENTRY.TYPE, 1);
 
                         if (bType == DiskInfo.MBR.PARTITIONS.TYPE.FAT12_PRIMARY ||
-                            bType == DiskInfo.MBR.PARTITIONS.TYPE.FAT16_PRIMARY || bType == DiskInfo.MBR.PARTITIONS.TYPE.FAT16_BIG) {
+                            bType == DiskInfo.MBR.PARTITIONS.TYPE.FAT16_PRIMARY || bType == DiskInfo.MBR.PARTITIONS.TYPE.FAT16_BIG ||
+                            bType == DiskInfo.MBR.PARTITIONS.TYPE.FAT32_PRIMARY || bType == DiskInfo.MBR.PARTITIONS.TYPE.FAT32_LBA ||
+                            bType == DiskInfo.MBR.PARTITIONS.TYPE.FAT16_LBA) {
                             if (iPhase == 0 && iVolFound++ == iVolume) {
                                 lba = this.getSectorData(sectorBoot, off + DiskInfo.MBR.PARTITIONS.ENTRY.VBA_FIRST, 4);
                                 vol.lbaStart = lba + lbaPrimary;
@@ -1801,7 +2599,7 @@ export default class DiskInfo {
                                 break;
                             }
                         }
-                        if (bType == DiskInfo.MBR.PARTITIONS.TYPE.EXTENDED) {
+                        if (bType == DiskInfo.MBR.PARTITIONS.TYPE.EXTENDED || bType == DiskInfo.MBR.PARTITIONS.TYPE.EXTENDED_LBA) {
                             if (iPhase == 1) {
                                 lba = this.getSectorData(sectorBoot, off + DiskInfo.MBR.PARTITIONS.ENTRY.VBA_FIRST, 4);
                                 lbaPrimary = lba + lbaExtended;
@@ -1828,11 +2626,27 @@ export default class DiskInfo {
 
         vol.iPartition = iVolFound - 1;
 
+        vol.clusRoot = 0;
+
         if (!vol.lbaTotal) {
             vol.idMedia = this.getSectorData(sectorBoot, DiskInfo.BPB.MEDIA, 1);
             vol.lbaTotal = this.getSectorData(sectorBoot, DiskInfo.BPB.DISKSECS, 2) || this.getSectorData(sectorBoot, DiskInfo.BPB.LARGESECS, 4);
             vol.vbaFAT = this.getSectorData(sectorBoot, DiskInfo.BPB.RESSECS, 2);
-            vol.vbaRoot = vol.vbaFAT + this.getSectorData(sectorBoot, DiskInfo.BPB.FATSECS, 2) * this.getSectorData(sectorBoot, DiskInfo.BPB.FATS, 1);
+            let nFATSecs = this.getSectorData(sectorBoot, DiskInfo.BPB.FATSECS, 2);
+            if (!nFATSecs) {
+                /*
+                 * A zero FATSECS value is how a FAT32 BPB identifies itself; the real FAT size, along with the
+                 * starting cluster of the root directory and the location of the FSInfo sector, are found in the
+                 * FAT32 extended BPB instead (see DiskInfo.BPB32).  The root directory of a FAT32 volume is simply
+                 * another cluster chain, so DIRENTS should be zero as well.
+                 */
+                nFATSecs = this.getSectorData(sectorBoot, DiskInfo.BPB32.FATSECS, 4);
+                vol.clusRoot = this.getSectorData(sectorBoot, DiskInfo.BPB32.ROOTCLUS, 4);
+                vol.vbaFSInfo = this.getSectorData(sectorBoot, DiskInfo.BPB32.FSINFO, 2);
+            }
+            vol.nFATs = this.getSectorData(sectorBoot, DiskInfo.BPB.FATS, 1);
+            vol.nFATSecs = nFATSecs;
+            vol.vbaRoot = vol.vbaFAT + nFATSecs * vol.nFATs;
             vol.nEntries = this.getSectorData(sectorBoot, DiskInfo.BPB.DIRENTS, 2);
             vol.clusSecs = this.getSectorData(sectorBoot, DiskInfo.BPB.CLUSSECS, 1);
         }
@@ -1855,12 +2669,29 @@ export default class DiskInfo {
          * So, a FAT volume with 4084 or fewer clusters uses a 12-bit FAT, a FAT volume with 4085 to 65524 clusters uses
          * a 16-bit FAT, and a FAT volume with more than 65524 clusters uses a 32-bit FAT.
          *
-         * TODO: Eventually add support for FAT32.
+         * Only 28 bits of each 32-bit FAT entry are actually used; the top 4 bits are reserved, and must be preserved (and
+         * ignored) by anyone reading or writing the FAT.  We also insist on a FAT32 BPB (ie, a root directory cluster) before
+         * we'll treat any volume as FAT32, since otherwise we'd have no idea where its root directory is.
          */
-        vol.nFATBits = (vol.clusTotal <= DiskInfo.FAT12.MAX_CLUSTERS? 12 : 16);
-        vol.clusMax = (vol.nFATBits == 12? DiskInfo.FAT12.CLUSNUM_MAX : DiskInfo.FAT16.CLUSNUM_MAX);
+        if (vol.clusTotal <= DiskInfo.FAT12.MAX_CLUSTERS) {
+            vol.nFATBits = 12;
+            vol.clusMax = DiskInfo.FAT12.CLUSNUM_MAX;
+        } else if (vol.clusTotal <= DiskInfo.FAT16.MAX_CLUSTERS && !vol.clusRoot) {
+            vol.nFATBits = 16;
+            vol.clusMax = DiskInfo.FAT16.CLUSNUM_MAX;
+        } else {
+            vol.nFATBits = 32;
+            vol.clusMax = DiskInfo.FAT32.CLUSNUM_MAX;
+            if (vol.clusRoot < DiskInfo.FAT32.CLUSNUM_MIN) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s volume %d error: %d clusters requires a FAT32 BPB\n", this.diskName, iVolume, vol.clusTotal);
+                return null;
+            }
+        }
 
-        if (!idFAT) idFAT = this.getClusterEntry(vol, 0, 0);
+        /*
+         * Only the low byte of the first FAT entry corresponds to the media ID; the rest of the entry should be all ones.
+         */
+        if (!idFAT) idFAT = this.getClusterEntry(vol, 0, 0) & 0xff;
 
         if (idFAT != vol.idMedia) {
             this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s volume %d error: FAT ID (%#0bx) does not match media ID (%#0bx)\n", this.diskName, iVolume, idFAT, vol.idMedia);
@@ -1887,9 +2718,7 @@ export default class DiskInfo {
 
         this.volTable.push(vol);
 
-        let aLBA = [];
-        for (let vba = vol.vbaRoot; vba < vol.vbaData; vba++) aLBA.push(vol.lbaStart + vba);
-        this.getDir(vol, aLBA);
+        this.getDir(vol, this.getRootSectors(vol));
 
         /*
          * Calculate free (unused) space, as well as total "bad" space.
@@ -1922,10 +2751,228 @@ export default class DiskInfo {
             }
         }
 
+        /*
+         * FAT32 volumes also maintain a free cluster count in their FSInfo sector, but it's only a hint (0xFFFFFFFF means
+         * "unknown"), and we never rely on it.  However, if it disagrees with our own count, that's worth mentioning.
+         */
+        if (vol.vbaFSInfo) {
+            let sectorInfo = this.getSector(vol.lbaStart + vol.vbaFSInfo);
+            if (sectorInfo && this.getSectorData(sectorInfo, DiskInfo.FSINFO.LEADSIG, 4) == DiskInfo.FSINFO.LEADSIG_VALUE && this.getSectorData(sectorInfo, DiskInfo.FSINFO.STRUCSIG, 4) == DiskInfo.FSINFO.STRUCSIG_VALUE) {
+                let clusFreeInfo = this.getSectorData(sectorInfo, DiskInfo.FSINFO.FREECOUNT, 4);
+                if (clusFreeInfo != -1 && clusFreeInfo != vol.clusFree) {
+                    this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "%s volume %d warning: FSInfo free cluster count (%d) does not match actual count (%d)\n", this.diskName, iVolume, clusFreeInfo, vol.clusFree);
+                }
+            } else {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.WARN, "%s volume %d warning: invalid FSInfo sector (%d)\n", this.diskName, iVolume, vol.vbaFSInfo);
+            }
+        }
+
         this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "%s volume %d: %d cluster(s) bad, %d cluster(s) free, %d bytes free\n", this.diskName, iVolume, vol.clusBad, vol.clusFree, vol.clusFree * vol.clusSecs * vol.cbSector);
         return vol;
     }
 
+    /**
+     * buildISOVolume()
+     *
+     * CD-ROM images don't contain FAT volumes, but if the image uses 2K sectors and contains an ISO 9660 (or High Sierra)
+     * volume descriptor set, starting at LBA 16, we create a single volume from the primary volume descriptor, or from a
+     * Joliet supplementary volume descriptor if there is one (since Joliet names aren't limited to 8.3 upper-case names),
+     * and then add all the volume's files to the file table, just as getDir() does for FAT volumes.
+     *
+     * CD-ROM volumes have a cdFormat property (see DiskInfo.ISO.FORMAT), and since they have no FAT, all their FAT-related
+     * properties are zero, and their "cluster" size is simply the sector size.
+     *
+     * @this {DiskInfo}
+     * @returns {VolInfo|null}
+     */
+    buildISOVolume()
+    {
+        if (this.cbSector != DiskInfo.ISO.SECBYTES) return null;
+
+        let lbaVD = 0, cdFormat = "";
+        for (let lba = DiskInfo.ISO.VD_LBA; ; lba++) {
+            let sector = this.getSector(lba);
+            if (!sector) break;
+            let format, type;
+            if (this.getSectorString(sector, DiskInfo.ISO.VD.ID, DiskInfo.ISO.ID.length) == DiskInfo.ISO.ID) {
+                format = DiskInfo.ISO.FORMAT.ISO;
+                type = this.getSectorData(sector, DiskInfo.ISO.VD.TYPE, 1);
+            } else if (this.getSectorString(sector, DiskInfo.ISO.HSG_VD.ID, DiskInfo.ISO.HSG_ID.length) == DiskInfo.ISO.HSG_ID) {
+                format = DiskInfo.ISO.FORMAT.HSG;
+                type = this.getSectorData(sector, DiskInfo.ISO.HSG_VD.TYPE, 1);
+            } else {
+                break;
+            }
+            if (type == DiskInfo.ISO.TYPE.TERMINATOR) break;
+            if (type == DiskInfo.ISO.TYPE.PRIMARY && !lbaVD) {
+                lbaVD = lba;
+                cdFormat = format;
+            } else if (type == DiskInfo.ISO.TYPE.SUPPLEMENTARY && format == DiskInfo.ISO.FORMAT.ISO && this.getSectorString(sector, DiskInfo.ISO.VD.ESCAPES, 2) == "%/" && "@CE".indexOf(this.getSectorString(sector, DiskInfo.ISO.VD.ESCAPES + 2, 1)) >= 0) {
+                lbaVD = lba;
+                cdFormat = DiskInfo.ISO.FORMAT.JOLIET;
+            }
+        }
+        if (!lbaVD) return null;
+
+        let sectorVD = this.getSector(lbaVD);
+        let offsets = cdFormat == DiskInfo.ISO.FORMAT.HSG? DiskInfo.ISO.HSG_VD : DiskInfo.ISO.VD;
+        let cbBlock = this.getSectorData(sectorVD, offsets.BLKBYTES, 2);
+        if (cbBlock != this.cbSector) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: unsupported %s logical block size (%d)\n", this.diskName, cdFormat, cbBlock);
+            return null;
+        }
+        let lbaTotal = this.getSectorData(sectorVD, offsets.VOLSECS, 4);
+        let vol = /** @type {VolInfo} */ ({
+            iVolume: 0, iPartition: -1, idMedia: 0, lbaStart: 0, lbaTotal, cbSector: this.cbSector, nFATBits: 0, nFATs: 0, nFATSecs: 0,
+            vbaFAT: 0, vbaRoot: 0, nEntries: 0, vbaData: 0, clusSecs: 1, clusMax: 0, clusBad: 0, clusFree: 0, clusTotal: lbaTotal, cdFormat
+        });
+        this.volTable.push(vol);
+
+        let label = this.getISOName(sectorVD, offsets.VOLID, 32, cdFormat).trim();
+        if (label) {
+            let file = new FileInfo(this, vol.iVolume, "\\" + label, label, DiskInfo.ATTR.VOLUME, this.getISODate(sectorVD, offsets.ROOT + DiskInfo.ISO.DIRREC.DATE, label), 0, 0, []);
+            file.index = this.fileTable.length;
+            this.fileTable.push(file);
+        }
+
+        let lbaRoot = this.getSectorData(sectorVD, offsets.ROOT + DiskInfo.ISO.DIRREC.EXTENT, 4) + this.getSectorData(sectorVD, offsets.ROOT + DiskInfo.ISO.DIRREC.EXTLEN, 1);
+        let cbRoot = this.getSectorData(sectorVD, offsets.ROOT + DiskInfo.ISO.DIRREC.SIZE, 4);
+        let aLBA = [];
+        for (let i = 0; i < Math.ceil(cbRoot / this.cbSector); i++) aLBA.push(lbaRoot + i);
+        this.getISODir(vol, aLBA, "");
+
+        this.printf(Device.MESSAGE.DISK + Device.MESSAGE.INFO, "%s volume %d: %s, %d sector(s)\n", this.diskName, vol.iVolume, cdFormat, lbaTotal);
+        return vol;
+    }
+
+    /**
+     * getISODir(vol, aLBA, path, iLevel)
+     *
+     * The CD-ROM counterpart to getDir().  Directory records never span sectors, so any unused space at the end of a
+     * sector is zero-filled, and a record length of zero tells us to move on to the next sector.  Every directory begins
+     * with a "." record (a name consisting of a single zero byte) and a ".." record (a single byte of one), which we skip,
+     * rather than adding "." and ".." entries to the file table like getDir() does.
+     *
+     * Files larger than 4Gb (or created by certain mastering tools) may be split into multiple extents, in which case every
+     * record but the last has the MULTIEXTENT flag set, so we combine them into a single FileInfo object.
+     *
+     * Since CD-ROM files are always read-only, that's the only attribute (aside from HIDDEN and SUBDIR) that we set,
+     * which is consistent with how MSCDEX presented them to DOS.
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {Array.<number>} aLBA
+     * @param {string} path
+     * @param {number} [iLevel]
+     */
+    getISODir(vol, aLBA, path, iLevel = 0)
+    {
+        let iStart = this.fileTable.length;
+        let fHSG = (vol.cdFormat == DiskInfo.ISO.FORMAT.HSG);
+        let fileExtent = null;
+
+        for (let iSector = 0; iSector < aLBA.length; iSector++) {
+            let sector = this.getSector(aLBA[iSector]);
+            if (!sector) break;
+            let cbSector = sector[DiskInfo.SECTOR.LENGTH];
+            for (let off = 0; off < cbSector;) {
+                let cbRecord = this.getSectorData(sector, off + DiskInfo.ISO.DIRREC.LENGTH, 1);
+                if (!cbRecord || off + cbRecord > cbSector) break;
+                let cbName = this.getSectorData(sector, off + DiskInfo.ISO.DIRREC.NAMELEN, 1);
+                let flags = this.getSectorData(sector, off + (fHSG? DiskInfo.ISO.DIRREC.HSG_FLAGS : DiskInfo.ISO.DIRREC.FLAGS), 1);
+                let lbaExtent = this.getSectorData(sector, off + DiskInfo.ISO.DIRREC.EXTENT, 4) + this.getSectorData(sector, off + DiskInfo.ISO.DIRREC.EXTLEN, 1);
+                let size = this.getSectorData(sector, off + DiskInfo.ISO.DIRREC.SIZE, 4) >>> 0;
+                let offRecord = off;
+                off += cbRecord;
+                if (cbName == 1 && this.getSectorData(sector, offRecord + DiskInfo.ISO.DIRREC.NAME, 1) <= 1) continue;
+                let aLBAExtent = [];
+                for (let i = 0; i < Math.ceil(size / this.cbSector); i++) aLBAExtent.push(lbaExtent + i);
+                if (fileExtent) {
+                    fileExtent.size += size;
+                    fileExtent.aLBA = fileExtent.aLBA.concat(aLBAExtent);
+                    if (!(flags & DiskInfo.ISO.FLAGS.MULTIEXTENT)) fileExtent = null;
+                    continue;
+                }
+                let name = this.getISOName(sector, offRecord + DiskInfo.ISO.DIRREC.NAME, cbName, vol.cdFormat);
+                let i = name.lastIndexOf(';');
+                if (i > 0) name = name.substr(0, i);
+                if (name.length > 1 && name.endsWith('.')) name = name.substr(0, name.length - 1);
+                let attr = DiskInfo.ATTR.READONLY;
+                if (flags & DiskInfo.ISO.FLAGS.HIDDEN) attr |= DiskInfo.ATTR.HIDDEN;
+                if (flags & DiskInfo.ISO.FLAGS.DIR) attr = (attr & ~DiskInfo.ATTR.READONLY) | DiskInfo.ATTR.SUBDIR;
+                let pathFile = path + "\\" + name;
+                let date = this.getISODate(sector, offRecord + DiskInfo.ISO.DIRREC.DATE, this.diskName + ":" + pathFile);
+                /*
+                 * Like FAT directory entries, the FileInfo objects we create for subdirectories have a size of zero,
+                 * but their aLBA arrays describe all the sectors containing the subdirectory's records.
+                 */
+                let file = new FileInfo(this, vol.iVolume, pathFile, name, attr, date, (attr & DiskInfo.ATTR.SUBDIR)? 0 : size, lbaExtent, aLBAExtent);
+                file.index = this.fileTable.length;
+                this.fileTable.push(file);
+                if (flags & DiskInfo.ISO.FLAGS.MULTIEXTENT) fileExtent = file;
+            }
+        }
+
+        let iEnd = this.fileTable.length;
+
+        /*
+         * ISO 9660 limits directory nesting to 8 levels, but Joliet and many mastering tools don't, so we only guard against
+         * circular references.
+         */
+        for (let i = iStart; i < iEnd && iLevel < 64; i++) {
+            let file = this.fileTable[i];
+            if ((file.attr & DiskInfo.ATTR.SUBDIR) && file.aLBA.length) {
+                this.getISODir(vol, file.aLBA, file.path, iLevel + 1);
+            }
+        }
+    }
+
+    /**
+     * getISODate(sector, off, sFile)
+     *
+     * Directory record dates consist of 6 bytes (year since 1900, month, day, hour, minute, and second), followed by a
+     * GMT offset byte (which High Sierra lacks); like FAT timestamps, we treat the date as a local date and ignore the offset.
+     *
+     * @this {DiskInfo}
+     * @param {Sector} sector
+     * @param {number} off
+     * @param {string} sFile
+     * @returns {Date}
+     */
+    getISODate(sector, off, sFile)
+    {
+        let ab = [];
+        for (let i = 0; i < 6; i++) ab.push(this.getSectorData(sector, off + i, 1));
+        return this.getDate(ab[0] + 1900, ab[1] - 1, ab[2], ab[3], ab[4], ab[5], sFile);
+    }
+
+    /**
+     * getISOName(sector, off, len, cdFormat)
+     *
+     * Joliet names (and volume identifiers) are stored as big-endian UCS-2 characters; all others are ASCII.
+     *
+     * @this {DiskInfo}
+     * @param {Sector} sector
+     * @param {number} off
+     * @param {number} len (in bytes)
+     * @param {string} cdFormat
+     * @returns {string}
+     */
+    getISOName(sector, off, len, cdFormat)
+    {
+        let s = "";
+        if (cdFormat == DiskInfo.ISO.FORMAT.JOLIET) {
+            for (let i = 0; i + 1 < len; i += 2) {
+                let c = (this.getSectorData(sector, off + i, 1) << 8) | this.getSectorData(sector, off + i + 1, 1);
+                if (!c) break;
+                s += String.fromCharCode(c);
+            }
+        } else {
+            s = this.getSectorString(sector, off, len);
+        }
+        return s;
+    }
+
     /**
      * checkMediaID(idMedia)
      *
@@ -2113,8 +3160,10 @@ export default class DiskInfo {
         if (file.size && (fComplete || fnHash)) {
             this.assert(file.name[0] != '.');   // make sure we're not hashing "." and ".." DIRENTs
             ab = new Array(file.size);
-            this.readSectorArray(file, ab);
+            let cb = this.readSectorArray(file, ab);
+            if (file.deleted) ab.length = cb;
         }
+        if (file.deleted) desc[DiskInfo.FILEDESC.DELETED] = file.deleted;
         if (fComplete) {
             if (ab) desc[DiskInfo.FILEDESC.CONTENTS] = ab;
         } else {
@@ -2165,15 +3214,20 @@ export default class DiskInfo {
             [DiskInfo.VOLDESC.CLUS_MAX]:   vol.clusMax,
             [DiskInfo.VOLDESC.CLUS_BAD]:   vol.clusBad,
             [DiskInfo.VOLDESC.CLUS_FREE]:  vol.clusFree,
-            [DiskInfo.VOLDESC.CLUS_TOTAL]: vol.clusTotal
+            [DiskInfo.VOLDESC.CLUS_TOTAL]: vol.clusTotal,
+            [DiskInfo.VOLDESC.CLUS_ROOT]:  vol.clusRoot
         };
         /*
-         * By default, we don't include a partition number if it's an unpartitioned disk.
+         * By default, we don't include a partition number if it's an unpartitioned disk, or a root directory
+         * cluster if it's not a FAT32 volume.
          */
         if (!fComplete) {
             if (vol.iPartition < 0) {
                 delete desc[DiskInfo.VOLDESC.PARTITION];
             }
+            if (!vol.clusRoot) {
+                delete desc[DiskInfo.VOLDESC.CLUS_ROOT];
+            }
         }
         return desc;
     }
@@ -2186,11 +3240,15 @@ export default class DiskInfo {
      * useful outside the context of the DiskInfo object), and with the inclusion of
      * a HASH property, if the caller provides a hash function.
      *
+     * If fDeleted is true, the manifest also includes any deleted files that getDeletedFiles() can find, each with
+     * a DELETED property, and with CONTENTS limited to whatever could be recovered.
+     *
      * @this {DiskInfo}
      * @param {function(Array,string)} [fnHash]
+     * @param {boolean} [fDeleted]
      * @returns {Array}
      */
-    getFileManifest(fnHash)
+    getFileManifest(fnHash, fDeleted = false)
     {
         let aFiles = [];
         if (this.buildTables() > 0) {
@@ -2199,10 +3257,158 @@ export default class DiskInfo {
                 if (file.name == "." || file.name == "..") continue;
                 aFiles.push(this.getFileDesc(file, true, fnHash));
             }
+            if (fDeleted) {
+                this.getDeletedFiles().forEach((file) => aFiles.push(this.getFileDesc(file, true, fnHash)));
+            }
+        }
+        return aFiles;
+    }
+
+    /**
+     * getDeletedFiles(iVolume)
+     *
+     * Returns an array of FileInfo objects reconstructed from the deleted (DIRENT.INVALID) entries of every directory,
+     * along with the entries of any deleted subdirectories that can still be found.  Since the first character of a
+     * deleted file's name is lost, it's replaced with a question mark.
+     *
+     * Every deleted file has a "deleted" property (see DiskInfo.DELETED) describing how likely it is that its contents
+     * (ie, aLBA) were recovered; see getDeletedChain() for details.  These FileInfo objects are NOT added to the file
+     * table, and sectors are NOT mapped to them.
+     *
+     * @this {DiskInfo}
+     * @param {number} [iVolume] (-1 for all volumes)
+     * @returns {Array.<FileInfo>}
+     */
+    getDeletedFiles(iVolume = -1)
+    {
+        let aFiles = [];
+        if (this.buildTables() >= 0) {
+            for (let i = 0; i < this.volTable.length; i++) {
+                if (iVolume >= 0 && i != iVolume) continue;
+                let vol = this.volTable[i];
+                if (vol.cdFormat) continue;
+                this.getDeletedEntries(vol, this.getRootSectors(vol), "", false, aFiles);
+                for (let iFile = 0; iFile < this.fileTable.length; iFile++) {
+                    let file = this.fileTable[iFile];
+                    if (file.iVolume != i || !(file.attr & DiskInfo.ATTR.SUBDIR) || file.name == "." || file.name == "..") continue;
+                    this.getDeletedEntries(vol, file.aLBA, file.path, false, aFiles);
+                }
+            }
         }
         return aFiles;
     }
 
+    /**
+     * getDeletedEntries(vol, aLBA, path, fDeletedDir, aFiles, iLevel)
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {Array.<number>} aLBA (directory sectors)
+     * @param {string} path (directory path, without a trailing backslash)
+     * @param {boolean} fDeletedDir (true if the directory itself was deleted, in which case all its entries are deleted)
+     * @param {Array.<FileInfo>} aFiles (any deleted files are appended to this array)
+     * @param {number} [iLevel] (nesting level of deleted subdirectories, as a guard against directory loops)
+     */
+    getDeletedEntries(vol, aLBA, path, fDeletedDir, aFiles, iLevel = 0)
+    {
+        let nEntriesPerSector = (vol.cbSector / DiskInfo.DIRENT.LENGTH) | 0;
+        for (let iSector = 0; iSector < aLBA.length; iSector++) {
+            let sector = this.getSector(aLBA[iSector]);
+            if (!sector) break;
+            for (let iEntry = 0; iEntry < nEntriesPerSector; iEntry++) {
+                let off = iEntry * DiskInfo.DIRENT.LENGTH;
+                let b = this.getSectorData(sector, off, 1);
+                if (b == DiskInfo.DIRENT.UNUSED) return;
+                if (b != DiskInfo.DIRENT.INVALID && !fDeletedDir) continue;
+                /*
+                 * Versions of DOS prior to 2.0 marked every available entry as INVALID, so we also skip any entry
+                 * whose remaining bytes are all zero, since it's unlikely to have ever been used.
+                 */
+                let i;
+                for (i = 1; i < DiskInfo.DIRENT.LENGTH; i++) {
+                    if (this.getSectorData(sector, off + i, 1)) break;
+                }
+                if (i == DiskInfo.DIRENT.LENGTH) continue;
+                let attr = this.getSectorData(sector, off + DiskInfo.DIRENT.ATTR, 1);
+                if (attr == DiskInfo.ATTR.LFN || (attr & DiskInfo.ATTR.VOLUME)) continue;
+                let name = (b == DiskInfo.DIRENT.INVALID? '?' : String.fromCharCode(b)) + this.getSectorString(sector, off + 1, 7);
+                let ext = this.getSectorString(sector, off + DiskInfo.DIRENT.EXT, 3).trim();
+                name = name.trim();
+                if (name == "." || name == "..") continue;
+                if (ext) name += '.' + ext;
+                let modDate = this.getSectorData(sector, off + DiskInfo.DIRENT.MODDATE, 2);
+                let modTime = this.getSectorData(sector, off + DiskInfo.DIRENT.MODTIME, 2);
+                let filePath = path + "\\" + name;
+                let date = this.getDate((modDate >> 9) + 1980, ((modDate >> 5) & 0xf) - 1, (modDate & 0x1f), (modTime >> 11), (modTime >> 5) & 0x3f, (modTime & 0x1f) << 1, this.diskName + ":" + filePath);
+                let size = this.getSectorData(sector, off + DiskInfo.DIRENT.SIZE, 4);
+                let cluster = this.getSectorData(sector, off + DiskInfo.DIRENT.CLUSTER, 2);
+                if (vol.nFATBits == 32) {
+                    cluster |= this.getSectorData(sector, off + DiskInfo.DIRENT.CLUSTER_HI, 2) << 16;
+                }
+                if (size < 0 || (attr & DiskInfo.ATTR.SUBDIR)) size = 0;
+                let cbCluster = vol.clusSecs * vol.cbSector;
+                let [status, aLBAFile] = this.getDeletedChain(vol, cluster, (attr & DiskInfo.ATTR.SUBDIR)? 1 : Math.ceil(size / cbCluster));
+                let file = new FileInfo(this, vol.iVolume, filePath, name, attr, date, size, cluster, aLBAFile);
+                file.deleted = status;
+                aFiles.push(file);
+                /*
+                 * If a deleted subdirectory's first cluster still looks like a subdirectory (ie, it begins with a "." entry),
+                 * then we look for files in it as well; all of those files are, by definition, deleted, too.
+                 */
+                if ((attr & DiskInfo.ATTR.SUBDIR) && status != DiskInfo.DELETED.OVERWRITTEN && aLBAFile.length && iLevel < 8) {
+                    let sectorDir = this.getSector(aLBAFile[0]);
+                    if (sectorDir && this.getSectorString(sectorDir, 0, 11) == ".          ") {
+                        this.getDeletedEntries(vol, aLBAFile, filePath, true, aFiles, iLevel + 1);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * getDeletedChain(vol, cluster, nClusters)
+     *
+     * When DOS deletes a file, it frees the file's clusters, so the only information left is the file's first cluster and
+     * its size.  Like the original UNDELETE utility, we assume that the file occupied the first cluster plus the clusters
+     * that follow it, skipping any that are currently in use.  The result is one of the following DiskInfo.DELETED values:
+     *
+     *      CONTIGUOUS: all the clusters were free and contiguous, so recovery is very likely to be accurate
+     *      FRAGMENTED: some in-use clusters were skipped, so the file may be (partially) recovered
+     *      PARTIAL: there weren't enough free clusters, so only part of the file was recovered
+     *      OVERWRITTEN: the first cluster is invalid or in use, so nothing was recovered
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {number} cluster (first cluster)
+     * @param {number} nClusters (expected number of clusters)
+     * @returns {Array} ([status, aLBA])
+     */
+    getDeletedChain(vol, cluster, nClusters)
+    {
+        let aLBA = [];
+        let status = DiskInfo.DELETED.CONTIGUOUS;
+        let clusterLimit = vol.clusTotal + DiskInfo.FAT12.CLUSNUM_MIN;
+        let isFree = (cluster) => !(this.getClusterEntry(vol, cluster, 0) | this.getClusterEntry(vol, cluster, 1));
+        if (nClusters) {
+            if (cluster < DiskInfo.FAT12.CLUSNUM_MIN || cluster >= clusterLimit || !isFree(cluster)) {
+                status = DiskInfo.DELETED.OVERWRITTEN;
+            } else {
+                while (nClusters > 0 && cluster < clusterLimit) {
+                    if (isFree(cluster)) {
+                        let lba = this.getClusterSector(vol, cluster);
+                        for (let i = 0; i < vol.clusSecs; i++) aLBA.push(lba + i);
+                        nClusters--;
+                    } else {
+                        status = DiskInfo.DELETED.FRAGMENTED;
+                    }
+                    cluster++;
+                }
+                if (nClusters) status = DiskInfo.DELETED.PARTIAL;
+            }
+        }
+        return [status, aLBA];
+    }
+
     /**
      * getModuleInfo(sModule, nSegment)
      *
@@ -2440,6 +3646,9 @@ export default class DiskInfo {
                 dir.size = 0;
             }
             dir.cluster = this.getSectorData(vol.sectorDirCache, off + DiskInfo.DIRENT.CLUSTER, 2);
+            if (vol.nFATBits == 32) {
+                dir.cluster |= this.getSectorData(vol.sectorDirCache, off + DiskInfo.DIRENT.CLUSTER_HI, 2) << 16;
+            }
             dir.aLBA = this.convertClusterToSectors(vol, dir);
             return true;
         }
@@ -2483,14 +3692,14 @@ export default class DiskInfo {
      * @this {DiskInfo}
      * @param {VolInfo} vol
      * @param {number} cluster
-     * @param {number} iByte (0 for low byte of cluster entry, 1 for high byte)
+     * @param {number} iByte (0 for low byte of cluster entry, 1 for high byte; for 32-bit FATs, 0 for low word, 1 for high word)
      * @returns {number}
      */
     getClusterEntry(vol, cluster, iByte)
     {
         let w = 0;
         let cbitsSector = vol.cbSector * 8;
-        let offBits = vol.nFATBits * cluster + (iByte? 8 : 0);
+        let offBits = vol.nFATBits * cluster + (iByte? (vol.nFATBits == 32? 16 : 8) : 0);
         let iSector = (offBits / cbitsSector) | 0;
         if (!vol.sectorFATCache || !vol.vbaFATCache || vol.vbaFATCache != vol.vbaFAT + iSector) {
             vol.vbaFATCache = vol.vbaFAT + iSector;
@@ -2499,6 +3708,14 @@ export default class DiskInfo {
         if (vol.sectorFATCache) {
             offBits = (offBits % cbitsSector) | 0;
             let off = (offBits >> 3);
+            if (vol.nFATBits == 32) {
+                /*
+                 * 32-bit FAT entries are always dword-aligned, so neither word of an entry can straddle a sector boundary.
+                 */
+                w = this.getSectorData(vol.sectorFATCache, off, 2);
+                if (iByte) w = (w & 0x0FFF) << 16;
+                return w;
+            }
             w = this.getSectorData(vol.sectorFATCache, off, 1);
             if (!iByte) {
                 if (offBits & 0x7) w >>= 4;
@@ -2838,14 +4055,22 @@ export default class DiskInfo {
      */
     rebuildSector(iCylinder, iHead, sector)
     {
-        if (sector[DiskInfo.SECTOR.CYLINDER] != undefined) {
-            this.assert(sector[DiskInfo.SECTOR.CYLINDER] == iCylinder);
+        /*
+         * A sector's cylinder and head usually match its track's, but not always (eg, sectors imported from IMD or TD0
+         * images whose ID fields say otherwise), so we preserve whatever was recorded.
+         */
+        let idCylinder = sector[DiskInfo.SECTOR.CYLINDER];
+        if (idCylinder != undefined) {
             delete sector[DiskInfo.SECTOR.CYLINDER];
+        } else {
+            idCylinder = iCylinder;
         }
 
-        if (sector[DiskInfo.SECTOR.HEAD] != undefined) {
-            this.assert(sector[DiskInfo.SECTOR.HEAD] == iHead);
+        let idHead = sector[DiskInfo.SECTOR.HEAD];
+        if (idHead != undefined) {
             delete sector[DiskInfo.SECTOR.HEAD];
+        } else {
+            idHead = iHead;
         }
 
         let dwPattern = sector['pattern'];
@@ -2881,8 +4106,8 @@ export default class DiskInfo {
             }
         }
 
-        sector[DiskInfo.SECTOR.CYLINDER] = iCylinder;
-        sector[DiskInfo.SECTOR.HEAD] = iHead;
+        sector[DiskInfo.SECTOR.CYLINDER] = idCylinder;
+        sector[DiskInfo.SECTOR.HEAD] = idHead;
         sector[DiskInfo.SECTOR.ID] = idSector;
         sector[DiskInfo.SECTOR.LENGTH] = cbSector;
         sector[DiskInfo.SECTOR.DATA] = adw;
@@ -3067,80 +4292,421 @@ export default class DiskInfo {
     }
 
     /**
-     * findFile(name, text)
+     * getIMD()
+     *
+     * Returns the disk as an ImageDisk (IMD) file (see buildDiskFromIMD() for the format).  If the disk came from an IMD
+     * (or TD0) file, then the original header, track modes, physical sector order, and sector cylinder/head maps are used;
+     * otherwise, we supply reasonable defaults.  Sector data errors and deleted data address marks are always preserved.
      *
      * @this {DiskInfo}
-     * @param {string} name
-     * @param {string} [text]
-     * @return {Object|null}
+     * @returns {Array.<number>|null} (array of bytes, or null if there's no disk data)
      */
-    findFile(name)
+    getIMD()
     {
-        let desc = null;
-        if (this.buildTables() > 0) {
-            name = name.toUpperCase();
-            if (this.fileTable) {
-                for (let i = 0; i < this.fileTable.length; i++) {
-                    let file = this.fileTable[i];
-                    if (name == file.name) {
-                        desc = this.getFileDesc(file, true);
-                        break;
+        if (!this.aDiskData) return null;
+        let ab = [];
+        let metaData = this.metaData || {};
+        let sHeader = metaData.header;
+        if (!sHeader) {
+            let date = new Date();
+            sHeader = this.device.sprintf("%s1.18: %02d/%02d/%04d %02d:%02d:%02d\r\n%s\r\n", DiskInfo.IMD.SIGNATURE, date.getDate(), date.getMonth() + 1, date.getFullYear(), date.getHours(), date.getMinutes(), date.getSeconds(), this.diskName);
+        }
+        for (let i = 0; i < sHeader.length; i++) ab.push(sHeader.charCodeAt(i) & 0xff);
+        ab.push(DiskInfo.IMD.COMMENT_END);
+
+        for (let iCylinder = 0; iCylinder < this.aDiskData.length; iCylinder++) {
+            for (let iHead = 0; iHead < this.aDiskData[iCylinder].length; iHead++) {
+                let trackInfo = metaData.tracks && metaData.tracks[iCylinder + ':' + iHead] || {};
+                let aSectors = this.getTrackSectors(iCylinder, iHead);
+                if (!aSectors.length) continue;
+                let nSectors = aSectors.length;
+                /*
+                 * Sector cylinder and head maps are written whenever the original image had them, or whenever a sector's
+                 * ID doesn't match the track.
+                 */
+                let aCylinders = [], aHeads = [];
+                if (trackInfo.aCylinders && trackInfo.aCylinders.length || aSectors.some((sector) => sector[DiskInfo.SECTOR.CYLINDER] != iCylinder)) {
+                    aCylinders = aSectors.map((sector) => sector[DiskInfo.SECTOR.CYLINDER] & 0xff);
+                }
+                if (trackInfo.aHeads && trackInfo.aHeads.length || aSectors.some((sector) => sector[DiskInfo.SECTOR.HEAD] != iHead)) {
+                    aHeads = aSectors.map((sector) => sector[DiskInfo.SECTOR.HEAD] & 0xff);
+                }
+                let cbSector = aSectors[0][DiskInfo.SECTOR.LENGTH];
+                let sizeCode = 0;
+                while (sizeCode < 7 && (128 << sizeCode) < cbSector) sizeCode++;
+                let fSizeTable = trackInfo.fSizeTable || (128 << sizeCode) != cbSector;
+                for (let i = 1; i < nSectors && !fSizeTable; i++) {
+                    if (aSectors[i][DiskInfo.SECTOR.LENGTH] != cbSector) fSizeTable = true;
+                }
+                let mode = trackInfo.mode;
+                if (mode == undefined) {
+                    mode = (nSectors * cbSector > 5120? 3 : 5);
+                }
+                ab.push(mode, iCylinder, iHead | (aCylinders.length? DiskInfo.IMD.HEAD.CYLMAP : 0) | (aHeads.length? DiskInfo.IMD.HEAD.HEADMAP : 0), nSectors, fSizeTable? DiskInfo.IMD.SIZE_TABLE : sizeCode);
+                for (let i = 0; i < nSectors; i++) ab.push(aSectors[i][DiskInfo.SECTOR.ID] & 0xff);
+                ab.push(...aCylinders, ...aHeads);
+                if (fSizeTable) {
+                    for (let i = 0; i < nSectors; i++) {
+                        let cb = aSectors[i][DiskInfo.SECTOR.LENGTH];
+                        ab.push(cb & 0xff, (cb >> 8) & 0xff);
+                    }
+                }
+                for (let i = 0; i < nSectors; i++) {
+                    let sector = aSectors[i];
+                    let dataMark = sector[DiskInfo.SECTOR.DATA_MARK];
+                    if (dataMark === DiskInfo.DAM.NONE) {
+                        ab.push(DiskInfo.IMD.DATA.UNAVAILABLE);
+                        continue;
+                    }
+                    let abSector = this.getSectorBytes(sector);
+                    let fCompressed = abSector.every((b) => b == abSector[0]);
+                    let type = DiskInfo.IMD.DATA.NORMAL;
+                    if (sector[DiskInfo.SECTOR.DATA_ERROR]) type = DiskInfo.IMD.DATA.ERROR;
+                    if (dataMark == DiskInfo.DAM.DELETED) type += DiskInfo.IMD.DATA.DELETED - DiskInfo.IMD.DATA.NORMAL;
+                    if (fCompressed) {
+                        ab.push(type + 1, abSector[0]);
+                    } else {
+                        ab.push(type, ...abSector);
                     }
                 }
             }
         }
-        return desc;
+        return ab;
     }
 
     /**
-     * getChecksum()
+     * getPSI()
      *
-     * NOTE: As noted in initSector(), our checksums are somewhat constrained by compatibility with previous JSON formats;
-     * in particular, for sectors that end with a repeating value, only the DATA values up to but NOT including that final
-     * repeating value are checksummed.
+     * Returns the disk as a PCE Sector Image (PSI) file (see buildDiskFromPSI() for the format).  If the disk came from a
+     * PSI file, then the original file and sector formats, SECT flags, and all other chunks (eg, TEXT, IBMM, and OFFS) are
+     * preserved; chunks that followed a particular sector are written after that sector's SECT chunk.  Deleted or missing
+     * data address marks are always preserved, using IBMM chunks.
      *
-     * Technically, the checksums we calculated for older JSON formats should have repeatedly summed their 'pattern' value
-     * as well.  But they didn't.  And I would like to avoid checksum warnings for anyone loading the new JSON format for the
-     * first time, due to an old checksum stored in their browser's local storage.  The warnings aren't fatal, but they do
-     * cause any saved machine state to be discarded, since the validity of a machine state is predicated on all the original
-     * inputs (including the original diskette images) matching the current inputs.  And while it's unfortunate that our
-     * checksums didn't (and still don't) sum the entire image, the limited purpose that they serve is still satisfied.
+     * @this {DiskInfo}
+     * @returns {Array.<number>|null} (array of bytes, or null if there's no disk data)
+     */
+    getPSI()
+    {
+        if (!this.aDiskData) return null;
+        let ab = [];
+        let metaData = this.metaData && this.metaData.format == "PSI"? this.metaData : {fileFormat: 0, sectorFormat: 0, aChunks: [], sectors: new Map()};
+
+        let putChunk = function(id, abData) {
+            let start = ab.length;
+            let cb = abData.length;
+            ab.push((id >>> 24) & 0xff, (id >> 16) & 0xff, (id >> 8) & 0xff, id & 0xff);
+            ab.push((cb >>> 24) & 0xff, (cb >> 16) & 0xff, (cb >> 8) & 0xff, cb & 0xff);
+            ab.push(...abData);
+            let crc = 0;
+            for (let i = start; i < ab.length; i++) {
+                crc ^= ab[i] << 24;
+                for (let j = 0; j < 8; j++) {
+                    crc = (crc & 0x80000000)? ((crc << 1) ^ DiskInfo.PSI.CRC_POLY) : (crc << 1);
+                }
+            }
+            ab.push((crc >>> 24) & 0xff, (crc >> 16) & 0xff, (crc >> 8) & 0xff, crc & 0xff);
+        };
+
+        putChunk(DiskInfo.PSI.CHUNK.PSI, [metaData.fileFormat >> 8, metaData.fileFormat & 0xff, metaData.sectorFormat >> 8, metaData.sectorFormat & 0xff]);
+        metaData.aChunks.forEach((chunk) => putChunk(chunk.id, chunk.ab));
+
+        for (let iCylinder = 0; iCylinder < this.aDiskData.length; iCylinder++) {
+            for (let iHead = 0; iHead < this.aDiskData[iCylinder].length; iHead++) {
+                let aSectors = this.getTrackSectors(iCylinder, iHead);
+                for (let i = 0; i < aSectors.length; i++) {
+                    let sector = aSectors[i];
+                    let sectorInfo = metaData.sectors.get(sector) || {flags: 0, aChunks: []};
+                    let cbSector = sector[DiskInfo.SECTOR.LENGTH];
+                    let abSector = this.getSectorBytes(sector);
+                    let flags = sectorInfo.flags & ~(DiskInfo.PSI.SECT.COMPRESSED | DiskInfo.PSI.SECT.DATA_ERROR);
+                    if (sector[DiskInfo.SECTOR.DATA_ERROR]) flags |= DiskInfo.PSI.SECT.DATA_ERROR;
+                    let fCompressed = abSector.every((b) => b == abSector[0]);
+                    if (fCompressed) flags |= DiskInfo.PSI.SECT.COMPRESSED;
+                    putChunk(DiskInfo.PSI.CHUNK.SECT, [iCylinder >> 8, iCylinder & 0xff, iHead, sector[DiskInfo.SECTOR.ID] & 0xff, cbSector >> 8, cbSector & 0xff, flags, fCompressed? abSector[0] : 0]);
+                    /*
+                     * Data address marks (and sector IDs that don't match the track) can only be recorded in an IBMM chunk,
+                     * so we update the sector's IBMM chunk if it has one, and create one if it needs one.
+                     */
+                    let dataMark = sector[DiskInfo.SECTOR.DATA_MARK];
+                    let flagsIBMM = (dataMark === DiskInfo.DAM.NONE? DiskInfo.PSI.IBMM.NO_DAM : (dataMark == DiskInfo.DAM.DELETED? DiskInfo.PSI.IBMM.DELETED : 0));
+                    let chunkIBMM = sectorInfo.aChunks.find((chunk) => chunk.id == DiskInfo.PSI.CHUNK.IBMM && chunk.ab.length >= DiskInfo.PSI.IBMM.LENGTH);
+                    if (chunkIBMM) {
+                        chunkIBMM.ab[DiskInfo.PSI.IBMM.FLAGS] = (chunkIBMM.ab[DiskInfo.PSI.IBMM.FLAGS] & ~(DiskInfo.PSI.IBMM.DELETED | DiskInfo.PSI.IBMM.NO_DAM)) | flagsIBMM;
+                    } else if (flagsIBMM || sector[DiskInfo.SECTOR.CYLINDER] != iCylinder || sector[DiskInfo.SECTOR.HEAD] != iHead) {
+                        let sizeCode = 0;
+                        while (sizeCode < 7 && (128 << sizeCode) < cbSector) sizeCode++;
+                        if (sector[DiskInfo.SECTOR.DATA_ERROR]) flagsIBMM |= DiskInfo.PSI.IBMM.DATA_ERROR;
+                        putChunk(DiskInfo.PSI.CHUNK.IBMM, [sector[DiskInfo.SECTOR.CYLINDER] & 0xff, sector[DiskInfo.SECTOR.HEAD] & 0xff, sector[DiskInfo.SECTOR.ID] & 0xff, sizeCode, flagsIBMM, 0]);
+                    }
+                    sectorInfo.aChunks.forEach((chunk) => putChunk(chunk.id, chunk.ab));
+                    if (!fCompressed) putChunk(DiskInfo.PSI.CHUNK.DATA, abSector);
+                }
+            }
+        }
+        putChunk(DiskInfo.PSI.CHUNK.END, []);
+        return ab;
+    }
+
+    /**
+     * getSectorBytes(sector)
      *
-     * TODO: Add a new "full" checksum property to DiskInfo that checksums the entire disk image, including repeated values,
-     * along with an option to return the "full" checksum here.
+     * @this {DiskInfo}
+     * @param {Sector} sector
+     * @returns {Array.<number>} (array of bytes)
+     */
+    getSectorBytes(sector)
+    {
+        let ab = [];
+        let cb = sector[DiskInfo.SECTOR.LENGTH];
+        for (let i = 0; i < cb; i++) {
+            let b = this.read(sector, i);
+            this.assert(b >= 0);
+            ab.push(b);
+        }
+        return ab;
+    }
+
+    /**
+     * getTrackSectors(iCylinder, iHead)
+     *
+     * Returns the sectors of the specified track in physical order; see initGeometry() for why that may differ from the
+     * order in aDiskData.
      *
      * @this {DiskInfo}
-     * @returns {number}
+     * @param {number} iCylinder
+     * @param {number} iHead
+     * @returns {Array.<Sector>}
      */
-    getChecksum()
+    getTrackSectors(iCylinder, iHead)
     {
-        return this.dwChecksum;
+        let aSectors = this.aDiskData[iCylinder][iHead] || [];
+        let trackInfo = this.metaData && this.metaData.tracks && this.metaData.tracks[iCylinder + ':' + iHead];
+        if (trackInfo && trackInfo.aIDs.length == aSectors.length) {
+            let aOrdered = trackInfo.aIDs.map((id) => aSectors.find((sector) => sector[DiskInfo.SECTOR.ID] == id));
+            if (new Set(aOrdered).size == aSectors.length && aOrdered.indexOf(undefined) < 0) aSectors = aOrdered;
+        }
+        return aSectors;
     }
 
     /**
-     * getFormat()
+     * findFile(name, text, options)
      *
-     * For disks that match a standard "PC" disk geometry AND contain 1 or more FAT volumes,
-     * this returns a "PCxxxK" string; otherwise, it returns "Unknown".  Additionally, if any
-     * sector contains a non-standard "marker", eg:
+     * Without any text, this returns the descriptor of the first file matching name.  With text, the contents of
+     * every file matching name (or of every file, if name is empty or "*") are searched instead, and an array of matches
+     * is returned.  Each match contains the descriptor of the file (desc), the offset of the match within the file
+     * (offset), and the bytes surrounding the match (context), with any non-printable bytes converted to periods.
      *
-     *      dataCRC
-     *      dataError
-     *      dataMark
-     *      headCRC
-     *      headError
+     * The following search options are supported:
      *
-     * or a non-standard sector ID, then the string will be flagged with an asterisk (eg, "PC360K*",
-     * "Unknown*", etc.)
+     *      ignoreCase: true to ignore differences in case (ASCII letters only)
+     *      hex: true if text contains hex bytes (eg, "CD 21" or "CD21") rather than characters
+     *      unused: true to search unused space as well (ie, free clusters, including those of deleted files, and
+     *              any slack space following the end of every file); matches in unused space have a null desc, along
+     *              with the volume (iVolume) and LBA (lba) of the sector containing the match
+     *      context: number of bytes of context to include before and after each match (default is 16)
      *
      * @this {DiskInfo}
-     * @returns {string}
+     * @param {string} name
+     * @param {string} [text]
+     * @param {Object} [options]
+     * @return {Object|Array|null}
      */
-    getFormat()
+    findFile(name, text, options = {})
     {
-        let flags = "";
-        let sFormat = "Unknown";
-        let markers = [
+        let desc = null;
+        let aMatches = [];
+        if (this.buildTables() > 0) {
+            name = name.toUpperCase();
+            if (this.fileTable) {
+                let abPattern = this.getSearchPattern(text, options.hex);
+                for (let i = 0; i < this.fileTable.length; i++) {
+                    let file = this.fileTable[i];
+                    if (text === undefined) {
+                        if (name == file.name) {
+                            desc = this.getFileDesc(file, true);
+                            break;
+                        }
+                        continue;
+                    }
+                    if (!abPattern || name && name != "*" && name != file.name || !file.size) continue;
+                    if (file.attr & (DiskInfo.ATTR.SUBDIR | DiskInfo.ATTR.VOLUME)) continue;
+                    let ab = new Array(file.size);
+                    this.readSectorArray(file, ab);
+                    this.findPattern(ab, abPattern, options).forEach((match) => {
+                        match.desc = this.getFileDesc(file);
+                        aMatches.push(match);
+                    });
+                }
+                if (abPattern && options.unused) {
+                    for (let iVolume = 0; iVolume < this.volTable.length; iVolume++) {
+                        this.findUnused(this.volTable[iVolume], abPattern, options, aMatches);
+                    }
+                }
+            }
+        }
+        return text === undefined? desc : aMatches;
+    }
+
+    /**
+     * findUnused(vol, abPattern, options, aMatches)
+     *
+     * Searches all the unused space in the data area of the given volume, treating each run of unused bytes (which may
+     * span any number of consecutive sectors) as a single block, so that matches can span sector boundaries as well.
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {Array.<number>} abPattern
+     * @param {Object} options
+     * @param {Array.<Object>} aMatches (any matches are appended to this array)
+     */
+    findUnused(vol, abPattern, options, aMatches)
+    {
+        let ab = [], aLBA = [];
+        let searchBlock = () => {
+            this.findPattern(ab, abPattern, options).forEach((match) => {
+                let entry = aLBA.find((entry) => entry.off <= match.offset && match.offset < entry.off + entry.cb);
+                match.desc = null;
+                match.iVolume = vol.iVolume;
+                match.lba = entry.lba;
+                match.offset = entry.offSector + match.offset - entry.off;
+                aMatches.push(match);
+            });
+            ab = [];
+            aLBA = [];
+        };
+        let lbaEnd = vol.lbaStart + vol.lbaTotal;
+        for (let lba = vol.lbaStart + vol.vbaData; lba < lbaEnd; lba++) {
+            let sector = this.getSector(lba);
+            if (!sector) break;
+            let cbSector = sector[DiskInfo.SECTOR.LENGTH];
+            /*
+             * Unlike getUnusedSectorData(), we treat any sectors belonging to a subdirectory as used, and any sectors
+             * following the end of a file as entirely unused.
+             */
+            let offSector = 0;
+            let file = this.fileTable[sector[DiskInfo.SECTOR.FILE_INDEX]];
+            if (file) {
+                offSector = Math.max(file.size - sector[DiskInfo.SECTOR.FILE_OFFSET], 0);
+                if (offSector >= cbSector || (file.attr & DiskInfo.ATTR.SUBDIR)) offSector = -1;
+            }
+            if (offSector > 0 || offSector < 0) {
+                if (ab.length) searchBlock();
+                if (offSector < 0) continue;
+            }
+            aLBA.push({lba, off: ab.length, offSector, cb: cbSector - offSector});
+            for (let i = offSector; i < cbSector; i++) ab.push(this.read(sector, i));
+        }
+        if (ab.length) searchBlock();
+    }
+
+    /**
+     * findPattern(ab, abPattern, options)
+     *
+     * @this {DiskInfo}
+     * @param {Array.<number>} ab
+     * @param {Array.<number>} abPattern
+     * @param {Object} options (see findFile())
+     * @returns {Array.<Object>} (array of matches, each with offset and context properties)
+     */
+    findPattern(ab, abPattern, options)
+    {
+        let aMatches = [];
+        let cbContext = options.context >= 0? +options.context : 16;
+        let fold = (b) => (options.ignoreCase && b >= 0x61 && b <= 0x7A? b - 0x20 : b);
+        for (let off = 0; off <= ab.length - abPattern.length; off++) {
+            let i;
+            for (i = 0; i < abPattern.length; i++) {
+                if (fold(ab[off + i]) != fold(abPattern[i])) break;
+            }
+            if (i == abPattern.length) {
+                let context = "";
+                let offEnd = Math.min(off + abPattern.length + cbContext, ab.length);
+                for (i = Math.max(off - cbContext, 0); i < offEnd; i++) {
+                    context += (ab[i] >= 0x20 && ab[i] < 0x7F? String.fromCharCode(ab[i]) : '.');
+                }
+                aMatches.push({offset: off, context});
+                off += abPattern.length - 1;
+            }
+        }
+        return aMatches;
+    }
+
+    /**
+     * getSearchPattern(text, fHex)
+     *
+     * @this {DiskInfo}
+     * @param {string} [text]
+     * @param {boolean} [fHex] (true if text contains hex bytes)
+     * @returns {Array.<number>|null}
+     */
+    getSearchPattern(text, fHex)
+    {
+        let abPattern = null;
+        if (text) {
+            abPattern = [];
+            if (fHex) {
+                let s = text.replace(/[\s,]/g, "");
+                if (!s.match(/^([0-9a-f]{2})+$/i)) {
+                    this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: invalid hex pattern (%s)\n", this.diskName, text);
+                    return null;
+                }
+                for (let i = 0; i < s.length; i += 2) abPattern.push(parseInt(s.substr(i, 2), 16));
+            } else {
+                for (let i = 0; i < text.length; i++) abPattern.push(text.charCodeAt(i) & 0xff);
+            }
+        }
+        return abPattern;
+    }
+
+    /**
+     * getChecksum()
+     *
+     * NOTE: As noted in initSector(), our checksums are somewhat constrained by compatibility with previous JSON formats;
+     * in particular, for sectors that end with a repeating value, only the DATA values up to but NOT including that final
+     * repeating value are checksummed.
+     *
+     * Technically, the checksums we calculated for older JSON formats should have repeatedly summed their 'pattern' value
+     * as well.  But they didn't.  And I would like to avoid checksum warnings for anyone loading the new JSON format for the
+     * first time, due to an old checksum stored in their browser's local storage.  The warnings aren't fatal, but they do
+     * cause any saved machine state to be discarded, since the validity of a machine state is predicated on all the original
+     * inputs (including the original diskette images) matching the current inputs.  And while it's unfortunate that our
+     * checksums didn't (and still don't) sum the entire image, the limited purpose that they serve is still satisfied.
+     *
+     * TODO: Add a new "full" checksum property to DiskInfo that checksums the entire disk image, including repeated values,
+     * along with an option to return the "full" checksum here.
+     *
+     * @this {DiskInfo}
+     * @returns {number}
+     */
+    getChecksum()
+    {
+        return this.dwChecksum;
+    }
+
+    /**
+     * getFormat()
+     *
+     * For disks that match a standard "PC" disk geometry AND contain 1 or more FAT volumes,
+     * this returns a "PCxxxK" string; otherwise, it returns "Unknown".  Additionally, if any
+     * sector contains a non-standard "marker", eg:
+     *
+     *      dataCRC
+     *      dataError
+     *      dataMark
+     *      headCRC
+     *      headError
+     *
+     * or a non-standard sector ID, then the string will be flagged with an asterisk (eg, "PC360K*",
+     * "Unknown*", etc.)
+     *
+     * @this {DiskInfo}
+     * @returns {string}
+     */
+    getFormat()
+    {
+        let flags = "";
+        let sFormat = "Unknown";
+        let markers = [
             DiskInfo.SECTOR.DATA_CRC,
             DiskInfo.SECTOR.DATA_ERROR,
             DiskInfo.SECTOR.DATA_MARK,
@@ -3439,9 +5005,10 @@ export default class DiskInfo {
                 let idw = iByte >> 2;
                 let nShift = (iByte & 0x3) << 3;
                 /*
-                 * Ensure every byte up to the specified byte is properly initialized.
+                 * Ensure every byte up to the specified byte is properly initialized, along with the dword that follows
+                 * it (if any), so that the rest of the sector continues to repeat the original pattern.
                  */
-                for (let i = adw.length; i <= idw; i++) adw[i] = dwPattern;
+                for (let i = adw.length; i <= idw + 1 && i < (sector[DiskInfo.SECTOR.LENGTH] >> 2); i++) adw[i] = dwPattern;
                 /*
                  * Non-writable disks don't need to track modifications, and the only way we can get here
                  * on a non-writable disk is if this is a "forced" write, which again doesn't need to be tracked.
@@ -3495,7 +5062,12 @@ export default class DiskInfo {
                      * fields are in sync with the existing BPB fields.
                      */
                     let bOpcode = db.readUInt8(0);
-                    if (bOpcode == CPUx86.OPCODE.CLD) {
+                    /*
+                     * On FAT32 volumes, the BPB extends all the way to BPB32.END (and our extended BPB fields don't apply).
+                     */
+                    let fFAT32 = (this.volTable[iVolume].nFATBits == 32);
+                    let offBPBEnd = fFAT32? DiskInfo.BPB32.END : DiskInfo.BPB.END;
+                    if (bOpcode == CPUx86.OPCODE.CLD && !fFAT32) {
                         let nSecBytes = this.getSectorData(sectorBoot, DiskInfo.BPB.SECBYTES, 2);
                         let nFATs = this.getSectorData(sectorBoot, DiskInfo.BPB.FATS, 1);
                         let nFATSecs = this.getSectorData(sectorBoot, DiskInfo.BPB.FATSECS, 2);
@@ -3513,7 +5085,7 @@ export default class DiskInfo {
                     }
                     for (let ib = 0; ib < cb; ib++) {
                         if (!fReplaceBPB) {
-                            if (ib >= DiskInfo.BPB.BEGIN && ib < DiskInfo.BPB.END) continue;
+                            if (ib >= DiskInfo.BPB.BEGIN && ib < offBPBEnd) continue;
                         }
                         let b = db.readUInt8(ib);
                         if (!this.write(sectorBoot, ib, b, true)) {
@@ -3526,6 +5098,866 @@ export default class DiskInfo {
         }
         return fSuccess;
     }
+
+    /**
+     * addFile(sPath, db, dateMod, bAttr, iVolume)
+     *
+     * Adds a new file to an existing FAT volume.  The parent directory must already exist, and the file must not;
+     * the only sectors modified are those of the parent directory, the FAT(s), and the clusters allocated to the file.
+     *
+     * @this {DiskInfo}
+     * @param {string} sPath (eg, "\\DIR\\FILE.TXT")
+     * @param {DataBuffer} db (contents of the new file)
+     * @param {Date} [dateMod] (default is the current date and time)
+     * @param {number} [bAttr] (default is DiskInfo.ATTR.ARCHIVE)
+     * @param {number} [iVolume] (default is first volume)
+     * @returns {boolean} (true if successful, false otherwise)
+     */
+    addFile(sPath, db, dateMod = new Date(), bAttr = DiskInfo.ATTR.ARCHIVE, iVolume = 0)
+    {
+        let fSuccess = false;
+        let [vol, dir, sName] = this.getParentDir(sPath, iVolume);
+        if (vol) {
+            sName = this.buildShortName(sName);
+            let cbCluster = vol.clusSecs * vol.cbSector;
+            let nClusters = Math.ceil(db.length / cbCluster);
+            let entry = this.getFreeDirEntry(vol, dir, sName, nClusters);
+            if (entry) {
+                let aClusters = this.allocClusters(vol, nClusters);
+                for (let i = 0; i < aClusters.length; i++) {
+                    this.setClusterData(vol, aClusters[i], db, i * cbCluster);
+                }
+                let ab = [];
+                this.buildDirEntry(ab, 0, sName, db.length, bAttr, dateMod, aClusters.length? aClusters[0] : 0);
+                this.setSectorBytes(entry.sector, entry.off, ab);
+                fSuccess = true;
+            }
+            this.updateVolume(vol);
+        }
+        return fSuccess;
+    }
+
+    /**
+     * makeDir(sPath, dateMod, iVolume)
+     *
+     * Adds a new (empty) subdirectory to an existing FAT volume; see addFile() for details.
+     *
+     * @this {DiskInfo}
+     * @param {string} sPath (eg, "\\DIR\\SUBDIR")
+     * @param {Date} [dateMod] (default is the current date and time)
+     * @param {number} [iVolume] (default is first volume)
+     * @returns {boolean} (true if successful, false otherwise)
+     */
+    makeDir(sPath, dateMod = new Date(), iVolume = 0)
+    {
+        let fSuccess = false;
+        let [vol, dir, sName] = this.getParentDir(sPath, iVolume);
+        if (vol) {
+            sName = this.buildShortName(sName);
+            let entry = this.getFreeDirEntry(vol, dir, sName, 1);
+            if (entry) {
+                let [cluster] = this.allocClusters(vol, 1);
+                let ab = [];
+                /*
+                 * A ".." entry that refers to the root directory always contains cluster 0, even on FAT32 volumes.
+                 */
+                this.buildDir(ab, [], dateMod, cluster, dir.path == "\\"? 0 : dir.cluster);
+                this.setClusterData(vol, cluster);
+                this.setSectorBytes(this.getSector(this.getClusterSector(vol, cluster)), 0, ab);
+                ab = [];
+                this.buildDirEntry(ab, 0, sName, 0, DiskInfo.ATTR.SUBDIR, dateMod, cluster);
+                this.setSectorBytes(entry.sector, entry.off, ab);
+                fSuccess = true;
+            }
+            this.updateVolume(vol);
+        }
+        return fSuccess;
+    }
+
+    /**
+     * deleteFile(sPath, iVolume)
+     *
+     * Deletes a file (or an empty subdirectory) from an existing FAT volume, the same way DOS does: the first byte
+     * of its directory entry is set to DIRENT.INVALID, and all the clusters in its chain are freed.  Any long filename
+     * (LFN) entries that precede the entry are marked as deleted as well.
+     *
+     * @this {DiskInfo}
+     * @param {string} sPath (eg, "\\DIR\\FILE.TXT")
+     * @param {number} [iVolume] (default is first volume)
+     * @returns {boolean} (true if successful, false otherwise)
+     */
+    deleteFile(sPath, iVolume = 0)
+    {
+        let fSuccess = false;
+        let [vol, dir, sName] = this.getParentDir(sPath, iVolume);
+        if (vol) {
+            let entry = this.findDirEntry(vol, dir.aLBA, sName);
+            if (!entry) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: %s not found\n", this.diskName, sPath);
+            } else if (sName == "." || sName == "..") {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: %s cannot be deleted\n", this.diskName, sPath);
+            } else if ((entry.attr & DiskInfo.ATTR.SUBDIR) && this.findDirEntry(vol, this.convertClusterToSectors(vol, /** @type {DirInfo} */ ({name: sName, cluster: entry.cluster})), "")) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: %s is not empty\n", this.diskName, sPath);
+            } else {
+                this.freeClusters(vol, entry.cluster);
+                for (let lfn of entry.aLFN) this.write(lfn.sector, lfn.off, DiskInfo.DIRENT.INVALID, true);
+                this.write(entry.sector, entry.off, DiskInfo.DIRENT.INVALID, true);
+                fSuccess = true;
+            }
+            this.updateVolume(vol);
+        }
+        return fSuccess;
+    }
+
+    /**
+     * renameFile(sPath, sNewName, iVolume)
+     *
+     * Renames a file (or subdirectory) on an existing FAT volume; the file remains in the same directory, and only its
+     * directory entry is modified (any long filename entries that precede it are marked as deleted, since they would no
+     * longer match).
+     *
+     * @this {DiskInfo}
+     * @param {string} sPath (eg, "\\DIR\\FILE.TXT")
+     * @param {string} sNewName (eg, "FILE.BAK")
+     * @param {number} [iVolume] (default is first volume)
+     * @returns {boolean} (true if successful, false otherwise)
+     */
+    renameFile(sPath, sNewName, iVolume = 0)
+    {
+        let fSuccess = false;
+        let [vol, dir, sName] = this.getParentDir(sPath, iVolume);
+        if (vol) {
+            let entry = this.findDirEntry(vol, dir.aLBA, sName);
+            sNewName = this.buildShortName(sNewName);
+            if (!entry) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: %s not found\n", this.diskName, sPath);
+            } else if (sName == "." || sName == ".." || !sNewName) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: %s cannot be renamed\n", this.diskName, sPath);
+            } else if (sNewName != sName && this.findDirEntry(vol, dir.aLBA, sNewName)) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: %s%s already exists\n", this.diskName, dir.path, sNewName);
+            } else {
+                let ab = [];
+                this.buildDirEntry(ab, 0, sNewName, 0, 0, null, 0);
+                this.setSectorBytes(entry.sector, entry.off + DiskInfo.DIRENT.NAME, ab.slice(0, DiskInfo.DIRENT.ATTR));
+                for (let lfn of entry.aLFN) this.write(lfn.sector, lfn.off, DiskInfo.DIRENT.INVALID, true);
+                fSuccess = true;
+            }
+            this.updateVolume(vol);
+        }
+        return fSuccess;
+    }
+
+    /**
+     * getParentDir(sPath, iVolume)
+     *
+     * Splits the given path into a parent directory and a name, after (re)building the volume and file tables,
+     * so that all the volume information used by the modification functions is current.
+     *
+     * The directory object we return contains the directory's path (with a trailing backslash), its starting
+     * cluster (zero for the fixed root directory of a FAT12 or FAT16 volume), and its sectors.
+     *
+     * @this {DiskInfo}
+     * @param {string} sPath
+     * @param {number} iVolume
+     * @returns {Array} ([vol, dir, sName], where vol is null if the volume or parent directory doesn't exist)
+     */
+    getParentDir(sPath, iVolume)
+    {
+        let vol = null, dir = null, sName = "";
+        if (this.buildTables(true) >= 0) {
+            if (iVolume < 0 || iVolume >= this.volTable.length) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: volume %d does not exist\n", this.diskName, iVolume);
+            } else if (this.volTable[iVolume].cdFormat) {
+                this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: volume %d is a read-only %s volume\n", this.diskName, iVolume, this.volTable[iVolume].cdFormat);
+            } else {
+                let aParts = sPath.toUpperCase().split(/[\\/]+/).filter((s) => s.length > 0);
+                sName = aParts.pop() || "";
+                let path = "\\" + aParts.join("\\");
+                vol = this.volTable[iVolume];
+                if (!aParts.length) {
+                    dir = {path, cluster: vol.clusRoot, aLBA: this.getRootSectors(vol)};
+                } else {
+                    let file = this.fileTable.find((file) => file.iVolume == iVolume && file.path == path && (file.attr & DiskInfo.ATTR.SUBDIR));
+                    if (file) {
+                        dir = {path: path + "\\", cluster: file.cluster, aLBA: file.aLBA};
+                    } else {
+                        this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: directory %s not found\n", this.diskName, path);
+                        vol = null;
+                    }
+                }
+                if (vol && !sName) {
+                    this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: missing file name in %s\n", this.diskName, sPath);
+                    vol = null;
+                }
+            }
+        }
+        return [vol, dir, sName];
+    }
+
+    /**
+     * getRootSectors(vol)
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @returns {Array.<number>} of LBAs of the volume's root directory
+     */
+    getRootSectors(vol)
+    {
+        let aLBA = [];
+        if (vol.clusRoot) {
+            aLBA = this.convertClusterToSectors(vol, /** @type {DirInfo} */ ({name: "\\", cluster: vol.clusRoot}));
+        } else {
+            for (let vba = vol.vbaRoot; vba < vol.vbaData; vba++) aLBA.push(vol.lbaStart + vba);
+        }
+        return aLBA;
+    }
+
+    /**
+     * findDirEntry(vol, aLBA, sName)
+     *
+     * Searches the directory sectors in aLBA for an entry matching sName; volume label and long filename (LFN) entries
+     * never match.  If sName is null, the first available (unused or deleted) entry is returned instead, and if sName is
+     * an empty string, the first entry that isn't "." or ".." is returned (which is a simple way to check for an empty
+     * directory).
+     *
+     * The entry object we return contains the directory sector and the offset of the entry within that sector, along
+     * with the entry's attributes, its starting cluster, and any LFN entries immediately preceding it (aLFN).
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {Array.<number>} aLBA
+     * @param {string|null} sName
+     * @returns {Object|null}
+     */
+    findDirEntry(vol, aLBA, sName)
+    {
+        let aLFN = [];
+        let dir = /** @type {DirInfo} */ ({});
+        let nEntriesPerSector = (vol.cbSector / DiskInfo.DIRENT.LENGTH) | 0;
+        for (let iSector = 0; iSector < aLBA.length; iSector++) {
+            for (let iEntry = 0; iEntry < nEntriesPerSector; iEntry++) {
+                let fEntry = this.getDirEntry(vol, dir, aLBA[iSector], iEntry);
+                let entry = {sector: vol.sectorDirCache, off: iEntry * DiskInfo.DIRENT.LENGTH, attr: dir.attr, cluster: dir.cluster, aLFN};
+                if (!entry.sector) return null;
+                if (sName == null) {
+                    if (!fEntry || dir.name == null) return entry;
+                    continue;
+                }
+                if (!fEntry) return null;
+                if (dir.name == null) {
+                    aLFN = [];
+                } else if (dir.attr == DiskInfo.ATTR.LFN) {
+                    aLFN.push(entry);
+                } else {
+                    if (!(dir.attr & DiskInfo.ATTR.VOLUME)) {
+                        if (sName? dir.name == sName : dir.name != "." && dir.name != "..") return entry;
+                    }
+                    aLFN = [];
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * getFreeDirEntry(vol, dir, sName, nClusters)
+     *
+     * Verifies that sName doesn't already exist in the given directory, and that there is room for nClusters (plus
+     * another cluster, if the directory itself must be extended to make room for a new entry), and then returns an
+     * available directory entry.  A directory is extended by chaining a new (zeroed) cluster to it, which is possible
+     * for any directory other than the fixed root directory of a FAT12 or FAT16 volume.
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {Object} dir (from getParentDir())
+     * @param {string} sName
+     * @param {number} nClusters
+     * @returns {Object|null} (see findDirEntry())
+     */
+    getFreeDirEntry(vol, dir, sName, nClusters)
+    {
+        if (this.findDirEntry(vol, dir.aLBA, sName)) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: %s%s already exists\n", this.diskName, dir.path, sName);
+            return null;
+        }
+        let entry = this.findDirEntry(vol, dir.aLBA, null);
+        if (!entry && !dir.cluster) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: directory %s is full\n", this.diskName, dir.path);
+            return null;
+        }
+        if (nClusters + (entry? 0 : 1) > vol.clusFree) {
+            this.printf(Device.MESSAGE.DISK + Device.MESSAGE.ERROR, "%s error: insufficient space for %s%s (%d cluster(s) free)\n", this.diskName, dir.path, sName, vol.clusFree);
+            return null;
+        }
+        if (!entry) {
+            let clusterLast = dir.cluster, cluster;
+            while ((cluster = this.getClusterEntry(vol, clusterLast, 0) | this.getClusterEntry(vol, clusterLast, 1)) >= DiskInfo.FAT12.CLUSNUM_MIN && cluster <= vol.clusMax) {
+                clusterLast = cluster;
+            }
+            [cluster] = this.allocClusters(vol, 1, clusterLast);
+            this.setClusterData(vol, cluster);
+            entry = {sector: this.getSector(this.getClusterSector(vol, cluster)), off: 0, attr: 0, cluster: 0, aLFN: []};
+        }
+        return entry;
+    }
+
+    /**
+     * getClusterSector(vol, cluster)
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {number} cluster
+     * @returns {number} (LBA of the first sector of the cluster)
+     */
+    getClusterSector(vol, cluster)
+    {
+        return vol.lbaStart + vol.vbaData + (cluster - DiskInfo.FAT12.CLUSNUM_MIN) * vol.clusSecs;
+    }
+
+    /**
+     * setClusterData(vol, cluster, db, off)
+     *
+     * Writes an entire cluster, using data from the given buffer (if any) and zeros for any remaining bytes.
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {number} cluster
+     * @param {DataBuffer} [db]
+     * @param {number} [off] (offset within db)
+     */
+    setClusterData(vol, cluster, db, off = 0)
+    {
+        let lba = this.getClusterSector(vol, cluster);
+        for (let i = 0; i < vol.clusSecs; i++) {
+            let sector = this.getSector(lba++);
+            if (!sector) break;
+            for (let ib = 0; ib < vol.cbSector; ib++, off++) {
+                this.write(sector, ib, db && off < db.length? db.readUInt8(off) : 0, true);
+            }
+        }
+    }
+
+    /**
+     * setSectorBytes(sector, off, ab)
+     *
+     * @this {DiskInfo}
+     * @param {Sector} sector
+     * @param {number} off (byte offset)
+     * @param {Array.<number>} ab
+     */
+    setSectorBytes(sector, off, ab)
+    {
+        for (let i = 0; i < ab.length; i++) {
+            this.write(sector, off + i, ab[i], true);
+        }
+    }
+
+    /**
+     * setClusterEntry(vol, cluster, v)
+     *
+     * This is the counterpart to getClusterEntry(), except that it updates the entry in every copy of the FAT.
+     * On FAT32 volumes, the top 4 bits of the entry are preserved.
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {number} cluster
+     * @param {number} v
+     */
+    setClusterEntry(vol, cluster, v)
+    {
+        let offBits = vol.nFATBits * cluster;
+        let nBytes = (vol.nFATBits == 12? 2 : vol.nFATBits >> 3);
+        let mask = (vol.nFATBits == 32? 0x0FFFFFFF : (1 << vol.nFATBits) - 1);
+        if (offBits & 0x7) {
+            v <<= 4;
+            mask <<= 4;
+        }
+        for (let iFAT = 0; iFAT < vol.nFATs; iFAT++) {
+            let off = (offBits >> 3);
+            for (let i = 0; i < nBytes; i++, off++) {
+                let sector = this.getSector(vol.lbaStart + vol.vbaFAT + iFAT * vol.nFATSecs + ((off / vol.cbSector) | 0));
+                if (!sector) break;
+                let iByte = off % vol.cbSector;
+                let m = (mask >>> (i << 3)) & 0xff;
+                this.write(sector, iByte, (this.read(sector, iByte) & ~m) | ((v >>> (i << 3)) & m), true);
+            }
+        }
+    }
+
+    /**
+     * allocClusters(vol, nClusters, clusterPrev)
+     *
+     * Allocates the first nClusters free clusters and chains them together; if clusterPrev is specified, that cluster
+     * is chained to the new clusters as well.  The caller is responsible for ensuring that enough clusters are free.
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {number} nClusters
+     * @param {number} [clusterPrev]
+     * @returns {Array.<number>} (the allocated clusters)
+     */
+    allocClusters(vol, nClusters, clusterPrev = 0)
+    {
+        let aClusters = [];
+        for (let cluster = DiskInfo.FAT12.CLUSNUM_MIN; cluster < vol.clusTotal + DiskInfo.FAT12.CLUSNUM_MIN && aClusters.length < nClusters; cluster++) {
+            if (!(this.getClusterEntry(vol, cluster, 0) | this.getClusterEntry(vol, cluster, 1))) aClusters.push(cluster);
+        }
+        this.assert(aClusters.length == nClusters);
+        let clusterEOC = (vol.nFATBits == 12? DiskInfo.FAT12.CLUSNUM_EOC : (vol.nFATBits == 16? DiskInfo.FAT16.CLUSNUM_EOC : DiskInfo.FAT32.CLUSNUM_EOC)) | 0x7;
+        for (let i = 0; i < aClusters.length; i++) {
+            if (!i && clusterPrev) this.setClusterEntry(vol, clusterPrev, aClusters[i]);
+            this.setClusterEntry(vol, aClusters[i], i < aClusters.length - 1? aClusters[i + 1] : clusterEOC);
+        }
+        vol.clusFree -= aClusters.length;
+        return aClusters;
+    }
+
+    /**
+     * freeClusters(vol, cluster)
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     * @param {number} cluster (first cluster of the chain to free)
+     */
+    freeClusters(vol, cluster)
+    {
+        let nClusters = vol.clusTotal;
+        while (cluster >= DiskInfo.FAT12.CLUSNUM_MIN && cluster <= vol.clusMax && nClusters--) {
+            let clusterNext = this.getClusterEntry(vol, cluster, 0) | this.getClusterEntry(vol, cluster, 1);
+            this.setClusterEntry(vol, cluster, DiskInfo.FAT12.CLUSNUM_FREE);
+            vol.clusFree++;
+            cluster = clusterNext;
+        }
+    }
+
+    /**
+     * updateVolume(vol)
+     *
+     * Called after a volume has been modified, to rebuild the volume and file tables.  On FAT32 volumes, the FSInfo
+     * free cluster count is updated first, and the next free cluster hint is reset to "unknown".
+     *
+     * @this {DiskInfo}
+     * @param {VolInfo} vol
+     */
+    updateVolume(vol)
+    {
+        if (vol.vbaFSInfo) {
+            let sectorInfo = this.getSector(vol.lbaStart + vol.vbaFSInfo);
+            if (sectorInfo && this.getSectorData(sectorInfo, DiskInfo.FSINFO.LEADSIG, 4) == DiskInfo.FSINFO.LEADSIG_VALUE) {
+                let ab = [];
+                for (let i = 0; i < 4; i++) ab.push((vol.clusFree >>> (i << 3)) & 0xff);
+                this.setSectorBytes(sectorInfo, DiskInfo.FSINFO.FREECOUNT, ab.concat([0xff, 0xff, 0xff, 0xff]));
+            }
+        }
+        this.buildTables(true);
+    }
+
+    /**
+     * checkVolume(iVolume, fRepair)
+     *
+     * Performs many of the same consistency checks as CHKDSK, without relying on the file table (since the problems
+     * we're looking for can easily confuse buildTables()).  Every directory is walked, every cluster chain is followed,
+     * and the following problems (see DiskInfo.CHKDSK) are reported:
+     *
+     *      FAT_MISMATCH: a copy of the FAT differs from the first FAT
+     *      INVALID_CLUSTER: a directory entry or cluster chain contains an out-of-range (or free, or bad) cluster number
+     *      CROSS_LINK: a cluster chain contains a cluster that already belongs to another file
+     *      INVALID_SIZE: a file's size doesn't match the length of its cluster chain
+     *      INVALID_DATE: a directory entry contains an invalid date or time
+     *      LOST_CHAIN: a chain of allocated clusters doesn't belong to any file
+     *
+     * If fRepair is true, most problems are also repaired: all FAT copies are made to match the first FAT, chains with
+     * invalid or cross-linked clusters are truncated, sizes are adjusted to match their chains (or chains are truncated
+     * to match their sizes), and lost chains are saved as FILEnnnn.CHK files in the root directory (or freed if the root
+     * directory is full).  Invalid dates are only reported.
+     *
+     * @this {DiskInfo}
+     * @param {number} [iVolume] (default is first volume)
+     * @param {boolean} [fRepair]
+     * @returns {Object|null} (volume, clusTotal, clusFree, and an array of problems, each with type, path, cluster, and message)
+     */
+    checkVolume(iVolume = 0, fRepair = false)
+    {
+        if (this.buildTables() < 0 || iVolume < 0 || iVolume >= this.volTable.length || this.volTable[iVolume].cdFormat) return null;
+
+        let vol = this.volTable[iVolume];
+        let problems = [];
+        let report = (type, path, cluster, message) => problems.push({type, path, cluster, message});
+        let getEntry = (v, cluster) => this.getClusterEntry(v, cluster, 0) | this.getClusterEntry(v, cluster, 1);
+        let setEntry = (cluster, v) => {
+            aFAT[cluster] = v;
+            this.setClusterEntry(vol, cluster, v);
+        };
+        let clusterLimit = vol.clusTotal + DiskInfo.FAT12.CLUSNUM_MIN;
+        let clusterBad = vol.clusMax + 1;
+        let clusterEOC = clusterBad + 8;
+        let cbCluster = vol.clusSecs * vol.cbSector;
+
+        let aFAT = [];
+        for (let cluster = 0; cluster < clusterLimit; cluster++) {
+            aFAT[cluster] = getEntry(vol, cluster);
+        }
+        for (let iFAT = 1; iFAT < vol.nFATs; iFAT++) {
+            let volCopy = Object.assign({}, vol, {vbaFAT: vol.vbaFAT + iFAT * vol.nFATSecs, sectorFATCache: null, vbaFATCache: 0});
+            let nMismatches = 0, clusterFirst = 0;
+            for (let cluster = 0; cluster < clusterLimit; cluster++) {
+                if (getEntry(volCopy, cluster) != aFAT[cluster]) {
+                    if (!nMismatches++) clusterFirst = cluster;
+                    if (fRepair) setEntry(cluster, aFAT[cluster]);
+                }
+            }
+            if (nMismatches) {
+                report(DiskInfo.CHKDSK.FAT_MISMATCH, null, clusterFirst, this.device.sprintf("FAT %d differs from FAT 0 in %d entries, starting with cluster %d", iFAT, nMismatches, clusterFirst));
+            }
+        }
+
+        let aOwner = [];
+        let setDirEntry = (entry, cluster, size) => {
+            let ab = [cluster & 0xff, (cluster >> 8) & 0xff, size & 0xff, (size >> 8) & 0xff, (size >> 16) & 0xff, (size >>> 24) & 0xff];
+            this.setSectorBytes(entry.sector, entry.off + DiskInfo.DIRENT.CLUSTER, ab);
+            if (vol.nFATBits == 32) this.setSectorBytes(entry.sector, entry.off + DiskInfo.DIRENT.CLUSTER_HI, [(cluster >> 16) & 0xff, (cluster >> 24) & 0xff]);
+        };
+
+        /*
+         * walkChain() returns all the clusters in the chain, stopping at the first invalid or cross-linked cluster.
+         */
+        let walkChain = (path, cluster, entry) => {
+            let aClusters = [];
+            if (!cluster) return aClusters;
+            if (cluster < DiskInfo.FAT12.CLUSNUM_MIN || cluster >= clusterLimit) {
+                report(DiskInfo.CHKDSK.INVALID_CLUSTER, path, cluster, this.device.sprintf("%s has invalid first cluster %d", path, cluster));
+                if (fRepair && entry) setDirEntry(entry, 0, 0);
+                return aClusters;
+            }
+            let clusterPrev = 0;
+            while (true) {
+                if (aOwner[cluster] !== undefined) {
+                    report(DiskInfo.CHKDSK.CROSS_LINK, path, cluster, this.device.sprintf("%s is cross-linked with %s on cluster %d", path, aOwner[cluster], cluster));
+                    if (fRepair) {
+                        if (clusterPrev) {
+                            setEntry(clusterPrev, clusterEOC);
+                        } else if (entry) {
+                            setDirEntry(entry, 0, 0);
+                        }
+                    }
+                    break;
+                }
+                aOwner[cluster] = path;
+                aClusters.push(cluster);
+                let clusterNext = aFAT[cluster];
+                if (clusterNext > clusterBad) break;
+                if (clusterNext < DiskInfo.FAT12.CLUSNUM_MIN || clusterNext >= clusterLimit) {
+                    report(DiskInfo.CHKDSK.INVALID_CLUSTER, path, cluster, this.device.sprintf("%s has invalid cluster %d following cluster %d", path, clusterNext, cluster));
+                    if (fRepair) setEntry(cluster, clusterEOC);
+                    break;
+                }
+                clusterPrev = cluster;
+                cluster = clusterNext;
+            }
+            return aClusters;
+        };
+
+        let getLBAs = (aClusters) => {
+            let aLBA = [];
+            aClusters.forEach((cluster) => {
+                let lba = this.getClusterSector(vol, cluster);
+                for (let i = 0; i < vol.clusSecs; i++) aLBA.push(lba + i);
+            });
+            return aLBA;
+        };
+
+        let walkDir = (aLBA, path, iLevel) => {
+            let nEntriesPerSector = (vol.cbSector / DiskInfo.DIRENT.LENGTH) | 0;
+            for (let iSector = 0; iSector < aLBA.length; iSector++) {
+                let sector = this.getSector(aLBA[iSector]);
+                if (!sector) break;
+                for (let iEntry = 0; iEntry < nEntriesPerSector; iEntry++) {
+                    let entry = {sector, off: iEntry * DiskInfo.DIRENT.LENGTH};
+                    let b = this.getSectorData(sector, entry.off, 1);
+                    if (b == DiskInfo.DIRENT.UNUSED) return;
+                    let attr = this.getSectorData(sector, entry.off + DiskInfo.DIRENT.ATTR, 1);
+                    if (b == DiskInfo.DIRENT.INVALID || attr == DiskInfo.ATTR.LFN) continue;
+                    let name = this.getSectorString(sector, entry.off + DiskInfo.DIRENT.NAME, 8).trim();
+                    let ext = this.getSectorString(sector, entry.off + DiskInfo.DIRENT.EXT, 3).trim();
+                    if (name == "." || name == "..") continue;
+                    if (ext && !(attr & DiskInfo.ATTR.VOLUME)) name += '.' + ext;
+                    let filePath = path + "\\" + name;
+                    let modDate = this.getSectorData(sector, entry.off + DiskInfo.DIRENT.MODDATE, 2);
+                    let modTime = this.getSectorData(sector, entry.off + DiskInfo.DIRENT.MODTIME, 2);
+                    if (modDate || modTime) {
+                        let month = (modDate >> 5) & 0xf, day = modDate & 0x1f;
+                        let daysInMonth = new Date(Date.UTC((modDate >> 9) + 1980, month, 0)).getUTCDate();
+                        if (month < 1 || month > 12 || day < 1 || day > daysInMonth || (modTime >> 11) > 23 || ((modTime >> 5) & 0x3f) > 59 || (modTime & 0x1f) > 29) {
+                            report(DiskInfo.CHKDSK.INVALID_DATE, filePath, 0, this.device.sprintf("%s has invalid date/time %#06x %#06x", filePath, modDate, modTime));
+                        }
+                    }
+                    if (attr & DiskInfo.ATTR.VOLUME) continue;
+                    let cluster = this.getSectorData(sector, entry.off + DiskInfo.DIRENT.CLUSTER, 2);
+                    if (vol.nFATBits == 32) {
+                        cluster |= this.getSectorData(sector, entry.off + DiskInfo.DIRENT.CLUSTER_HI, 2) << 16;
+                    }
+                    let size = this.getSectorData(sector, entry.off + DiskInfo.DIRENT.SIZE, 4) >>> 0;
+                    let aClusters = walkChain(filePath, cluster, entry);
+                    if (attr & DiskInfo.ATTR.SUBDIR) {
+                        if (aClusters.length && iLevel < 32) walkDir(getLBAs(aClusters), filePath, iLevel + 1);
+                        continue;
+                    }
+                    let nClusters = Math.ceil(size / cbCluster);
+                    if (aClusters.length < nClusters) {
+                        report(DiskInfo.CHKDSK.INVALID_SIZE, filePath, cluster, this.device.sprintf("%s size (%d) exceeds its %d allocated cluster(s)", filePath, size, aClusters.length));
+                        if (fRepair) setDirEntry(entry, aClusters.length? aClusters[0] : 0, aClusters.length * cbCluster);
+                    } else if (aClusters.length > nClusters) {
+                        report(DiskInfo.CHKDSK.INVALID_SIZE, filePath, cluster, this.device.sprintf("%s size (%d) requires only %d of its %d allocated cluster(s)", filePath, size, nClusters, aClusters.length));
+                        if (fRepair) {
+                            if (nClusters) {
+                                setEntry(aClusters[nClusters - 1], clusterEOC);
+                            } else {
+                                setDirEntry(entry, 0, size);
+                            }
+                            for (let i = nClusters; i < aClusters.length; i++) {
+                                setEntry(aClusters[i], DiskInfo.FAT12.CLUSNUM_FREE);
+                                aOwner[aClusters[i]] = undefined;
+                            }
+                        }
+                    }
+                }
+            }
+        };
+
+        let aRootLBA;
+        if (vol.clusRoot) {
+            aRootLBA = getLBAs(walkChain("\\", vol.clusRoot, null));
+        } else {
+            aRootLBA = this.getRootSectors(vol);
+        }
+        walkDir(aRootLBA, "", 0);
+
+        /*
+         * Any allocated cluster (other than a bad cluster) that doesn't belong to a file is lost.  Lost chains are
+         * identified by their first cluster, which is any lost cluster that no other lost cluster refers to; any lost
+         * clusters that remain after following all those chains must be part of a circular chain.
+         */
+        let isLost = (cluster) => aFAT[cluster] && aFAT[cluster] != clusterBad && aOwner[cluster] === undefined;
+        let aReferenced = [];
+        for (let cluster = DiskInfo.FAT12.CLUSNUM_MIN; cluster < clusterLimit; cluster++) {
+            if (isLost(cluster) && aFAT[cluster] < clusterLimit) aReferenced[aFAT[cluster]] = true;
+        }
+        let nFile = 0;
+        for (let iPass = 0; iPass < 2; iPass++) {
+            for (let clusterFirst = DiskInfo.FAT12.CLUSNUM_MIN; clusterFirst < clusterLimit; clusterFirst++) {
+                if (!isLost(clusterFirst) || (!iPass && aReferenced[clusterFirst])) continue;
+                let aClusters = [], cluster = clusterFirst;
+                while (true) {
+                    aOwner[cluster] = "";
+                    aClusters.push(cluster);
+                    let clusterNext = aFAT[cluster];
+                    if (clusterNext < DiskInfo.FAT12.CLUSNUM_MIN || clusterNext >= clusterLimit || !isLost(clusterNext)) {
+                        if (fRepair && clusterNext <= clusterBad) setEntry(cluster, clusterEOC);
+                        break;
+                    }
+                    cluster = clusterNext;
+                }
+                report(DiskInfo.CHKDSK.LOST_CHAIN, null, clusterFirst, this.device.sprintf("%d lost cluster(s) in chain starting at cluster %d", aClusters.length, clusterFirst));
+                if (fRepair) {
+                    let entry = null, sName;
+                    while (nFile < 10000) {
+                        sName = this.device.sprintf("FILE%04d.CHK", nFile++);
+                        if (!this.findDirEntry(vol, aRootLBA, sName)) {
+                            entry = this.findDirEntry(vol, aRootLBA, null);
+                            break;
+                        }
+                    }
+                    if (entry) {
+                        let ab = [];
+                        this.buildDirEntry(ab, 0, sName, aClusters.length * cbCluster, DiskInfo.ATTR.ARCHIVE, new Date(), clusterFirst);
+                        this.setSectorBytes(entry.sector, entry.off, ab);
+                    } else {
+                        aClusters.forEach((cluster) => setEntry(cluster, DiskInfo.FAT12.CLUSNUM_FREE));
+                    }
+                }
+            }
+        }
+
+        vol.clusFree = 0;
+        for (let cluster = DiskInfo.FAT12.CLUSNUM_MIN; cluster < clusterLimit; cluster++) {
+            if (!aFAT[cluster]) vol.clusFree++;
+        }
+        let result = {volume: iVolume, clusTotal: vol.clusTotal, clusFree: vol.clusFree, problems};
+        if (fRepair && problems.length) this.updateVolume(vol);
+        return result;
+    }
+
+    /**
+     * diffDisk(diOther, fnHash)
+     *
+     * Compares this disk image (the "old" image) to another (the "new" image) and returns an object describing:
+     *
+     *      files: every file (or directory) that was ADDED, REMOVED, or CHANGED (see DiskInfo.DIFF), where a changed
+     *      file includes a list of the properties that differ (attr, date, size, and/or hash), along with the old and new
+     *      descriptors; if no hash function is provided, contents are compared directly, and a "contents" change is
+     *      reported instead of a "hash" change.
+     *
+     *      boot: every boot sector difference, with volume, field (one of the BPB field names in DiskInfo.BPB or
+     *      DiskInfo.BPB32, or "code" for any other bytes in the boot sector), and old and new values.
+     *
+     *      sectors: ranges of sectors that differ but don't belong to any file on either image, each with lbaFirst,
+     *      lbaLast, and region ("mbr", "boot", "fat", "root", "data", or "unallocated" for sectors outside any volume);
+     *      sectors belonging to files are omitted, since those differences are already described by the file changes.
+     *
+     * Regions are determined by the volume layout of this image.  The geometry property is non-null only if the
+     * geometries differ, in which case it contains old and new [cylinders, heads, sectors] arrays.
+     *
+     * @this {DiskInfo}
+     * @param {DiskInfo} diOther
+     * @param {function(Array,string)} [fnHash]
+     * @returns {Object}
+     */
+    diffDisk(diOther, fnHash)
+    {
+        let diff = {geometry: null, files: [], boot: [], sectors: []};
+        let getGeometry = (di) => [di.nCylinders, di.nHeads, di.nSectors];
+        let geoOld = getGeometry(this), geoNew = getGeometry(diOther);
+        if (geoOld.join() != geoNew.join()) {
+            diff.geometry = {old: geoOld, new: geoNew};
+        }
+        this.buildTables();
+        diOther.buildTables();
+
+        /*
+         * Compare files by volume and path.
+         */
+        let getKey = (desc) => (desc[DiskInfo.FILEDESC.VOL] || 0) + ':' + desc[DiskInfo.FILEDESC.PATH];
+        let mapOld = new Map(), mapNew = new Map();
+        this.getFileManifest(fnHash).forEach((desc) => mapOld.set(getKey(desc), desc));
+        diOther.getFileManifest(fnHash).forEach((desc) => mapNew.set(getKey(desc), desc));
+        let getDesc = (desc) => {
+            let descNew = Object.assign({}, desc);
+            delete descNew[DiskInfo.FILEDESC.CONTENTS];
+            return descNew;
+        };
+        mapOld.forEach((descOld, key) => {
+            let descNew = mapNew.get(key);
+            if (!descNew) {
+                diff.files.push({type: DiskInfo.DIFF.REMOVED, path: descOld[DiskInfo.FILEDESC.PATH], old: getDesc(descOld)});
+                return;
+            }
+            let changes = [];
+            [DiskInfo.FILEDESC.ATTR, DiskInfo.FILEDESC.DATE, DiskInfo.FILEDESC.SIZE, DiskInfo.FILEDESC.HASH].forEach((prop) => {
+                if (descOld[prop] !== descNew[prop]) changes.push(prop);
+            });
+            if (!fnHash) {
+                let abOld = descOld[DiskInfo.FILEDESC.CONTENTS] || [], abNew = descNew[DiskInfo.FILEDESC.CONTENTS] || [];
+                if (abOld.length != abNew.length || abOld.some((b, i) => b != abNew[i])) {
+                    changes.push(DiskInfo.FILEDESC.CONTENTS);
+                }
+            }
+            if (changes.length) {
+                diff.files.push({type: DiskInfo.DIFF.CHANGED, path: descOld[DiskInfo.FILEDESC.PATH], changes, old: getDesc(descOld), new: getDesc(descNew)});
+            }
+        });
+        mapNew.forEach((descNew, key) => {
+            if (!mapOld.has(key)) {
+                diff.files.push({type: DiskInfo.DIFF.ADDED, path: descNew[DiskInfo.FILEDESC.PATH], new: getDesc(descNew)});
+            }
+        });
+
+        /*
+         * Compare the boot sector (and BPB) of every volume.  String fields are compared as strings, and all other fields
+         * as little-endian numbers.  On FAT32 volumes, the extended BPB fields replace the BPB fields they overlap.
+         */
+        let getFields = (vol) => {
+            let aFields = [
+                ["OEM", DiskInfo.BPB.OEM, 8, true], ["SECBYTES", DiskInfo.BPB.SECBYTES, 2], ["CLUSSECS", DiskInfo.BPB.CLUSSECS, 1],
+                ["RESSECS", DiskInfo.BPB.RESSECS, 2], ["FATS", DiskInfo.BPB.FATS, 1], ["DIRENTS", DiskInfo.BPB.DIRENTS, 2],
+                ["DISKSECS", DiskInfo.BPB.DISKSECS, 2], ["MEDIA", DiskInfo.BPB.MEDIA, 1], ["FATSECS", DiskInfo.BPB.FATSECS, 2],
+                ["TRACKSECS", DiskInfo.BPB.TRACKSECS, 2], ["DRIVEHEADS", DiskInfo.BPB.DRIVEHEADS, 2], ["HIDDENSECS", DiskInfo.BPB.HIDDENSECS, 4],
+                ["LARGESECS", DiskInfo.BPB.LARGESECS, 4]
+            ];
+            if (vol && vol.nFATBits == 32) {
+                aFields.push(
+                    ["FATSECS32", DiskInfo.BPB32.FATSECS, 4], ["EXTFLAGS", DiskInfo.BPB32.EXTFLAGS, 2], ["FSVER", DiskInfo.BPB32.FSVER, 2],
+                    ["ROOTCLUS", DiskInfo.BPB32.ROOTCLUS, 4], ["FSINFO", DiskInfo.BPB32.FSINFO, 2], ["BKBOOT", DiskInfo.BPB32.BKBOOT, 2],
+                    ["DRIVE", DiskInfo.BPB32.DRIVE, 1], ["BOOTSIG", DiskInfo.BPB32.BOOTSIG, 1], ["VOLID", DiskInfo.BPB32.VOLID, 4],
+                    ["VOLLABEL", DiskInfo.BPB32.VOLLABEL, 11, true], ["FSTYPE", DiskInfo.BPB32.FSTYPE, 8, true]
+                );
+            }
+            return aFields;
+        };
+        let getField = (ab, off, len, fString) => {
+            let v = fString? "" : 0;
+            for (let i = 0; i < len; i++) {
+                let b = ab[off + i] || 0;
+                if (fString) v += String.fromCharCode(b); else v += b * Math.pow(2, i * 8);
+            }
+            return v;
+        };
+        let nVolumes = Math.max(this.volTable? this.volTable.length : 0, diOther.volTable? diOther.volTable.length : 0);
+        for (let iVolume = 0; iVolume < nVolumes; iVolume++) {
+            let volOld = this.volTable && this.volTable[iVolume], volNew = diOther.volTable && diOther.volTable[iVolume];
+            let sectorOld = volOld && this.getSector(volOld.lbaStart), sectorNew = volNew && diOther.getSector(volNew.lbaStart);
+            if (!sectorOld || !sectorNew) {
+                diff.boot.push({volume: iVolume, field: "volume", old: !!sectorOld, new: !!sectorNew});
+                continue;
+            }
+            let abOld = this.getSectorBytes(sectorOld), abNew = diOther.getSectorBytes(sectorNew);
+            let aFields = getFields(volOld), abUsed = [];
+            aFields.forEach(([field, off, len, fString]) => {
+                let vOld = getField(abOld, off, len, fString), vNew = getField(abNew, off, len, fString);
+                if (vOld !== vNew) diff.boot.push({volume: iVolume, field, old: vOld, new: vNew});
+                for (let i = 0; i < len; i++) abUsed[off + i] = true;
+            });
+            let nDiffs = 0;
+            for (let i = 0; i < Math.max(abOld.length, abNew.length); i++) {
+                if (!abUsed[i] && abOld[i] !== abNew[i]) nDiffs++;
+            }
+            if (nDiffs) diff.boot.push({volume: iVolume, field: "code", old: abOld.length, new: abNew.length, bytes: nDiffs});
+        }
+
+        /*
+         * Compare every sector that doesn't belong to a file on either image, coalescing consecutive differences within
+         * the same region into ranges.
+         */
+        let aRootLBA = [];
+        if (this.volTable) {
+            this.volTable.forEach((vol) => this.getRootSectors(vol).forEach((lba) => aRootLBA[lba] = true));
+        }
+        let getRegion = (lba) => {
+            if (this.volTable) {
+                for (let vol of this.volTable) {
+                    if (lba < vol.lbaStart || lba >= vol.lbaStart + vol.lbaTotal) continue;
+                    let vba = lba - vol.lbaStart;
+                    if (vba < vol.vbaFAT) return "boot";
+                    if (vba < vol.vbaRoot) return "fat";
+                    if (aRootLBA[lba]) return "root";
+                    return "data";
+                }
+                if (this.volTable.length && lba < this.volTable[0].lbaStart) return "mbr";
+            }
+            return "unallocated";
+        };
+        let isFileSector = (sector) => sector && sector[DiskInfo.SECTOR.FILE_INDEX] != undefined;
+        let nTotal = Math.max(geoOld[0] * geoOld[1] * geoOld[2], geoNew[0] * geoNew[1] * geoNew[2]);
+        let range = null;
+        for (let lba = 0; lba < nTotal; lba++) {
+            let sectorOld = this.getSector(lba), sectorNew = diOther.getSector(lba);
+            if (isFileSector(sectorOld) || isFileSector(sectorNew)) continue;
+            let fDiff = !sectorOld || !sectorNew;
+            if (!fDiff) {
+                let abOld = this.getSectorBytes(sectorOld), abNew = diOther.getSectorBytes(sectorNew);
+                fDiff = abOld.length != abNew.length || abOld.some((b, i) => b != abNew[i]);
+            }
+            if (fDiff) {
+                let region = getRegion(lba);
+                if (range && range.lbaLast == lba - 1 && range.region == region) {
+                    range.lbaLast = lba;
+                } else {
+                    range = {lbaFirst: lba, lbaLast: lba, region};
+                    diff.sectors.push(range);
+                }
+            }
+        }
+        return diff;
+    }
 }
 
 /*
@@ -3582,7 +6014,8 @@ DiskInfo.VOLDESC = {
     CLUS_MAX:   'clusMax',          // maximum valid cluster number
     CLUS_BAD:   'clusBad',          // total bad clusters
     CLUS_FREE:  'clusFree',         // total free clusters
-    CLUS_TOTAL: 'clusTotal'         // total clusters
+    CLUS_TOTAL: 'clusTotal',        // total clusters
+    CLUS_ROOT:  'clusRoot'          // first cluster of root directory (FAT32 only)
 };
 
 /*
@@ -3603,7 +6036,39 @@ DiskInfo.FILEDESC = {
     MODNAME:    'name',
     MODDESC:    'description',
     MODSEGS:    'segments',
-    CONTENTS:   'contents'
+    CONTENTS:   'contents',
+    DELETED:    'deleted'           // recovery status of a deleted file (see DiskInfo.DELETED)
+};
+
+/*
+ * Types of problems reported by checkVolume().
+ */
+DiskInfo.CHKDSK = {
+    FAT_MISMATCH:       'fatMismatch',
+    INVALID_CLUSTER:    'invalidCluster',
+    CROSS_LINK:         'crossLink',
+    INVALID_SIZE:       'invalidSize',
+    INVALID_DATE:       'invalidDate',
+    LOST_CHAIN:         'lostChain'
+};
+
+/*
+ * Recovery status of deleted files (see getDeletedChain()).
+ */
+DiskInfo.DELETED = {
+    CONTIGUOUS:     'contiguous',
+    FRAGMENTED:     'fragmented',
+    PARTIAL:        'partial',
+    OVERWRITTEN:    'overwritten'
+};
+
+/*
+ * Types of file differences reported by diffDisk().
+ */
+DiskInfo.DIFF = {
+    ADDED:          'added',
+    REMOVED:        'removed',
+    CHANGED:        'changed'
 };
 
 /*
@@ -3629,6 +6094,109 @@ DiskInfo.SECTOR = {
     HEAD_ERROR: 'headError'
 };
 
+/*
+ * Data Address Mark (DAM) values, as recorded in a sector's dataMark property
+ */
+DiskInfo.DAM = {
+    NONE:       0x00,               // no data address mark (ie, the sector has an ID but no data)
+    DELETED:    0xF8,               // deleted data address mark
+    NORMAL:     0xFB                // normal data address mark
+};
+
+/*
+ * PCE Sector Image (PSI) file constants (see buildDiskFromPSI())
+ */
+DiskInfo.PSI = {
+    CHUNK: {
+        PSI:        0x50534920,     // "PSI ": file header
+        END:        0x454e4420,     // "END ": end of file
+        SECT:       0x53454354,     // "SECT": sector header
+        OFFS:       0x4f464653,     // "OFFS": sector position
+        IBMM:       0x49424d4d,     // "IBMM": IBM MFM sector header
+        TEXT:       0x54455854,     // "TEXT": comment
+        DATA:       0x44415441      // "DATA": sector data
+    },
+    SECT: {                         // SECT chunk flags
+        COMPRESSED: 0x01,           // sector data is a repeated byte pattern
+        ALTERNATE:  0x02,           // alternate sector
+        DATA_ERROR: 0x04            // sector data has a CRC error
+    },
+    IBMM: {                         // IBMM chunk: cylinder, head, sector ID, size code, flags, and encoding
+        LENGTH:     6,
+        FLAGS:      4,              // offset of the flags byte
+        ID_ERROR:   0x01,           // sector ID has a CRC error
+        DATA_ERROR: 0x02,           // sector data has a CRC error
+        DELETED:    0x04,           // sector has a deleted data address mark
+        NO_DAM:     0x08            // sector has no data address mark
+    },
+    CRC_POLY:       0x1edc6f41
+};
+
+/*
+ * ImageDisk (IMD) file constants (see buildDiskFromIMD())
+ */
+DiskInfo.IMD = {
+    SIGNATURE:      "IMD ",
+    COMMENT_END:    0x1A,
+    HEAD: {
+        MASK:       0x0F,           // physical head number
+        HEADMAP:    0x40,           // sector head map present
+        CYLMAP:     0x80            // sector cylinder map present
+    },
+    SIZE_TABLE:     0xFF,           // sector size code indicating that a sector size table is present
+    DATA: {                         // sector data record types
+        UNAVAILABLE:                0,
+        NORMAL:                     1,
+        COMPRESSED:                 2,
+        DELETED:                    3,
+        DELETED_COMPRESSED:         4,
+        ERROR:                      5,
+        ERROR_COMPRESSED:           6,
+        DELETED_ERROR:              7,
+        DELETED_ERROR_COMPRESSED:   8
+    }
+};
+
+/*
+ * TeleDisk (TD0) file constants (see buildDiskFromTD0())
+ */
+DiskInfo.TD0 = {
+    SIGNATURE:      "TD",           // uncompressed (or "normal" compression, in very old images)
+    SIGNATURE_ADV:  "td",           // "advanced" compression
+    HEADER: {
+        SIGNATURE:  0x00,           // 2 bytes
+        SEQUENCE:   0x02,           // 1 byte: volume sequence number (0 for the first volume)
+        CHECKSEQ:   0x03,           // 1 byte: check signature for multi-volume sets
+        VERSION:    0x04,           // 1 byte: TeleDisk version (eg, 0x15 for 1.5)
+        DATARATE:   0x05,           // 1 byte: data rate (bit 7 set for FM)
+        DRIVETYPE:  0x06,           // 1 byte: drive type
+        STEPPING:   0x07,           // 1 byte: stepping (bit 7 set if a comment record follows the header)
+        DOSALLOC:   0x08,           // 1 byte: non-zero if only DOS-allocated sectors were recorded
+        SIDES:      0x09,           // 1 byte: number of sides
+        CRC:        0x0A,           // 2 bytes: CRC of the preceding 10 bytes
+        LENGTH:     0x0C
+    },
+    CRC_POLY:       0xA097,
+    COMMENT_PRESENT:0x80,
+    TRACK_END:      0xFF,           // sector count that marks the end of the track records
+    HEAD_MASK:      0x7F,
+    FM:             0x80,           // bit 7 of the data rate (or of a track header's head number) is set for FM
+    RATE_MASK:      0x03,           // data rate: 0 for 250Kbps, 1 for 300Kbps, 2 for 500Kbps
+    SECT: {                         // sector header flags
+        DUPLICATE:  0x01,
+        CRC_ERROR:  0x02,
+        DELETED:    0x04,
+        NO_ALLOC:   0x10,           // sector not allocated by DOS, so no data was recorded
+        NO_DATA:    0x20,           // sector had an ID but no data
+        NO_ID:      0x40            // sector had data but no ID
+    },
+    DATA: {                         // sector data block encodings
+        RAW:        0,
+        REPEAT:     1,              // repeated 2-byte patterns
+        RLE:        2               // run-length encoded blocks
+    }
+};
+
 DiskInfo.MBR = {
     PARTITIONS: {
         OFFSET:     0x1BE,
@@ -3650,7 +6218,11 @@ DiskInfo.MBR = {
             FAT12_PRIMARY:  0x01,   // DOS 2.0 and up (12-bit FAT)
             FAT16_PRIMARY:  0x04,   // DOS 3.0 and up (16-bit FAT with less than 65536 sectors (< 32Mb))
             EXTENDED:       0x05,   // DOS 3.3 and up (must reside within the first 8Gb)
-            FAT16_BIG:      0x06    // DOS 3.31 and up (16-bit FAT with 65536 or more sectors (>= 32Mb and < 8Gb))
+            FAT16_BIG:      0x06,   // DOS 3.31 and up (16-bit FAT with 65536 or more sectors (>= 32Mb and < 8Gb))
+            FAT32_PRIMARY:  0x0B,   // Windows 95 OSR2 and up (32-bit FAT, CHS addressing)
+            FAT32_LBA:      0x0C,   // Windows 95 OSR2 and up (32-bit FAT, LBA addressing)
+            FAT16_LBA:      0x0E,   // Windows 95 and up (same as FAT16_BIG, but with LBA addressing)
+            EXTENDED_LBA:   0x0F    // Windows 95 and up (same as EXTENDED, but with LBA addressing)
         }
     },
     SIG_OFFSET:     0x1FE,
@@ -3715,6 +6287,100 @@ DiskInfo.BPB = {
     ENDEX:          0x2B        // end of extended BPB
 };
 
+/*
+ * FAT32 extended BPB offsets (Windows 95 OSR2 and up)
+ *
+ * A FAT32 BPB is a standard (DOS 3.31) BPB with zero in both DIRENTS and FATSECS, followed by these fields, which
+ * overlap (and are incompatible with) our own extended BPB fields above.  DISKSECS in a FAT32 BPB is always zero, too,
+ * so LARGESECS must be used instead.
+ */
+DiskInfo.BPB32 = {
+    FATSECS:        0x024,      // 4 bytes: sectors per FAT
+    EXTFLAGS:       0x028,      // 2 bytes: FAT mirroring flags (0 means all FATs are mirrored)
+    FSVER:          0x02A,      // 2 bytes: file system version (must be zero)
+    ROOTCLUS:       0x02C,      // 4 bytes: first cluster of the root directory (usually 2)
+    FSINFO:         0x030,      // 2 bytes: VBA of the FSInfo sector (usually 1)
+    BKBOOT:         0x032,      // 2 bytes: VBA of the backup boot sector (usually 6)
+    DRIVE:          0x040,      // 1 byte: BIOS drive number (eg, 0x80)
+    BOOTSIG:        0x042,      // 1 byte: extended boot signature (0x29 if the next 3 fields are present)
+    VOLID:          0x043,      // 4 bytes: volume serial number
+    VOLLABEL:       0x047,      // 11 bytes: volume label
+    FSTYPE:         0x052,      // 8 bytes: "FAT32   " (informational only; never use this to determine the FAT type)
+    END:            0x05A       // end of FAT32 extended BPB
+};
+
+/*
+ * FSInfo sector offsets (and assorted constants) in FAT32 volumes
+ */
+DiskInfo.FSINFO = {
+    LEADSIG:        0x000,      // 4 bytes: LEADSIG_VALUE
+    STRUCSIG:       0x1E4,      // 4 bytes: STRUCSIG_VALUE
+    FREECOUNT:      0x1E8,      // 4 bytes: last known free cluster count (0xFFFFFFFF if unknown)
+    NEXTFREE:       0x1EC,      // 4 bytes: hint for next free cluster (0xFFFFFFFF if unknown)
+    TRAILSIG:       0x1FC,      // 4 bytes: TRAILSIG_VALUE
+    LEADSIG_VALUE:  0x41615252, // "RRaA"
+    STRUCSIG_VALUE: 0x61417272, // "rrAa"
+    TRAILSIG_VALUE: 0xAA550000
+};
+
+/*
+ * ISO 9660 (and High Sierra) CD-ROM constants (see buildISOVolume())
+ *
+ * High Sierra, the precursor to ISO 9660, used the same overall structure, but its volume descriptor fields (and the
+ * flags in its directory records) are at different offsets, and its directory record dates have no GMT offset byte.
+ * Most numeric fields are recorded twice, in little-endian and then big-endian order; we use only the little-endian values.
+ */
+DiskInfo.ISO = {
+    SECBYTES:       2048,
+    TRACKSECS:      32,             // arbitrary number of sectors per "track" (see buildDiskFromBuffer())
+    VD_LBA:         16,             // LBA of the first volume descriptor
+    ID:             "CD001",
+    HSG_ID:         "CDROM",
+    FORMAT: {
+        ISO:        "ISO 9660",
+        JOLIET:     "Joliet",
+        HSG:        "High Sierra"
+    },
+    TYPE: {                         // volume descriptor types
+        PRIMARY:        1,
+        SUPPLEMENTARY:  2,          // Joliet volume descriptors are supplementary descriptors with UCS-2 escape sequences
+        TERMINATOR:     255
+    },
+    VD: {                           // ISO 9660 volume descriptor offsets
+        TYPE:       0,              // 1 byte
+        ID:         1,              // 5 bytes: ID
+        VOLID:      40,             // 32 bytes: volume identifier
+        VOLSECS:    80,             // 4 bytes: volume space size, in logical blocks
+        ESCAPES:    88,             // 32 bytes: escape sequences ("%/@", "%/C", or "%/E" for Joliet)
+        BLKBYTES:   128,            // 2 bytes: logical block size
+        ROOT:       156             // 34 bytes: root directory record
+    },
+    HSG_VD: {                       // High Sierra volume descriptor offsets
+        TYPE:       8,              // 1 byte
+        ID:         9,              // 5 bytes: HSG_ID
+        VOLID:      48,             // 32 bytes: volume identifier
+        VOLSECS:    88,             // 4 bytes: volume space size, in logical blocks
+        BLKBYTES:   136,            // 2 bytes: logical block size
+        ROOT:       180             // 34 bytes: root directory record
+    },
+    DIRREC: {                       // directory record offsets
+        LENGTH:     0,              // 1 byte: length of the record
+        EXTLEN:     1,              // 1 byte: length of the extended attribute record, in logical blocks
+        EXTENT:     2,              // 4 bytes: first logical block of the extent (including any extended attribute record)
+        SIZE:       10,             // 4 bytes: size of the extent, in bytes
+        DATE:       18,             // 7 bytes (6 bytes for High Sierra): recording date and time
+        HSG_FLAGS:  24,             // 1 byte: High Sierra flags
+        FLAGS:      25,             // 1 byte: ISO 9660 flags
+        NAMELEN:    32,             // 1 byte: length of the name, in bytes
+        NAME:       33              // NAMELEN bytes: name (followed by ";" and a version number for files)
+    },
+    FLAGS: {
+        HIDDEN:     0x01,
+        DIR:        0x02,
+        MULTIEXTENT:0x80            // the file continues in the next directory record
+    }
+};
+
 /*
  * The BPBs that buildDiskFromBuffer() currently supports; these BPBs should be in order of smallest/oldest to largest/newest
  * capacity, to help ensure we don't select a disk format larger (or newer) than necessary.
@@ -4031,6 +6697,24 @@ DiskInfo.FAT16 = {
     CLUSNUM_EOC:    0xFFF8      // end of chain (actually, anything from 0xFFF8-0xFFFF indicates EOC)
 };
 
+/*
+ * Cluster constants for 32-bit FATs (only the low 28 bits of an entry are used; CLUSNUM_FREE, CLUSNUM_RES and CLUSNUM_MIN
+ * are the same for all FATs)
+ *
+ * MIN_SECTORS is the smallest volume size (66600 512-byte sectors) for which Microsoft recommends FAT32; it's also the
+ * threshold that buildDiskFromFiles() uses to decide when a target disk size should be formatted with a 32-bit FAT.
+ */
+DiskInfo.FAT32 = {
+    MAX_CLUSTERS:   0x0FFFFFF5,
+    MIN_SECTORS:    66600,
+    CLUSNUM_FREE:   0,          // this should NEVER appear in cluster chain (except at the start of an empty chain)
+    CLUSNUM_RES:    1,          // reserved; this should NEVER appear in cluster chain
+    CLUSNUM_MIN:    2,          // smallest valid cluster number
+    CLUSNUM_MAX:    0x0FFFFFF6, // largest valid cluster number
+    CLUSNUM_BAD:    0x0FFFFFF7, // bad cluster; this should NEVER appear in cluster chain
+    CLUSNUM_EOC:    0x0FFFFFF8  // end of chain (actually, anything from 0x0FFFFFF8-0x0FFFFFFF indicates EOC)
+};
+
 /*
  * Directory Entry offsets (and assorted constants) in FAT disk images
  *
@@ -4045,6 +6729,7 @@ DiskInfo.DIRENT = {
     NAME:           0x000,      // 8 bytes
     EXT:            0x008,      // 3 bytes
     ATTR:           0x00B,      // 1 byte
+    CLUSTER_HI:     0x014,      // 2 bytes: high word of starting cluster (FAT32 only)
     MODTIME:        0x016,      // 2 bytes: bits 15-11 is hour (0-31), bits 10-5 is minute (0-63), bits 4-0 is second/2 (0-31)
     MODDATE:        0x018,      // 2 bytes: bits 15-9 is year (0 for 1980, 127 for 2107), bits 8-5 is month (1-12), bits 4-0 is day (1-31)
     CLUSTER:        0x01A,      // 2 bytes
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Tests 80486 alignment checking (CR0.AM, PS.AC and CPL 3)
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var path = require("path");
+var child_process = require("child_process");
+
+/*
+ * This program runs at 0000:1000 on the 80486 machine defined by aligncheck.json.  It enters protected-mode with
+ * CR0.AM set, sets PS.AC at CPL 0 and performs a misaligned read (which must NOT fault), and then uses RETF (which,
+ * unlike IRET, leaves PS alone) to drop to CPL 3, where the same misaligned read must generate AC_FAULT.  Results:
+ *
+ *      0000:0500   1 if the CPL 0 read completed
+ *      0000:0502   CPL after the RETF (3)
+ *      0000:0504   0xAC if the AC_FAULT handler ran, 0xBAD if any other exception did
+ *      0000:0506   AC_FAULT error code (0)
+ *      0000:0508   CS at the time of the fault (0x1B)
+ */
+let abProgram = [
+    0xFA,                                       // 1000: CLI
+    0x31, 0xC0,                                 // 1001: XOR   AX,AX
+    0x8E, 0xD8,                                 // 1003: MOV   DS,AX
+    0x8E, 0xD0,                                 // 1005: MOV   SS,AX
+    0xBC, 0x00, 0x70,                           // 1007: MOV   SP,7000
+    0xBF, 0x00, 0x21,                           // 100A: MOV   DI,2100        ; IDT
+    0xB9, 0x20, 0x00,                           // 100D: MOV   CX,0020
+    0xC7, 0x05, 0xA9, 0x10,                     // 1010: MOV   WORD [DI],10A9 ; every gate goes to "fail"
+    0xC7, 0x45, 0x02, 0x08, 0x00,               // 1014: MOV   WORD [DI+2],0008
+    0xC7, 0x45, 0x04, 0x00, 0x86,               // 1019: MOV   WORD [DI+4],8600
+    0xC7, 0x45, 0x06, 0x00, 0x00,               // 101E: MOV   WORD [DI+6],0000
+    0x83, 0xC7, 0x08,                           // 1023: ADD   DI,0008
+    0xE2, 0xE8,                                 // 1026: LOOP  1010
+    0xC7, 0x06, 0x88, 0x21, 0x98, 0x10,         // 1028: MOV   WORD [2188],1098 ; except AC_FAULT (0x11)
+    0x66, 0xC7, 0x06, 0x04, 0x30, 0x00, 0x70, 0x00, 0x00,
+                                                // 102E: MOV   DWORD [3004],00007000 ; TSS ESP0
+    0xC7, 0x06, 0x08, 0x30, 0x10, 0x00,         // 1037: MOV   WORD [3008],0010 ; TSS SS0
+    0x0F, 0x01, 0x16, 0xE8, 0x10,               // 103D: LGDT  [10E8]
+    0x0F, 0x01, 0x1E, 0xEE, 0x10,               // 1042: LIDT  [10EE]
+    0x0F, 0x20, 0xC0,                           // 1047: MOV   EAX,CR0
+    0x66, 0x0D, 0x01, 0x00, 0x04, 0x00,         // 104A: OR    EAX,00040001   ; CR0.AM and CR0.PE
+    0x0F, 0x22, 0xC0,                           // 1050: MOV   CR0,EAX
+    0xEA, 0x58, 0x10, 0x08, 0x00,               // 1053: JMP   0008:1058
+    0xB8, 0x10, 0x00,                           // 1058: MOV   AX,0010
+    0x8E, 0xD8,                                 // 105B: MOV   DS,AX
+    0x8E, 0xD0,                                 // 105D: MOV   SS,AX
+    0xB8, 0x28, 0x00,                           // 105F: MOV   AX,0028
+    0x0F, 0x00, 0xD8,                           // 1062: LTR   AX
+    0x66, 0x9C,                                 // 1065: PUSHFD
+    0x66, 0x58,                                 // 1067: POP   EAX
+    0x66, 0x0D, 0x00, 0x00, 0x04, 0x00,         // 1069: OR    EAX,00040000   ; PS.AC
+    0x66, 0x50,                                 // 106F: PUSH  EAX
+    0x66, 0x9D,                                 // 1071: POPFD
+    0xA1, 0x01, 0x10,                           // 1073: MOV   AX,[1001]      ; misaligned at CPL 0
+    0xC7, 0x06, 0x00, 0x05, 0x01, 0x00,         // 1076: MOV   WORD [0500],0001
+    0x6A, 0x23,                                 // 107C: PUSH  0023
+    0x68, 0x00, 0x60,                           // 107E: PUSH  6000
+    0x6A, 0x1B,                                 // 1081: PUSH  001B
+    0x68, 0x87, 0x10,                           // 1083: PUSH  1087
+    0xCB,                                       // 1086: RETF                 ; to CPL 3
+    0xB8, 0x23, 0x00,                           // 1087: MOV   AX,0023
+    0x8E, 0xD8,                                 // 108A: MOV   DS,AX
+    0x8C, 0xC8,                                 // 108C: MOV   AX,CS
+    0x83, 0xE0, 0x03,                           // 108E: AND   AX,0003
+    0xA3, 0x02, 0x05,                           // 1091: MOV   [0502],AX
+    0xA1, 0x01, 0x10,                           // 1094: MOV   AX,[1001]      ; misaligned at CPL 3
+    0xCC,                                       // 1097: INT   3              ; no AC_FAULT: GP_FAULT via "fail"
+    0xC7, 0x06, 0x04, 0x05, 0xAC, 0x00,         // 1098: MOV   WORD [0504],00AC ; AC_FAULT handler
+    0x58,                                       // 109E: POP   AX
+    0xA3, 0x06, 0x05,                           // 109F: MOV   [0506],AX
+    0x58,                                       // 10A2: POP   AX
+    0x58,                                       // 10A3: POP   AX
+    0xA3, 0x08, 0x05,                           // 10A4: MOV   [0508],AX
+    0xEB, 0x06,                                 // 10A7: JMP   10AF
+    0xC7, 0x06, 0x04, 0x05, 0xAD, 0x0B,         // 10A9: MOV   WORD [0504],0BAD ; any other exception
+    0xEB, 0xFE,                                 // 10AF: JMP   10AF           ; done
+    0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,     // 10B8: GDT: null
+    0xFF, 0xFF, 0x00, 0x00, 0x00, 0x9A, 0x00, 0x00,     // 10C0: 0008: CPL 0 code
+    0xFF, 0xFF, 0x00, 0x00, 0x00, 0x92, 0x00, 0x00,     // 10C8: 0010: CPL 0 data
+    0xFF, 0xFF, 0x00, 0x00, 0x00, 0xFA, 0x00, 0x00,     // 10D0: 0018: CPL 3 code
+    0xFF, 0xFF, 0x00, 0x00, 0x00, 0xF2, 0x00, 0x00,     // 10D8: 0020: CPL 3 data
+    0x67, 0x00, 0x00, 0x30, 0x00, 0x89, 0x00, 0x00,     // 10E0: 0028: TSS at 3000
+    0x2F, 0x00, 0xB8, 0x10, 0x00, 0x00,                 // 10E8: GDTR
+    0xFF, 0x00, 0x00, 0x21, 0x00, 0x00                  // 10EE: IDTR
+];
+
+/**
+ * runProgram(done)
+ *
+ * Loads aligncheck.json into the PCx86 command-line interface, runs the program until it reaches its final JMP,
+ * and then passes the words at 0000:0500 to done(), or null if the machine doesn't get that far.
+ *
+ * @param {function(Array.<number>|null)} done
+ */
+function runProgram(done)
+{
+    let sOutput = "", iStep = 0;
+    let sBytes = abProgram.map(function(b) { return b.toString(16); }).join(' ');
+    let machine = child_process.spawn(process.execPath, [path.join(__dirname, "../bin/pcx86.js"), "--cmd=load " + path.join(__dirname, "aligncheck.json")]);
+    let timer = setTimeout(function() {
+        machine.kill();
+    }, 30000);
+    let aSteps = [
+        [/Type \? for help/, ["e 0:1000 " + sBytes, "r cs=0", "r ip=1000", "bp %10af", "g"]],
+        [/bp %10AF hit[\s\S]*stopped/, ["d 0:500 l10"]],
+        [/0000:0500 {2}([0-9A-F ]{23})-([0-9A-F ]{23})/, ["quit"]]
+    ];
+    let aWords = null;
+    machine.stdout.on("data", function(data) {
+        sOutput += data.toString();
+        while (iStep < aSteps.length) {
+            let match = sOutput.match(aSteps[iStep][0]);
+            if (!match) break;
+            sOutput = sOutput.substr(match.index + match[0].length);
+            if (iStep == aSteps.length - 1) {
+                let ab = (match[1] + ' ' + match[2]).split(' ');
+                aWords = [];
+                for (let i = 0; i < ab.length; i += 2) aWords.push(parseInt(ab[i + 1] + ab[i], 16));
+            }
+            machine.stdin.write(aSteps[iStep][1].join("\n") + "\n");
+            iStep++;
+        }
+    });
+    machine.on("exit", function() {
+        clearTimeout(timer);
+        done(aWords);
+    });
+}
+
+runProgram(function(aWords) {
+    let nFailures = 0;
+    let aTests = {
+        "misaligned reads at CPL 0 don't fault": function() {
+            assert(aWords, "program didn't finish");
+            assert.strictEqual(aWords[0], 1);
+        },
+        "RETF reaches CPL 3": function() {
+            assert.strictEqual(aWords[1], 3);
+        },
+        "misaligned reads at CPL 3 generate AC_FAULT": function() {
+            assert.strictEqual(aWords[2], 0xAC, "exception " + aWords[2].toString(16));
+            assert.strictEqual(aWords[3], 0);
+            assert.strictEqual(aWords[4], 0x1B);
+        }
+    };
+    for (let sTest in aTests) {
+        try {
+            aTests[sTest]();
+            console.log("pass: " + sTest);
+        } catch(err) {
+            console.log("FAIL: " + sTest + ": " + err.message);
+            nFailures++;
+            if (!aWords) break;
+        }
+    }
+    process.exitCode = nFailures? 1 : 0;
+});
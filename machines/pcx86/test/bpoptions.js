@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Tests the PCx86 Debugger's parsing of breakpoint options
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+
+global.window = null;
+require("../../shared/lib/defines");
+require("../lib/defines");
+var X86 = require("../lib/x86");
+var DebuggerX86 = require("../lib/debugger");
+
+/**
+ * parseOptions(sOptions)
+ *
+ * Returns the options that parseAddrOptions() finds in the given string, using just enough of a Debugger to parse
+ * values (with no variables defined).
+ *
+ * @param {string} sOptions
+ * @return {Object}
+ */
+function parseOptions(sOptions)
+{
+    let dbg = Object.create(DebuggerX86.prototype);
+    dbg.cpu = {model: X86.MODEL_80386};
+    dbg.aVariables = {};
+    dbg.nBase = 16;
+    let dbgAddr = {};
+    dbg.parseAddrOptions(dbgAddr, sOptions);
+    return {nCount: dbgAddr.nCount, sCond: dbgAddr.sCond, sLog: dbgAddr.sLog, sCmd: dbgAddr.sCmd};
+}
+
+let aTests = {
+    "count and if are both recognized": function() {
+        assert.deepStrictEqual(parseOptions("count 2 if ax == 1"), {nCount: 2, sCond: "ax == 1", sLog: undefined, sCmd: undefined});
+    },
+    "count inside an if expression is left alone": function() {
+        assert.deepStrictEqual(parseOptions("if count > 3"), {nCount: undefined, sCond: "count > 3", sLog: undefined, sCmd: undefined});
+        assert.deepStrictEqual(parseOptions("count 5 if count > 3"), {nCount: 5, sCond: "count > 3", sLog: undefined, sCmd: undefined});
+    },
+    "log and command sequences are removed first": function() {
+        assert.deepStrictEqual(parseOptions('log "count 9" count 3 if bx > 1 "r"'), {nCount: 3, sCond: "bx > 1", sLog: "count 9", sCmd: "r"});
+    }
+};
+
+let nFailures = 0;
+for (let sTest in aTests) {
+    try {
+        aTests[sTest]();
+        console.log("pass: " + sTest);
+    } catch(err) {
+        console.log("FAIL: " + sTest + ": " + err.message);
+        nFailures++;
+    }
+}
+process.exitCode = nFailures? 1 : 0;
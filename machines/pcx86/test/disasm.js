@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Tests the PCx86 Debugger's disassembler
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+
+global.window = null;
+require("../../shared/lib/defines");
+require("../lib/defines");
+var X86 = require("../lib/x86");
+var DebuggerX86 = require("../lib/debugger");
+
+/**
+ * disassemble(model, ab, fData32)
+ *
+ * Returns the instructions (minus addresses and opcode bytes) that the Debugger finds in the given bytes, using just
+ * enough of a Debugger and CPU to let getInstruction() read them from linear address 0.
+ *
+ * @param {number} model (eg, X86.MODEL_80386)
+ * @param {Array.<number>} ab
+ * @param {boolean} [fData32] (default is 16-bit operand and address sizes)
+ * @return {Array.<string>}
+ */
+function disassemble(model, ab, fData32)
+{
+    let dbg = Object.create(DebuggerX86.prototype);
+    let size = fData32? 4 : 2;
+    dbg.cpu = {
+        model: model,
+        flags: {checksum: false},
+        segCS: {sizeData: size, sizeAddr: size},
+        probeAddr: function(addr, cb) {
+            let v = 0;
+            for (let i = cb - 1; i >= 0; i--) v = (v << 8) | (ab[addr + i] || 0);
+            return v;
+        }
+    };
+    dbg.aaOpDescs = DebuggerX86.aaOpDescs.slice();
+    dbg.aaOpDescs[0x0F] = model >= X86.MODEL_80286? DebuggerX86.aOpDesc0F : DebuggerX86.aOpDescUndefined;
+    dbg.cchAddr = 8;
+    dbg.cchReg = model >= X86.MODEL_80386? 8 : 4;
+    dbg.maskAddr = -1;
+    dbg.getAddr = function(dbgAddr) { return dbgAddr.addr; };
+    let dbgAddr = dbg.newAddr(undefined, undefined, 0, DebuggerX86.ADDRTYPE.LINEAR);
+    let aIns = [];
+    while (dbgAddr.addr < ab.length) {
+        aIns.push(dbg.getInstruction(dbgAddr).replace(/^\S+\s+\S+\s+/, "").replace(/\s+/g, ' ').trim());
+    }
+    return aIns;
+}
+
+let aTests = {
+    "AAM and AAD skip their immediate byte": function() {
+        assert.deepStrictEqual(disassemble(X86.MODEL_8088, [0xD4, 0x0A, 0xD5, 0x0A, 0x90]), ["AAM", "AAD", "NOP"]);
+    },
+    "IMUL with an immediate uses the current operand size": function() {
+        assert.deepStrictEqual(disassemble(X86.MODEL_80386, [0x69, 0xC3, 0x34, 0x12, 0x66, 0x6B, 0xC3, 0x05]), ["IMUL AX,BX,1234", "IMUL EAX,EBX,05"]);
+    },
+    "IMUL reg,rm puts the register operand first": function() {
+        assert.deepStrictEqual(disassemble(X86.MODEL_80386, [0x0F, 0xAF, 0xC3]), ["IMUL AX,BX"]);
+        assert.deepStrictEqual(disassemble(X86.MODEL_80386, [0x0F, 0xAF, 0xC3], true), ["IMUL EAX,EBX"]);
+    },
+    "MOVZX and MOVSX from a word use the current operand size": function() {
+        assert.deepStrictEqual(disassemble(X86.MODEL_80386, [0x0F, 0xB7, 0xC3, 0x0F, 0xBF, 0xC3]), ["MOVZX AX,BX", "MOVSX AX,BX"]);
+        assert.deepStrictEqual(disassemble(X86.MODEL_80386, [0x0F, 0xB7, 0xC3, 0x0F, 0xBF, 0xC3], true), ["MOVZX EAX,BX", "MOVSX EAX,BX"]);
+    },
+    "LSS, LFS and LGS are 80386 instructions": function() {
+        let ab = [0x0F, 0xB2, 0x07, 0x0F, 0xB4, 0x07, 0x0F, 0xB5, 0x07];
+        assert.deepStrictEqual(disassemble(X86.MODEL_80386, ab), ["LSS AX,[BX]", "LFS AX,[BX]", "LGS AX,[BX]"]);
+        assert.deepStrictEqual(disassemble(X86.MODEL_80286, ab), ["LSS AX,[BX] ;80386 CPU only", "LFS AX,[BX] ;80386 CPU only", "LGS AX,[BX] ;80386 CPU only"]);
+    },
+    "shifts by an immediate are 80186 instructions": function() {
+        let ab = [0xC0, 0xE0, 0x04, 0xC1, 0xE8, 0x04];
+        assert.deepStrictEqual(disassemble(X86.MODEL_80186, ab), ["SHL AL,04", "SHR AX,04"]);
+        assert.deepStrictEqual(disassemble(X86.MODEL_8088, ab), ["SHL AL,04 ;80186 CPU only", "SHR AX,04 ;80186 CPU only"]);
+    }
+};
+
+let nFailures = 0;
+for (let sTest in aTests) {
+    try {
+        aTests[sTest]();
+        console.log("pass: " + sTest);
+    } catch(err) {
+        console.log("FAIL: " + sTest + ": " + err.message);
+        nFailures++;
+    }
+}
+process.exitCode = nFailures? 1 : 0;
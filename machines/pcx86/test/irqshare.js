@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Tests the ChipSet's handling of IRQs shared by multiple components
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+
+global.window = null;
+require("../../shared/lib/defines");
+require("../lib/defines");
+var ChipSet = require("../lib/chipset");
+
+/**
+ * newChipSet()
+ *
+ * Returns just enough of a ChipSet (a single PIC, with no interrupt delivery) to exercise setIRR() and clearIRR().
+ *
+ * @return {Object}
+ */
+function newChipSet()
+{
+    let chipset = Object.create(ChipSet.prototype);
+    chipset.aPICs = [{bIRR: 0, nDelay: 0}];
+    chipset.aIRQShares = [];
+    chipset.aIRQRequests = [];
+    chipset.printf = function() {};
+    chipset.checkIRR = function() {};
+    return chipset;
+}
+
+/**
+ * isRequested(chipset, nIRQ)
+ *
+ * @param {Object} chipset
+ * @param {number} nIRQ
+ * @return {boolean}
+ */
+function isRequested(chipset, nIRQ)
+{
+    return !!(chipset.aPICs[nIRQ >> 3].bIRR & (1 << (nIRQ & 0x7)));
+}
+
+let aTests = {
+    "two sharing components don't clear each other's requests": function() {
+        let chipset = newChipSet(), com2 = {id: "com2"}, ne2000 = {id: "ne2000"};
+        chipset.addIRQShare(3, com2);
+        chipset.addIRQShare(3, ne2000);
+        chipset.setIRR(3, 0, com2);
+        chipset.setIRR(3, 0, ne2000);
+        chipset.clearIRR(3, ne2000);
+        assert(isRequested(chipset, 3), "IRQ 3 cleared while COM2 still requesting");
+        chipset.clearIRR(3, com2);
+        assert(!isRequested(chipset, 3), "IRQ 3 still set after both components cleared");
+        chipset.setIRR(3, 0, ne2000);
+        chipset.setIRR(3, 0, com2);
+        chipset.clearIRR(3, com2);
+        assert(isRequested(chipset, 3), "IRQ 3 cleared while NE2000 still requesting");
+        chipset.clearIRR(3, ne2000);
+        assert(!isRequested(chipset, 3), "IRQ 3 still set after both components cleared");
+    },
+    "an unidentified caller can't clear a shared request": function() {
+        let chipset = newChipSet(), lpt1 = {id: "lpt1"};
+        chipset.addIRQShare(7, lpt1);
+        chipset.setIRR(7, 0, lpt1);
+        chipset.clearIRR(7);
+        assert(isRequested(chipset, 7), "IRQ 7 cleared while LPT1 still requesting");
+        chipset.clearIRR(7, lpt1);
+        assert(!isRequested(chipset, 7), "IRQ 7 still set after LPT1 cleared");
+    },
+    "unshared IRQs are unaffected": function() {
+        let chipset = newChipSet();
+        chipset.setIRR(6);
+        assert(isRequested(chipset, 6));
+        chipset.clearIRR(6);
+        assert(!isRequested(chipset, 6));
+    }
+};
+
+let nFailures = 0;
+for (let sTest in aTests) {
+    try {
+        aTests[sTest]();
+        console.log("pass: " + sTest);
+    } catch(err) {
+        console.log("FAIL: " + sTest + ": " + err.message);
+        nFailures++;
+    }
+}
+process.exitCode = nFailures? 1 : 0;
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Tests the NE2000's remote DMA commands
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+"use strict";
+
+var assert = require("assert");
+
+global.window = null;
+require("../../shared/lib/defines");
+require("../lib/defines");
+var NE2000 = require("../lib/ne2000");
+
+/**
+ * newNE2000()
+ *
+ * Returns just enough of a started NE2000 (with a receive ring from page 0x46 to page 0x60, and no IRQ) to exercise
+ * outCommand() and inData().
+ *
+ * @return {Object}
+ */
+function newNE2000()
+{
+    let ne2000 = Object.create(NE2000.prototype);
+    ne2000.abMemory = new Uint8Array(NE2000.MEM.END);
+    ne2000.bCR = NE2000.CR.STA | NE2000.CR.RD_ABORT;
+    ne2000.bISR = 0;
+    ne2000.bPSTART = ne2000.bBNRY = 0x46;
+    ne2000.bPSTOP = 0x60;
+    ne2000.wRSAR = ne2000.wRBCR = 0;
+    ne2000.printMessageIO = function() {};
+    ne2000.updateIRQ = function() {};
+    return ne2000;
+}
+
+/**
+ * readData(ne2000, cb)
+ *
+ * @param {Object} ne2000
+ * @param {number} cb
+ * @return {Array.<number>}
+ */
+function readData(ne2000, cb)
+{
+    let ab = [];
+    while (cb--) ab.push(ne2000.inData(0x310, 0));
+    return ab;
+}
+
+let aTests = {
+    "Send Packet reads the frame at BNRY": function() {
+        let ne2000 = newNE2000();
+        let abFrame = [0x01, 0x47, 0x08, 0x00, 0xAA, 0xBB, 0xCC, 0xDD];
+        ne2000.abMemory.set(abFrame, 0x4600);
+        ne2000.outCommand(NE2000.CR.STA | NE2000.CR.RD_SEND);
+        assert.strictEqual(ne2000.wRSAR, 0x4600);
+        assert.strictEqual(ne2000.wRBCR, abFrame.length);
+        assert.deepStrictEqual(readData(ne2000, abFrame.length), abFrame);
+        assert(ne2000.bISR & NE2000.ISR.RDC, "RDC not set");
+        assert.strictEqual(ne2000.inData(0x310, 0), 0xff);
+    },
+    "Send Packet wraps around the end of the receive ring": function() {
+        let ne2000 = newNE2000();
+        ne2000.bBNRY = 0x5F;
+        ne2000.abMemory.set([0x01, 0x47, 0x02, 0x01], 0x5F00);
+        ne2000.abMemory[0x5FFF] = 0x12;
+        ne2000.abMemory[0x4600] = 0x34;
+        ne2000.outCommand(NE2000.CR.STA | NE2000.CR.RD_SEND);
+        assert.deepStrictEqual(readData(ne2000, 0x102).slice(0xFF), [0x12, 0x34, 0x00]);
+        assert.strictEqual(ne2000.wRBCR, 0);
+    },
+    "remote reads still require a byte count": function() {
+        let ne2000 = newNE2000();
+        ne2000.outCommand(NE2000.CR.STA | NE2000.CR.RD_READ);
+        assert(ne2000.bISR & NE2000.ISR.RDC, "RDC not set");
+        assert.strictEqual(ne2000.inData(0x310, 0), 0xff);
+    }
+};
+
+let nFailures = 0;
+for (let sTest in aTests) {
+    try {
+        aTests[sTest]();
+        console.log("pass: " + sTest);
+    } catch(err) {
+        console.log("FAIL: " + sTest + ": " + err.message);
+        nFailures++;
+    }
+}
+process.exitCode = nFailures? 1 : 0;
@@ -13,3 +13,32 @@ var global;
 var resources;
 
 // var webkitAudioContext;
+
+/*
+ * Node modules that some components require() when running under Node (eg, to write WAV files or open sockets);
+ * every use is guarded by a "typeof" check, so these are never touched in a browser.
+ */
+var fs = {};
+fs.closeSync = function(fd) {};
+fs.openSync = function(path, flags) {};
+fs.writeFileSync = function(file, data) {};
+/**
+ * @param {number} fd
+ * @param {*} buffer
+ * @param {number} [offset]
+ * @param {number} [length]
+ * @param {number} [position]
+ */
+fs.writeSync = function(fd, buffer, offset, length, position) {};
+
+var net = {};
+/** @constructor */
+net.Socket = function() {};
+net.Socket.prototype.destroy = function() {};
+net.Socket.prototype.on = function(event, listener) {};
+net.Socket.prototype.write = function(data) {};
+/** @return {net.Socket} */
+net.connect = function(options, listener) {};
+
+var zlib = {};
+zlib.deflateSync = function(buffer) {};
@@ -14,6 +14,7 @@ import glob       from "glob";
 import path       from "path";
 import got        from "got";
 import DataBuffer from "./nodebuffer.js";
+import DiskServer from "./diskserver.js";
 import StdLib     from "./stdlib.js";
 import Device     from "../../machines/modules/device.js";
 import JSONLib    from "../../machines/modules/jsonlib.js";
@@ -262,7 +263,8 @@ function mapDiskToServer(diskFile)
  */
 function printFileDesc(diskFile, diskName, desc)
 {
-    printf("%-32s  %-12s  %s  %s %7d  %s\n", desc[DiskInfo.FILEDESC.HASH] || "-".repeat(32), desc[DiskInfo.FILEDESC.NAME], desc[DiskInfo.FILEDESC.DATE], desc[DiskInfo.FILEDESC.ATTR], desc[DiskInfo.FILEDESC.SIZE] || 0, diskName + ':' + desc[DiskInfo.FILEDESC.PATH]);
+    let sDeleted = desc[DiskInfo.FILEDESC.DELETED]? " (deleted: " + desc[DiskInfo.FILEDESC.DELETED] + ")" : "";
+    printf("%-32s  %-12s  %s  %s %7d  %s%s\n", desc[DiskInfo.FILEDESC.HASH] || "-".repeat(32), desc[DiskInfo.FILEDESC.NAME], desc[DiskInfo.FILEDESC.DATE], desc[DiskInfo.FILEDESC.ATTR], desc[DiskInfo.FILEDESC.SIZE] || 0, diskName + ':' + desc[DiskInfo.FILEDESC.PATH], sDeleted);
 }
 
 /**
@@ -279,6 +281,149 @@ function printManifest(diskFile, diskName, manifest)
     });
 }
 
+/**
+ * checkDisk(di, argv, fRepair)
+ *
+ * Checks (and optionally repairs) every volume of the disk image, or only the volume specified by --volume,
+ * displaying the results as text or, if --json is specified, as JSON.
+ *
+ * @param {DiskInfo} di
+ * @param {Array} argv
+ * @param {boolean} fRepair
+ */
+function checkDisk(di, argv, fRepair)
+{
+    let aResults = [];
+    let iVolume = +argv['volume'];
+    if (isNaN(iVolume)) iVolume = -1;
+    if (di.buildTables() >= 0) {
+        for (let i = 0; i < di.volTable.length; i++) {
+            if (iVolume >= 0 && i != iVolume) continue;
+            let result = di.checkVolume(i, fRepair);
+            if (result) aResults.push(result);
+        }
+    }
+    if (argv['json']) {
+        printf("%s\n", JSON.stringify({disk: di.getName(), repaired: fRepair, volumes: aResults}, null, 2));
+        return;
+    }
+    if (!aResults.length) {
+        printf("%s: no FAT volumes found\n", di.getName());
+    }
+    aResults.forEach((result) => {
+        printf("%s volume %d: %d problem(s) %s, %d of %d cluster(s) free\n", di.getName(), result.volume, result.problems.length, fRepair? "repaired" : "found", result.clusFree, result.clusTotal);
+        result.problems.forEach((problem) => {
+            printf("    %s: %s\n", problem.type, problem.message);
+        });
+    });
+}
+
+/**
+ * diffDisk(di, diskFile, argv)
+ *
+ * Compares the disk image to the one specified by diskFile, displaying which files were added, removed, or changed,
+ * which boot sector (BPB) fields differ, and which sectors outside of files differ, as text or, if --json is specified,
+ * as JSON.  Files are compared using MD5 hashes of their contents.
+ *
+ * @param {DiskInfo} di
+ * @param {string} diskFile
+ * @param {Array} argv
+ */
+function diffDisk(di, diskFile, argv)
+{
+    let diOther = readDisk(diskFile);
+    if (!diOther) {
+        printf("error: unable to read disk image %s\n", diskFile);
+        return;
+    }
+    let diff = di.diffDisk(diOther, getHash);
+    if (argv['json']) {
+        printf("%s\n", JSON.stringify({old: di.getName(), new: diOther.getName(), geometry: diff.geometry, files: diff.files, boot: diff.boot, sectors: diff.sectors}, null, 2));
+        return;
+    }
+    let nDiffs = (diff.geometry? 1 : 0) + diff.files.length + diff.boot.length + diff.sectors.length;
+    printf("comparing %s to %s: %d difference(s)\n", di.getName(), diOther.getName(), nDiffs);
+    if (diff.geometry) {
+        printf("geometry: %s -> %s\n", diff.geometry.old.join(':'), diff.geometry.new.join(':'));
+    }
+    diff.files.forEach((file) => {
+        let desc = file.new || file.old;
+        let sVolume = desc[DiskInfo.FILEDESC.VOL]? desc[DiskInfo.FILEDESC.VOL] + ':' : "";
+        if (file.type == DiskInfo.DIFF.CHANGED) {
+            let aChanges = file.changes.map((prop) => prop == DiskInfo.FILEDESC.HASH? "contents" : prop + " " + file.old[prop] + " -> " + file.new[prop]);
+            printf("%-8s %s%s (%s)\n", file.type, sVolume, file.path, aChanges.join(", "));
+        } else {
+            printf("%-8s %s%s (%d bytes, %s)\n", file.type, sVolume, file.path, desc[DiskInfo.FILEDESC.SIZE] || 0, desc[DiskInfo.FILEDESC.HASH] || "no hash");
+        }
+    });
+    diff.boot.forEach((boot) => {
+        if (boot.field == "code") {
+            printf("boot     volume %d: %d byte(s) of boot code differ\n", boot.volume, boot.bytes);
+        } else {
+            let sFormat = typeof boot.old == "number"? "boot     volume %d: %s %#x -> %#x\n" : "boot     volume %d: %s \"%s\" -> \"%s\"\n";
+            printf(sFormat, boot.volume, boot.field, boot.old, boot.new);
+        }
+    });
+    diff.sectors.forEach((range) => {
+        if (range.lbaFirst == range.lbaLast) {
+            printf("sector   %d (%s)\n", range.lbaFirst, range.region);
+        } else {
+            printf("sectors  %d-%d (%s)\n", range.lbaFirst, range.lbaLast, range.region);
+        }
+    });
+}
+
+/**
+ * updateDisk(di, argv)
+ *
+ * Processes any --mkdir, --add, --rename, and --delete options (in that order) against the files of an existing
+ * disk image, using the volume specified by --volume (default is 0).  Each option may be repeated:
+ *
+ *      --mkdir=[image path]
+ *      --add=[host file] or --add=[host file],[image path]
+ *      --rename=[image path],[new name]
+ *      --delete=[image path]
+ *
+ * We use commas to separate arguments, because commas are never valid in FAT file names.
+ *
+ * @param {DiskInfo} di
+ * @param {Array} argv
+ */
+function updateDisk(di, argv)
+{
+    let iVolume = +argv['volume'] || 0;
+    let getArgs = function(option) {
+        let values = argv[option];
+        if (!values) return [];
+        if (!Array.isArray(values)) values = [values];
+        return values.filter((value) => typeof value == "string").map((value) => value.split(','));
+    };
+    getArgs('mkdir').forEach(([sPath]) => {
+        if (di.makeDir(sPath, new Date(), iVolume)) {
+            printf("created directory: %s\n", sPath);
+        }
+    });
+    getArgs('add').forEach(([sFile, sPath]) => {
+        let db = readFile(sFile, null);
+        if (db) {
+            if (!sPath) sPath = path.basename(sFile);
+            if (di.addFile(sPath, db, fs.statSync(getFullPath(sFile)).mtime, DiskInfo.ATTR.ARCHIVE, iVolume)) {
+                printf("added file: %s\n", sPath);
+            }
+        }
+    });
+    getArgs('rename').forEach(([sPath, sName]) => {
+        if (di.renameFile(sPath, sName || "", iVolume)) {
+            printf("renamed file: %s to %s\n", sPath, sName);
+        }
+    });
+    getArgs('delete').forEach(([sPath]) => {
+        if (di.deleteFile(sPath, iVolume)) {
+            printf("deleted file: %s\n", sPath);
+        }
+    });
+}
+
 /**
  * processDisk(di, diskFile, argv, diskette)
  *
@@ -307,16 +452,40 @@ function processDisk(di, diskFile, argv, diskette)
         printf("processing %s: %d bytes (checksum %d)\n", di.getName(), di.getSize(), di.getChecksum());
     }
 
+    if (!diskette) updateDisk(di, argv);
+
+    /*
+     * --chkdsk repairs problems only if --fix is also specified, and only when an output disk image can be written.
+     */
+    if (argv['chkdsk']) {
+        let fRepair = !diskette && !!argv['fix'];
+        if (fRepair && !argv['output'] && !argv[1]) {
+            printf("warning: no output disk image specified, so repairs will not be saved\n");
+        }
+        checkDisk(di, argv, fRepair);
+    }
+
+    if (typeof argv['diff'] == "string") {
+        diffDisk(di, argv['diff'], argv);
+    }
+
     let sFindName = argv['file'];
-    if (typeof sFindName == "string") {
-        let sFindText = argv['find'];
-        if (typeof sFindText != "string") sFindText = undefined;
+    let sFindText = argv['find'];
+    if (typeof sFindText == "string") {
         /*
-         * TODO: Implement support for finding text in findFile()....
+         * With --find, we search the contents of the file specified by --file, or of all files if there's no --file.
          */
-        let desc = di.findFile(sFindName, sFindText);
+        let options = {ignoreCase: !!argv['ignorecase'], hex: !!argv['hex'], unused: !!argv['unused'], context: argv['context']};
+        let aMatches = di.findFile(typeof sFindName == "string"? sFindName : "", sFindText, options);
+        aMatches.forEach((match) => {
+            let sWhere = match.desc? match.desc[DiskInfo.FILEDESC.PATH] : device.sprintf("<unused> volume %d LBA %d", match.iVolume, match.lba);
+            printf("%s:%s offset %#x: %s\n", di.getName(), sWhere, match.offset, match.context);
+        });
+    }
+    else if (typeof sFindName == "string") {
+        let desc = di.findFile(sFindName);
         if (desc) {
-            printFileDesc(di.getName(), desc);
+            printFileDesc(diskFile, di.getName(), desc);
             if (argv['index']) {
                 /*
                  * We cheat and search for matching hash values in the provided index; this is much faster than laboriously
@@ -393,6 +562,33 @@ function processDisk(di, diskFile, argv, diskette)
                 sLines += dumpSector(di, sector, offset);
             }
             if (!sLines) sLines = "no unused data space on disk";
+        } else if (argv['list'] == "deleted") {
+            let aFiles = di.getDeletedFiles(iVolume);
+            aFiles.forEach((file) => {
+                printFileDesc(diskFile, di.getName(), di.getFileDesc(file, true, getHash));
+            });
+            if (!aFiles.length) sLines = "no deleted files on disk";
+        } else if (argv['list'] == "slack") {
+            /*
+             * File slack is the space between the end of a file and the end of its last cluster; since DOS never
+             * bothered to zero that space, it often contains remnants of other files (or of memory).  Slack that
+             * contains only zeros is not displayed.
+             */
+            di.buildTables();
+            for (let iFile = 0; iFile < di.fileTable.length; iFile++) {
+                let file = di.fileTable[iFile];
+                if (iVolume >= 0 && file.iVolume != iVolume || !file.size || (file.attr & DiskInfo.ATTR.SUBDIR)) continue;
+                let sSlack = "", fData = false;
+                for (let iLBA = (file.size / di.cbSector) | 0; iLBA < file.aLBA.length; iLBA++) {
+                    let sector = di.getSector(file.aLBA[iLBA]);
+                    if (!sector) break;
+                    let offset = Math.max(file.size - iLBA * di.cbSector, 0);
+                    for (let off = offset; off < di.cbSector && !fData; off++) fData = (di.read(sector, off) > 0);
+                    sSlack += sprintf("\nLBA=%d\n", file.aLBA[iLBA]) + dumpSector(di, sector, offset);
+                }
+                if (fData) sLines += sprintf("\nslack space of %s:%s", file.path, sSlack);
+            }
+            if (!sLines) sLines = "no slack space data on disk";
         } else {
             sLines = di.getFileListing(iVolume) || "\tno listing available\n";
         }
@@ -400,7 +596,7 @@ function processDisk(di, diskFile, argv, diskette)
     }
 
     if (argv['extract']) {
-        let manifest = di.getFileManifest();
+        let manifest = di.getFileManifest(null, !!argv['deleted']);
         manifest.forEach(function extractManifestFile(desc) {
             /*
              * Parse each file descriptor in much the same way that buildFileTableFromJSON() does.  That function
@@ -410,6 +606,7 @@ function processDisk(di, diskFile, argv, diskette)
              */
             let sPath = desc[DiskInfo.FILEDESC.PATH];
             if (sPath[0] == '/') sPath = sPath.substr(1);       // PATH should ALWAYS start with a slash, but let's be safe
+            if (desc[DiskInfo.FILEDESC.DELETED]) sPath = sPath.replace(/\?/g, '_');     // for the unknown first character of deleted files
             let name = path.basename(sPath);
             let size = desc[DiskInfo.FILEDESC.SIZE] || 0;
             let attr = +desc[DiskInfo.FILEDESC.ATTR];
@@ -423,7 +620,7 @@ function processDisk(di, diskFile, argv, diskette)
             let date = device.parseDate(desc[DiskInfo.FILEDESC.DATE], true);
             let contents = desc[DiskInfo.FILEDESC.CONTENTS] || [];
             let db = new DataBuffer(contents);
-            device.assert(size == db.length);
+            device.assert(size == db.length || desc[DiskInfo.FILEDESC.DELETED]);
             let subDir = typeof argv['extract'] != "string"? di.getName() : "";
             if (subDir || name == argv['extract']) {
                 let fSuccess = false;
@@ -445,7 +642,7 @@ function processDisk(di, diskFile, argv, diskette)
     }
 
     if (argv['manifest']) {
-        let manifest = di.getFileManifest(getHash);
+        let manifest = di.getFileManifest(getHash, !!argv['deleted']);
         printManifest(diskFile, di.getName(), manifest);
     }
 
@@ -715,12 +912,32 @@ function processDisk(di, diskFile, argv, diskette)
             di.updateBootSector(readFile(argv['boot'], null));
         }
         let output = argv['output'] || argv[1];
+        /*
+         * If --serve and --readwrite are both specified, then every change made through the server is saved to the
+         * output disk image, provided it's one we're allowed to overwrite.
+         */
+        let fnUpdate = null;
+        if (argv['serve'] && argv['readwrite'] && typeof output == "string") {
+            let outputFile = output;
+            if (argv['overwrite'] || !existsFile(outputFile)) {
+                fnUpdate = () => writeDisk(outputFile, di, argv['legacy'], argv['indent']? 2 : 0, true, true, argv['writable']);
+            }
+        }
         if (output) {
             if (typeof output == "string") output = [output];
             output.forEach((outputFile) => {
                 writeDisk(outputFile, di, argv['legacy'], argv['indent']? 2 : 0, argv['overwrite'], true, argv['writable']);
             });
         }
+        if (argv['serve']) {
+            if (argv['readwrite'] && !fnUpdate) {
+                printf("warning: changes will not be saved unless a new (or --overwrite) output disk image is specified\n");
+            }
+            let iVolume = +argv['volume'] || 0;
+            let port = typeof argv['serve'] == "string"? +argv['serve'] : 8088;
+            let server = new DiskServer(di, iVolume, !!argv['readwrite'], fnUpdate);
+            server.listen(port);
+        }
     }
 }
 
@@ -976,8 +1193,13 @@ function readDisk(diskFile, forceBPB, sectorIDs, sectorErrors, suppData)
                 di = null;
             } else {
                 let hash = getHash(db);
-                if (diskName.endsWith(".psi")) {
+                let diskNameLC = diskName.toLowerCase();
+                if (diskNameLC.endsWith(".psi")) {
                     if (!di.buildDiskFromPSI(db)) di = null;
+                } else if (diskNameLC.endsWith(".imd")) {
+                    if (!di.buildDiskFromIMD(db)) di = null;
+                } else if (diskNameLC.endsWith(".td0")) {
+                    if (!di.buildDiskFromTD0(db)) di = null;
                 } else {
                     if (!di.buildDiskFromBuffer(db, hash, forceBPB, sectorIDs, sectorErrors, suppData)) di = null;
                 }
@@ -1051,6 +1273,9 @@ function writeDisk(diskFile, di, fLegacy = false, indent = 0, fOverwrite = false
             let diskFileLC = diskFile.toLowerCase();
             if (diskFileLC.endsWith(".json")) {
                 data = di.getJSON(getHash, fLegacy, 0);
+            } else if (diskFileLC.endsWith(".psi") || diskFileLC.endsWith(".imd")) {
+                let ab = diskFileLC.endsWith(".psi")? di.getPSI() : di.getIMD();
+                if (ab) data = new DataBuffer(ab).buffer;
             } else {
                 let db = new DataBuffer(di.getSize());
                 if (di.getData(db, fLegacy)) data = db.buffer;
@@ -1160,8 +1385,13 @@ async function readDiskAsync(diskFile, forceBPB, sectorIDs, sectorErrors, suppDa
                 di = null;
             } else {
                 let hash = getHash(db);
-                if (diskName.endsWith(".psi")) {
+                let diskNameLC = diskName.toLowerCase();
+                if (diskNameLC.endsWith(".psi")) {
                     if (!di.buildDiskFromPSI(db)) di = null;
+                } else if (diskNameLC.endsWith(".imd")) {
+                    if (!di.buildDiskFromIMD(db)) di = null;
+                } else if (diskNameLC.endsWith(".td0")) {
+                    if (!di.buildDiskFromTD0(db)) di = null;
                 } else {
                     if (!di.buildDiskFromBuffer(db, hash, forceBPB, sectorIDs, sectorErrors, suppData)) di = null;
                 }
@@ -0,0 +1,498 @@
+/**
+ * @fileoverview Local HTTP/WebDAV server for the files of a disk image
+ * @author Jeff Parsons <Jeff@pcjs.org>
+ * @copyright © 2012-2022 Jeff Parsons
+ * @license MIT <https://www.pcjs.org/LICENSE.txt>
+ *
+ * This file is part of PCjs, a computer emulation software project at <https://www.pcjs.org>.
+ */
+
+import http       from "http";
+import DataBuffer from "./nodebuffer.js";
+import DiskInfo   from "../../machines/pcx86/modules/diskinfo.js";
+
+/**
+ * DiskServer exposes the files of one DiskInfo volume as a directory tree, using plain HTTP (GET and HEAD) for
+ * browsers and other simple tools, and WebDAV (OPTIONS and PROPFIND, plus PUT, DELETE, MKCOL, and MOVE if the
+ * server is writable) for clients that can mount a WebDAV share as a drive.
+ *
+ * Only WebDAV "class 1" is supported, so there's no locking.  The server listens only on the loopback interface
+ * by default, because it's intended solely for local browsing of disk images.
+ *
+ * @class DiskServer
+ * @property {DiskInfo} di
+ * @property {number} iVolume
+ * @property {boolean} fWritable
+ * @property {function()|null} fnUpdate
+ */
+export default class DiskServer {
+    /**
+     * DiskServer(di, iVolume, fWritable, fnUpdate)
+     *
+     * @this {DiskServer}
+     * @param {DiskInfo} di
+     * @param {number} [iVolume] (default is first volume)
+     * @param {boolean} [fWritable] (true to allow files to be added, deleted, renamed, etc)
+     * @param {function()} [fnUpdate] (called after every modification; eg, to save the disk image)
+     */
+    constructor(di, iVolume = 0, fWritable = false, fnUpdate = null)
+    {
+        this.di = di;
+        this.device = di.device;
+        this.iVolume = iVolume;
+        this.fWritable = fWritable;
+        this.fnUpdate = fnUpdate;
+        this.server = null;
+    }
+
+    /**
+     * listen(port, host)
+     *
+     * @this {DiskServer}
+     * @param {number} port
+     * @param {string} [host]
+     */
+    listen(port, host = "127.0.0.1")
+    {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.on('error', (err) => this.device.printf("%s\n", err.message));
+        this.server.listen(port, host, () => {
+            this.device.printf("serving %s volume %d%s at http://%s:%d/ (press ctrl-c to stop)\n", this.di.getName(), this.iVolume, this.fWritable? " (read-write)" : "", host, port);
+        });
+    }
+
+    /**
+     * handleRequest(req, res)
+     *
+     * @this {DiskServer}
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    handleRequest(req, res)
+    {
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+        } catch(err) {
+            this.sendStatus(res, 400);
+            return;
+        }
+        let target = this.getTarget(urlPath);
+        switch(req.method) {
+        case "OPTIONS":
+            res.writeHead(200, {"Allow": this.getMethods().join(", "), "DAV": "1", "MS-Author-Via": "DAV", "Content-Length": 0});
+            res.end();
+            break;
+        case "GET":
+        case "HEAD":
+            this.sendTarget(req, res, target, urlPath);
+            break;
+        case "PROPFIND":
+            this.sendProperties(req, res, target, urlPath);
+            break;
+        case "PUT":
+        case "DELETE":
+        case "MKCOL":
+        case "MOVE":
+            if (!this.fWritable) {
+                this.sendStatus(res, 405, {"Allow": this.getMethods().join(", ")});
+                break;
+            }
+            this.readBody(req, (db) => {
+                let status = this.updateTarget(req, target, db);
+                if (status < 300 && this.fnUpdate) this.fnUpdate();
+                this.sendStatus(res, status);
+            });
+            break;
+        default:
+            this.sendStatus(res, 501);
+            break;
+        }
+    }
+
+    /**
+     * getMethods()
+     *
+     * @this {DiskServer}
+     * @returns {Array.<string>}
+     */
+    getMethods()
+    {
+        let methods = ["OPTIONS", "GET", "HEAD", "PROPFIND"];
+        if (this.fWritable) methods.push("PUT", "DELETE", "MKCOL", "MOVE");
+        return methods;
+    }
+
+    /**
+     * getTarget(urlPath)
+     *
+     * Converts a URL path (eg, "/sub/b.bin") to a DOS path (eg, "\\SUB\\B.BIN"), and returns an object containing the
+     * DOS path, the corresponding FileInfo (if any), and whether the target is a directory (the root is a directory,
+     * even though it has no FileInfo).
+     *
+     * @this {DiskServer}
+     * @param {string} urlPath
+     * @returns {Object}
+     */
+    getTarget(urlPath)
+    {
+        let aParts = urlPath.split('/').filter((s) => s.length > 0);
+        let path = aParts.length? "\\" + aParts.join("\\").toUpperCase() : "";
+        let file = null;
+        if (path) {
+            this.di.buildTables();
+            file = this.di.fileTable.find((file) => file.iVolume == this.iVolume && file.path == path && !(file.attr & DiskInfo.ATTR.VOLUME)) || null;
+        }
+        return {path, file, fDir: !path || !!(file && (file.attr & DiskInfo.ATTR.SUBDIR)), fExists: !path || !!file};
+    }
+
+    /**
+     * getChildren(path)
+     *
+     * @this {DiskServer}
+     * @param {string} path (DOS path of a directory, or empty string for the root)
+     * @returns {Array.<FileInfo>}
+     */
+    getChildren(path)
+    {
+        this.di.buildTables();
+        return this.di.fileTable.filter((file) => {
+            if (file.iVolume != this.iVolume || file.name == "." || file.name == ".." || (file.attr & DiskInfo.ATTR.VOLUME)) return false;
+            return file.path.substr(0, file.path.lastIndexOf("\\")) == path;
+        });
+    }
+
+    /**
+     * getContents(file)
+     *
+     * @this {DiskServer}
+     * @param {FileInfo} file
+     * @returns {Buffer}
+     */
+    getContents(file)
+    {
+        let ab = new Array(file.size);
+        this.di.readSectorArray(file, ab);
+        return new DataBuffer(ab).buffer;
+    }
+
+    /**
+     * sendTarget(req, res, target, urlPath)
+     *
+     * Sends the contents of a file, or an HTML listing of a directory.
+     *
+     * @this {DiskServer}
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @param {Object} target (from getTarget())
+     * @param {string} urlPath
+     */
+    sendTarget(req, res, target, urlPath)
+    {
+        let data, headers;
+        if (!target.fExists) {
+            this.sendStatus(res, 404);
+            return;
+        }
+        if (target.fDir) {
+            if (!urlPath.endsWith('/')) {
+                this.sendStatus(res, 301, {"Location": encodeURI(urlPath + '/')});
+                return;
+            }
+            let sTitle = "Index of " + this.escape(urlPath);
+            let sHTML = "<!DOCTYPE html>\n<html>\n<head><meta charset=\"utf-8\"><title>" + sTitle + "</title></head>\n<body>\n<h1>" + sTitle + "</h1>\n<pre>\n";
+            if (target.path) sHTML += "<a href=\"../\">../</a>\n";
+            this.getChildren(target.path).forEach((file) => {
+                let fDir = !!(file.attr & DiskInfo.ATTR.SUBDIR);
+                let sName = file.name + (fDir? '/' : '');
+                sHTML += this.device.sprintf("<a href=\"%s\">%s</a>%s %s %10s\n", encodeURIComponent(file.name) + (fDir? '/' : ''), this.escape(sName), " ".repeat(Math.max(14 - sName.length, 1)), this.device.sprintf("%#T", file.date), fDir? "-" : file.size);
+            });
+            sHTML += "</pre>\n</body>\n</html>\n";
+            data = Buffer.from(sHTML, "utf8");
+            headers = {"Content-Type": "text/html; charset=utf-8"};
+        } else {
+            data = this.getContents(target.file);
+            headers = {"Content-Type": "application/octet-stream", "Last-Modified": target.file.date.toUTCString()};
+        }
+        headers["Content-Length"] = data.length;
+        res.writeHead(200, headers);
+        res.end(req.method == "HEAD"? undefined : data);
+    }
+
+    /**
+     * sendProperties(req, res, target, urlPath)
+     *
+     * Responds to a WebDAV PROPFIND request.  We always return all our properties (as if "allprop" was requested),
+     * and a Depth of "infinity" is treated as a Depth of 1.
+     *
+     * @this {DiskServer}
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @param {Object} target (from getTarget())
+     * @param {string} urlPath
+     */
+    sendProperties(req, res, target, urlPath)
+    {
+        if (!target.fExists) {
+            this.sendStatus(res, 404);
+            return;
+        }
+        let href = encodeURI(urlPath);
+        if (target.fDir && !href.endsWith('/')) href += '/';
+        let sXML = "<?xml version=\"1.0\" encoding=\"utf-8\"?>\n<D:multistatus xmlns:D=\"DAV:\">\n";
+        sXML += this.getPropResponse(href, target.file);
+        if (target.fDir && req.headers['depth'] !== "0") {
+            this.getChildren(target.path).forEach((file) => {
+                sXML += this.getPropResponse(href + encodeURIComponent(file.name) + ((file.attr & DiskInfo.ATTR.SUBDIR)? '/' : ''), file);
+            });
+        }
+        sXML += "</D:multistatus>\n";
+        let data = Buffer.from(sXML, "utf8");
+        res.writeHead(207, {"Content-Type": "application/xml; charset=utf-8", "Content-Length": data.length});
+        res.end(data);
+    }
+
+    /**
+     * getPropResponse(href, file)
+     *
+     * @this {DiskServer}
+     * @param {string} href (already URL-encoded)
+     * @param {FileInfo|null} file (null for the root directory)
+     * @returns {string}
+     */
+    getPropResponse(href, file)
+    {
+        let fDir = !file || !!(file.attr & DiskInfo.ATTR.SUBDIR);
+        let sName = file? file.name : this.di.getName();
+        let sProps = "<D:displayname>" + this.escape(sName) + "</D:displayname>";
+        if (fDir) {
+            sProps += "<D:resourcetype><D:collection/></D:resourcetype>";
+        } else {
+            sProps += "<D:resourcetype/><D:getcontentlength>" + file.size + "</D:getcontentlength><D:getcontenttype>application/octet-stream</D:getcontenttype>";
+        }
+        if (file) {
+            sProps += "<D:getlastmodified>" + file.date.toUTCString() + "</D:getlastmodified><D:creationdate>" + file.date.toISOString() + "</D:creationdate>";
+        }
+        return "<D:response><D:href>" + this.escape(href) + "</D:href><D:propstat><D:prop>" + sProps + "</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>\n";
+    }
+
+    /**
+     * updateTarget(req, target, db)
+     *
+     * Performs a PUT, DELETE, MKCOL, or MOVE request, using the DiskInfo functions that modify FAT volumes.
+     *
+     * @this {DiskServer}
+     * @param {http.IncomingMessage} req
+     * @param {Object} target (from getTarget())
+     * @param {DataBuffer} db (request body)
+     * @returns {number} (HTTP status code)
+     */
+    updateTarget(req, target, db)
+    {
+        let di = this.di;
+        if (!target.path) return 403;
+        switch(req.method) {
+        case "PUT":
+            if (target.fDir) return 405;
+            return this.putTarget(target, db);
+        case "DELETE":
+            if (!target.fExists) return 404;
+            return this.deleteTarget(target)? 204 : 409;
+        case "MKCOL":
+            if (target.fExists) return 405;
+            if (db.length) return 415;
+            return di.makeDir(target.path, new Date(), this.iVolume)? 201 : 409;
+        case "MOVE":
+            if (!target.fExists) return 404;
+            return this.moveTarget(req, target);
+        }
+        return 501;
+    }
+
+    /**
+     * putTarget(target, db)
+     *
+     * To replace an existing file, we write the new contents to a temporary file first, so that if that fails (eg,
+     * because the disk is full), the original file is still intact.
+     *
+     * @this {DiskServer}
+     * @param {Object} target (from getTarget())
+     * @param {DataBuffer} db (request body)
+     * @returns {number} (HTTP status code)
+     */
+    putTarget(target, db)
+    {
+        let di = this.di;
+        if (!target.fExists) {
+            return di.addFile(target.path, db, new Date(), DiskInfo.ATTR.ARCHIVE, this.iVolume)? 201 : 409;
+        }
+        let temp = this.getTempTarget(target.path);
+        if (!temp || !di.addFile(temp.path, db, new Date(), DiskInfo.ATTR.ARCHIVE, this.iVolume)) return 409;
+        if (!di.deleteFile(target.path, this.iVolume)) {
+            di.deleteFile(temp.path, this.iVolume);
+            return 409;
+        }
+        return di.renameFile(temp.path, this.getName(target.path), this.iVolume)? 204 : 500;
+    }
+
+    /**
+     * deleteTarget(target)
+     *
+     * WebDAV requires a DELETE of a directory to delete everything in it, too, whereas deleteFile() only deletes
+     * empty directories, so we delete a directory's contents first.
+     *
+     * @this {DiskServer}
+     * @param {Object} target (from getTarget())
+     * @returns {boolean}
+     */
+    deleteTarget(target)
+    {
+        if (target.fDir) {
+            let aChildren = this.getChildren(target.path).map((file) => this.getTarget(file.path.replace(/\\/g, '/')));
+            for (let child of aChildren) {
+                if (!this.deleteTarget(child)) return false;
+            }
+        }
+        return this.di.deleteFile(target.path, this.iVolume);
+    }
+
+    /**
+     * moveTarget(req, target)
+     *
+     * Files and directories can be renamed within their directory, but only files can be moved to another directory;
+     * moving a directory to another directory is refused (403).
+     *
+     * If the destination already exists, it's renamed out of the way until the move has succeeded, so that a failed
+     * move leaves the destination as it was.
+     *
+     * @this {DiskServer}
+     * @param {http.IncomingMessage} req
+     * @param {Object} target (from getTarget())
+     * @returns {number} (HTTP status code)
+     */
+    moveTarget(req, target)
+    {
+        let di = this.di;
+        let dest;
+        try {
+            dest = this.getTarget(decodeURIComponent(new URL(req.headers['destination'], "http://localhost").pathname));
+        } catch(err) {
+            return 400;
+        }
+        if (!dest.path || dest.path == target.path) return 403;
+        let fSameDir = (this.getParent(target.path) == this.getParent(dest.path));
+        if (target.fDir && !fSameDir) return 403;
+        let status = 201, temp = null;
+        if (dest.fExists) {
+            if (req.headers['overwrite'] == 'F') return 412;
+            temp = this.getTempTarget(dest.path);
+            if (!temp || !di.renameFile(dest.path, this.getName(temp.path), this.iVolume)) return 409;
+            status = 204;
+        }
+        let fMoved;
+        if (fSameDir) {
+            fMoved = di.renameFile(target.path, this.getName(dest.path), this.iVolume);
+        } else {
+            let file = target.file;
+            fMoved = di.addFile(dest.path, new DataBuffer(this.getContents(file)), file.date, file.attr, this.iVolume);
+            if (fMoved && !di.deleteFile(target.path, this.iVolume)) {
+                di.deleteFile(dest.path, this.iVolume);
+                fMoved = false;
+            }
+        }
+        if (temp) {
+            if (!fMoved) {
+                di.renameFile(temp.path, this.getName(dest.path), this.iVolume);
+            } else {
+                this.deleteTarget(this.getTarget(temp.path.replace(/\\/g, '/')));
+            }
+        }
+        return fMoved? status : 409;
+    }
+
+    /**
+     * getTempTarget(path)
+     *
+     * Returns a target for an unused temporary file name in the same directory as the given path, or null if none.
+     *
+     * @this {DiskServer}
+     * @param {string} path (DOS path)
+     * @returns {Object|null}
+     */
+    getTempTarget(path)
+    {
+        let sDir = this.getParent(path);
+        for (let i = 0; i < 1000; i++) {
+            let temp = this.getTarget((sDir + "\\~DAV" + ("000" + i).slice(-4) + ".TMP").replace(/\\/g, '/'));
+            if (!temp.fExists) return temp;
+        }
+        return null;
+    }
+
+    /**
+     * getParent(path)
+     *
+     * @this {DiskServer}
+     * @param {string} path (DOS path)
+     * @returns {string} (DOS path of the parent directory, or empty string for the root)
+     */
+    getParent(path)
+    {
+        return path.substr(0, path.lastIndexOf("\\"));
+    }
+
+    /**
+     * getName(path)
+     *
+     * @this {DiskServer}
+     * @param {string} path (DOS path)
+     * @returns {string}
+     */
+    getName(path)
+    {
+        return path.substr(path.lastIndexOf("\\") + 1);
+    }
+
+    /**
+     * readBody(req, done)
+     *
+     * @this {DiskServer}
+     * @param {http.IncomingMessage} req
+     * @param {function(DataBuffer)} done
+     */
+    readBody(req, done)
+    {
+        let aChunks = [];
+        req.on('data', (chunk) => aChunks.push(chunk));
+        req.on('end', () => done(new DataBuffer(Buffer.concat(aChunks))));
+    }
+
+    /**
+     * sendStatus(res, status, headers)
+     *
+     * @this {DiskServer}
+     * @param {http.ServerResponse} res
+     * @param {number} status
+     * @param {Object} [headers]
+     */
+    sendStatus(res, status, headers = {})
+    {
+        let data = Buffer.from(status + " " + http.STATUS_CODES[status] + "\n", "utf8");
+        headers["Content-Type"] = "text/plain; charset=utf-8";
+        headers["Content-Length"] = data.length;
+        res.writeHead(status, headers);
+        res.end(data);
+    }
+
+    /**
+     * escape(s)
+     *
+     * @this {DiskServer}
+     * @param {string} s
+     * @returns {string} (with any HTML/XML special characters escaped)
+     */
+    escape(s)
+    {
+        return s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    }
+}